@@ -0,0 +1,344 @@
+import { z } from "zod";
+import {
+  getUsers,
+  getTeams,
+  getScorecardMeasurables,
+  getRocks,
+  getHeadlines,
+  getTodos,
+  getIssues,
+  parseToolResponse,
+} from "./tools.js";
+import { parseTargetNumber, meetsTarget } from "./utils/helpers.js";
+import { logger } from "./utils/logger.js";
+
+// Level 10 Meeting agenda, in order, with the EOS time box in minutes
+const L10_AGENDA = [
+  { name: "l10-segue", section: "Segue", minutes: 5 },
+  { name: "l10-scorecard", section: "Scorecard Review", minutes: 5 },
+  { name: "l10-rocks", section: "Rock Review", minutes: 5 },
+  { name: "l10-headlines", section: "Customer/Employee Headlines", minutes: 5 },
+  { name: "l10-todos", section: "To-Do List", minutes: 5 },
+  { name: "l10-ids", section: "IDS", minutes: 60 },
+  { name: "l10-conclude", section: "Conclude", minutes: 5 },
+];
+
+/**
+ * Call a read tool and parse its JSON response
+ * @param {Function} tool - e.g. getRocks
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<{ok: boolean, data?: Object, error?: string}>}
+ */
+async function loadFromTool(tool, args) {
+  try {
+    return { ok: true, data: parseToolResponse(await tool(args)) };
+  } catch (error) {
+    logger.error(`[PROMPTS] Error calling ${tool.name}:`, error.message);
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Load the team's name and a user ID → name lookup
+ * @param {Object} teamArgs - {teamId} or {leadershipTeam: true}
+ * @returns {Promise<{teamName: string, users: Array<Object>, nameOf: Function}>}
+ */
+async function loadTeamContext(teamArgs) {
+  const [usersResult, teamsResult] = await Promise.all([
+    loadFromTool(getUsers, teamArgs),
+    loadFromTool(getTeams, {}),
+  ]);
+
+  const users = usersResult.ok ? usersResult.data.results : [];
+  const teams = teamsResult.ok ? teamsResult.data.results || [] : [];
+  const team = teamArgs.teamId
+    ? teams.find((t) => t.id === teamArgs.teamId)
+    : teams.find((t) => t.isLeadership);
+  const namesById = Object.fromEntries(users.map((u) => [u.id, u.name]));
+
+  return {
+    teamName: team?.title || teamArgs.teamId || "Leadership",
+    users,
+    nameOf: (userId) => namesById[userId] || (userId ? `user ${userId}` : "-"),
+  };
+}
+
+/**
+ * Build the text of one agenda section prompt
+ * @param {Object} step - Entry of L10_AGENDA
+ * @param {string} teamName
+ * @param {Array<string>} lines - Instructions and data
+ * @returns {string}
+ */
+function sectionText(step, teamName, lines) {
+  const index = L10_AGENDA.indexOf(step);
+  const next = L10_AGENDA[index + 1];
+  return [
+    `# L10 Meeting - ${teamName}`,
+    `## ${index + 1}/${L10_AGENDA.length}: ${step.section} (${step.minutes} min)`,
+    "",
+    ...lines,
+    "",
+    next
+      ? `When this section is done, continue with the "${next.name}" prompt (${next.section}).`
+      : "This is the last section of the meeting.",
+  ].join("\n");
+}
+
+// Builders of each section's content, by prompt name
+const SECTION_BUILDERS = {
+  "l10-segue": async (teamArgs, team) => [
+    "You are facilitating this team's weekly Level 10 Meeting. Start on time.",
+    "Ask each attendee to share one personal and one professional best from the last week. Keep it short and positive.",
+    "",
+    "### Attendees",
+    ...(team.users.length > 0
+      ? team.users.map((user) => `- ${user.name}`)
+      : ["- (No team members found)"]),
+  ],
+
+  "l10-scorecard": async (teamArgs, team) => {
+    const result = await loadFromTool(getScorecardMeasurables, {
+      ...teamArgs,
+      type: "weekly",
+      periods: 2,
+    });
+    if (!result.ok) return [`Could not load the scorecard: ${result.error}`];
+
+    const lines = result.data.scorecardMeasurables.map((measurable) => {
+      const values = measurable.values?.length
+        ? measurable.values
+        : measurable.evaluatedValues || [];
+      const latest = [...values].sort(
+        (a, b) => new Date(b.startDate) - new Date(a.startDate)
+      )[0];
+      const comparison = measurable.unitComparison || ">=";
+      const goal = `${comparison} ${measurable.goalTarget ?? "-"}`;
+      if (!latest) {
+        return `- ${measurable.name} (${team.nameOf(
+          measurable.userId
+        )}) - goal ${goal} - NO ENTRY`;
+      }
+      const value = parseTargetNumber(latest.value);
+      const target = parseTargetNumber(
+        latest.customGoalTarget || measurable.goalTarget
+      );
+      const status =
+        value === null || target === null
+          ? ""
+          : meetsTarget(value, target, comparison)
+          ? " - on track"
+          : " - OFF TRACK";
+      return `- ${measurable.name} (${team.nameOf(
+        measurable.userId
+      )}) - goal ${goal} - ${latest.value} for ${latest.startDate}${status}`;
+    });
+
+    return [
+      "Read each measurable and have its owner say whether it is on or off track. Don't discuss them here.",
+      "For every measurable that is off track or missing an entry, ask whether to drop it to the Issues List (createIssue). Missing entries can be added with createScorecardMeasurableEntry.",
+      "",
+      "### Weekly Scorecard",
+      ...(lines.length > 0 ? lines : ["- (No weekly measurables)"]),
+    ];
+  },
+
+  "l10-rocks": async (teamArgs, team) => {
+    const result = await loadFromTool(getRocks, {
+      ...teamArgs,
+      timePeriod: "current_quarter",
+      includeMilestones: false,
+    });
+    if (!result.ok) return [`Could not load rocks: ${result.error}`];
+
+    const lines = result.data.results.map(
+      (rock) =>
+        `- ${rock.name} (${team.nameOf(rock.userId)}) - ${rock.status}${
+          rock.dueDate ? `, due ${rock.dueDate.split("T")[0]}` : ""
+        } [ID: ${rock.id}]`
+    );
+
+    return [
+      "Have each owner report their rocks as on track or off track - no discussion.",
+      "Update changed statuses with updateRock. Ask whether to drop any off-track rock to the Issues List (createIssue).",
+      "",
+      "### Rocks this quarter",
+      ...(lines.length > 0 ? lines : ["- (No rocks this quarter)"]),
+    ];
+  },
+
+  "l10-headlines": async (teamArgs, team) => {
+    const result = await loadFromTool(getHeadlines, {
+      ...teamArgs,
+      status: "Not shared",
+    });
+    if (!result.ok) return [`Could not load headlines: ${result.error}`];
+
+    const lines = result.data.results.map(
+      (headline) =>
+        `- ${headline.name} (${team.nameOf(headline.userId)}) [ID: ${
+          headline.id
+        }]`
+    );
+
+    return [
+      "Share customer and employee headlines in one sentence each. Ask for any new ones.",
+      "Mark shared headlines with updateHeadline (status 'Shared'). Anything that needs discussion goes to the Issues List (createIssue).",
+      "",
+      "### Headlines not shared yet",
+      ...(lines.length > 0 ? lines : ["- (No headlines)"]),
+    ];
+  },
+
+  "l10-todos": async (teamArgs, team) => {
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    const [openResult, doneResult] = await Promise.all([
+      loadFromTool(getTodos, { ...teamArgs, status: "TODO" }),
+      loadFromTool(getTodos, {
+        ...teamArgs,
+        status: "COMPLETE",
+        completedAfter: weekAgo.toISOString(),
+      }),
+    ]);
+    if (!openResult.ok) return [`Could not load to-dos: ${openResult.error}`];
+
+    const now = new Date();
+    const open = openResult.data.results;
+    const doneCount = doneResult.ok ? doneResult.data.results.length : 0;
+    const lines = open.map(
+      (todo) =>
+        `- ${todo.name} (${team.nameOf(todo.userId)})${
+          todo.dueDate
+            ? ` - due ${todo.dueDate.split("T")[0]}${
+                new Date(todo.dueDate) < now ? " - OVERDUE" : ""
+              }`
+            : ""
+        } [ID: ${todo.id}]`
+    );
+
+    const total = doneCount + open.length;
+    return [
+      "Go through last week's to-dos: each owner says 'done' or 'not done'. The goal is 90% completion.",
+      "Mark finished ones complete with updateTodo (todoStatusId 'COMPLETE'). A to-do that is not done twice in a row should drop to the Issues List (createIssue).",
+      "",
+      total > 0
+        ? `Completed in the last 7 days: ${doneCount} of ${total} (${Math.round(
+            (doneCount / total) * 100
+          )}%)`
+        : "No to-dos in the last 7 days.",
+      "",
+      "### Open to-dos",
+      ...(lines.length > 0 ? lines : ["- (No open to-dos)"]),
+    ];
+  },
+
+  "l10-ids": async (teamArgs, team) => {
+    const result = await loadFromTool(getIssues, {
+      ...teamArgs,
+      status: "TODO",
+      type: "Short-term",
+    });
+    if (!result.ok) return [`Could not load issues: ${result.error}`];
+
+    const issues = [...result.data.results].sort(
+      (a, b) => (a.priorityOrder ?? 0) - (b.priorityOrder ?? 0)
+    );
+    const lines = issues.map(
+      (issue) =>
+        `- ${issue.name} (${team.nameOf(issue.userId)}) - ${
+          issue.priority
+        } priority [ID: ${issue.id}]`
+    );
+
+    return [
+      "Ask the team to pick the top 3 issues, then work them one at a time:",
+      "1. Identify - get to the real root cause; the owner states it in a sentence or two.",
+      "2. Discuss - everyone says what they think, once. No tangents.",
+      "3. Solve - agree on a solution. Capture actions as to-dos (createTodo, due within 7 days) and close the issue with updateIssue (issueStatusId 'COMPLETE').",
+      "Then move on to the next issue. Stop 5 minutes before the end of the meeting.",
+      "",
+      "### Issues List (short-term)",
+      ...(lines.length > 0 ? lines : ["- (No open issues)"]),
+    ];
+  },
+
+  "l10-conclude": async (teamArgs, team) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const result = await loadFromTool(getTodos, {
+      ...teamArgs,
+      status: "TODO",
+      createdAfter: today.toISOString(),
+    });
+    const lines = result.ok
+      ? result.data.results.map(
+          (todo) => `- ${todo.name} (${team.nameOf(todo.userId)})`
+        )
+      : [`Could not load to-dos: ${result.error}`];
+
+    return [
+      "Wrap up the meeting:",
+      "1. Recap the new to-dos below and confirm each owner.",
+      "2. Ask for cascading messages - what needs to be communicated to others, by whom and how (createHeadline).",
+      "3. Ask every attendee to rate the meeting from 1 to 10; anything below 8 gets a one-line reason. Report the average.",
+      "",
+      "### New to-dos from today",
+      ...(lines.length > 0 ? lines : ["- (No new to-dos)"]),
+    ];
+  },
+};
+
+/**
+ * Build the messages of an L10 section prompt
+ * @param {string} name - Prompt name, e.g. 'l10-rocks'
+ * @param {Object} [args] - Prompt arguments
+ * @param {string} [args.teamId] - Team ID (defaults to the leadership team)
+ * @returns {Promise<{description: string, messages: Array<Object>}>}
+ */
+export async function buildL10Prompt(name, args = {}) {
+  const step = L10_AGENDA.find((s) => s.name === name);
+  if (!step) throw new Error(`Unknown L10 prompt: ${name}`);
+
+  const teamArgs = args.teamId
+    ? { teamId: args.teamId }
+    : { leadershipTeam: true };
+  const team = await loadTeamContext(teamArgs);
+  const lines = await SECTION_BUILDERS[name](teamArgs, team);
+
+  return {
+    description: `L10 ${step.section} for ${team.teamName}`,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: sectionText(step, team.teamName, lines),
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Register the L10 meeting prompts on an MCP server
+ * @param {Object} server - MCP server instance
+ */
+export function registerPromptsOnServer(server) {
+  L10_AGENDA.forEach((step, index) => {
+    server.registerPrompt(
+      step.name,
+      {
+        title: `L10 ${index + 1}. ${step.section}`,
+        description: `Run the ${step.section} section (${step.minutes} min) of a Level 10 Meeting, pre-filled with the team's current data`,
+        argsSchema: {
+          teamId: z
+            .string()
+            .optional()
+            .describe("Team ID (defaults to the leadership team)"),
+        },
+      },
+      async ({ teamId }) => await buildL10Prompt(step.name, { teamId })
+    );
+  });
+}
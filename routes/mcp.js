@@ -9,6 +9,7 @@ import {
 } from "../utils/transportHelpers.js";
 import { runWithAuthContext, getAuthContext, getDatabase } from "../tools.js";
 import { registerToolsOnServer } from "../toolDefinitions.js";
+import { registerPromptsOnServer } from "../promptDefinitions.js";
 import { VERSION } from "../config.js";
 import {
   parseAIClient,
@@ -160,6 +161,7 @@ function createFreshMcpServer() {
   );
 
   registerToolsOnServer(freshServer);
+  registerPromptsOnServer(freshServer);
   return freshServer;
 }
 
@@ -903,10 +903,12 @@ CREATE TABLE "public"."meetings" (
   "facilitator_user_id" uuid,
   "scribe_user_id" uuid,
   "facilitator_section_id" uuid,
-  "section_start_time" timestamptz(6)
+  "section_start_time" timestamptz(6),
+  "original_date" date
 )
 ;
 ALTER TABLE "public"."meetings" OWNER TO "postgres";
+COMMENT ON COLUMN "public"."meetings"."original_date" IS 'Date a rescheduled meeting of a recurring series was originally scheduled on';
 COMMENT ON COLUMN "public"."meetings"."updated_at" IS '@omit create,update,delete';
 COMMENT ON COLUMN "public"."meetings"."sync_id" IS '@omit create,update,delete';
 COMMENT ON TABLE "public"."meetings" IS '@omit delete';
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Attachments Tools
+ *
+ * Tests:
+ * 1. getAttachments and attachFile validate their input
+ * 2. getAttachments lists a rock's files and its comments' files
+ * 3. fetch includes attachments for rocks
+ *
+ * attachFile is only exercised for validation, so no files are added to real data.
+ *
+ * Usage:
+ *   node tests/test-attachments.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getRocks,
+  fetch,
+  getAttachments,
+  attachFile,
+} from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing Attachments Tools\n");
+
+const rocks = JSON.parse(
+  (await getRocks({ first: 1, timePeriod: "all", includeMilestones: false }))
+    .content[0].text
+);
+const rock = rocks.results?.[0];
+
+await test("getAttachments / attachFile - Validate input", async () => {
+  const badType = await getAttachments({ itemType: "meeting", itemId: "1" });
+  if (!badType.content[0].text.startsWith("Error:")) {
+    throw new Error(`Unexpected response: ${badType.content[0].text}`);
+  }
+  const badUrl = await attachFile({
+    itemType: "rock",
+    itemId: "1",
+    url: "not a url",
+  });
+  if (!badUrl.content[0].text.includes("http(s) URL")) {
+    throw new Error(`Unexpected response: ${badUrl.content[0].text}`);
+  }
+});
+
+await test("getAttachments - Lists a rock's files", async () => {
+  if (!rock) {
+    console.log("   (Skipped - no rocks found)");
+    return;
+  }
+  const data = JSON.parse(
+    (await getAttachments({ itemType: "rock", itemId: rock.id })).content[0]
+      .text
+  );
+  if (!Array.isArray(data.attachments)) {
+    throw new Error("Missing attachments array");
+  }
+  if (!Array.isArray(data.commentAttachments)) {
+    throw new Error("Missing commentAttachments array");
+  }
+  for (const file of data.attachments) {
+    if (!file.url || !file.fileName) throw new Error("Incomplete attachment");
+  }
+  console.log(`   ${data.totalCount} file(s) on rock ${rock.id}`);
+});
+
+await test("fetch - Includes attachments for rocks", async () => {
+  if (!rock) {
+    console.log("   (Skipped - no rocks found)");
+    return;
+  }
+  const fetched = JSON.parse(
+    (await fetch({ id: `success-co://rocks/${rock.id}` })).content[0].text
+  );
+  if (!Array.isArray(fetched.attachments)) {
+    throw new Error("fetch result has no attachments array");
+  }
+});
+
+await finish();
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Comment Reactions
+ *
+ * Tests:
+ * 1. getComments includes aggregated reactions
+ * 2. addReaction / removeReaction validate their input
+ * 3. addReaction and removeReaction round-trip the current user's reaction
+ *
+ * Usage:
+ *   node tests/test-comment-reactions.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getComments,
+  addReaction,
+  removeReaction,
+} from "../tools.js";
+import { test, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing Comment Reactions\n");
+
+// An emoji unlikely to be in use, so the round trip leaves data as it was
+const TEST_EMOJI = "🧪";
+let comments = [];
+
+await test("getComments - Includes aggregated reactions", async () => {
+  const data = JSON.parse((await getComments({ first: 10 })).content[0].text);
+  comments = data.results;
+  for (const comment of comments) {
+    if (!Array.isArray(comment.reactions)) {
+      throw new Error(`Comment ${comment.id} has no reactions array`);
+    }
+    const total = comment.reactions.reduce((sum, r) => sum + r.count, 0);
+    if (total !== comment.reactionCount) {
+      throw new Error(`reactionCount mismatch on comment ${comment.id}`);
+    }
+  }
+  console.log(`   ${comments.length} comment(s) checked`);
+});
+
+await test("addReaction / removeReaction - Validate input", async () => {
+  const missing = await addReaction({ commentId: "1", emoji: " " });
+  if (!missing.content[0].text.startsWith("Error:")) {
+    throw new Error(`Unexpected response: ${missing.content[0].text}`);
+  }
+  const unknown = await removeReaction({
+    commentId: "00000000-0000-0000-0000-000000000000",
+    emoji: TEST_EMOJI,
+  });
+  if (!unknown.content[0].text.includes("No comment found")) {
+    throw new Error(`Unexpected response: ${unknown.content[0].text}`);
+  }
+});
+
+await test("addReaction / removeReaction - Round-trip", async () => {
+  const comment = comments[0];
+  if (!comment) {
+    console.log("   (Skipped - no comments found)");
+    return;
+  }
+  // removeReaction does nothing if the reaction is already gone
+  cleanup("Remove test reaction", () =>
+    removeReaction({ commentId: comment.id, emoji: TEST_EMOJI })
+  );
+
+  const added = JSON.parse(
+    (await addReaction({ commentId: comment.id, emoji: TEST_EMOJI }))
+      .content[0].text
+  );
+  const mine = added.reactions.find((r) => r.emoji === TEST_EMOJI);
+  if (!mine?.reactedByMe) throw new Error("Reaction was not added");
+
+  const removed = JSON.parse(
+    (await removeReaction({ commentId: comment.id, emoji: TEST_EMOJI }))
+      .content[0].text
+  );
+  const still = removed.reactions.find((r) => r.emoji === TEST_EMOJI);
+  if (still?.reactedByMe) throw new Error("Reaction was not removed");
+});
+
+await finish();
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for idsIssue
+ *
+ * Tests:
+ * 1. Input validation (missing issue, empty resolution, todos without a resolution)
+ * 2. Gathering the discussion context of a new issue
+ * 3. Solving it with a todo, which is linked to the issue
+ * 4. A solved issue can't be solved again
+ *
+ * Usage:
+ *   node tests/test-ids-issue.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getUsers,
+  createIssue,
+  deleteIssue,
+  deleteTodo,
+  idsIssue,
+} from "../tools.js";
+import { test, parse, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+});
+
+console.log("\n🧪 Testing idsIssue\n");
+
+await test("idsIssue - Validates its input", async () => {
+  const checks = [
+    [{}, "Error: Issue ID is required"],
+    [{ issueId: "unknown", resolution: " " }, "Error: resolution can't"],
+    [
+      { issueId: "unknown", todos: [{ name: "Follow up" }] },
+      "Error: todos can only be created",
+    ],
+    [
+      { issueId: "unknown", resolution: "Done", todos: [{ name: "" }] },
+      "Error: Every todo needs a name",
+    ],
+  ];
+  for (const [args, expected] of checks) {
+    const text = (await idsIssue(args)).content[0].text;
+    if (!text.startsWith(expected)) {
+      throw new Error(`Expected "${expected}", got: ${text}`);
+    }
+  }
+});
+
+const owner = JSON.parse(
+  (await getUsers({ leadershipTeam: true })).content[0].text
+).results?.[0];
+let issue;
+let todo;
+
+await test("idsIssue - Gathers the discussion context", async () => {
+  if (!owner) {
+    console.log("   (Skipped - no leadership team members)");
+    return;
+  }
+  issue = parse(
+    await createIssue({
+      name: `IDS test issue ${Date.now()}`,
+      leadershipTeam: true,
+      userId: owner.id,
+    })
+  ).issue;
+  cleanup("Delete test issue", () => deleteIssue({ issueId: issue.id }));
+
+  const result = parse(await idsIssue({ issueId: issue.id }));
+  if (result.issue.id !== issue.id || result.issue.status !== "TODO") {
+    throw new Error("Unexpected issue in the context");
+  }
+  for (const key of ["comments", "linkedRocks", "linkedTodos"]) {
+    if (!Array.isArray(result[key])) throw new Error(`Missing ${key}`);
+  }
+  if (result.ownerWorkload && result.ownerWorkload.userId !== owner.id) {
+    throw new Error("Workload belongs to someone other than the owner");
+  }
+});
+
+await test("idsIssue - Solves the issue with a linked todo", async () => {
+  if (!issue) {
+    console.log("   (Skipped - no test issue)");
+    return;
+  }
+  const result = parse(
+    await idsIssue({
+      issueId: issue.id,
+      resolution: "Test run - please ignore",
+      todos: [{ name: "IDS test todo" }],
+    })
+  );
+  for (const created of result.todos || []) {
+    cleanup("Delete test todo", () => deleteTodo({ todoId: created.id }));
+  }
+  if (result.issue.status !== "COMPLETE") {
+    throw new Error(`Unexpected status ${result.issue.status}`);
+  }
+  if (result.warnings) throw new Error(result.warnings.join("; "));
+  todo = result.todos[0];
+  if (todo?.userId !== owner.id) {
+    throw new Error("Todo should default to the issue owner");
+  }
+  if (!result.comment?.comment.includes("IDS test todo")) {
+    throw new Error("Resolution comment doesn't list the todo");
+  }
+
+  const context = parse(await idsIssue({ issueId: issue.id }));
+  if (!context.linkedTodos.some((linked) => linked.id === todo.id)) {
+    throw new Error("Todo isn't linked to the issue");
+  }
+  if (context.comments.length !== 1) {
+    throw new Error(`Expected 1 comment, found ${context.comments.length}`);
+  }
+});
+
+await test("idsIssue - Won't solve an issue twice", async () => {
+  if (!issue) {
+    console.log("   (Skipped - no test issue)");
+    return;
+  }
+  const text = (await idsIssue({ issueId: issue.id, resolution: "Again" }))
+    .content[0].text;
+  if (!text.includes("already solved")) {
+    throw new Error(`Unexpected response: ${text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the L10 meeting prompts
+ *
+ * Tests:
+ * 1. Every agenda section prompt builds for the leadership team
+ * 2. Each prompt points to the next section
+ * 3. Unknown prompt names are rejected
+ *
+ * Usage:
+ *   node tests/test-l10-prompts.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { init } from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+import { buildL10Prompt } from "../promptDefinitions.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+});
+
+console.log("\n🧪 Testing L10 meeting prompts\n");
+
+const sections = [
+  ["l10-segue", "Attendees"],
+  ["l10-scorecard", "Weekly Scorecard"],
+  ["l10-rocks", "Rocks this quarter"],
+  ["l10-headlines", "Headlines not shared yet"],
+  ["l10-todos", "Open to-dos"],
+  ["l10-ids", "Issues List"],
+  ["l10-conclude", "New to-dos from today"],
+];
+
+for (const [index, [name, heading]] of sections.entries()) {
+  await test(`${name} - Builds with team data`, async () => {
+    const prompt = await buildL10Prompt(name);
+    const text = prompt.messages[0].content.text;
+    if (!text.includes(`### ${heading}`)) {
+      throw new Error(`Missing "${heading}":\n${text}`);
+    }
+    const next = sections[index + 1];
+    if (next && !text.includes(`"${next[0]}" prompt`)) {
+      throw new Error(`Doesn't point to ${next[0]}`);
+    }
+  });
+}
+
+await test("buildL10Prompt - Rejects unknown prompts", async () => {
+  try {
+    await buildL10Prompt("l10-unknown");
+  } catch (error) {
+    return;
+  }
+  throw new Error("Expected an error");
+});
+
+await finish();
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for the live meeting tools
+ *
+ * Tests:
+ * 1. startMeeting puts a new L10 in progress on its first section
+ * 2. advanceMeetingSection records time and moves to the next section
+ * 3. concludeMeeting saves ratings, finishes the meeting and returns a recap
+ * 4. A finished meeting can't be started or advanced again
+ * 5. Invalid ratings are rejected
+ *
+ * Usage:
+ *   node tests/test-live-meeting.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ *   DATABASE_URL (or DB_*) - createMeeting uses the database for time zones
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  createMeeting,
+  updateMeeting,
+  getUsers,
+  startMeeting,
+  advanceMeetingSection,
+  concludeMeeting,
+} from "../tools.js";
+import { test, parse, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing live meeting tools\n");
+
+let meetingId;
+let firstSection;
+
+await test("startMeeting - Starts on the first section", async () => {
+  const created = parse(
+    await createMeeting({
+      date: new Date().toISOString().split("T")[0],
+      leadershipTeam: true,
+      meetingAgendaType: "WEEKLY-L10",
+    })
+  );
+  meetingId = created.meeting.id;
+  cleanup("Delete test meeting", () =>
+    updateMeeting({ meetingId, state: "DELETED" })
+  );
+
+  const started = parse(await startMeeting({ meetingId }));
+  firstSection = started.currentSection;
+  if (started.meeting.status !== "IN-PROGRESS") {
+    throw new Error(`Unexpected status ${started.meeting.status}`);
+  }
+  if (firstSection.id !== started.agenda[0].id) {
+    throw new Error("Not on the first section");
+  }
+});
+
+await test("advanceMeetingSection - Moves to the next section", async () => {
+  if (!meetingId) {
+    console.log("   (Skipped - no meeting started)");
+    return;
+  }
+  const advanced = parse(await advanceMeetingSection({ meetingId }));
+  if (advanced.previousSection.id !== firstSection.id) {
+    throw new Error("previousSection is not the first section");
+  }
+  const sectionCount = firstSection.position.split("/")[1];
+  if (advanced.currentSection.position !== `2/${sectionCount}`) {
+    throw new Error(`Unexpected position ${advanced.currentSection.position}`);
+  }
+});
+
+await test("concludeMeeting - Saves ratings and returns a recap", async () => {
+  if (!meetingId) {
+    console.log("   (Skipped - no meeting started)");
+    return;
+  }
+  const [user] = parse(await getUsers({ leadershipTeam: true })).results;
+  if (!user) {
+    console.log("   (Skipped - no leadership team member to rate as)");
+    await concludeMeeting({ meetingId });
+    return;
+  }
+  const concluded = parse(
+    await concludeMeeting({ meetingId, ratings: `${user.id}:9` })
+  );
+  if (concluded.meeting.status !== "FINISHED") {
+    throw new Error(`Unexpected status ${concluded.meeting.status}`);
+  }
+  if (concluded.meeting.averageRating !== 9) {
+    throw new Error(`Unexpected average ${concluded.meeting.averageRating}`);
+  }
+  if (!concluded.recap || !concluded.sections.length) {
+    throw new Error("Recap or section times missing");
+  }
+});
+
+await test("startMeeting - Rejects a finished meeting", async () => {
+  if (!meetingId) {
+    console.log("   (Skipped - no meeting started)");
+    return;
+  }
+  const result = await startMeeting({ meetingId });
+  if (!result.content[0].text.startsWith("Error:")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("concludeMeeting - Rejects invalid ratings", async () => {
+  const result = await concludeMeeting({
+    meetingId: meetingId || "unknown",
+    ratings: "someone:11",
+  });
+  if (!result.content[0].text.startsWith("Error: Invalid rating")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for getMeetingAnalytics
+ *
+ * Tests:
+ * 1. Returns team rating trends, attendance and section timings
+ * 2. Attendance rates add up to 100%
+ * 3. Flagged sections have run at least minOccurrences times
+ * 4. Invalid groupBy is rejected
+ *
+ * Usage:
+ *   node tests/test-meeting-analytics.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ *   DATABASE_URL (or DB_*) - Database connection
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { init, getMeetingAnalytics } from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing getMeetingAnalytics\n");
+
+let analytics = null;
+
+await test("getMeetingAnalytics - Returns teams, attendance and sections", async () => {
+  const result = await getMeetingAnalytics({ dateAfter: "2024-01-01" });
+  analytics = JSON.parse(result.content[0].text);
+
+  for (const key of ["teams", "attendance", "sections"]) {
+    if (!Array.isArray(analytics[key])) throw new Error(`Missing ${key}`);
+  }
+  console.log(
+    `   ${analytics.meetingsAnalyzed} meetings, ${analytics.teams.length} teams, ${analytics.sections.length} sections`
+  );
+});
+
+await test("getMeetingAnalytics - Attendance rates add up", async () => {
+  for (const person of analytics?.attendance || []) {
+    if (person.present + person.absent !== person.meetings) {
+      throw new Error(`${person.name}: present + absent != meetings`);
+    }
+    const total = person.attendanceRate + person.absenceRate;
+    if (Math.abs(total - 100) > 0.2) {
+      throw new Error(`${person.name}: rates add up to ${total}`);
+    }
+  }
+});
+
+await test("getMeetingAnalytics - Flagged sections respect minOccurrences", async () => {
+  const result = await getMeetingAnalytics({
+    dateAfter: "2024-01-01",
+    minOccurrences: 5,
+  });
+  const data = JSON.parse(result.content[0].text);
+  for (const section of data.sections.filter((s) => s.regularlyRunsOver)) {
+    if (section.timesRun < 5) {
+      throw new Error(`${section.sectionName} flagged after ${section.timesRun} runs`);
+    }
+  }
+});
+
+await test("getMeetingAnalytics - Weekly trend periods are Mondays", async () => {
+  const result = await getMeetingAnalytics({
+    leadershipTeam: true,
+    dateAfter: "2024-01-01",
+    groupBy: "week",
+  });
+  const data = JSON.parse(result.content[0].text);
+  for (const team of data.teams) {
+    for (const point of team.trend) {
+      if (new Date(`${point.period}T00:00:00Z`).getUTCDay() !== 1) {
+        throw new Error(`Period ${point.period} is not a Monday`);
+      }
+    }
+  }
+});
+
+await test("getMeetingAnalytics - Rejects invalid groupBy", async () => {
+  const result = await getMeetingAnalytics({ groupBy: "year" });
+  if (!result.content[0].text.includes("Invalid groupBy")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
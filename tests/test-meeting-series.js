@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for recurring meeting series
+ *
+ * Tests:
+ * 1. Input validation for series and occurrences
+ * 2. createMeetingSeries schedules a weekly L10 series
+ * 3. Skipped occurrences aren't recreated by generateMeetingSeries
+ * 4. rescheduleMeetingOccurrence keeps the meeting's original date
+ * 5. updateMeetingSeries moves upcoming meetings to a new time
+ * 6. cancelMeetingSeries removes upcoming meetings
+ *
+ * Usage:
+ *   node tests/test-meeting-series.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  createMeetingSeries,
+  updateMeetingSeries,
+  cancelMeetingSeries,
+  generateMeetingSeries,
+  skipMeetingOccurrence,
+  rescheduleMeetingOccurrence,
+  callSuccessCoGraphQL,
+} from "../tools.js";
+import { test, parse, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+});
+
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+}
+
+console.log("\n🧪 Testing recurring meeting series\n");
+
+await test("Meeting series - Validates input", async () => {
+  const checks = [
+    [createMeetingSeries({}), "Error: startDate is required"],
+    [
+      createMeetingSeries({
+        startDate: "2099-01-05",
+        leadershipTeam: true,
+        meetingAgendaType: "WEEKLY-L10",
+        repeatUnit: "MONTH",
+        selectedDays: "MON",
+      }),
+      "Error: selectedDays only applies to weekly series",
+    ],
+    [
+      createMeetingSeries({
+        startDate: "2099-01-05",
+        leadershipTeam: true,
+        meetingAgendaType: "WEEKLY-L10",
+        selectedDays: "Funday",
+      }),
+      "Error: Unknown days in selectedDays",
+    ],
+    [updateMeetingSeries({ seriesId: "unknown" }), "Error: No updates"],
+    [rescheduleMeetingOccurrence({ meetingId: "unknown" }), "Error: meetingId"],
+  ];
+  for (const [promise, expected] of checks) {
+    const text = (await promise).content[0].text;
+    if (!text.startsWith(expected)) {
+      throw new Error(`Expected "${expected}", got: ${text}`);
+    }
+  }
+});
+
+// Start the series on the Monday at least a week from now
+const nextWeek = addDays(new Date().toISOString().split("T")[0], 7);
+const startDate = addDays(nextWeek, (8 - new Date(nextWeek).getUTCDay()) % 7);
+let series;
+let occurrences = [];
+let cancelled = false;
+
+await test("createMeetingSeries - Schedules a weekly L10", async () => {
+  const result = await createMeetingSeries({
+    name: `Series test ${Date.now()}`,
+    leadershipTeam: true,
+    meetingAgendaType: "WEEKLY-L10",
+    startDate,
+    time: "09:00",
+    selectedDays: "MON",
+    until: addDays(startDate, 14),
+  });
+  if (result.content[0].text.includes("No meeting agenda found")) {
+    console.log("   (Skipped - no leadership L10 agenda)");
+    return;
+  }
+  const created = parse(result);
+  series = created.series;
+  occurrences = created.occurrences;
+  // Teardown runs newest first: cancel the series, then delete it
+  cleanup("Delete test series", async () => {
+    const deleted = await callSuccessCoGraphQL(
+      `
+      mutation UpdateMeetingInfo($input: UpdateMeetingInfoInput!) {
+        updateMeetingInfo(input: $input) {
+          meetingInfo { id }
+        }
+      }
+    `,
+      { input: { id: series.id, patch: { stateId: "DELETED" } } }
+    );
+    if (!deleted.ok) throw new Error(deleted.error);
+  });
+  cleanup("Cancel test series", () =>
+    cancelled ? null : cancelMeetingSeries({ seriesId: series.id })
+  );
+  const dates = occurrences.map((occurrence) => occurrence.date).join(",");
+  const expected = [0, 7, 14].map((days) => addDays(startDate, days)).join(",");
+  if (dates !== expected) {
+    throw new Error(`Expected ${expected}, got ${dates}`);
+  }
+  if (occurrences.some((occurrence) => occurrence.time !== "09:00")) {
+    throw new Error("Occurrences should start at 09:00");
+  }
+});
+
+await test("skipMeetingOccurrence - Isn't recreated by generate", async () => {
+  if (!series) {
+    console.log("   (Skipped - no series)");
+    return;
+  }
+  parse(await skipMeetingOccurrence({ meetingId: occurrences[1].id }));
+  const generated = parse(
+    await generateMeetingSeries({
+      seriesId: series.id,
+      until: addDays(startDate, 14),
+    })
+  );
+  if (generated.created.length !== 0) {
+    throw new Error(`Recreated ${generated.created.length} meetings`);
+  }
+});
+
+await test("rescheduleMeetingOccurrence - Keeps its place", async () => {
+  if (!series) {
+    console.log("   (Skipped - no series)");
+    return;
+  }
+  const moved = parse(
+    await rescheduleMeetingOccurrence({
+      meetingId: occurrences[2].id,
+      date: addDays(startDate, 16),
+      time: "14:00",
+    })
+  );
+  if (moved.occurrence.date !== addDays(startDate, 16)) {
+    throw new Error(`Unexpected date ${moved.occurrence.date}`);
+  }
+  if (moved.occurrence.originalDate !== addDays(startDate, 14)) {
+    throw new Error(`Unexpected originalDate ${moved.occurrence.originalDate}`);
+  }
+  const generated = parse(
+    await generateMeetingSeries({
+      seriesId: series.id,
+      until: addDays(startDate, 14),
+    })
+  );
+  if (generated.created.length !== 0) {
+    throw new Error("Refilled the original date of the moved meeting");
+  }
+});
+
+await test("updateMeetingSeries - Changes the time", async () => {
+  if (!series) {
+    console.log("   (Skipped - no series)");
+    return;
+  }
+  const updated = parse(
+    await updateMeetingSeries({ seriesId: series.id, time: "10:30" })
+  );
+  if (updated.moved.length !== 2) {
+    throw new Error(`Expected 2 moved meetings, got ${updated.moved.length}`);
+  }
+  if (updated.moved.some((occurrence) => occurrence.time !== "10:30")) {
+    throw new Error("Upcoming meetings should start at 10:30");
+  }
+});
+
+await test("cancelMeetingSeries - Removes upcoming meetings", async () => {
+  if (!series) {
+    console.log("   (Skipped - no series)");
+    return;
+  }
+  const result = parse(await cancelMeetingSeries({ seriesId: series.id }));
+  if (result.removedMeetingIds.length !== 2 || result.series.recurring) {
+    throw new Error(`Unexpected result: ${result.message}`);
+  }
+  cancelled = true;
+  const again = await cancelMeetingSeries({ seriesId: series.id });
+  if (!again.content[0].text.includes("already cancelled")) {
+    throw new Error(`Unexpected response: ${again.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for meeting summary emails
+ *
+ * Tests:
+ * 1. draftMeetingSummary saves an unreviewed HTML recap of the last L10
+ * 2. Drafting again updates the same unreviewed draft
+ * 3. reviewMeetingSummary requires comments to reject
+ * 4. Rejecting flags the draft, and it can't be reviewed twice
+ *
+ * Usage:
+ *   node tests/test-meeting-summary.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ *   DATABASE_URL (or DB_*) - Summaries are stored through the database
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getMeetingDetails,
+  draftMeetingSummary,
+  reviewMeetingSummary,
+  getDatabase,
+} from "../tools.js";
+import { test, parse, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing meeting summary emails\n");
+
+const lastL10 = JSON.parse(
+  (await getMeetingDetails({ lastFinishedL10: true, leadershipTeam: true }))
+    .content[0].text
+);
+const meetingId = lastL10.meeting?.id;
+let summary;
+// False when the meeting already had an unreviewed draft, which is left unreviewed
+let ownDraft = false;
+
+await test("draftMeetingSummary - Saves an unreviewed draft", async () => {
+  if (!meetingId) {
+    console.log("   (Skipped - no finished leadership L10)");
+    return;
+  }
+  const result = parse(await draftMeetingSummary({ meetingId }));
+  summary = result.summaryEmail;
+  ownDraft = result.message.startsWith("Drafted");
+  if (ownDraft) {
+    // Summaries have no state column, so the test draft is removed outright
+    cleanup("Delete test summary draft", async () => {
+      await getDatabase()`
+        DELETE FROM meeting_summary_emails WHERE id = ${summary.id}
+      `;
+    });
+  }
+  if (summary.reviewStatus !== "Not reviewed") {
+    throw new Error(`Unexpected status ${summary.reviewStatus}`);
+  }
+  if (!summary.htmlContent.includes("<h2>New To-Dos")) {
+    throw new Error("HTML recap missing its sections");
+  }
+});
+
+await test("draftMeetingSummary - Updates the unreviewed draft", async () => {
+  if (!summary) {
+    console.log("   (Skipped - no draft)");
+    return;
+  }
+  const result = parse(await draftMeetingSummary({ meetingId }));
+  if (result.summaryEmail.id !== summary.id) {
+    throw new Error("Created a second draft instead of updating");
+  }
+});
+
+await test("reviewMeetingSummary - Requires comments to reject", async () => {
+  const result = await reviewMeetingSummary({
+    summaryId: summary?.id || "unknown",
+    decision: "reject",
+  });
+  if (!result.content[0].text.startsWith("Error: comments are required")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("reviewMeetingSummary - Flags a rejected draft once", async () => {
+  if (!ownDraft) {
+    console.log("   (Skipped - no draft created by this test)");
+    return;
+  }
+  const result = parse(
+    await reviewMeetingSummary({
+      summaryId: summary.id,
+      decision: "reject",
+      comments: "Test run - please ignore",
+    })
+  );
+  if (result.summaryEmail.reviewStatus !== "Reviewed - flagged") {
+    throw new Error(`Unexpected status ${result.summaryEmail.reviewStatus}`);
+  }
+  const again = await reviewMeetingSummary({
+    summaryId: summary.id,
+    decision: "approve",
+  });
+  if (!again.content[0].text.includes("already reviewed")) {
+    throw new Error(`Unexpected response: ${again.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Notifications Tools
+ *
+ * Tests:
+ * 1. getMyNotifications returns the current user's notifications, newest first
+ * 2. Notifications are hydrated with their actor and target entity
+ * 3. unreadOnly only returns unread notifications
+ * 4. markNotificationsRead requires IDs or all=true, and round-trips read state
+ *
+ * Usage:
+ *   node tests/test-notifications.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getMyNotifications,
+  markNotificationsRead,
+} from "../tools.js";
+import { test, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing Notifications Tools\n");
+
+let notifications = [];
+
+await test("getMyNotifications - Returns newest first", async () => {
+  const result = await getMyNotifications({ first: 10 });
+  const data = JSON.parse(result.content[0].text);
+
+  if (!Array.isArray(data.notifications)) {
+    throw new Error("Missing notifications array");
+  }
+  if (typeof data.unreadCount !== "number") {
+    throw new Error("Missing unreadCount");
+  }
+  notifications = data.notifications;
+
+  for (let i = 1; i < notifications.length; i++) {
+    if (notifications[i - 1].createdAt < notifications[i].createdAt) {
+      throw new Error("Notifications are not sorted newest first");
+    }
+  }
+  console.log(
+    `   ${notifications.length} notification(s), ${data.unreadCount} unread`
+  );
+});
+
+await test("getMyNotifications - Hydrates actor and entity", async () => {
+  if (notifications.length === 0) {
+    console.log("   (Skipped - no notifications found)");
+    return;
+  }
+  for (const notification of notifications) {
+    if (!notification.actor?.id) throw new Error("Missing actor");
+    if (!("entity" in notification)) throw new Error("Missing entity");
+    // Comments use the same field as getComments
+    if (notification.entityTable === "comments" && notification.entity) {
+      if (!("comment" in notification.entity)) {
+        throw new Error("Missing comment text on hydrated comment");
+      }
+    }
+  }
+  const hydrated = notifications.filter((n) => n.entity);
+  console.log(`   ${hydrated.length}/${notifications.length} entities hydrated`);
+});
+
+await test("getMyNotifications - unreadOnly filters read notifications", async () => {
+  const result = await getMyNotifications({
+    unreadOnly: true,
+    includeEntities: false,
+  });
+  const data = JSON.parse(result.content[0].text);
+  if (data.notifications.some((n) => n.isRead)) {
+    throw new Error("Read notification returned with unreadOnly=true");
+  }
+});
+
+await test("markNotificationsRead - Requires IDs or all", async () => {
+  const result = await markNotificationsRead({});
+  if (!result.content[0].text.includes("Provide notificationIds")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("markNotificationsRead - Round-trips read state", async () => {
+  const target = notifications.find((n) => n.isRead);
+  if (!target) {
+    console.log("   (Skipped - no read notification to toggle)");
+    return;
+  }
+  cleanup("Mark test notification read", () =>
+    markNotificationsRead({ notificationIds: target.id })
+  );
+
+  const unread = JSON.parse(
+    (
+      await markNotificationsRead({
+        notificationIds: target.id,
+        isRead: false,
+      })
+    ).content[0].text
+  );
+  if (!unread.updated.includes(target.id)) {
+    throw new Error("Notification was not marked unread");
+  }
+
+  const read = JSON.parse(
+    (await markNotificationsRead({ notificationIds: target.id })).content[0]
+      .text
+  );
+  if (!read.updated.includes(target.id)) {
+    throw new Error("Notification was not marked read again");
+  }
+});
+
+await finish();
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Accountability Chart Editing Tools
+ *
+ * Tests:
+ * 1. createSeat adds a seat with roles under an existing seat
+ * 2. createSeatRole / updateSeatRole / deleteSeatRole manage its roles (deleting twice fails)
+ * 3. assignSeatHolder / removeSeatHolder put the current user in and out of it
+ * 4. moveSeat refuses to move a seat under itself
+ * 5. deleteSeat refuses to move reports under a deeper report, then removes the seat
+ * 6. getAccountabilityChart simulates proposed changes with warnings
+ *
+ * Usage:
+ *   node tests/test-org-chart-editing.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getUserContext,
+  getAccountabilityChart,
+  createSeat,
+  updateSeat,
+  moveSeat,
+  deleteSeat,
+  createSeatRole,
+  updateSeatRole,
+  deleteSeatRole,
+  assignSeatHolder,
+  removeSeatHolder,
+} from "../tools.js";
+import { test, parse, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+});
+
+console.log("\n🧪 Testing Accountability Chart Editing Tools\n");
+
+const context = await getUserContext();
+const chart = (await getAccountabilityChart()).content[0].text;
+const parentSeatId = chart.match(/\(Seat ID: ([^)]+)\)/)?.[1];
+let seatId = null;
+const deletedSeatIds = new Set();
+
+// Delete a test seat at teardown unless a test already deleted it
+function cleanupSeat(id) {
+  cleanup(`Delete test seat ${id}`, () =>
+    deletedSeatIds.has(id) ? null : deleteSeat({ seatId: id })
+  );
+}
+
+await test("createSeat - Creates a seat with roles", async () => {
+  if (!parentSeatId) {
+    console.log("   (Skipped - no seat in the accountability chart)");
+    return;
+  }
+  const result = JSON.parse(
+    (
+      await createSeat({
+        name: `MCP Test Seat ${Date.now()}`,
+        parentSeatId,
+        roles: "Role A; Role B",
+      })
+    ).content[0].text
+  );
+  if (!result.success || !result.seat?.id) {
+    throw new Error("Seat was not created");
+  }
+  if (result.seat.roles.length !== 2) {
+    throw new Error(`Expected 2 roles, got ${result.seat.roles.length}`);
+  }
+  seatId = result.seat.id;
+  cleanupSeat(seatId);
+
+  const renamed = JSON.parse(
+    (await updateSeat({ seatId, name: `${result.seat.name} (renamed)` }))
+      .content[0].text
+  );
+  if (!renamed.success) throw new Error("Seat was not renamed");
+});
+
+await test("createSeatRole / updateSeatRole / deleteSeatRole", async () => {
+  if (!seatId) {
+    console.log("   (Skipped - no seat created)");
+    return;
+  }
+  const created = JSON.parse(
+    (await createSeatRole({ seatId, name: "Role C", order: 1 })).content[0]
+      .text
+  );
+  if (!created.success || created.role.order !== 1) {
+    throw new Error(`Unexpected role: ${JSON.stringify(created)}`);
+  }
+
+  const updated = JSON.parse(
+    (
+      await updateSeatRole({
+        roleId: created.role.id,
+        description: "Test role",
+        order: 3,
+      })
+    ).content[0].text
+  );
+  if (updated.role.order !== 3) {
+    throw new Error(`Expected order 3, got ${updated.role.order}`);
+  }
+
+  const deleted = JSON.parse(
+    (await deleteSeatRole({ roleId: created.role.id })).content[0].text
+  );
+  if (!deleted.success) throw new Error("Role was not deleted");
+
+  const again = await deleteSeatRole({ roleId: created.role.id });
+  if (!again.content[0].text.startsWith("Error: No role found")) {
+    throw new Error(`Unexpected response: ${again.content[0].text}`);
+  }
+});
+
+await test("assignSeatHolder / removeSeatHolder", async () => {
+  if (!seatId || !context?.userId) {
+    console.log("   (Skipped - need a seat and a user)");
+    return;
+  }
+  const assigned = JSON.parse(
+    (await assignSeatHolder({ seatId, userId: context.userId })).content[0]
+      .text
+  );
+  if (!assigned.seat.holders.includes(context.userId)) {
+    throw new Error("User was not put in the seat");
+  }
+
+  const again = await assignSeatHolder({ seatId, userId: context.userId });
+  if (!again.content[0].text.includes("already holds")) {
+    throw new Error(`Unexpected response: ${again.content[0].text}`);
+  }
+
+  const removed = JSON.parse(
+    (await removeSeatHolder({ seatId, userId: context.userId })).content[0]
+      .text
+  );
+  if (removed.seat.holders.length !== 0) {
+    throw new Error("User was not removed from the seat");
+  }
+});
+
+await test("moveSeat - Refuses to move a seat under its own report", async () => {
+  if (!seatId) {
+    console.log("   (Skipped - no seat created)");
+    return;
+  }
+  const result = await moveSeat({
+    seatId: parentSeatId,
+    newParentSeatId: seatId,
+  });
+  if (!result.content[0].text.startsWith("Error:")) {
+    throw new Error(`Move was not refused: ${result.content[0].text}`);
+  }
+});
+
+await test("deleteSeat - Refuses to move reports under a deeper report", async () => {
+  if (!seatId) {
+    console.log("   (Skipped - no seat created)");
+    return;
+  }
+  const child = parse(
+    await createSeat({
+      name: `MCP Test Child ${Date.now()}`,
+      parentSeatId: seatId,
+    })
+  ).seat;
+  cleanupSeat(child.id);
+  const grandchild = parse(
+    await createSeat({
+      name: `MCP Test Grandchild ${Date.now()}`,
+      parentSeatId: child.id,
+    })
+  ).seat;
+  cleanupSeat(grandchild.id);
+
+  const result = await deleteSeat({ seatId, moveChildrenTo: grandchild.id });
+  if (!result.content[0].text.includes("reports indirectly")) {
+    throw new Error(`Delete was not refused: ${result.content[0].text}`);
+  }
+
+  for (const id of [grandchild.id, child.id]) {
+    parse(await deleteSeat({ seatId: id }));
+    deletedSeatIds.add(id);
+  }
+});
+
+await test("deleteSeat - Deletes the seat", async () => {
+  if (!seatId) {
+    console.log("   (Skipped - no seat created)");
+    return;
+  }
+  const deleted = JSON.parse((await deleteSeat({ seatId })).content[0].text);
+  if (!deleted.success) throw new Error("Seat was not deleted");
+  deletedSeatIds.add(seatId);
+});
+
+await test("getAccountabilityChart - Simulates a split seat", async () => {
+  if (!parentSeatId) {
+    console.log("   (Skipped - no seat in the accountability chart)");
+    return;
+  }
+  const text = (
+    await getAccountabilityChart({
+      proposedChanges: JSON.stringify([
+        { action: "splitSeat", seatId: parentSeatId, newSeatName: "What-if" },
+      ]),
+    })
+  ).content[0].text;
+  if (!text.includes("## Proposed Changes") || !text.includes("## Warnings")) {
+    throw new Error("Simulation sections missing");
+  }
+  // The new seat has no holder, so it must be flagged
+  if (!text.includes('**No holder:** "What-if"')) {
+    throw new Error("Vacant simulated seat was not flagged");
+  }
+
+  const invalid = await getAccountabilityChart({
+    proposedChanges: '[{"action":"moveSeat","seatId":"missing"}]',
+  });
+  if (!invalid.content[0].text.startsWith("Error:")) {
+    throw new Error("Invalid change was not rejected");
+  }
+});
+
+await finish();
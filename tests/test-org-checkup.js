@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Organization Checkup Scoring Tools
+ *
+ * Tests:
+ * 1. getOrgCheckupScores scores the latest checkup per EOS component
+ * 2. answerOrgCheckup rejects invalid question numbers and scores
+ *
+ * startOrgCheckup and finalizeOrgCheckup are not run here because a
+ * finished checkup can't be removed again.
+ *
+ * Usage:
+ *   node tests/test-org-checkup.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { init, getOrgCheckupScores, answerOrgCheckup } from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+});
+
+console.log("\n🧪 Testing Organization Checkup Scoring Tools\n");
+
+await test("getOrgCheckupScores - Scores each EOS component", async () => {
+  const text = (await getOrgCheckupScores()).content[0].text;
+  if (text.startsWith("No Organizational Checkups")) {
+    console.log("   (Skipped - no checkups found)");
+    return;
+  }
+  const report = JSON.parse(text);
+  const components = report.components.map((c) => c.component);
+  const expected = [
+    "Vision",
+    "People",
+    "Data",
+    "Issues",
+    "Process",
+    "Traction",
+  ];
+  if (components.join() !== expected.join()) {
+    throw new Error(`Unexpected components: ${components.join(", ")}`);
+  }
+  const questionCount = report.components.reduce(
+    (sum, c) => sum + c.questionCount,
+    0
+  );
+  if (questionCount !== 20) {
+    throw new Error(`Expected 20 statements, got ${questionCount}`);
+  }
+  const componentTotal = report.components.reduce(
+    (sum, c) => sum + c.score,
+    0
+  );
+  if (componentTotal !== report.totalScore) {
+    throw new Error("Component scores don't add up to the total score");
+  }
+});
+
+await test("answerOrgCheckup - Rejects invalid answers", async () => {
+  const badQuestion = await answerOrgCheckup({ answers: "21:3" });
+  if (!badQuestion.content[0].text.includes("Question numbers go from 1")) {
+    throw new Error(`Unexpected response: ${badQuestion.content[0].text}`);
+  }
+  const badScore = await answerOrgCheckup({ answers: "1:0" });
+  if (!badScore.content[0].text.includes("Scores go from 1 to 5")) {
+    throw new Error(`Unexpected response: ${badScore.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for People Analyzer Tools
+ *
+ * Tests:
+ * 1. getPeopleAnalyzer returns sessions with resolved core values
+ * 2. belowBarOnly only returns people below the bar or missing GWC
+ * 3. createPeopleAnalyzerSession requires a name
+ * 4. updatePeopleAnalyzerScores rejects unknown core values and ratings
+ *
+ * Usage:
+ *   node tests/test-people-analyzer.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getPeopleAnalyzer,
+  createPeopleAnalyzerSession,
+  updatePeopleAnalyzerScores,
+} from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing People Analyzer Tools\n");
+
+let latestSession = null;
+
+await test("getPeopleAnalyzer - Returns sessions with core values", async () => {
+  const result = await getPeopleAnalyzer({ first: 1 });
+  const data = JSON.parse(result.content[0].text);
+
+  if (!Array.isArray(data.sessions)) throw new Error("Missing sessions array");
+  if (!Array.isArray(data.leadershipCoreValues)) {
+    throw new Error("Missing leadershipCoreValues");
+  }
+
+  latestSession = data.sessions[0] || null;
+  if (latestSession) {
+    for (const person of latestSession.people) {
+      if (!("aboveTheBar" in person)) throw new Error("Missing aboveTheBar");
+      if (!person.gwc) throw new Error("Missing gwc");
+    }
+    console.log(
+      `   Session "${latestSession.name}" with ${latestSession.people.length} people`
+    );
+  } else {
+    console.log("   (No People Analyzer sessions found)");
+  }
+});
+
+await test("getPeopleAnalyzer - belowBarOnly filters people", async () => {
+  const result = await getPeopleAnalyzer({ first: 1, belowBarOnly: true });
+  const data = JSON.parse(result.content[0].text);
+
+  for (const session of data.sessions) {
+    for (const person of session.people) {
+      if (person.aboveTheBar !== false && person.hasGWC) {
+        throw new Error(`${person.name} is above the bar with GWC`);
+      }
+    }
+  }
+});
+
+await test("createPeopleAnalyzerSession - Requires a name", async () => {
+  const result = await createPeopleAnalyzerSession({ name: "" });
+  if (!result.content[0].text.includes("Session name is required")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("updatePeopleAnalyzerScores - Rejects unknown core values", async () => {
+  if (!latestSession) {
+    console.log("   (Skipped - no session available)");
+    return;
+  }
+  const result = await updatePeopleAnalyzerScores({
+    sessionId: latestSession.id,
+    userId: latestSession.people[0]?.userId || "missing-user",
+    scores: [{ coreValue: "Definitely not a core value", rating: "+" }],
+  });
+  if (!result.content[0].text.includes("not found on the leadership V/TO")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("updatePeopleAnalyzerScores - Rejects invalid ratings", async () => {
+  const coreValue = latestSession?.coreValues?.find((cv) => cv.name);
+  if (!coreValue) {
+    console.log("   (Skipped - no core values available)");
+    return;
+  }
+  const result = await updatePeopleAnalyzerScores({
+    sessionId: latestSession.id,
+    userId: latestSession.people[0]?.userId || "missing-user",
+    scores: [{ coreValue: coreValue.name, rating: "++" }],
+  });
+  if (!result.content[0].text.includes("Invalid rating")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
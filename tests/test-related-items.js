@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Related Items Tools
+ *
+ * Tests:
+ * 1. linkItems validates its input and rejects self-links
+ * 2. linkItems links a to-do and an issue, and linking again is a no-op
+ * 3. getRelatedItems and fetch show the link from both sides
+ * 4. unlinkItems removes the link
+ *
+ * Usage:
+ *   node tests/test-related-items.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getTodos,
+  getIssues,
+  fetch,
+  linkItems,
+  unlinkItems,
+  getRelatedItems,
+} from "../tools.js";
+import { test, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing Related Items Tools\n");
+
+const todos = JSON.parse((await getTodos({ first: 1 })).content[0].text);
+const issues = JSON.parse((await getIssues({ first: 1 })).content[0].text);
+const todo = todos.results?.[0];
+const issue = issues.results?.[0];
+let relationId = null;
+let unlinked = false;
+
+await test("linkItems - Validates input", async () => {
+  const missing = await linkItems({ itemType: "todo", itemId: "1" });
+  if (!missing.content[0].text.startsWith("Error:")) {
+    throw new Error(`Unexpected response: ${missing.content[0].text}`);
+  }
+  const unknown = await linkItems({
+    itemType: "spaceships",
+    itemId: "1",
+    relatedItemType: "issue",
+    relatedItemId: "2",
+  });
+  if (!unknown.content[0].text.includes("can't be linked")) {
+    throw new Error(`Unexpected response: ${unknown.content[0].text}`);
+  }
+});
+
+await test("linkItems - Links a to-do to an issue", async () => {
+  if (!todo || !issue) {
+    console.log("   (Skipped - need a to-do and an issue)");
+    return;
+  }
+  const result = await linkItems({
+    itemType: "todo",
+    itemId: todo.id,
+    relatedItemType: "issues",
+    relatedItemId: issue.id,
+  });
+  const data = JSON.parse(result.content[0].text);
+  if (!data.success || !data.relation?.id) {
+    throw new Error(`Link failed: ${result.content[0].text}`);
+  }
+  relationId = data.relation.id;
+  cleanup("Unlink test items", () =>
+    unlinked ? null : unlinkItems({ relationId })
+  );
+
+  const again = JSON.parse(
+    (
+      await linkItems({
+        itemType: "issue",
+        itemId: issue.id,
+        relatedItemType: "todo",
+        relatedItemId: todo.id,
+      })
+    ).content[0].text
+  );
+  if (again.created || again.relation.id !== relationId) {
+    throw new Error("Linking the same pair again created a new link");
+  }
+});
+
+await test("getRelatedItems / fetch - Show the link from both sides", async () => {
+  if (!relationId) {
+    console.log("   (Skipped - no link created)");
+    return;
+  }
+  const fromIssue = JSON.parse(
+    (await getRelatedItems({ itemId: issue.id, relatedType: "todos" }))
+      .content[0].text
+  );
+  if (!fromIssue.relatedItems.some((item) => item.id === todo.id)) {
+    throw new Error("To-do missing from the issue's related items");
+  }
+
+  const fetched = JSON.parse(
+    (await fetch({ id: `success-co://todos/${todo.id}` })).content[0].text
+  );
+  if (!fetched.relatedItems?.some((item) => item.id === issue.id)) {
+    throw new Error("Issue missing from fetched to-do's relatedItems");
+  }
+});
+
+await test("unlinkItems - Removes the link", async () => {
+  if (!relationId) {
+    console.log("   (Skipped - no link created)");
+    return;
+  }
+  const result = JSON.parse(
+    (await unlinkItems({ itemId: issue.id, relatedItemId: todo.id }))
+      .content[0].text
+  );
+  if (!result.success) throw new Error("Unlink failed");
+  unlinked = true;
+
+  const related = JSON.parse(
+    (await getRelatedItems({ itemId: todo.id })).content[0].text
+  );
+  if (related.relatedItems.some((item) => item.relationId === relationId)) {
+    throw new Error("Link still listed after unlinkItems");
+  }
+
+  const again = await unlinkItems({ relationId });
+  if (!again.content[0].text.startsWith("Error:")) {
+    throw new Error("Unlinking twice should fail");
+  }
+});
+
+await finish();
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for rolloverQuarter
+ *
+ * Tests:
+ * 1. Dry run returns the quarter dates and a plan without changing anything
+ * 2. Next quarter starts the day after the current quarter ends
+ * 3. Per-rock decisions override the default action
+ * 4. Invalid actions are rejected
+ *
+ * Usage:
+ *   node tests/test-rollover-quarter.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ *   DATABASE_URL (or DB_*) - Database connection for quarter dates
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { init, rolloverQuarter } from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing rolloverQuarter\n");
+
+let plan = null;
+
+await test("rolloverQuarter - Dry run returns a plan", async () => {
+  const result = await rolloverQuarter({});
+  const data = JSON.parse(result.content[0].text);
+
+  if (data.dryRun !== true) throw new Error("Expected a dry run by default");
+  if (!data.summary?.quarterEnd) throw new Error("Missing quarterEnd");
+  if (!data.plan?.carryForward) throw new Error("Missing carryForward plan");
+
+  plan = data;
+  console.log(
+    `   Quarter ${data.summary.quarterStart} → ${data.summary.quarterEnd}: ${data.summary.unfinishedRocks} unfinished rock(s)`
+  );
+});
+
+await test("rolloverQuarter - Next quarter follows the current one", async () => {
+  if (!plan) throw new Error("No plan available");
+  const { quarterEnd, nextQuarterStart, nextQuarterEnd } = plan.summary;
+
+  const dayAfter = new Date(`${quarterEnd}T00:00:00`);
+  dayAfter.setDate(dayAfter.getDate() + 1);
+  const expected = `${dayAfter.getFullYear()}-${String(
+    dayAfter.getMonth() + 1
+  ).padStart(2, "0")}-${String(dayAfter.getDate()).padStart(2, "0")}`;
+
+  if (nextQuarterStart !== expected) {
+    throw new Error(`Expected next quarter to start ${expected}, got ${nextQuarterStart}`);
+  }
+  if (!(nextQuarterEnd > quarterEnd)) {
+    throw new Error(`Next quarter end ${nextQuarterEnd} is not after ${quarterEnd}`);
+  }
+});
+
+await test("rolloverQuarter - Decisions override the default action", async () => {
+  const firstRock = plan?.plan.carryForward[0];
+  if (!firstRock) {
+    console.log("   (Skipped - no unfinished rocks this quarter)");
+    return;
+  }
+  const result = await rolloverQuarter({
+    decisions: [{ rockId: firstRock.rockId, action: "drop" }],
+  });
+  const data = JSON.parse(result.content[0].text);
+  if (!data.plan.drop.some((p) => p.rockId === firstRock.rockId)) {
+    throw new Error("Rock was not moved to the drop list");
+  }
+});
+
+await test("rolloverQuarter - Rejects invalid actions", async () => {
+  const result = await rolloverQuarter({ defaultAction: "archive" });
+  if (!result.content[0].text.includes("Invalid defaultAction")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for bulkUpsertScorecardEntries
+ *
+ * Tests:
+ * 1. A CSV grid creates one entry per filled cell
+ * 2. Re-sending the grid with a changed value updates only that cell
+ * 3. overwrite=false rejects cells that already have a value
+ * 4. Invalid values, unknown measurables and future periods are rejected
+ * 5. dryRun reports without saving
+ *
+ * Usage:
+ *   node tests/test-scorecard-bulk-entry.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ *   DATABASE_URL (or DB_*) - Entries are saved through the database
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  createScorecardMeasurable,
+  deleteScorecardMeasurable,
+  bulkUpsertScorecardEntries,
+} from "../tools.js";
+import { test, parse, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing bulkUpsertScorecardEntries\n");
+
+const suffix = Date.now();
+const created = {};
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split("T")[0];
+}
+
+async function bulkUpsert(args) {
+  return parse(await bulkUpsertScorecardEntries(args));
+}
+
+const weeks = [daysAgo(21), daysAgo(14), daysAgo(7)];
+const grid = (values) =>
+  [
+    `Measurable,${weeks.join(",")}`,
+    `"Bulk Revenue ${suffix}",${values.join(",")}`,
+    `Bulk Leads ${suffix},12,,9`,
+  ].join("\n");
+
+await test("bulkUpsertScorecardEntries - Creates entries from CSV", async () => {
+  for (const name of ["Revenue", "Leads"]) {
+    const result = JSON.parse(
+      (
+        await createScorecardMeasurable({
+          name: `Bulk ${name} ${suffix}`,
+          type: "weekly",
+        })
+      ).content[0].text
+    );
+    if (!result.success) throw new Error(`Could not create ${name}`);
+    created[name] = result.measurable;
+    cleanup(`Delete measurable Bulk ${name} ${suffix}`, () =>
+      deleteScorecardMeasurable({ measurableId: result.measurable.id })
+    );
+  }
+
+  const result = await bulkUpsert({ data: grid([5000, 5200, 4800]) });
+  if (result.summary.created !== 5 || result.summary.rejected !== 0) {
+    throw new Error(`Unexpected summary: ${JSON.stringify(result.summary)}`);
+  }
+  if (result.cells.some((cell) => !cell.startDate || !cell.measurableId)) {
+    throw new Error("Cells are missing startDate or measurableId");
+  }
+});
+
+await test("bulkUpsertScorecardEntries - Updates only changed cells", async () => {
+  if (!created.Leads) {
+    console.log("   (Skipped - no measurables created)");
+    return;
+  }
+  const result = await bulkUpsert({ data: grid([5000, 5300, 4800]) });
+  if (result.summary.updated !== 1 || result.summary.unchanged !== 4) {
+    throw new Error(`Unexpected summary: ${JSON.stringify(result.summary)}`);
+  }
+  const updated = result.cells.find((cell) => cell.status === "updated");
+  if (updated.previousValue !== "5200") {
+    throw new Error(
+      `Expected previousValue 5200, got ${updated.previousValue}`
+    );
+  }
+});
+
+await test("bulkUpsertScorecardEntries - overwrite=false rejects existing", async () => {
+  if (!created.Leads) {
+    console.log("   (Skipped - no measurables created)");
+    return;
+  }
+  const result = await bulkUpsert({
+    data: grid([1, 5300, 4800]),
+    overwrite: false,
+  });
+  if (result.summary.rejected !== 1 || result.summary.updated !== 0) {
+    throw new Error(`Unexpected summary: ${JSON.stringify(result.summary)}`);
+  }
+});
+
+await test("bulkUpsertScorecardEntries - Rejects invalid cells", async () => {
+  if (!created.Leads) {
+    console.log("   (Skipped - no measurables created)");
+    return;
+  }
+  const result = await bulkUpsert({
+    data: JSON.stringify([
+      { measurable: created.Leads.id, startDate: weeks[0], value: "lots" },
+      {
+        measurable: `No such measurable ${suffix}`,
+        startDate: weeks[0],
+        value: 1,
+      },
+      { measurable: created.Leads.id, startDate: "2999-01-04", value: 1 },
+      { measurable: created.Leads.id, startDate: "not a date", value: 1 },
+    ]),
+    dryRun: true,
+  });
+  if (result.summary.rejected !== 4) {
+    throw new Error(`Unexpected summary: ${JSON.stringify(result.summary)}`);
+  }
+  if (result.cells.some((cell) => !cell.reason)) {
+    throw new Error("Rejected cells should have a reason");
+  }
+});
+
+await test("bulkUpsertScorecardEntries - dryRun doesn't save", async () => {
+  if (!created.Leads) {
+    console.log("   (Skipped - no measurables created)");
+    return;
+  }
+  const preview = await bulkUpsert({
+    data: JSON.stringify({ [created.Leads.id]: { [weeks[1]]: 20 } }),
+    dryRun: true,
+  });
+  if (preview.summary.created !== 1) {
+    throw new Error(`Unexpected summary: ${JSON.stringify(preview.summary)}`);
+  }
+  const again = await bulkUpsert({
+    data: JSON.stringify({ [created.Leads.id]: { [weeks[1]]: 20 } }),
+    dryRun: true,
+  });
+  if (again.summary.created !== 1) {
+    throw new Error("dryRun saved the entry");
+  }
+});
+
+await finish();
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for exportScorecard
+ *
+ * Tests:
+ * 1. CSV export is returned as an embedded text/csv resource
+ * 2. SpreadsheetML export is a workbook with on/off-track styles
+ * 3. Unknown formats are rejected
+ *
+ * Usage:
+ *   node tests/test-scorecard-export.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { init, exportScorecard } from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+});
+
+console.log("\n🧪 Testing exportScorecard\n");
+
+await test("exportScorecard - Returns CSV as an embedded resource", async () => {
+  const result = await exportScorecard({ periods: 4 });
+  if (result.content[0].text.includes("nothing to export")) {
+    console.log("   (Skipped - no weekly measurables)");
+    return;
+  }
+  const resource = result.content.find((item) => item.type === "resource");
+  if (!resource) throw new Error(`No resource: ${result.content[0].text}`);
+  if (resource.resource.mimeType !== "text/csv") {
+    throw new Error(`Unexpected mimeType ${resource.resource.mimeType}`);
+  }
+  if (!resource.resource.text.startsWith("Measurable,Owner,Goal")) {
+    throw new Error("CSV header missing");
+  }
+});
+
+await test("exportScorecard - Returns a SpreadsheetML workbook", async () => {
+  const result = await exportScorecard({
+    periods: 4,
+    format: "spreadsheetml",
+  });
+  if (result.content[0].text.includes("nothing to export")) {
+    console.log("   (Skipped - no weekly measurables)");
+    return;
+  }
+  const resource = result.content.find((item) => item.type === "resource");
+  if (!resource) throw new Error(`No resource: ${result.content[0].text}`);
+  const xml = resource.resource.text;
+  if (!xml.includes("<Workbook") || !xml.includes('ss:ID="offTrack"')) {
+    throw new Error("Not a SpreadsheetML workbook with track styles");
+  }
+});
+
+await test("exportScorecard - Rejects unknown formats", async () => {
+  const result = await exportScorecard({ format: "pdf" });
+  if (!result.content[0].text.startsWith("Error:")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Formula Measurables
+ *
+ * Tests:
+ * 1. createScorecardMeasurable creates a formula measurable from two sources
+ * 2. getScorecardMeasurables returns its evaluated values per period
+ * 3. updateScorecardMeasurable rejects a circular reference
+ * 4. Invalid formulas are rejected
+ *
+ * Usage:
+ *   node tests/test-scorecard-formulas.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ *   DATABASE_URL (or DB_*) - Measurables are created through the database
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  createScorecardMeasurable,
+  updateScorecardMeasurable,
+  deleteScorecardMeasurable,
+  createScorecardMeasurableEntry,
+  getScorecardMeasurables,
+} from "../tools.js";
+import { test, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing Formula Measurables\n");
+
+const suffix = Date.now();
+const created = {};
+
+async function createMeasurable(args) {
+  const result = JSON.parse(
+    (await createScorecardMeasurable({ type: "weekly", ...args })).content[0]
+      .text
+  );
+  if (!result.success) throw new Error(`Could not create ${args.name}`);
+  cleanup(`Delete measurable ${args.name}`, () =>
+    deleteScorecardMeasurable({ measurableId: result.measurable.id })
+  );
+  return result.measurable;
+}
+
+await test("createScorecardMeasurable - Creates a formula measurable", async () => {
+  created.revenue = await createMeasurable({ name: `Revenue ${suffix}` });
+  created.customers = await createMeasurable({ name: `Customers ${suffix}` });
+  created.arpu = await createMeasurable({
+    name: `ARPU ${suffix}`,
+    formula: `{Revenue ${suffix}} / {${created.customers.id}}`,
+  });
+  if (
+    created.arpu.formula !==
+    `{${created.revenue.id}} / {${created.customers.id}}`
+  ) {
+    throw new Error(`Formula not stored with IDs: ${created.arpu.formula}`);
+  }
+});
+
+await test("getScorecardMeasurables - Returns evaluated values", async () => {
+  if (!created.arpu) {
+    console.log("   (Skipped - no formula measurable created)");
+    return;
+  }
+  const startDate = new Date().toISOString().split("T")[0];
+  await createScorecardMeasurableEntry({
+    dataFieldId: created.revenue.id,
+    value: "1000",
+    startDate,
+  });
+  await createScorecardMeasurableEntry({
+    dataFieldId: created.customers.id,
+    value: "4",
+    startDate,
+  });
+
+  const data = JSON.parse(
+    (await getScorecardMeasurables({ dataFieldId: created.arpu.id }))
+      .content[0].text
+  );
+  const arpu = data.scorecardMeasurables[0];
+  if (arpu.formulaSources?.length !== 2) {
+    throw new Error("formulaSources missing");
+  }
+  if (arpu.evaluatedValues?.[0]?.value !== 250) {
+    throw new Error(
+      `Expected 250, got ${JSON.stringify(arpu.evaluatedValues)}`
+    );
+  }
+});
+
+await test("updateScorecardMeasurable - Rejects circular references", async () => {
+  if (!created.arpu) {
+    console.log("   (Skipped - no formula measurable created)");
+    return;
+  }
+  const result = await updateScorecardMeasurable({
+    measurableId: created.revenue.id,
+    formula: `{${created.arpu.id}} * 2`,
+  });
+  if (!result.content[0].text.includes("Circular reference")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("createScorecardMeasurable - Rejects invalid formulas", async () => {
+  const result = await createScorecardMeasurable({
+    name: `Invalid ${suffix}`,
+    formula: "{Unknown measurable} +",
+  });
+  if (!result.content[0].text.startsWith("Error:")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for analyzeScorecardTrends
+ *
+ * Tests:
+ * 1. Every measurable gets an off-track run, rolling average, slope and summary
+ * 2. onlyFlagged only returns off-track, declining or anomalous measurables
+ * 3. Invalid window sizes are rejected
+ *
+ * Usage:
+ *   node tests/test-scorecard-trends.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { init, analyzeScorecardTrends } from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+});
+
+console.log("\n🧪 Testing analyzeScorecardTrends\n");
+
+await test("analyzeScorecardTrends - Analyzes each measurable", async () => {
+  const data = JSON.parse(
+    (await analyzeScorecardTrends({ periods: 13 })).content[0].text
+  );
+  if (data.measurables.length === 0) {
+    console.log("   (Skipped - no weekly measurables)");
+    return;
+  }
+  for (const measurable of data.measurables) {
+    if (!measurable.summary) {
+      throw new Error(`${measurable.name} has no summary`);
+    }
+    if (measurable.periodsWithData === 0) continue;
+    if (measurable.offTrackRun > measurable.periodsWithData) {
+      throw new Error(`${measurable.name} off-track run exceeds its data`);
+    }
+    if (typeof measurable.slope !== "number" || !measurable.rollingAverage) {
+      throw new Error(`${measurable.name} is missing slope or average`);
+    }
+  }
+  console.log(`   ${data.measurables[0].summary}`);
+});
+
+await test("analyzeScorecardTrends - onlyFlagged filters", async () => {
+  const data = JSON.parse(
+    (await analyzeScorecardTrends({ onlyFlagged: true })).content[0].text
+  );
+  const healthy = data.measurables.find(
+    (m) =>
+      m.offTrackRun === 0 &&
+      m.trend !== "declining" &&
+      (m.anomalies || []).length === 0
+  );
+  if (healthy) {
+    throw new Error(`${healthy.name} is not flagged but was returned`);
+  }
+});
+
+await test("analyzeScorecardTrends - Rejects an invalid window", async () => {
+  const result = await analyzeScorecardTrends({ window: 0 });
+  if (!result.content[0].text.startsWith("Error:")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
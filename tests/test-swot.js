@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for SWOT Tools
+ *
+ * Tests:
+ * 1. getSwotItems returns the leadership team's items grouped by category
+ * 2. createSwotItem requires a valid category and a team
+ * 3. create → reorder → update → delete round trip on a test item
+ * 4. convertSwotItemToIssue rejects Strengths and Opportunities
+ *
+ * Usage:
+ *   node tests/test-swot.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getSwotItems,
+  createSwotItem,
+  updateSwotItem,
+  reorderSwotItems,
+  deleteSwotItem,
+  convertSwotItemToIssue,
+} from "../tools.js";
+import { test, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing SWOT Tools\n");
+
+let leadershipTeamId = null;
+let createdItem = null;
+let itemDeleted = false;
+
+await test("getSwotItems - Returns items grouped by category", async () => {
+  const result = await getSwotItems({ leadershipTeam: true });
+  const data = JSON.parse(result.content[0].text);
+
+  for (const key of ["strengths", "weaknesses", "opportunities", "threats"]) {
+    if (!Array.isArray(data[key])) throw new Error(`Missing ${key} array`);
+  }
+  leadershipTeamId = data.teamId;
+  console.log(`   ${data.totalCount} SWOT item(s) for team ${data.teamId}`);
+});
+
+await test("createSwotItem - Rejects invalid categories", async () => {
+  const result = await createSwotItem({
+    name: "Test",
+    category: "Risk",
+    leadershipTeam: true,
+  });
+  if (!result.content[0].text.includes("Invalid category")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("createSwotItem - Requires a team", async () => {
+  const result = await createSwotItem({ name: "Test", category: "Threat" });
+  if (!result.content[0].text.includes("must be assigned to a team")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("createSwotItem - Adds an item to the end of its category", async () => {
+  const result = await createSwotItem({
+    name: "MCP test threat",
+    category: "Threat",
+    leadershipTeam: true,
+  });
+  const data = JSON.parse(result.content[0].text);
+  if (!data.success) throw new Error("Create failed");
+  if (data.swotItem.category !== "Threat") {
+    throw new Error(`Unexpected category ${data.swotItem.category}`);
+  }
+  createdItem = data.swotItem;
+  // Only needed when a later test fails before the delete test runs
+  cleanup("Delete test SWOT item", () =>
+    itemDeleted ? null : deleteSwotItem({ swotItemId: createdItem.id })
+  );
+});
+
+await test("reorderSwotItems - Moves the item to the top", async () => {
+  if (!createdItem) throw new Error("No test item available");
+  const result = await reorderSwotItems({
+    category: "Threat",
+    swotItemIds: createdItem.id,
+    teamId: leadershipTeamId,
+  });
+  const data = JSON.parse(result.content[0].text);
+  if (data.order[0].id !== createdItem.id) {
+    throw new Error("Item was not moved to the top");
+  }
+});
+
+await test("updateSwotItem - Moves the item to another category", async () => {
+  if (!createdItem) throw new Error("No test item available");
+  const result = await updateSwotItem({
+    swotItemId: createdItem.id,
+    category: "Strength",
+  });
+  const data = JSON.parse(result.content[0].text);
+  if (data.swotItem.category !== "Strength") {
+    throw new Error(`Unexpected category ${data.swotItem.category}`);
+  }
+});
+
+await test("convertSwotItemToIssue - Rejects strengths", async () => {
+  if (!createdItem) throw new Error("No test item available");
+  const result = await convertSwotItemToIssue({ swotItemId: createdItem.id });
+  if (!result.content[0].text.includes("Only Weakness and Threat")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("deleteSwotItem - Soft deletes the test item", async () => {
+  if (!createdItem) throw new Error("No test item available");
+  const result = await deleteSwotItem({ swotItemId: createdItem.id });
+  const data = JSON.parse(result.content[0].text);
+  if (data.swotItem.status !== "DELETED") {
+    throw new Error(`Unexpected status ${data.swotItem.status}`);
+  }
+  itemDeleted = true;
+});
+
+await finish();
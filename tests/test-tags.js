@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for Tags Tools
+ *
+ * Tests:
+ * 1. createTag creates a tag and rejects duplicates (ignoring case)
+ * 2. tagItem tags an issue, and the tags filter on getIssues finds it
+ * 3. getTags counts tagged items
+ * 4. untagItem and deleteTag clean up
+ *
+ * Usage:
+ *   node tests/test-tags.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ *   DATABASE_URL (or DB_*) - Tags are stored outside the GraphQL API
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getIssues,
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  tagItem,
+  untagItem,
+} from "../tools.js";
+import { test, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing Tags Tools\n");
+
+const tagName = `mcp-test-${Date.now()}`;
+let tagId = null;
+let tagDeleted = false;
+
+const issues = JSON.parse(
+  (await getIssues({ first: 1, status: "ALL" })).content[0].text
+);
+const issue = issues.results?.[0];
+
+await test("createTag - Creates a tag and rejects duplicates", async () => {
+  const result = JSON.parse(
+    (await createTag({ name: tagName })).content[0].text
+  );
+  if (!result.success || !result.tag?.id) {
+    throw new Error("Tag was not created");
+  }
+  tagId = result.tag.id;
+  // Deleting the tag also takes it off the test issue
+  cleanup("Delete test tag", () => (tagDeleted ? null : deleteTag({ tagId })));
+
+  const duplicate = await createTag({ name: tagName.toUpperCase() });
+  if (!duplicate.content[0].text.includes("already exists")) {
+    throw new Error(`Unexpected response: ${duplicate.content[0].text}`);
+  }
+});
+
+await test("tagItem - Tagged issue is found by the tags filter", async () => {
+  if (!tagId || !issue) {
+    console.log("   (Skipped - need a tag and an issue)");
+    return;
+  }
+  const tagged = JSON.parse(
+    (await tagItem({ itemType: "issue", itemId: issue.id, tags: tagName }))
+      .content[0].text
+  );
+  if (!tagged.tags.includes(tagName)) {
+    throw new Error(`Tag missing from item: ${JSON.stringify(tagged)}`);
+  }
+
+  const filtered = JSON.parse(
+    (await getIssues({ tags: tagName, status: "ALL", type: "ALL" }))
+      .content[0].text
+  );
+  if (!filtered.results.some((result) => result.id === issue.id)) {
+    throw new Error("Tagged issue not returned by getIssues tags filter");
+  }
+});
+
+await test("getTags - Counts tagged items", async () => {
+  if (!tagId) {
+    console.log("   (Skipped - no tag created)");
+    return;
+  }
+  const data = JSON.parse(
+    (await getTags({ keyword: tagName })).content[0].text
+  );
+  const tag = data.tags.find((t) => t.id === tagId);
+  if (!tag) throw new Error("Created tag not listed");
+  if (issue && tag.itemCountByType.issues !== 1) {
+    throw new Error(`Expected 1 tagged issue, got ${tag.itemCount}`);
+  }
+});
+
+await test("untagItem / updateTag / deleteTag - Clean up", async () => {
+  if (!tagId) {
+    console.log("   (Skipped - no tag created)");
+    return;
+  }
+  if (issue) {
+    const untagged = JSON.parse(
+      (await untagItem({ itemType: "issues", itemId: issue.id, tags: tagName }))
+        .content[0].text
+    );
+    if (!untagged.removed.includes(tagName)) {
+      throw new Error("Tag was not removed from the issue");
+    }
+  }
+
+  const renamed = JSON.parse(
+    (await updateTag({ tagId, name: `${tagName}-renamed` })).content[0].text
+  );
+  if (!renamed.success) throw new Error("Tag was not renamed");
+
+  const deleted = JSON.parse((await deleteTag({ tagId })).content[0].text);
+  if (!deleted.success) throw new Error("Tag was not deleted");
+  tagDeleted = true;
+});
+
+await finish();
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for V/TO Goal Tools
+ *
+ * Tests:
+ * 1. getGoalKpiReport returns every goal on the leadership V/TO
+ * 2. attachMeasurableToGoal links a measurable, and linking again updates the target
+ * 3. getGoalKpiReport compares the attached measurable with its target
+ * 4. setGoalFinancialTarget sets, updates and removes a revenue target
+ * 5. detachMeasurableFromGoal removes the link
+ *
+ * Usage:
+ *   node tests/test-vto-goals.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getGoalKpiReport,
+  attachMeasurableToGoal,
+  detachMeasurableFromGoal,
+  setGoalFinancialTarget,
+  getScorecardMeasurables,
+} from "../tools.js";
+import { test, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing V/TO Goal Tools\n");
+
+let goal = null;
+let measurable = null;
+let attached = false;
+
+await test("getGoalKpiReport - Lists goals on the leadership V/TO", async () => {
+  const result = await getGoalKpiReport({});
+  const data = JSON.parse(result.content[0].text);
+  if (!Array.isArray(data.goals)) throw new Error("Missing goals array");
+  goal = data.goals[0] || null;
+  console.log(`   ${data.goals.length} goal(s)`);
+});
+
+const scorecard = JSON.parse(
+  (await getScorecardMeasurables({ leadershipTeam: true, first: 1 })).content[0]
+    .text
+);
+measurable = scorecard.scorecardMeasurables?.[0] || null;
+
+await test("attachMeasurableToGoal - Attaches and updates the target", async () => {
+  if (!goal || !measurable) {
+    console.log("   (Skipped - needs a goal and a measurable)");
+    return;
+  }
+  const first = JSON.parse(
+    (
+      await attachMeasurableToGoal({
+        goalId: goal.id,
+        dataFieldId: measurable.id,
+        targetValue: "100",
+      })
+    ).content[0].text
+  );
+  if (!first.success) throw new Error(first.message);
+  attached = true;
+  cleanup("Detach test measurable", () =>
+    attached
+      ? detachMeasurableFromGoal({
+          goalId: goal.id,
+          dataFieldId: measurable.id,
+        })
+      : null
+  );
+
+  const second = JSON.parse(
+    (
+      await attachMeasurableToGoal({
+        goalId: goal.id,
+        dataFieldId: measurable.id,
+        targetValue: "200",
+      })
+    ).content[0].text
+  );
+  if (second.link.id !== first.link.id) {
+    throw new Error("Attaching again created a second link");
+  }
+  if (second.link.targetValue !== "200") {
+    throw new Error(`Expected target 200, got ${second.link.targetValue}`);
+  }
+});
+
+await test("getGoalKpiReport - Compares the measurable with its target", async () => {
+  if (!goal || !measurable) {
+    console.log("   (Skipped - needs a goal and a measurable)");
+    return;
+  }
+  const data = JSON.parse(
+    (await getGoalKpiReport({ goalId: goal.id })).content[0].text
+  );
+  const row = data.goals[0].measurables.find(
+    (m) => m.dataFieldId === measurable.id
+  );
+  if (!row) throw new Error("Attached measurable missing from report");
+  if (row.targetValue !== "200") throw new Error("Wrong target in report");
+  console.log(`   status: ${row.status}, current: ${row.currentValue}`);
+});
+
+await test("setGoalFinancialTarget - Sets, updates and removes a target", async () => {
+  if (!goal) {
+    console.log("   (Skipped - no goals)");
+    return;
+  }
+  const entity = "MCP Test Revenue";
+  const set = JSON.parse(
+    (await setGoalFinancialTarget({ goalId: goal.id, entity, value: "10M" }))
+      .content[0].text
+  );
+  if (!set.success) throw new Error(set.message);
+  let targetRemoved = false;
+  cleanup("Remove test financial target", () =>
+    targetRemoved
+      ? null
+      : setGoalFinancialTarget({ goalId: goal.id, entity, remove: true })
+  );
+
+  const updated = JSON.parse(
+    (await setGoalFinancialTarget({ goalId: goal.id, entity, value: "12M" }))
+      .content[0].text
+  );
+  if (updated.target.id !== set.target.id) {
+    throw new Error("Updating created a second target");
+  }
+
+  const removed = JSON.parse(
+    (await setGoalFinancialTarget({ goalId: goal.id, entity, remove: true }))
+      .content[0].text
+  );
+  if (removed.target.stateId !== "DELETED") {
+    throw new Error("Target was not removed");
+  }
+  targetRemoved = true;
+});
+
+await test("detachMeasurableFromGoal - Removes the link", async () => {
+  if (!goal || !measurable) {
+    console.log("   (Skipped - needs a goal and a measurable)");
+    return;
+  }
+  const data = JSON.parse(
+    (
+      await detachMeasurableFromGoal({
+        goalId: goal.id,
+        dataFieldId: measurable.id,
+      })
+    ).content[0].text
+  );
+  if (!data.success) throw new Error(data.message);
+  attached = false;
+
+  const again = await detachMeasurableFromGoal({
+    goalId: goal.id,
+    dataFieldId: measurable.id,
+  });
+  if (!again.content[0].text.includes("not attached")) {
+    throw new Error("Expected the link to be gone");
+  }
+});
+
+await finish();
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for V/TO History Tools
+ *
+ * Tests:
+ * 1. getVTOHistory lists versions of the leadership V/TO, newest first
+ * 2. getVTOHistory with versionId returns the snapshot
+ * 3. diffVTOVersions against the live V/TO returns a per-section diff
+ * 4. diffVTOVersions rejects unknown sections
+ * 5. restoreVTOVersion dry run reports a plan without changing anything
+ * 6. restoreVTOVersion refuses to restore rocks
+ *
+ * Usage:
+ *   node tests/test-vto-history.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getVTOHistory,
+  diffVTOVersions,
+  restoreVTOVersion,
+} from "../tools.js";
+import { test, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing V/TO History Tools\n");
+
+let versions = [];
+
+await test("getVTOHistory - Lists versions newest first", async () => {
+  const result = await getVTOHistory({});
+  const data = JSON.parse(result.content[0].text);
+
+  if (!Array.isArray(data.versions)) throw new Error("Missing versions array");
+  versions = data.versions;
+  for (let i = 1; i < versions.length; i++) {
+    if (versions[i - 1].createdAt < versions[i].createdAt) {
+      throw new Error("Versions are not sorted newest first");
+    }
+  }
+  console.log(`   ${versions.length} version(s) of vision ${data.visionId}`);
+});
+
+await test("getVTOHistory - Returns a single version's snapshot", async () => {
+  if (versions.length === 0) {
+    console.log("   (Skipped - no saved versions)");
+    return;
+  }
+  const result = await getVTOHistory({ versionId: versions[0].id });
+  const data = JSON.parse(result.content[0].text);
+  if (!data.snapshot || !("coreValues" in data.snapshot)) {
+    throw new Error("Missing snapshot sections");
+  }
+});
+
+await test("diffVTOVersions - Compares a version with the live V/TO", async () => {
+  const oldest = versions[versions.length - 1];
+  if (!oldest) {
+    console.log("   (Skipped - no saved versions)");
+    return;
+  }
+  const result = await diffVTOVersions({ fromVersionId: oldest.id });
+  const data = JSON.parse(result.content[0].text);
+  if (data.to.id !== "current") throw new Error("Expected comparison with current");
+  for (const [key, section] of Object.entries(data.sections)) {
+    for (const list of ["added", "removed", "changed"]) {
+      if (!Array.isArray(section[list])) {
+        throw new Error(`${key} is missing ${list}`);
+      }
+    }
+  }
+  console.log(`   hasChanges: ${data.hasChanges}`);
+});
+
+await test("diffVTOVersions - Rejects unknown sections", async () => {
+  const result = await diffVTOVersions({
+    fromVersionId: versions[0]?.id || "missing",
+    sections: "coreValues,mission",
+  });
+  if (!result.content[0].text.includes("Unknown section")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await test("restoreVTOVersion - Dry run reports a plan only", async () => {
+  if (versions.length === 0) {
+    console.log("   (Skipped - no saved versions)");
+    return;
+  }
+  const result = await restoreVTOVersion({ versionId: versions[0].id });
+  const data = JSON.parse(result.content[0].text);
+  if (data.dryRun !== true) throw new Error("Expected a dry run");
+  if (!data.plan) throw new Error("Missing plan");
+
+  // Nothing was saved, so the version list is unchanged
+  const after = JSON.parse((await getVTOHistory({})).content[0].text);
+  if (after.versions[0].id !== versions[0].id) {
+    throw new Error("Dry run created a new version");
+  }
+  console.log(`   summary: ${JSON.stringify(data.summary)}`);
+});
+
+await test("restoreVTOVersion - Refuses to restore rocks", async () => {
+  const result = await restoreVTOVersion({
+    versionId: versions[0]?.id || "missing",
+    sections: "rocks",
+  });
+  if (!result.content[0].text.includes("cannot be restored")) {
+    throw new Error(`Unexpected response: ${result.content[0].text}`);
+  }
+});
+
+await finish();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite for V/TO Issues Tools
+ *
+ * Tests:
+ * 1. createVTOIssue adds an issue to the leadership V/TO
+ * 2. getVTOIssues lists it
+ * 3. updateVTOIssue renames it
+ * 4. demoteVTOIssue moves it to the leadership issues list with a link
+ * 5. promoteIssueToVTO moves the team issue back onto the V/TO
+ * 6. deleteVTOIssue removes it
+ *
+ * Usage:
+ *   node tests/test-vto-issues.js
+ *
+ * Environment variables required (in .env file):
+ *   DEVMODE_SUCCESS_API_KEY - API key for authentication
+ *   DEVMODE_SUCCESS_USE_API_KEY=true - REQUIRED to enable API key mode
+ *   NODE_ENV=development - Required for API key mode
+ *   GRAPHQL_ENDPOINT - GraphQL endpoint
+ */
+
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  init,
+  getVTOIssues,
+  createVTOIssue,
+  updateVTOIssue,
+  deleteVTOIssue,
+  promoteIssueToVTO,
+  demoteVTOIssue,
+  deleteIssue,
+} from "../tools.js";
+import { test, parse, cleanup, finish } from "./testHelpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+init({
+  NODE_ENV: process.env.NODE_ENV || "development",
+  DEBUG: process.env.DEBUG,
+  GRAPHQL_ENDPOINT: process.env.GRAPHQL_ENDPOINT,
+  DEVMODE_SUCCESS_API_KEY: process.env.DEVMODE_SUCCESS_API_KEY,
+  DEVMODE_SUCCESS_USE_API_KEY: process.env.DEVMODE_SUCCESS_USE_API_KEY,
+  DATABASE_URL: process.env.DATABASE_URL,
+  DB_HOST: process.env.DB_HOST,
+  DB_PORT: process.env.DB_PORT,
+  DB_DATABASE: process.env.DB_DATABASE,
+  DB_USER: process.env.DB_USER,
+  DB_PASS: process.env.DB_PASS,
+});
+
+console.log("\n🧪 Testing V/TO Issues Tools\n");
+
+let vtoIssueId = null;
+let issueId = null;
+
+// The test issue moves between the V/TO and the team list; delete whichever copy is left
+let liveItem = null;
+cleanup("Delete test issue", () => {
+  if (!liveItem) return null;
+  return liveItem.onVTO
+    ? deleteVTOIssue({ vtoIssueId: liveItem.id })
+    : deleteIssue({ issueId: liveItem.id });
+});
+
+await test("createVTOIssue - Adds an issue to the leadership V/TO", async () => {
+  const data = parse(await createVTOIssue({ name: "MCP test V/TO issue" }));
+  if (!data.success) throw new Error(data.message);
+  vtoIssueId = data.vtoIssue.id;
+  liveItem = { onVTO: true, id: vtoIssueId };
+});
+
+await test("getVTOIssues - Lists the new issue", async () => {
+  const data = parse(await getVTOIssues({}));
+  if (!data.vtoIssues.some((i) => i.id === vtoIssueId)) {
+    throw new Error("Created V/TO issue not in list");
+  }
+});
+
+await test("updateVTOIssue - Renames the issue", async () => {
+  const data = parse(
+    await updateVTOIssue({ vtoIssueId, name: "MCP test V/TO issue (renamed)" })
+  );
+  if (data.vtoIssue.name !== "MCP test V/TO issue (renamed)") {
+    throw new Error("Name not updated");
+  }
+});
+
+await test("demoteVTOIssue - Moves it to the team's issues list", async () => {
+  const data = parse(await demoteVTOIssue({ vtoIssueId }));
+  if (!data.success) throw new Error(data.message);
+  if (!data.vtoIssue.removed) throw new Error("V/TO issue was not removed");
+  if (!data.relatedItemId) throw new Error("Issues were not linked");
+  issueId = data.issue.id;
+  liveItem = { onVTO: false, id: issueId };
+});
+
+await test("promoteIssueToVTO - Moves the team issue back", async () => {
+  const data = parse(await promoteIssueToVTO({ issueId }));
+  if (!data.success) throw new Error(data.message);
+  if (!data.issue.removed) throw new Error("Team issue was not removed");
+  vtoIssueId = data.vtoIssue.id;
+  liveItem = { onVTO: true, id: vtoIssueId };
+
+  const list = parse(await getVTOIssues({}));
+  const item = list.vtoIssues.find((i) => i.id === vtoIssueId);
+  if (!item.linkedIssues.some((i) => i.id === issueId)) {
+    throw new Error("Linked issue missing from getVTOIssues");
+  }
+});
+
+await test("deleteVTOIssue - Removes the issue", async () => {
+  const data = parse(await deleteVTOIssue({ vtoIssueId }));
+  if (data.vtoIssue.status !== "DELETED") throw new Error("Not deleted");
+  liveItem = null;
+});
+
+await finish();
@@ -0,0 +1,78 @@
+/**
+ * Shared harness for the tool test scripts
+ *
+ * Usage:
+ *   import { test, parse, cleanup, finish } from "./testHelpers.js";
+ *
+ *   await test("createTodo - Creates a todo", async () => {
+ *     const todo = parse(await createTodo({ ... })).todo;
+ *     cleanup("Delete test todo", () => deleteTodo({ todoId: todo.id }));
+ *   });
+ *
+ *   await finish();
+ */
+
+const stats = {
+  passed: 0,
+  failed: 0,
+};
+
+// Teardown steps, run newest first by finish()
+const cleanups = [];
+
+/**
+ * Run one test and log its result
+ * @param {string} name - Test name
+ * @param {Function} fn - Test body; throw to fail
+ */
+export async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+    stats.passed++;
+  } catch (error) {
+    console.error(`❌ ${name}`);
+    console.error(`   Error: ${error.message}`);
+    stats.failed++;
+  }
+}
+
+/**
+ * Parse a tool response, throwing on error messages
+ * @param {Object} result - Tool response
+ * @returns {Object}
+ */
+export function parse(result) {
+  const text = result.content[0].text;
+  if (text.startsWith("Error")) throw new Error(text);
+  return JSON.parse(text);
+}
+
+/**
+ * Register a teardown step for data a test created
+ * @param {string} name - What the step removes
+ * @param {Function} fn - Teardown; may return a tool response
+ */
+export function cleanup(name, fn) {
+  cleanups.push({ name, fn });
+}
+
+/**
+ * Run the teardown steps, print the summary and exit
+ */
+export async function finish() {
+  if (cleanups.length > 0) console.log("\n🧹 Cleaning up\n");
+  for (const { name, fn } of cleanups.reverse()) {
+    try {
+      const result = await fn();
+      const text = result?.content?.[0]?.text;
+      if (text?.startsWith("Error")) throw new Error(text);
+      console.log(`   ✓ ${name}`);
+    } catch (error) {
+      console.error(`   ✗ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${stats.passed} passed, ${stats.failed} failed\n`);
+  process.exit(stats.failed > 0 ? 1 : 0);
+}
@@ -12,6 +12,8 @@ import {
   search,
   fetch,
   getScorecardMeasurables,
+  analyzeScorecardTrends,
+  exportScorecard,
   createScorecardMeasurable,
   updateScorecardMeasurable,
   deleteScorecardMeasurable,
@@ -33,21 +35,83 @@ import {
   deleteVTOCoreFocus,
   deleteVTOThreeYearGoal,
   deleteVTOMarketStrategy,
+  getVTOHistory,
+  diffVTOVersions,
+  restoreVTOVersion,
+  attachMeasurableToGoal,
+  detachMeasurableFromGoal,
+  setGoalFinancialTarget,
+  getGoalKpiReport,
+  getVTOIssues,
+  createVTOIssue,
+  updateVTOIssue,
+  deleteVTOIssue,
+  promoteIssueToVTO,
+  demoteVTOIssue,
   getAccountabilityChart,
+  createSeat,
+  updateSeat,
+  moveSeat,
+  deleteSeat,
+  createSeatRole,
+  updateSeatRole,
+  deleteSeatRole,
+  assignSeatHolder,
+  removeSeatHolder,
   getMeetingDetails,
+  getMeetingAnalytics,
   getOrgCheckups,
+  startOrgCheckup,
+  answerOrgCheckup,
+  finalizeOrgCheckup,
+  getOrgCheckupScores,
+  getPeopleAnalyzer,
+  createPeopleAnalyzerSession,
+  updatePeopleAnalyzerSession,
+  updatePeopleAnalyzerScores,
+  getSwotItems,
+  createSwotItem,
+  updateSwotItem,
+  reorderSwotItems,
+  deleteSwotItem,
+  convertSwotItemToIssue,
+  getMyNotifications,
+  markNotificationsRead,
+  linkItems,
+  unlinkItems,
+  getRelatedItems,
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  tagItem,
+  untagItem,
   createIssue,
   createRock,
+  rolloverQuarter,
   createTodo,
   updateTodo,
   createHeadline,
   createMeeting,
   updateIssue,
+  idsIssue,
   updateRock,
   updateHeadline,
   updateMeeting,
+  startMeeting,
+  advanceMeetingSection,
+  concludeMeeting,
+  draftMeetingSummary,
+  reviewMeetingSummary,
+  createMeetingSeries,
+  updateMeetingSeries,
+  cancelMeetingSeries,
+  generateMeetingSeries,
+  skipMeetingOccurrence,
+  rescheduleMeetingOccurrence,
   createScorecardMeasurableEntry,
   updateScorecardMeasurableEntry,
+  bulkUpsertScorecardEntries,
   deleteTodo,
   deleteIssue,
   deleteRock,
@@ -59,6 +123,10 @@ import {
   createComment,
   updateComment,
   deleteComment,
+  addReaction,
+  removeReaction,
+  getAttachments,
+  attachFile,
   getExecutionHealth,
   getUserWorkload,
   getCompanyInsights,
@@ -155,7 +223,7 @@ export const toolDefinitions = [
   {
     name: "getTodos",
     description:
-      "List Success.co todos. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Use fromMeetings=true to get only todos from Level 10 meetings. Filter by teamId, userId, status (TODO, COMPLETE, OVERDUE, ALL), type (ALL, TEAM, PRIVATE), or keyword. Supports date filtering for creation and completion dates.",
+      "List Success.co todos. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Use fromMeetings=true to get only todos from Level 10 meetings. Filter by teamId, userId, status (TODO, COMPLETE, OVERDUE, ALL), type (ALL, TEAM, PRIVATE), keyword, or tags. Supports date filtering for creation and completion dates.",
     readOnly: true,
     annotations: {
       title: "Get Todos",
@@ -179,6 +247,7 @@ export const toolDefinitions = [
       createdBefore,
       completedAfter,
       completedBefore,
+      tags,
     }) => {
       // Validate that both userId and currentUser are not provided
       if (userId && currentUser) {
@@ -213,6 +282,7 @@ export const toolDefinitions = [
         createdBefore,
         completedAfter,
         completedBefore,
+        tags,
       });
     },
     schema: {
@@ -287,13 +357,19 @@ export const toolDefinitions = [
         .describe(
           "Filter todos completed before this date (ISO 8601 format) - automatically sets status to COMPLETE"
         ),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated tag names (e.g. 'customer-escalation, Q3-launch'); only return todos with any of these tags"
+        ),
     },
     required: [],
   },
   {
     name: "getRocks",
     description:
-      "List Success.co rocks with ownership, team information, and milestones. By default, returns rocks for 'this_year' with milestones included. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Returns userId (rock owner), teamIds (associated teams), and milestones for each rock. Perfect for analyzing accountability, team execution, and rock progress. Supports keyword search and flexible time period filtering.",
+      "List Success.co rocks with ownership, team information, and milestones. By default, returns rocks for 'this_year' with milestones included. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Returns userId (rock owner), teamIds (associated teams), and milestones for each rock. Perfect for analyzing accountability, team execution, and rock progress. Supports keyword search, tag filtering, and flexible time period filtering.",
     readOnly: true,
     annotations: {
       title: "Get Rocks",
@@ -313,6 +389,7 @@ export const toolDefinitions = [
       keyword,
       includeMilestones,
       timePeriod,
+      tags,
     }) => {
       // Validate that both userId and currentUser are not provided
       if (userId && currentUser) {
@@ -343,6 +420,7 @@ export const toolDefinitions = [
         keyword,
         includeMilestones,
         timePeriod,
+        tags,
       });
     },
     schema: {
@@ -399,6 +477,12 @@ export const toolDefinitions = [
         .describe(
           "Filter rocks by time period (defaults to 'this_year'): 'this_year' for rocks due this calendar year, 'current_quarter' for rocks due in the current quarter, 'previous_quarter' for rocks from last quarter, 'all' for all rocks regardless of due date."
         ),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated tag names (e.g. 'customer-escalation, Q3-launch'); only return rocks with any of these tags"
+        ),
     },
     required: [],
   },
@@ -484,7 +568,7 @@ export const toolDefinitions = [
   {
     name: "getIssues",
     description:
-      "List Success.co issues. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Supports filtering by team, user, status, type, meeting linkage, and dates.",
+      "List Success.co issues. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Supports filtering by team, user, status, type, meeting linkage, tags, and dates. For the issues list on the V/TO, use getVTOIssues.",
     readOnly: true,
     annotations: {
       title: "Get Issues",
@@ -506,6 +590,7 @@ export const toolDefinitions = [
       createdAfter,
       createdBefore,
       statusUpdatedBefore,
+      tags,
     }) => {
       // Validate that both userId and currentUser are not provided
       if (userId && currentUser) {
@@ -541,6 +626,7 @@ export const toolDefinitions = [
         createdAfter,
         createdBefore,
         statusUpdatedBefore,
+        tags,
       });
     },
     schema: {
@@ -601,13 +687,19 @@ export const toolDefinitions = [
         .describe(
           "Filter issues where status was last updated before this date - useful for finding stuck issues"
         ),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated tag names (e.g. 'customer-escalation, Q3-launch'); only return issues with any of these tags"
+        ),
     },
     required: [],
   },
   {
     name: "getHeadlines",
     description:
-      "List Success.co headlines. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Supports filtering by date, keyword, status, team, user, and meeting linkage. Perfect for queries like 'Show me all people headlines from this week' or 'List company headlines related to hiring'. Can also fetch a specific headline by ID.",
+      "List Success.co headlines. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Supports filtering by date, keyword, status, team, user, tags, and meeting linkage. Perfect for queries like 'Show me all people headlines from this week' or 'List company headlines related to hiring'. Can also fetch a specific headline by ID.",
     readOnly: true,
     annotations: {
       title: "Get Headlines",
@@ -629,6 +721,7 @@ export const toolDefinitions = [
       createdBefore,
       keyword,
       status,
+      tags,
     }) => {
       // Validate that both userId and currentUser are not provided
       if (userId && currentUser) {
@@ -664,6 +757,7 @@ export const toolDefinitions = [
         createdBefore,
         keyword,
         status,
+        tags,
       });
     },
     schema: {
@@ -718,13 +812,19 @@ export const toolDefinitions = [
         .describe(
           "Filter by keyword in headline name or description (case-insensitive, e.g., 'hiring', 'client feedback', 'positive')"
         ),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated tag names (e.g. 'customer-escalation, Q3-launch'); only return headlines with any of these tags"
+        ),
     },
     required: [],
   },
   {
     name: "getMilestones",
     description:
-      "List Success.co milestones on rocks. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user.",
+      "List Success.co milestones on rocks. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Supports filtering by rock, team, user, and tags.",
     readOnly: true,
     annotations: {
       title: "Get Milestones",
@@ -741,6 +841,7 @@ export const toolDefinitions = [
       currentUser,
       teamId,
       leadershipTeam,
+      tags,
     }) => {
       // Validate that both userId and currentUser are not provided
       if (userId && currentUser) {
@@ -771,6 +872,7 @@ export const toolDefinitions = [
         userId: effectiveUserId,
         teamId,
         leadershipTeam,
+        tags,
       });
     },
     schema: {
@@ -796,6 +898,12 @@ export const toolDefinitions = [
         .describe(
           "If true, automatically use the leadership team ID (shortcut instead of calling getTeams first)"
         ),
+      tags: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated tag names (e.g. 'customer-escalation, Q3-launch'); only return milestones with any of these tags"
+        ),
     },
     required: [],
   },
@@ -823,7 +931,8 @@ export const toolDefinitions = [
   },
   {
     name: "fetch",
-    description: "Fetch a single Success.co item by id returned from search.",
+    description:
+      "Fetch a single Success.co item by id returned from search. To-dos, rocks, meetings, issues and headlines include their tags and relatedItems (linked items such as the issue a to-do came from), so you can follow the links with further fetch calls. To-dos, rocks and issues also include their attachments (uploaded files).",
     readOnly: true,
     annotations: {
       title: "Fetch Item",
@@ -841,7 +950,7 @@ export const toolDefinitions = [
   {
     name: "getScorecardMeasurables",
     description:
-      "Get scorecard data (KPIs) with their values. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Provides comprehensive scorecard analysis with data fields and their corresponding values. Supports flexible date filtering: use startDate/endDate for precise ranges, or use periods/type for relative periods (e.g., 'last 13 weeks', 'last 6 months'). Defaults to last 13 weeks of data when no date parameters are provided. Use status to filter by ACTIVE (default), ARCHIVED, or ALL measurables.",
+      "Get scorecard data (KPIs) with their values. Use leadershipTeam=true to automatically filter by the leadership team. Use currentUser=true to filter by the authenticated user. Provides comprehensive scorecard analysis with data fields and their corresponding values. Supports flexible date filtering: use startDate/endDate for precise ranges, or use periods/type for relative periods (e.g., 'last 13 weeks', 'last 6 months'). Defaults to last 13 weeks of data when no date parameters are provided. Use status to filter by ACTIVE (default), ARCHIVED, or ALL measurables. Formula measurables also return evaluatedValues calculated per period from their source measurables (formulaSources).",
     readOnly: true,
     annotations: {
       title: "Get Scorecard Measurables",
@@ -960,10 +1069,173 @@ export const toolDefinitions = [
     },
     required: [],
   },
+  {
+    name: "analyzeScorecardTrends",
+    description:
+      "Analyze scorecard trends per measurable: how many consecutive periods it has been off-track against its goal (using its comparison operator and any custom per-period goals), the rolling average, the slope (trend direction, and whether that is improving or declining), and statistically unusual values. Each measurable gets a one-line summary like 'Revenue has been off-track for 4 weeks and is trending down'. Perfect for 'Which KPIs are off track?' or 'What's our revenue trend?'. Takes the same filters as getScorecardMeasurables.",
+    readOnly: true,
+    annotations: {
+      title: "Analyze Scorecard Trends",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      teamId,
+      leadershipTeam,
+      userId,
+      dataFieldId,
+      keyword,
+      type,
+      periods,
+      window,
+      anomalyThreshold,
+      onlyFlagged,
+    }) =>
+      await analyzeScorecardTrends({
+        teamId,
+        leadershipTeam,
+        userId,
+        dataFieldId,
+        keyword,
+        type,
+        periods,
+        window,
+        anomalyThreshold,
+        onlyFlagged,
+      }),
+    schema: {
+      teamId: z.string().optional().describe("Filter by team ID"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe("If true, automatically use the leadership team ID"),
+      userId: z.string().optional().describe("Filter by measurable owner"),
+      dataFieldId: z
+        .string()
+        .optional()
+        .describe("Analyze a single measurable"),
+      keyword: z
+        .string()
+        .optional()
+        .describe("Filter by measurable name (case-insensitive)"),
+      type: z
+        .enum(["weekly", "monthly", "quarterly", "annually"])
+        .optional()
+        .describe("Measurable type (defaults to 'weekly')"),
+      periods: z
+        .number()
+        .int()
+        .optional()
+        .describe("Number of periods to analyze (defaults to 13)"),
+      window: z
+        .number()
+        .int()
+        .optional()
+        .describe("Number of periods in the rolling average (defaults to 4)"),
+      anomalyThreshold: z
+        .number()
+        .optional()
+        .describe(
+          "Modified z-score (median/MAD based) from which a value counts as an anomaly (defaults to 3.5; lower flags more)"
+        ),
+      onlyFlagged: z
+        .boolean()
+        .optional()
+        .describe(
+          "Only return measurables that are off-track, declining or have anomalies"
+        ),
+    },
+    required: [],
+  },
+  {
+    name: "exportScorecard",
+    description:
+      "Export the scorecard as a CSV or spreadsheet document, e.g. for the finance team. One row per measurable with its owner and goal, one column per period, plus on-track counts and the off-track periods. The 'spreadsheetml' format opens in Excel, Numbers and LibreOffice with on-track cells coloured green and off-track cells red. The document is returned as an embedded resource. Takes the same filters as getScorecardMeasurables.",
+    readOnly: true,
+    annotations: {
+      title: "Export Scorecard",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      format,
+      teamId,
+      leadershipTeam,
+      userId,
+      dataFieldId,
+      keyword,
+      type,
+      periods,
+      startDate,
+      endDate,
+    }) =>
+      await exportScorecard({
+        format,
+        teamId,
+        leadershipTeam,
+        userId,
+        dataFieldId,
+        keyword,
+        type,
+        periods,
+        startDate,
+        endDate,
+      }),
+    schema: {
+      format: z
+        .enum(["csv", "spreadsheetml"])
+        .optional()
+        .describe(
+          "'csv' (default) or 'spreadsheetml' (Excel-compatible XML workbook with on-track colouring)"
+        ),
+      teamId: z.string().optional().describe("Filter by team ID"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe("If true, automatically use the leadership team ID"),
+      userId: z.string().optional().describe("Filter by measurable owner"),
+      dataFieldId: z
+        .string()
+        .optional()
+        .describe("Export a single measurable"),
+      keyword: z
+        .string()
+        .optional()
+        .describe("Filter by measurable name (case-insensitive)"),
+      type: z
+        .enum(["weekly", "monthly", "quarterly", "annually"])
+        .optional()
+        .describe("Measurable type (defaults to 'weekly')"),
+      periods: z
+        .number()
+        .int()
+        .optional()
+        .describe(
+          "Number of periods to export when no dates are given (defaults to 13)"
+        ),
+      startDate: z
+        .string()
+        .optional()
+        .describe(
+          "Start date (YYYY-MM-DD). When provided with endDate, overrides periods."
+        ),
+      endDate: z
+        .string()
+        .optional()
+        .describe(
+          "End date (YYYY-MM-DD). When provided with startDate, overrides periods."
+        ),
+    },
+    required: [],
+  },
   {
     name: "createScorecardMeasurable",
     description:
-      "Create a new scorecard measurable (KPI/metric). Perfect for queries like 'Create a new weekly measurable called Revenue' or 'Add a monthly measurable for customer satisfaction score'. Use teamId or leadershipTeam to associate with a team. Measurables track performance over time and can be weekly, monthly, quarterly, or annually.",
+      "Create a new scorecard measurable (KPI/metric). Perfect for queries like 'Create a new weekly measurable called Revenue' or 'Add a monthly measurable for customer satisfaction score'. Use teamId or leadershipTeam to associate with a team. Measurables track performance over time and can be weekly, monthly, quarterly, or annually. Set formula to calculate the measurable from other measurables of the same type, e.g. '{Revenue} / {New Customers}'.",
     readOnly: false,
     annotations: {
       title: "Create Scorecard Measurable",
@@ -985,6 +1257,7 @@ export const toolDefinitions = [
       showTotal,
       autoFormat,
       autoRoundDecimals,
+      formula,
       userId,
       teamId,
       leadershipTeam,
@@ -1002,6 +1275,7 @@ export const toolDefinitions = [
         showTotal,
         autoFormat,
         autoRoundDecimals,
+        formula,
         userId,
         teamId,
         leadershipTeam,
@@ -1068,6 +1342,12 @@ export const toolDefinitions = [
         .optional()
         .default(false)
         .describe("Auto round decimals (default: false)"),
+      formula: z
+        .string()
+        .optional()
+        .describe(
+          "Calculate values from other measurables of the same type: + - * / and parentheses, with measurable names or IDs in braces, e.g. '{Revenue} / {New Customers} * 100'"
+        ),
       userId: z
         .string()
         .optional()
@@ -1090,7 +1370,7 @@ export const toolDefinitions = [
   {
     name: "updateScorecardMeasurable",
     description:
-      "Update an existing scorecard measurable (KPI/metric). Perfect for queries like 'Change the Revenue measurable goal to 150' or 'Update the customer satisfaction measurable to monthly'. Use getScorecardMeasurables to find the measurable ID. Can update name, description, type, unit type, goals, and status (set to ARCHIVED to archive).",
+      "Update an existing scorecard measurable (KPI/metric). Perfect for queries like 'Change the Revenue measurable goal to 150' or 'Update the customer satisfaction measurable to monthly'. Use getScorecardMeasurables to find the measurable ID. Can update name, description, type, unit type, goals, formula (empty string removes it), and status (set to ARCHIVED to archive).",
     readOnly: false,
     annotations: {
       title: "Update Scorecard Measurable",
@@ -1113,6 +1393,7 @@ export const toolDefinitions = [
       showTotal,
       autoFormat,
       autoRoundDecimals,
+      formula,
       status,
     }) =>
       await updateScorecardMeasurable({
@@ -1129,6 +1410,7 @@ export const toolDefinitions = [
         showTotal,
         autoFormat,
         autoRoundDecimals,
+        formula,
         status,
       }),
     schema: {
@@ -1178,6 +1460,12 @@ export const toolDefinitions = [
         .boolean()
         .optional()
         .describe("Update auto round decimals setting"),
+      formula: z
+        .string()
+        .optional()
+        .describe(
+          "Update the formula ('{Measurable A} / {Measurable B}'); an empty string turns it back into a manually entered measurable"
+        ),
       status: z
         .enum(["ACTIVE", "ARCHIVED"])
         .optional()
@@ -1320,92 +1608,488 @@ export const toolDefinitions = [
     },
     required: [],
   },
-  // ============================================================================
-  // V/TO TOOLS - TEMPORARILY DISABLED
-  // ============================================================================
-  // These specialized V/TO tools have been disabled in favor of the new
-  // executeGraphQL() tool which provides more flexibility and power for V/TO
-  // operations. The direct GraphQL access allows AI assistants to perform any
-  // V/TO operation with full control over fields and relationships.
-  //
-  // To re-enable these tools:
-  // 1. Uncomment the tools below (lines 1309-1645)
-  // 2. Restart the MCP server
-  //
-  // NOTE: The code is preserved below for easy re-enablement if needed.
-  // ============================================================================
-  /*
   {
-    name: "getLeadershipVTO",
+    name: "getVTOHistory",
     description:
-      "Get the complete leadership Vision/Traction Organizer in one call. Fetches all VTO components (core values, core focus, goals, market strategies) in parallel for maximum efficiency.",
+      "List saved versions of the Vision/Traction Organizer (V/TO), newest first, with who saved each version and how many items each section held. Defaults to the leadership V/TO. Pass versionId to get one version with its full snapshot. Perfect for queries like 'When was our V/TO last saved?' or 'Show me our V/TO from last year'.",
     readOnly: true,
     annotations: {
-      title: "Get Leadership VTO",
+      title: "Get V/TO History",
       readOnlyHint: true,
       destructiveHint: false,
       idempotentHint: true,
       openWorldHint: false,
     },
-    handler: async () => await getLeadershipVTO({}),
-    schema: {},
+    handler: async ({ visionId, teamId, versionId, first, offset }) =>
+      await getVTOHistory({ visionId, teamId, versionId, first, offset }),
+    schema: {
+      visionId: z
+        .string()
+        .optional()
+        .describe("Vision ID (defaults to the leadership vision)"),
+      teamId: z
+        .string()
+        .optional()
+        .describe("Use this team's vision instead of the leadership vision"),
+      versionId: z
+        .string()
+        .optional()
+        .describe("Return this version with its full snapshot"),
+      first: z
+        .number()
+        .int()
+        .optional()
+        .default(20)
+        .describe("Optional page size (defaults to 20)"),
+      offset: z.number().int().optional().describe("Optional offset"),
+    },
     required: [],
   },
   {
-    name: "updateVTOCoreValue",
-    description: "Update VTO Core Value name or cascade settings",
-    readOnly: false,
+    name: "diffVTOVersions",
+    description:
+      "Compare two saved V/TO versions, or a saved version with the current V/TO, and return a structured diff per section (core values, core focus, goals, revenue/profit targets, measurables on goals, marketing strategy, issues list, rocks): items added, removed, and changed field by field. Use getVTOHistory first to find version IDs. Perfect for queries like 'How has our vision changed since last year?' or 'What changed in our 3-year picture?'.",
+    readOnly: true,
     annotations: {
-      title: "Update VTO Core Value",
-      readOnlyHint: false,
+      title: "Diff V/TO Versions",
+      readOnlyHint: true,
       destructiveHint: false,
       idempotentHint: true,
       openWorldHint: false,
     },
-    handler: async ({ coreValueId, name, cascadeAll }) =>
-      await updateVTOCoreValue({ coreValueId, name, cascadeAll }),
+    handler: async ({ fromVersionId, toVersionId, sections }) =>
+      await diffVTOVersions({ fromVersionId, toVersionId, sections }),
     schema: {
-      coreValueId: z.string().describe("Core Value ID"),
-      name: z.string().optional().describe("Value name"),
-      cascadeAll: z.boolean().optional().describe("Cascade to all teams"),
+      fromVersionId: z
+        .string()
+        .describe("ID of the older V/TO version (required)"),
+      toVersionId: z
+        .string()
+        .optional()
+        .describe(
+          "ID of the newer V/TO version. Omit or use 'current' to compare with the live V/TO."
+        ),
+      sections: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated sections to compare (defaults to all): coreValues, coreValueDetails, coreFocusTypes, threeYearGoals, goalDetails, profitRevenueDetails, kpisOnThreeYearGoals, marketStrategies, issues, rocks"
+        ),
     },
-    required: ["coreValueId"],
+    required: ["fromVersionId"],
   },
   {
-    name: "updateVTOCoreValueDetail",
+    name: "restoreVTOVersion",
     description:
-      "Update VTO Core Value Detail name, description, position, or cascade settings",
+      "Roll the V/TO back to a saved version. Changed items are patched back, items deleted since the version are restored, and items added since are removed (soft delete). Runs as a dry run by default and reports what would change; set dryRun=false to apply. The current V/TO is saved as a new version first, so a restore can be undone. V/TO edits made through the MCP server are snapshotted automatically, so use getVTOHistory to find the version saved before an unwanted change.",
     readOnly: false,
     annotations: {
-      title: "Update VTO Core Value Detail",
+      title: "Restore V/TO Version",
       readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ versionId, sections, dryRun }) =>
+      await restoreVTOVersion({ versionId, sections, dryRun }),
+    schema: {
+      versionId: z
+        .string()
+        .describe("ID of the V/TO version to restore (required)"),
+      sections: z
+        .string()
+        .optional()
+        .describe(
+          "Comma-separated sections to restore (defaults to all): coreValues, coreValueDetails, coreFocusTypes, threeYearGoals, goalDetails, profitRevenueDetails, kpisOnThreeYearGoals, marketStrategies, issues. Rocks are not restored."
+        ),
+      dryRun: z
+        .boolean()
+        .optional()
+        .default(true)
+        .describe(
+          "If true (default), only report what would change. Set to false to restore."
+        ),
+    },
+    required: ["versionId"],
+  },
+  {
+    name: "getGoalKpiReport",
+    description:
+      "Report progress on V/TO goals (3-year picture, 1-year plan): for each goal, compare the latest scorecard value of every attached measurable with its target, and compare revenue/profit targets with the measurable linked to them (linkItems), or else an attached measurable with exactly the same name (e.g. 'Revenue'). Formula measurables use their evaluated values. Defaults to all goals on the leadership V/TO. Perfect for queries like 'Are we on track for our 3-year revenue target?' or 'Which of our 1-year goal measurables are behind?'.",
+    readOnly: true,
+    annotations: {
+      title: "Get Goal KPI Report",
+      readOnlyHint: true,
       destructiveHint: false,
       idempotentHint: true,
       openWorldHint: false,
     },
-    handler: async ({ coreValueDetailId, name, desc, position, cascadeAll }) =>
-      await updateVTOCoreValueDetail({
-        coreValueDetailId,
-        name,
-        desc,
-        position,
-        cascadeAll,
-      }),
+    handler: async ({ goalId, visionId }) =>
+      await getGoalKpiReport({ goalId, visionId }),
     schema: {
-      coreValueDetailId: z.string().describe("Detail ID"),
-      name: z.string().optional().describe("Detail name"),
-      desc: z.string().optional().describe("Detail description"),
-      position: z.number().int().optional().describe("Position for sorting"),
-      cascadeAll: z.boolean().optional().describe("Cascade to all teams"),
+      goalId: z.string().optional().describe("Report on this goal only"),
+      visionId: z
+        .string()
+        .optional()
+        .describe("Vision ID (defaults to the leadership vision)"),
     },
-    required: ["coreValueDetailId"],
+    required: [],
   },
   {
-    name: "updateVTOCoreFocus",
-    description: "Update VTO Core Focus name, description, or cascade settings",
+    name: "attachMeasurableToGoal",
+    description:
+      "Attach a scorecard measurable to a V/TO goal (3-year picture, 1-year plan) with the value it should reach. If the measurable is already attached, its target is updated. Use getLeadershipVTO or executeGraphQL (visionThreeYearGoals) to find goal IDs and getScorecardMeasurables to find measurable IDs.",
     readOnly: false,
     annotations: {
-      title: "Update VTO Core Focus",
+      title: "Attach Measurable to Goal",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ goalId, dataFieldId, targetValue }) =>
+      await attachMeasurableToGoal({ goalId, dataFieldId, targetValue }),
+    schema: {
+      goalId: z.string().describe("Three-year goal ID (required)"),
+      dataFieldId: z.string().describe("Scorecard measurable ID (required)"),
+      targetValue: z
+        .string()
+        .optional()
+        .describe("Value the measurable should reach by the goal date"),
+    },
+    required: ["goalId", "dataFieldId"],
+  },
+  {
+    name: "detachMeasurableFromGoal",
+    description:
+      "Detach a scorecard measurable from a V/TO goal. The measurable itself is not changed.",
+    readOnly: false,
+    annotations: {
+      title: "Detach Measurable from Goal",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ goalId, dataFieldId }) =>
+      await detachMeasurableFromGoal({ goalId, dataFieldId }),
+    schema: {
+      goalId: z.string().describe("Three-year goal ID (required)"),
+      dataFieldId: z.string().describe("Scorecard measurable ID (required)"),
+    },
+    required: ["goalId", "dataFieldId"],
+  },
+  {
+    name: "setGoalFinancialTarget",
+    description:
+      "Set, change or remove a revenue/profit target on a V/TO goal (e.g. Revenue: 10M, Profit: 15%). Targets are matched by entity, so setting 'Revenue' again updates the existing target. Set remove=true to remove it.",
+    readOnly: false,
+    annotations: {
+      title: "Set Goal Financial Target",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ goalId, entity, value, type, desc, remove }) =>
+      await setGoalFinancialTarget({
+        goalId,
+        entity,
+        value,
+        type,
+        desc,
+        remove,
+      }),
+    schema: {
+      goalId: z.string().describe("Three-year goal ID (required)"),
+      entity: z
+        .string()
+        .describe(
+          "What the target is for, e.g. 'Revenue' or 'Profit' (required)"
+        ),
+      value: z
+        .string()
+        .optional()
+        .describe(
+          "Target value, e.g. '10M' or '15%' (required unless remove is true)"
+        ),
+      type: z
+        .string()
+        .optional()
+        .describe(
+          "How the value is expressed, e.g. 'currency' or 'percentage' (default: currency)"
+        ),
+      desc: z.string().optional().describe("Optional description"),
+      remove: z
+        .boolean()
+        .optional()
+        .describe("If true, remove the target instead of setting it"),
+    },
+    required: ["goalId", "entity"],
+  },
+  {
+    name: "getVTOIssues",
+    description:
+      "List the long-term issues on the V/TO (the V/TO issues list), with the team issues linked to each one. Defaults to the leadership V/TO. Perfect for queries like 'What's on our V/TO issues list?'. For a team's regular issues list, use getIssues.",
+    readOnly: true,
+    annotations: {
+      title: "Get V/TO Issues",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ visionId, teamId, includeLinkedIssues }) =>
+      await getVTOIssues({ visionId, teamId, includeLinkedIssues }),
+    schema: {
+      visionId: z
+        .string()
+        .optional()
+        .describe("Vision ID (defaults to the leadership vision)"),
+      teamId: z
+        .string()
+        .optional()
+        .describe("Use this team's vision instead of the leadership vision"),
+      includeLinkedIssues: z
+        .boolean()
+        .optional()
+        .default(true)
+        .describe("Include the team issues linked to each V/TO issue"),
+    },
+    required: [],
+  },
+  {
+    name: "createVTOIssue",
+    description:
+      "Add an issue to the V/TO issues list. Defaults to the leadership V/TO. To move an existing team issue onto the V/TO, use promoteIssueToVTO instead.",
+    readOnly: false,
+    annotations: {
+      title: "Create V/TO Issue",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ name, visionId, teamId, cascadeAll }) =>
+      await createVTOIssue({ name, visionId, teamId, cascadeAll }),
+    schema: {
+      name: z.string().describe("Issue text (required)"),
+      visionId: z
+        .string()
+        .optional()
+        .describe("Vision ID (defaults to the leadership vision)"),
+      teamId: z
+        .string()
+        .optional()
+        .describe("Use this team's vision instead of the leadership vision"),
+      cascadeAll: z
+        .boolean()
+        .optional()
+        .describe("Show the issue on every team's V/TO (default: false)"),
+    },
+    required: ["name"],
+  },
+  {
+    name: "updateVTOIssue",
+    description:
+      "Update an issue on the V/TO issues list. Use getVTOIssues first to find the ID.",
+    readOnly: false,
+    annotations: {
+      title: "Update V/TO Issue",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ vtoIssueId, name, cascadeAll }) =>
+      await updateVTOIssue({ vtoIssueId, name, cascadeAll }),
+    schema: {
+      vtoIssueId: z.string().describe("V/TO issue ID (required)"),
+      name: z.string().optional().describe("New issue text"),
+      cascadeAll: z
+        .boolean()
+        .optional()
+        .describe("Show the issue on every team's V/TO"),
+    },
+    required: ["vtoIssueId"],
+  },
+  {
+    name: "deleteVTOIssue",
+    description:
+      "Remove an issue from the V/TO issues list. This operation performs a soft delete. Use getVTOIssues first to find the ID.",
+    readOnly: false,
+    annotations: {
+      title: "Delete V/TO Issue",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ vtoIssueId }) => await deleteVTOIssue({ vtoIssueId }),
+    schema: {
+      vtoIssueId: z.string().describe("V/TO issue ID (required)"),
+    },
+    required: ["vtoIssueId"],
+  },
+  {
+    name: "promoteIssueToVTO",
+    description:
+      "Move a team issue onto the V/TO issues list, e.g. when it is too big to solve this quarter. The V/TO issue is linked to the original issue, and the original is removed from the team's issues list unless keepIssue=true. Goes to the V/TO of the issue's team unless visionId is given.",
+    readOnly: false,
+    annotations: {
+      title: "Promote Issue to V/TO",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ issueId, visionId, cascadeAll, keepIssue }) =>
+      await promoteIssueToVTO({ issueId, visionId, cascadeAll, keepIssue }),
+    schema: {
+      issueId: z.string().describe("Issue ID (required)"),
+      visionId: z
+        .string()
+        .optional()
+        .describe("Vision to add the issue to (defaults to the issue's team)"),
+      cascadeAll: z
+        .boolean()
+        .optional()
+        .describe("Show the issue on every team's V/TO (default: false)"),
+      keepIssue: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, keep the original issue on the team's issues list (default: false)"
+        ),
+    },
+    required: ["issueId"],
+  },
+  {
+    name: "demoteVTOIssue",
+    description:
+      "Move a V/TO issue down to a team's short-term issues list so it can be solved in a Level 10 meeting. The new issue is linked to the V/TO issue, which is removed from the V/TO unless keepVTOIssue=true.",
+    readOnly: false,
+    annotations: {
+      title: "Demote V/TO Issue",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ vtoIssueId, teamId, userId, priority, keepVTOIssue }) =>
+      await demoteVTOIssue({
+        vtoIssueId,
+        teamId,
+        userId,
+        priority,
+        keepVTOIssue,
+      }),
+    schema: {
+      vtoIssueId: z.string().describe("V/TO issue ID (required)"),
+      teamId: z
+        .string()
+        .optional()
+        .describe("Team to add the issue to (defaults to the V/TO's team)"),
+      userId: z.string().optional().describe("Issue owner"),
+      priority: z
+        .enum(["High", "Medium", "Low", "No priority"])
+        .optional()
+        .describe("Issue priority (defaults to 'No priority')"),
+      keepVTOIssue: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, keep the issue on the V/TO as well (default: false)"
+        ),
+    },
+    required: ["vtoIssueId"],
+  },
+  // ============================================================================
+  // V/TO TOOLS - TEMPORARILY DISABLED
+  // ============================================================================
+  // These specialized V/TO tools have been disabled in favor of the new
+  // executeGraphQL() tool which provides more flexibility and power for V/TO
+  // operations. The direct GraphQL access allows AI assistants to perform any
+  // V/TO operation with full control over fields and relationships.
+  //
+  // To re-enable these tools:
+  // 1. Uncomment the tools below (lines 1309-1645)
+  // 2. Restart the MCP server
+  //
+  // NOTE: The code is preserved below for easy re-enablement if needed.
+  // ============================================================================
+  /*
+  {
+    name: "getLeadershipVTO",
+    description:
+      "Get the complete leadership Vision/Traction Organizer in one call. Fetches all VTO components (core values, core focus, goals, market strategies) in parallel for maximum efficiency.",
+    readOnly: true,
+    annotations: {
+      title: "Get Leadership VTO",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async () => await getLeadershipVTO({}),
+    schema: {},
+    required: [],
+  },
+  {
+    name: "updateVTOCoreValue",
+    description: "Update VTO Core Value name or cascade settings",
+    readOnly: false,
+    annotations: {
+      title: "Update VTO Core Value",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ coreValueId, name, cascadeAll }) =>
+      await updateVTOCoreValue({ coreValueId, name, cascadeAll }),
+    schema: {
+      coreValueId: z.string().describe("Core Value ID"),
+      name: z.string().optional().describe("Value name"),
+      cascadeAll: z.boolean().optional().describe("Cascade to all teams"),
+    },
+    required: ["coreValueId"],
+  },
+  {
+    name: "updateVTOCoreValueDetail",
+    description:
+      "Update VTO Core Value Detail name, description, position, or cascade settings",
+    readOnly: false,
+    annotations: {
+      title: "Update VTO Core Value Detail",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ coreValueDetailId, name, desc, position, cascadeAll }) =>
+      await updateVTOCoreValueDetail({
+        coreValueDetailId,
+        name,
+        desc,
+        position,
+        cascadeAll,
+      }),
+    schema: {
+      coreValueDetailId: z.string().describe("Detail ID"),
+      name: z.string().optional().describe("Detail name"),
+      desc: z.string().optional().describe("Detail description"),
+      position: z.number().int().optional().describe("Position for sorting"),
+      cascadeAll: z.boolean().optional().describe("Cascade to all teams"),
+    },
+    required: ["coreValueDetailId"],
+  },
+  {
+    name: "updateVTOCoreFocus",
+    description: "Update VTO Core Focus name, description, or cascade settings",
+    readOnly: false,
+    annotations: {
+      title: "Update VTO Core Focus",
       readOnlyHint: false,
       destructiveHint: false,
       idempotentHint: true,
@@ -1760,7 +2444,7 @@ export const toolDefinitions = [
   {
     name: "getAccountabilityChart",
     description:
-      "Get the complete accountability chart (organizational structure) for the company. Fetches all users, their roles, teams, and reporting relationships to answer questions like 'Who reports to the Integrator?' or 'What is the organizational structure?'. This tool provides a comprehensive view of the company's organizational hierarchy including key EOS roles like Integrator and Visionary.",
+      "Get the complete accountability chart (organizational structure) for the company. Fetches all users, their roles, teams, and reporting relationships to answer questions like 'Who reports to the Integrator?' or 'What is the organizational structure?'. This tool provides a comprehensive view of the company's organizational hierarchy including key EOS roles like Integrator and Visionary. Pass proposedChanges to simulate a reorg without saving it: the chart is returned as it would look after the changes, with warnings for people holding too many seats, seats with no holder, and seat roles that overlap rocks owned by someone else.",
     readOnly: true,
     annotations: {
       title: "Get Accountability Chart",
@@ -1769,19 +2453,246 @@ export const toolDefinitions = [
       idempotentHint: true,
       openWorldHint: false,
     },
-    handler: async ({ teamId }) => await getAccountabilityChart({ teamId }),
+    handler: async ({ teamId, proposedChanges }) =>
+      await getAccountabilityChart({ teamId, proposedChanges }),
     schema: {
       teamId: z
         .string()
         .optional()
         .describe("Optional team filter to focus on specific team"),
-    },
-    required: [],
-  },
+      proposedChanges: z
+        .string()
+        .optional()
+        .describe(
+          'JSON array of what-if changes, applied in order and not saved: {"action":"reassignHolder","seatId","userId","fromUserId"?}, {"action":"moveSeat","seatId","newParentSeatId"}, {"action":"splitSeat","seatId","newSeatName","roleIds"?,"holderIds"?}'
+        ),
+    },
+    required: [],
+  },
+  {
+    name: "createSeat",
+    description:
+      "Add a seat to the accountability chart under an existing seat. Optionally put people in it and give it its roles in the same call. Seat IDs are shown in getAccountabilityChart. Warns when a seat has more than the five roles EOS recommends.",
+    readOnly: false,
+    annotations: {
+      title: "Create Seat",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ name, parentSeatId, holderIds, roles, isAssistant }) =>
+      await createSeat({ name, parentSeatId, holderIds, roles, isAssistant }),
+    schema: {
+      name: z.string().describe("Seat name (e.g. 'Sales', 'Integrator')"),
+      parentSeatId: z.string().describe("ID of the seat this seat reports to"),
+      holderIds: z
+        .string()
+        .optional()
+        .describe("Comma-separated user IDs of the people in the seat"),
+      roles: z
+        .string()
+        .optional()
+        .describe("Roles of the seat, separated by ';' or new lines"),
+      isAssistant: z
+        .boolean()
+        .optional()
+        .describe("Show the seat as an assistant seat (default: false)"),
+    },
+    required: ["name", "parentSeatId"],
+  },
+  {
+    name: "updateSeat",
+    description:
+      "Rename a seat in the accountability chart or change whether it is an assistant seat. Use moveSeat to change who it reports to and assignSeatHolder/removeSeatHolder to change who is in it.",
+    readOnly: false,
+    annotations: {
+      title: "Update Seat",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ seatId, name, isAssistant }) =>
+      await updateSeat({ seatId, name, isAssistant }),
+    schema: {
+      seatId: z.string().describe("Seat ID"),
+      name: z.string().optional().describe("New seat name"),
+      isAssistant: z
+        .boolean()
+        .optional()
+        .describe("Show the seat as an assistant seat"),
+    },
+    required: ["seatId"],
+  },
+  {
+    name: "moveSeat",
+    description:
+      "Move a seat, with every seat under it, to report to another seat, or reorder it among its siblings. Refuses moves that would make a seat report to one of its own reports.",
+    readOnly: false,
+    annotations: {
+      title: "Move Seat",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ seatId, newParentSeatId, order }) =>
+      await moveSeat({ seatId, newParentSeatId, order }),
+    schema: {
+      seatId: z.string().describe("Seat to move"),
+      newParentSeatId: z
+        .string()
+        .optional()
+        .describe("Seat it should report to (default: its current parent)"),
+      order: z
+        .number()
+        .int()
+        .optional()
+        .describe("Position among its siblings, 1 = first (default: last)"),
+    },
+    required: ["seatId"],
+  },
+  {
+    name: "deleteSeat",
+    description:
+      "Delete a seat and its roles from the accountability chart. If other seats report to it, moveChildrenTo is required and those seats are moved under that seat.",
+    readOnly: false,
+    annotations: {
+      title: "Delete Seat",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ seatId, moveChildrenTo }) =>
+      await deleteSeat({ seatId, moveChildrenTo }),
+    schema: {
+      seatId: z.string().describe("Seat ID"),
+      moveChildrenTo: z
+        .string()
+        .optional()
+        .describe("Seat that the deleted seat's reports should move under"),
+    },
+    required: ["seatId"],
+  },
+  {
+    name: "createSeatRole",
+    description:
+      "Add a role (responsibility) to a seat in the accountability chart. Warns when the seat goes over the five roles EOS recommends.",
+    readOnly: false,
+    annotations: {
+      title: "Create Seat Role",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ seatId, name, description, order }) =>
+      await createSeatRole({ seatId, name, description, order }),
+    schema: {
+      seatId: z.string().describe("Seat ID"),
+      name: z.string().describe("Role (e.g. 'LMA', 'Sales & Marketing')"),
+      description: z.string().optional().describe("Role description"),
+      order: z
+        .number()
+        .int()
+        .optional()
+        .describe("Position among the seat's roles, 1 = first (default: last)"),
+    },
+    required: ["seatId", "name"],
+  },
+  {
+    name: "updateSeatRole",
+    description:
+      "Rename, describe or reorder a role of a seat in the accountability chart. Role IDs are shown in getAccountabilityChart.",
+    readOnly: false,
+    annotations: {
+      title: "Update Seat Role",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ roleId, name, description, order }) =>
+      await updateSeatRole({ roleId, name, description, order }),
+    schema: {
+      roleId: z.string().describe("Role ID"),
+      name: z.string().optional().describe("New role name"),
+      description: z.string().optional().describe("New role description"),
+      order: z
+        .number()
+        .int()
+        .optional()
+        .describe("New position among the seat's roles, 1 = first"),
+    },
+    required: ["roleId"],
+  },
+  {
+    name: "deleteSeatRole",
+    description: "Remove a role from its seat in the accountability chart.",
+    readOnly: false,
+    annotations: {
+      title: "Delete Seat Role",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ roleId }) => await deleteSeatRole({ roleId }),
+    schema: {
+      roleId: z.string().describe("Role ID"),
+    },
+    required: ["roleId"],
+  },
+  {
+    name: "assignSeatHolder",
+    description:
+      "Put a person in a seat of the accountability chart. By default they are added next to the current holders; set replace=true to make them the only holder.",
+    readOnly: false,
+    annotations: {
+      title: "Assign Seat Holder",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ seatId, userId, replace }) =>
+      await assignSeatHolder({ seatId, userId, replace }),
+    schema: {
+      seatId: z.string().describe("Seat ID"),
+      userId: z.string().describe("User to put in the seat"),
+      replace: z
+        .boolean()
+        .optional()
+        .describe("Replace the current holders (default: false)"),
+    },
+    required: ["seatId", "userId"],
+  },
+  {
+    name: "removeSeatHolder",
+    description:
+      "Take a person out of a seat of the accountability chart. The seat itself is kept, even when it becomes empty.",
+    readOnly: false,
+    annotations: {
+      title: "Remove Seat Holder",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ seatId, userId }) =>
+      await removeSeatHolder({ seatId, userId }),
+    schema: {
+      seatId: z.string().describe("Seat ID"),
+      userId: z.string().describe("User to remove from the seat"),
+    },
+    required: ["seatId", "userId"],
+  },
   {
     name: "getMeetingDetails",
     description:
-      "Get comprehensive meeting details including all related items (headlines, todos, issues, ratings) for a specific meeting. Can fetch by specific meetingId OR use lastFinishedL10=true to automatically get the most recent FINISHED L10 meeting for a team. Only returns meetings with status 'FINISHED' when using lastFinishedL10. Returns the meeting with its associated headlines, todos, and issues in a single call. Perfect for queries like 'Show me the last L10 meeting for the leadership team' or 'What happened in our most recent Level 10 meeting?'",
+      "Get comprehensive meeting details including all related items (headlines, todos, issues, ratings) for a specific meeting. Can fetch by specific meetingId OR use lastFinishedL10=true to automatically get the most recent FINISHED L10 meeting for a team. Only returns meetings with status 'FINISHED' when using lastFinishedL10. Returns the meeting with its associated headlines, todos, and issues (including files attached to the todos and issues) in a single call. Perfect for queries like 'Show me the last L10 meeting for the leadership team' or 'What happened in our most recent Level 10 meeting?'",
     readOnly: true,
     annotations: {
       title: "Get Meeting Details",
@@ -1826,6 +2737,85 @@ export const toolDefinitions = [
     },
     required: [],
   },
+  {
+    name: "getMeetingAnalytics",
+    description:
+      "Analyze meeting quality across finished meetings: average meeting rating per team over time (by week, month, or quarter), attendance and absence rates per person, and which agenda sections regularly run over their planned duration. Use leadershipTeam=true for the leadership team, or meetingAgendaType='WEEKLY-L10' to only include Level 10 meetings. Perfect for queries like 'How have our L10 ratings trended this year?', 'Who misses the most meetings?', or 'Which parts of our meeting always run long?'.",
+    readOnly: true,
+    annotations: {
+      title: "Get Meeting Analytics",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      teamId,
+      leadershipTeam,
+      meetingAgendaType,
+      dateAfter,
+      dateBefore,
+      groupBy,
+      overrunThreshold,
+      minOccurrences,
+    }) =>
+      await getMeetingAnalytics({
+        teamId,
+        leadershipTeam,
+        meetingAgendaType,
+        dateAfter,
+        dateBefore,
+        groupBy,
+        overrunThreshold,
+        minOccurrences,
+      }),
+    schema: {
+      teamId: z
+        .string()
+        .optional()
+        .describe("Only analyze this team's meetings (defaults to all teams)"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, only analyze the leadership team's meetings. Use this shortcut instead of calling getTeams first."
+        ),
+      meetingAgendaType: z
+        .string()
+        .optional()
+        .describe(
+          "Only include meetings with this agenda type (e.g. 'WEEKLY-L10')"
+        ),
+      dateAfter: z
+        .string()
+        .optional()
+        .describe(
+          "Meetings on or after this date (ISO format, defaults to 6 months ago)"
+        ),
+      dateBefore: z
+        .string()
+        .optional()
+        .describe("Meetings on or before this date (ISO format)"),
+      groupBy: z
+        .enum(["week", "month", "quarter"])
+        .optional()
+        .describe("Period for the rating trend (defaults to 'month')"),
+      overrunThreshold: z
+        .number()
+        .optional()
+        .describe(
+          "Percent over the planned duration before a section counts as running over (defaults to 10)"
+        ),
+      minOccurrences: z
+        .number()
+        .int()
+        .optional()
+        .describe(
+          "Minimum number of times a section must have run to be flagged as regularly running over (defaults to 3)"
+        ),
+    },
+    required: [],
+  },
   {
     name: "getOrgCheckups",
     description:
@@ -1889,81 +2879,904 @@ export const toolDefinitions = [
     required: [],
   },
   {
-    name: "createIssue",
+    name: "startOrgCheckup",
     description:
-      "Create a new issue in Success.co. Use leadershipTeam=true to automatically assign to the leadership team. Use currentUser=true to assign to the authenticated user. Perfect for queries like 'Add a new issue for customer churn increase to the leadership team'. Either teamId or leadershipTeam is REQUIRED.",
+      "Start a new EOS Organizational Checkup and return its 20 statements. Only one checkup can be in progress at a time. With allowTeamScoring, everyone can answer and the scores are averaged when the checkup is finalized.",
     readOnly: false,
     annotations: {
-      title: "Create Issue",
+      title: "Start Organization Checkup",
       readOnlyHint: false,
       destructiveHint: false,
       idempotentHint: false,
       openWorldHint: false,
     },
-    handler: async ({
-      name,
-      desc,
-      teamId,
-      leadershipTeam,
-      userId,
-      currentUser,
-      priority,
-      type,
-    }) => {
-      // Validate that both userId and currentUser are not provided
-      if (userId && currentUser) {
-        throw new Error(
-          "Cannot provide both userId and currentUser. Use one or the other."
-        );
-      }
-
-      // Resolve currentUser to userId
-      const auth = getAuthContext();
-      let effectiveUserId = userId;
-      if (currentUser) {
-        if (!auth || auth.isApiKeyMode) {
-          throw new Error(
-            "currentUser=true requires OAuth authentication (not available in API key mode)"
-          );
-        }
-        effectiveUserId = auth.userId;
-      }
-
-      // Auto-inject userId if not provided
-      if (!effectiveUserId) {
-        effectiveUserId = auth && !auth.isApiKeyMode ? auth.userId : undefined;
-      }
-
-      return await createIssue({
-        name,
-        desc,
-        teamId,
-        leadershipTeam,
-        userId: effectiveUserId,
-        priority,
-        type,
-      });
-    },
+    handler: async ({ allowTeamScoring }) =>
+      await startOrgCheckup({ allowTeamScoring }),
     schema: {
-      name: z.string().describe("Issue name/title (required)"),
-      desc: z
-        .string()
-        .optional()
-        .describe("Issue description or additional details"),
-      teamId: z
-        .string()
-        .optional()
-        .describe(
-          "Team ID to assign the issue to (either this or leadershipTeam is required)"
-        ),
-      leadershipTeam: z
+      allowTeamScoring: z
         .boolean()
         .optional()
         .describe(
-          "If true, automatically assign to the leadership team (shortcut instead of calling getTeams first)"
+          "Let the whole team answer (default: false, only the person starting it answers)"
         ),
-      userId: z
-        .string()
+    },
+    required: [],
+  },
+  {
+    name: "answerOrgCheckup",
+    description:
+      "Record the current user's 1-5 scores for Organizational Checkup statements by question number (1-20). Answering a question again changes the score. Returns the statements still unanswered.",
+    readOnly: false,
+    annotations: {
+      title: "Answer Organization Checkup",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ checkupId, answers }) =>
+      await answerOrgCheckup({ checkupId, answers }),
+    schema: {
+      checkupId: z
+        .string()
+        .optional()
+        .describe("Checkup ID (defaults to the checkup in progress)"),
+      answers: z
+        .string()
+        .describe(
+          "Comma-separated 'question:score' pairs, e.g. '1:4, 2:5, 3:3' (scores 1-5)"
+        ),
+    },
+    required: ["answers"],
+  },
+  {
+    name: "finalizeOrgCheckup",
+    description:
+      "Finalize the Organizational Checkup in progress once all 20 statements are answered. Each statement gets the rounded average of everyone's scores. Only the person who started the checkup or a manager can finalize it, and re-running after a failure is safe. Returns the total score, the score per EOS component (Vision, People, Data, Issues, Process, Traction) and the change since the previous checkup.",
+    readOnly: false,
+    annotations: {
+      title: "Finalize Organization Checkup",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ checkupId }) => await finalizeOrgCheckup({ checkupId }),
+    schema: {
+      checkupId: z
+        .string()
+        .optional()
+        .describe("Checkup ID (defaults to the checkup in progress)"),
+    },
+    required: [],
+  },
+  {
+    name: "getOrgCheckupScores",
+    description:
+      "Get the EOS score of an Organizational Checkup per component (Vision, People, Data, Issues, Process, Traction), its lowest-scoring statements, and a comparison with the previous finished checkup. Perfect for 'Which EOS component is weakest?' or 'How much did our checkup score improve?'. Checkups still in progress are scored from the answers so far.",
+    readOnly: true,
+    annotations: {
+      title: "Get Organization Checkup Scores",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ checkupId }) => await getOrgCheckupScores({ checkupId }),
+    schema: {
+      checkupId: z
+        .string()
+        .optional()
+        .describe("Checkup ID (defaults to the most recent checkup)"),
+    },
+    required: [],
+  },
+  {
+    name: "getPeopleAnalyzer",
+    description:
+      "Get People Analyzer sessions with each person's GWC (Gets it, Wants it, Capacity to do it) answers and core value ratings (+, +/-, -). Core value IDs are resolved against the leadership V/TO core values, and each person is evaluated against the session's bar. Perfect for queries like 'Who is below the bar on our core values?', 'Who is missing GWC?', or 'Show me the latest People Analyzer results'. Use belowBarOnly=true to only return people below the bar or missing GWC.",
+    readOnly: true,
+    annotations: {
+      title: "Get People Analyzer",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      first,
+      offset,
+      stateId,
+      sessionId,
+      userId,
+      belowBarOnly,
+    }) =>
+      await getPeopleAnalyzer({
+        first,
+        offset,
+        stateId,
+        sessionId,
+        userId,
+        belowBarOnly,
+      }),
+    schema: {
+      first: z
+        .number()
+        .int()
+        .optional()
+        .default(10)
+        .describe("Optional page size (defaults to 10 most recent sessions)"),
+      offset: z.number().int().optional().describe("Optional offset"),
+      stateId: z
+        .string()
+        .optional()
+        .default("ACTIVE")
+        .describe("Optional state filter (ACTIVE, DELETED) - defaults to ACTIVE"),
+      sessionId: z
+        .string()
+        .optional()
+        .describe("Filter by specific People Analyzer session ID"),
+      userId: z
+        .string()
+        .optional()
+        .describe("Only include this person's results in each session"),
+      belowBarOnly: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe(
+          "If true, only return people who are below the bar on core values or missing any of G, W or C"
+        ),
+    },
+    required: [],
+  },
+  {
+    name: "createPeopleAnalyzerSession",
+    description:
+      "Create a new People Analyzer session. The session automatically uses the core values from the leadership V/TO. Optionally add people to the session and set the bar (minimum number of '+' ratings and maximum number of '+/-' ratings).",
+    readOnly: false,
+    annotations: {
+      title: "Create People Analyzer Session",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ name, userIds, barPlus, barPlusMinus, statusId }) =>
+      await createPeopleAnalyzerSession({
+        name,
+        userIds,
+        barPlus,
+        barPlusMinus,
+        statusId,
+      }),
+    schema: {
+      name: z.string().describe("Session name (e.g., 'Q3 2025 Leadership')"),
+      userIds: z
+        .string()
+        .optional()
+        .describe("Comma-separated user IDs of the people to analyze"),
+      barPlus: z
+        .number()
+        .int()
+        .optional()
+        .describe(
+          "The bar: minimum number of '+' core value ratings to be above the bar"
+        ),
+      barPlusMinus: z
+        .number()
+        .int()
+        .optional()
+        .describe(
+          "The bar: maximum number of '+/-' core value ratings to be above the bar"
+        ),
+      statusId: z
+        .string()
+        .optional()
+        .describe(
+          "Optional session status ID (defaults to the first configured status)"
+        ),
+    },
+    required: ["name"],
+  },
+  {
+    name: "updatePeopleAnalyzerSession",
+    description:
+      "Update a People Analyzer session's name, bar thresholds, or status.",
+    readOnly: false,
+    annotations: {
+      title: "Update People Analyzer Session",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ sessionId, name, barPlus, barPlusMinus, statusId }) =>
+      await updatePeopleAnalyzerSession({
+        sessionId,
+        name,
+        barPlus,
+        barPlusMinus,
+        statusId,
+      }),
+    schema: {
+      sessionId: z.string().describe("People Analyzer session ID"),
+      name: z.string().optional().describe("New session name"),
+      barPlus: z
+        .number()
+        .int()
+        .optional()
+        .describe("Minimum number of '+' ratings to be above the bar"),
+      barPlusMinus: z
+        .number()
+        .int()
+        .optional()
+        .describe("Maximum number of '+/-' ratings to be above the bar"),
+      statusId: z.string().optional().describe("New session status ID"),
+    },
+    required: ["sessionId"],
+  },
+  {
+    name: "updatePeopleAnalyzerScores",
+    description:
+      "Record GWC answers and core value ratings for one person in a People Analyzer session. Core values can be referenced by ID or by name (as shown on the leadership V/TO). Ratings are '+', '+/-' or '-'. Adds the person to the session if needed and recalculates whether they are above the bar.",
+    readOnly: false,
+    annotations: {
+      title: "Update People Analyzer Scores",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      sessionId,
+      userId,
+      getsIt,
+      wantsIt,
+      capacity,
+      scores,
+    }) =>
+      await updatePeopleAnalyzerScores({
+        sessionId,
+        userId,
+        getsIt,
+        wantsIt,
+        capacity,
+        scores,
+      }),
+    schema: {
+      sessionId: z.string().describe("People Analyzer session ID"),
+      userId: z.string().describe("User ID of the person being rated"),
+      getsIt: z.boolean().optional().describe("G - Gets it"),
+      wantsIt: z.boolean().optional().describe("W - Wants it"),
+      capacity: z.boolean().optional().describe("C - Capacity to do it"),
+      scores: z
+        .array(
+          z.object({
+            coreValue: z
+              .string()
+              .describe("Core value ID or name from the leadership V/TO"),
+            rating: z
+              .enum(["+", "+/-", "-"])
+              .describe("Rating for this core value"),
+          })
+        )
+        .optional()
+        .describe("Core value ratings for this person"),
+    },
+    required: ["sessionId", "userId"],
+  },
+  {
+    name: "getSwotItems",
+    description:
+      "Get SWOT analysis items (Strengths, Weaknesses, Opportunities, Threats) for a team, grouped by category in display order. Use leadershipTeam=true for the leadership team's SWOT. Perfect for queries like 'Show me our SWOT analysis', 'What threats did we list for this quarter?', or 'List the leadership team's weaknesses'.",
+    readOnly: true,
+    annotations: {
+      title: "Get SWOT Items",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ teamId, leadershipTeam, category, keyword, stateId }) =>
+      await getSwotItems({ teamId, leadershipTeam, category, keyword, stateId }),
+    schema: {
+      teamId: z.string().optional().describe("Filter by team ID"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, automatically use the leadership team. Use this shortcut instead of calling getTeams first."
+        ),
+      category: z
+        .enum(["Strength", "Weakness", "Opportunity", "Threat"])
+        .optional()
+        .describe("Only return items in this category"),
+      keyword: z
+        .string()
+        .optional()
+        .describe("Search for SWOT items containing this keyword"),
+      stateId: z
+        .string()
+        .optional()
+        .default("ACTIVE")
+        .describe("Optional state filter (ACTIVE, DELETED) - defaults to ACTIVE"),
+    },
+    required: [],
+  },
+  {
+    name: "createSwotItem",
+    description:
+      "Add an item to a team's SWOT analysis. IMPORTANT: SWOT items MUST be assigned to a team - either provide 'teamId' or set 'leadershipTeam=true'. New items are added to the end of their category. Perfect for queries like 'Add \"key customer concentration\" as a threat for the leadership team'.",
+    readOnly: false,
+    annotations: {
+      title: "Create SWOT Item",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ name, category, teamId, leadershipTeam }) =>
+      await createSwotItem({ name, category, teamId, leadershipTeam }),
+    schema: {
+      name: z.string().describe("SWOT item text (required)"),
+      category: z
+        .enum(["Strength", "Weakness", "Opportunity", "Threat"])
+        .describe("SWOT category (required)"),
+      teamId: z
+        .string()
+        .optional()
+        .describe(
+          "Team ID to add the item to (REQUIRED unless leadershipTeam is true)"
+        ),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, add the item to the leadership team's SWOT (REQUIRED unless teamId is provided)"
+        ),
+    },
+    required: ["name", "category"],
+  },
+  {
+    name: "updateSwotItem",
+    description:
+      "Update a SWOT item's text or move it to another category (it is placed at the end of the new category). Use getSwotItems first to find the item ID.",
+    readOnly: false,
+    annotations: {
+      title: "Update SWOT Item",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ swotItemId, name, category }) =>
+      await updateSwotItem({ swotItemId, name, category }),
+    schema: {
+      swotItemId: z
+        .string()
+        .describe("SWOT item ID (required). Use getSwotItems to find the ID."),
+      name: z.string().optional().describe("Update the SWOT item text"),
+      category: z
+        .enum(["Strength", "Weakness", "Opportunity", "Threat"])
+        .optional()
+        .describe("Move the item to this category"),
+    },
+    required: ["swotItemId"],
+  },
+  {
+    name: "reorderSwotItems",
+    description:
+      "Reorder the items within one SWOT category for a team. Items listed in swotItemIds are placed first, in the given order; any items not listed keep their relative order after them. Perfect for queries like 'Move the pricing threat to the top of our threats list'.",
+    readOnly: false,
+    annotations: {
+      title: "Reorder SWOT Items",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ category, swotItemIds, teamId, leadershipTeam }) =>
+      await reorderSwotItems({ category, swotItemIds, teamId, leadershipTeam }),
+    schema: {
+      category: z
+        .enum(["Strength", "Weakness", "Opportunity", "Threat"])
+        .describe("SWOT category to reorder (required)"),
+      swotItemIds: z
+        .string()
+        .describe(
+          "Comma-separated SWOT item IDs in the desired order (required)"
+        ),
+      teamId: z
+        .string()
+        .optional()
+        .describe("Team ID (REQUIRED unless leadershipTeam is true)"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, reorder the leadership team's SWOT (REQUIRED unless teamId is provided)"
+        ),
+    },
+    required: ["category", "swotItemIds"],
+  },
+  {
+    name: "deleteSwotItem",
+    description:
+      "Delete a SWOT item. This operation performs a soft delete - the item is removed from normal views but not immediately permanently deleted. Use getSwotItems first to find the item ID.",
+    readOnly: false,
+    annotations: {
+      title: "Delete SWOT Item",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ swotItemId }) => await deleteSwotItem({ swotItemId }),
+    schema: {
+      swotItemId: z
+        .string()
+        .describe("SWOT item ID (required). Use getSwotItems to find the ID."),
+    },
+    required: ["swotItemId"],
+  },
+  {
+    name: "convertSwotItemToIssue",
+    description:
+      "Turn a Weakness or Threat from a team's SWOT analysis into an issue for the same team, so it can be worked through IDS. Strengths and Opportunities cannot be converted. Optionally removes the SWOT item once the issue is created. Perfect for queries like 'Make the key customer concentration threat an issue'.",
+    readOnly: false,
+    annotations: {
+      title: "Convert SWOT Item to Issue",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({
+      swotItemId,
+      name,
+      desc,
+      userId,
+      priority,
+      type,
+      removeSwotItem,
+    }) =>
+      await convertSwotItemToIssue({
+        swotItemId,
+        name,
+        desc,
+        userId,
+        priority,
+        type,
+        removeSwotItem,
+      }),
+    schema: {
+      swotItemId: z
+        .string()
+        .describe(
+          "ID of the Weakness or Threat SWOT item (required). Use getSwotItems to find the ID."
+        ),
+      name: z
+        .string()
+        .optional()
+        .describe("Issue title (defaults to the SWOT item text)"),
+      desc: z
+        .string()
+        .optional()
+        .describe(
+          "Issue description (defaults to a note referencing the SWOT item)"
+        ),
+      userId: z
+        .string()
+        .optional()
+        .describe("User ID to assign the issue to (defaults to current user)"),
+      priority: z
+        .enum(["No priority", "Low", "Medium", "High"])
+        .optional()
+        .describe("Issue priority (defaults to 'No priority')"),
+      type: z
+        .enum(["Short-term", "Long-term"])
+        .optional()
+        .describe("Issue type (defaults to 'Short-term')"),
+      removeSwotItem: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, delete the SWOT item once the issue has been created (defaults to false)"
+        ),
+    },
+    required: ["swotItemId"],
+  },
+  {
+    name: "getMyNotifications",
+    description:
+      "Get the current user's notifications (mentions, assignments, comments, etc.), newest first. Each notification includes who triggered it and the target item (issue, to-do, rock, meeting, headline, or the comment plus the item it was left on), so you can act on it directly. Perfect for queries like 'What did people mention me in this week?', 'Do I have any unread notifications?', or 'What needs my attention?'.",
+    readOnly: true,
+    annotations: {
+      title: "Get My Notifications",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      first,
+      offset,
+      unreadOnly,
+      type,
+      entityTable,
+      createdAfter,
+      createdBefore,
+      includeEntities,
+    }) =>
+      await getMyNotifications({
+        first,
+        offset,
+        unreadOnly,
+        type,
+        entityTable,
+        createdAfter,
+        createdBefore,
+        includeEntities,
+      }),
+    schema: {
+      first: z
+        .number()
+        .int()
+        .optional()
+        .default(25)
+        .describe("Optional page size (defaults to 25)"),
+      offset: z.number().int().optional().describe("Optional offset"),
+      unreadOnly: z
+        .boolean()
+        .optional()
+        .describe("If true, only return unread notifications"),
+      type: z
+        .string()
+        .optional()
+        .describe("Filter by notification type (e.g. 'mention')"),
+      entityTable: z
+        .string()
+        .optional()
+        .describe(
+          "Filter by the kind of item the notification is about (e.g. 'issues', 'todos', 'rocks', 'comments')"
+        ),
+      createdAfter: z
+        .string()
+        .optional()
+        .describe(
+          "Only notifications created after this date (ISO format, e.g. '2024-01-01')"
+        ),
+      createdBefore: z
+        .string()
+        .optional()
+        .describe("Only notifications created before this date (ISO format)"),
+      includeEntities: z
+        .boolean()
+        .optional()
+        .describe(
+          "If false, skip loading the target item of each notification (defaults to true)"
+        ),
+    },
+    required: [],
+  },
+  {
+    name: "markNotificationsRead",
+    description:
+      "Mark the current user's notifications as read, either by ID or all at once. Set isRead=false to mark them unread again. Use getMyNotifications first to find notification IDs. Perfect for queries like 'Clear my notifications' or 'Mark that mention as read'.",
+    readOnly: false,
+    annotations: {
+      title: "Mark Notifications Read",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ notificationIds, all, isRead }) =>
+      await markNotificationsRead({ notificationIds, all, isRead }),
+    schema: {
+      notificationIds: z
+        .string()
+        .optional()
+        .describe("Comma-separated notification IDs to update"),
+      all: z
+        .boolean()
+        .optional()
+        .describe("If true, mark all of the current user's notifications"),
+      isRead: z
+        .boolean()
+        .optional()
+        .describe("Set to false to mark as unread (defaults to true)"),
+    },
+    required: [],
+  },
+  {
+    name: "getRelatedItems",
+    description:
+      "List the items linked to a to-do, issue, rock, headline, milestone, meeting or V/TO issue, in either direction, with their names, statuses and links. Use relatedType to only list one kind of item. Perfect for queries like 'What is this rock blocked by?' or 'Which issue did this to-do come from?'.",
+    readOnly: true,
+    annotations: {
+      title: "Get Related Items",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ itemId, relatedType }) =>
+      await getRelatedItems({ itemId, relatedType }),
+    schema: {
+      itemId: z.string().describe("ID of the item to list links for"),
+      relatedType: z
+        .string()
+        .optional()
+        .describe(
+          "Only return linked items of this type (e.g. 'todos', 'issues', 'rocks', 'headlines', 'milestones', 'meetings', 'vision_issues')"
+        ),
+    },
+    required: ["itemId"],
+  },
+  {
+    name: "linkItems",
+    description:
+      "Link two items of any type, e.g. a to-do to the issue it came from, or an issue to the rock it blocks. Links have no direction and linking an already linked pair does nothing. Perfect for queries like 'Link this to-do to the pricing issue'.",
+    readOnly: false,
+    annotations: {
+      title: "Link Items",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ itemType, itemId, relatedItemType, relatedItemId }) =>
+      await linkItems({ itemType, itemId, relatedItemType, relatedItemId }),
+    schema: {
+      itemType: z
+        .string()
+        .describe(
+          "Type of the first item (e.g. 'todo', 'issue', 'rock', 'headline', 'milestone', 'meeting', 'vision_issue')"
+        ),
+      itemId: z.string().describe("ID of the first item"),
+      relatedItemType: z.string().describe("Type of the second item"),
+      relatedItemId: z.string().describe("ID of the second item"),
+    },
+    required: ["itemType", "itemId", "relatedItemType", "relatedItemId"],
+  },
+  {
+    name: "unlinkItems",
+    description:
+      "Remove the link between two items, either by relationId (from getRelatedItems or fetch) or by the IDs of both items.",
+    readOnly: false,
+    annotations: {
+      title: "Unlink Items",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ relationId, itemId, relatedItemId }) =>
+      await unlinkItems({ relationId, itemId, relatedItemId }),
+    schema: {
+      relationId: z.string().optional().describe("ID of the link to remove"),
+      itemId: z
+        .string()
+        .optional()
+        .describe("ID of one linked item (use with relatedItemId)"),
+      relatedItemId: z
+        .string()
+        .optional()
+        .describe("ID of the other linked item"),
+    },
+    required: [],
+  },
+  {
+    name: "getTags",
+    description:
+      "List the company's tags (e.g. 'customer-escalation', 'Q3-launch') with how many to-dos, issues, rocks, headlines and other items carry each one. Use the tags parameter on getTodos, getIssues, getRocks, getHeadlines or getMilestones to list the tagged items.",
+    readOnly: true,
+    annotations: {
+      title: "Get Tags",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ keyword }) => await getTags({ keyword }),
+    schema: {
+      keyword: z
+        .string()
+        .optional()
+        .describe("Only tags whose name contains this text (case-insensitive)"),
+    },
+    required: [],
+  },
+  {
+    name: "createTag",
+    description:
+      "Create a company-wide tag. Tag names are unique, ignoring case. tagItem creates missing tags on its own, so this is only needed to set up tags ahead of time.",
+    readOnly: false,
+    annotations: {
+      title: "Create Tag",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ name }) => await createTag({ name }),
+    schema: {
+      name: z.string().describe("Tag name, e.g. 'customer-escalation'"),
+    },
+    required: ["name"],
+  },
+  {
+    name: "updateTag",
+    description: "Rename a tag. Items keep the tag under its new name.",
+    readOnly: false,
+    annotations: {
+      title: "Update Tag",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ tagId, name }) => await updateTag({ tagId, name }),
+    schema: {
+      tagId: z.string().describe("Tag ID (from getTags)"),
+      name: z.string().describe("New tag name"),
+    },
+    required: ["tagId", "name"],
+  },
+  {
+    name: "deleteTag",
+    description: "Delete a tag and take it off every item that carries it.",
+    readOnly: false,
+    annotations: {
+      title: "Delete Tag",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ tagId }) => await deleteTag({ tagId }),
+    schema: {
+      tagId: z.string().describe("Tag ID (from getTags)"),
+    },
+    required: ["tagId"],
+  },
+  {
+    name: "tagItem",
+    description:
+      "Put one or more tags on a to-do, issue, rock, headline, milestone, meeting or V/TO issue. Tags that don't exist yet are created unless createMissing=false. Perfect for queries like 'Tag this issue as customer-escalation'.",
+    readOnly: false,
+    annotations: {
+      title: "Tag Item",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ itemType, itemId, tags, createMissing }) =>
+      await tagItem({ itemType, itemId, tags, createMissing }),
+    schema: {
+      itemType: z
+        .string()
+        .describe(
+          "Type of the item (e.g. 'todo', 'issue', 'rock', 'headline', 'milestone')"
+        ),
+      itemId: z.string().describe("ID of the item"),
+      tags: z
+        .string()
+        .describe(
+          "Comma-separated tag names, e.g. 'customer-escalation, Q3-launch'"
+        ),
+      createMissing: z
+        .boolean()
+        .optional()
+        .describe(
+          "If false, fail instead of creating tags that don't exist yet (defaults to true)"
+        ),
+    },
+    required: ["itemType", "itemId", "tags"],
+  },
+  {
+    name: "untagItem",
+    description: "Take one or more tags off an item.",
+    readOnly: false,
+    annotations: {
+      title: "Untag Item",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ itemType, itemId, tags }) =>
+      await untagItem({ itemType, itemId, tags }),
+    schema: {
+      itemType: z
+        .string()
+        .describe(
+          "Type of the item (e.g. 'todo', 'issue', 'rock', 'headline', 'milestone')"
+        ),
+      itemId: z.string().describe("ID of the item"),
+      tags: z.string().describe("Comma-separated tag names to remove"),
+    },
+    required: ["itemType", "itemId", "tags"],
+  },
+  {
+    name: "createIssue",
+    description:
+      "Create a new issue in Success.co. Use leadershipTeam=true to automatically assign to the leadership team. Use currentUser=true to assign to the authenticated user. Perfect for queries like 'Add a new issue for customer churn increase to the leadership team'. Either teamId or leadershipTeam is REQUIRED.",
+    readOnly: false,
+    annotations: {
+      title: "Create Issue",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({
+      name,
+      desc,
+      teamId,
+      leadershipTeam,
+      userId,
+      currentUser,
+      priority,
+      type,
+    }) => {
+      // Validate that both userId and currentUser are not provided
+      if (userId && currentUser) {
+        throw new Error(
+          "Cannot provide both userId and currentUser. Use one or the other."
+        );
+      }
+
+      // Resolve currentUser to userId
+      const auth = getAuthContext();
+      let effectiveUserId = userId;
+      if (currentUser) {
+        if (!auth || auth.isApiKeyMode) {
+          throw new Error(
+            "currentUser=true requires OAuth authentication (not available in API key mode)"
+          );
+        }
+        effectiveUserId = auth.userId;
+      }
+
+      // Auto-inject userId if not provided
+      if (!effectiveUserId) {
+        effectiveUserId = auth && !auth.isApiKeyMode ? auth.userId : undefined;
+      }
+
+      return await createIssue({
+        name,
+        desc,
+        teamId,
+        leadershipTeam,
+        userId: effectiveUserId,
+        priority,
+        type,
+      });
+    },
+    schema: {
+      name: z.string().describe("Issue name/title (required)"),
+      desc: z
+        .string()
+        .optional()
+        .describe("Issue description or additional details"),
+      teamId: z
+        .string()
+        .optional()
+        .describe(
+          "Team ID to assign the issue to (either this or leadershipTeam is required)"
+        ),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, automatically assign to the leadership team (shortcut instead of calling getTeams first)"
+        ),
+      userId: z
+        .string()
         .optional()
         .describe(
           "User ID to assign the issue to (optional - defaults to current user from API key)"
@@ -2055,6 +3868,77 @@ export const toolDefinitions = [
     },
     required: ["name"],
   },
+  {
+    name: "rolloverQuarter",
+    description:
+      "Quarterly rock rollover workflow. Finds unfinished rocks (not COMPLETE) due in the current quarter and decides what happens to each: 'carry_forward' re-creates the rock (with its open milestones) due at the end of next quarter, 'drop' closes it, and 'convert_to_issue' turns it into an issue for the rock's team. Every original rock is marked INCOMPLETE and linked to its copy; rocks with such a link were already rolled over and are skipped. Rocks marked INCOMPLETE by hand default to 'drop'. Runs as a dry run by default - review the plan with the user, then call again with dryRun=false to apply it. Perfect for queries like 'Roll over our unfinished rocks to next quarter' or 'Which leadership rocks should we carry forward?'.",
+    readOnly: false,
+    annotations: {
+      title: "Roll Over Quarter",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({
+      teamId,
+      leadershipTeam,
+      referenceDate,
+      dryRun,
+      defaultAction,
+      decisions,
+    }) =>
+      await rolloverQuarter({
+        teamId,
+        leadershipTeam,
+        referenceDate,
+        dryRun,
+        defaultAction,
+        decisions,
+      }),
+    schema: {
+      teamId: z
+        .string()
+        .optional()
+        .describe("Only roll over rocks assigned to this team"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, only roll over the leadership team's rocks. Use this shortcut instead of calling getTeams first."
+        ),
+      referenceDate: z
+        .string()
+        .optional()
+        .describe(
+          "Any date inside the quarter being closed, in YYYY-MM-DD format (defaults to today)"
+        ),
+      dryRun: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true (default), only return the rollover plan without changing anything. Set to false to apply the plan."
+        ),
+      defaultAction: z
+        .enum(["carry_forward", "drop", "convert_to_issue"])
+        .optional()
+        .describe(
+          "Action for rocks without an explicit decision (defaults to 'carry_forward')"
+        ),
+      decisions: z
+        .array(
+          z.object({
+            rockId: z.string().describe("Rock ID from the rollover plan"),
+            action: z
+              .enum(["carry_forward", "drop", "convert_to_issue"])
+              .describe("What to do with this rock"),
+          })
+        )
+        .optional()
+        .describe("Per-rock overrides of the default action"),
+    },
+    required: [],
+  },
   {
     name: "createTodo",
     description:
@@ -2394,15 +4278,238 @@ export const toolDefinitions = [
       openWorldHint: false,
     },
     handler: async ({
-      issueId,
+      issueId,
+      name,
+      desc,
+      issueStatusId,
+      teamId,
+      leadershipTeam,
+      userId,
+      currentUser,
+      priority,
+    }) => {
+      // Validate that both userId and currentUser are not provided
+      if (userId && currentUser) {
+        throw new Error(
+          "Cannot provide both userId and currentUser. Use one or the other."
+        );
+      }
+
+      // Resolve currentUser to userId
+      const auth = getAuthContext();
+      let effectiveUserId = userId;
+      if (currentUser) {
+        if (!auth || auth.isApiKeyMode) {
+          throw new Error(
+            "currentUser=true requires OAuth authentication (not available in API key mode)"
+          );
+        }
+        effectiveUserId = auth.userId;
+      }
+
+      return await updateIssue({
+        issueId,
+        name,
+        desc,
+        issueStatusId,
+        teamId,
+        leadershipTeam,
+        userId: effectiveUserId,
+        priority,
+      });
+    },
+    schema: {
+      issueId: z
+        .string()
+        .describe(
+          "Issue ID (required). Use getIssues to search for the issue by name or criteria."
+        ),
+      name: z.string().optional().describe("Update the issue name/title"),
+      desc: z.string().optional().describe("Update the issue description"),
+      issueStatusId: z
+        .enum(["TODO", "COMPLETE"])
+        .optional()
+        .describe(
+          "Update status: 'TODO' for open issues, 'COMPLETE' for completed/resolved issues"
+        ),
+      teamId: z.string().optional().describe("Reassign to a different team"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, reassign to the leadership team (shortcut instead of calling getTeams first)"
+        ),
+      userId: z
+        .string()
+        .optional()
+        .describe("Reassign to a different user (use getUsers to find ID)"),
+      currentUser: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, automatically reassign to the authenticated user (shortcut instead of providing userId)"
+        ),
+      priority: z
+        .enum(["No priority", "Low", "Medium", "High"])
+        .optional()
+        .describe(
+          "Update priority level: 'High', 'Medium', 'Low', or 'No priority'"
+        ),
+    },
+    required: ["issueId"],
+  },
+  {
+    name: "idsIssue",
+    description:
+      "Work an issue through IDS (Identify, Discuss, Solve). Without a resolution, returns what the team needs to discuss it: the issue, its comments, linked rocks and todos, and the owner's workload compared to the team. With a resolution, solves it in one step: marks the issue complete, creates the resulting todos on the issue's team (linked to the issue) and adds the resolution as a comment. Perfect for queries like 'Let's IDS the pricing issue', 'What do we know about the hiring issue?', or 'Solve the churn issue: Sarah will call the top 5 accounts by Friday'. Use getIssues first to find the issue ID.",
+    readOnly: false,
+    annotations: {
+      title: "IDS Issue",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ issueId, resolution, todos }) =>
+      await idsIssue({ issueId, resolution, todos }),
+    schema: {
+      issueId: z
+        .string()
+        .describe("Issue ID (required). Use getIssues to find the issue."),
+      resolution: z
+        .string()
+        .optional()
+        .describe(
+          "What the team decided. When provided, the issue is solved; leave it out to gather the discussion context"
+        ),
+      todos: z
+        .array(
+          z.object({
+            name: z.string().describe("Todo name"),
+            desc: z.string().optional().describe("Todo description"),
+            userId: z
+              .string()
+              .optional()
+              .describe("Todo owner (defaults to the issue owner)"),
+            dueDate: z
+              .string()
+              .optional()
+              .describe("Due date in YYYY-MM-DD format (defaults to 7 days)"),
+          })
+        )
+        .optional()
+        .describe("Todos that come out of the solution (requires resolution)"),
+    },
+    required: ["issueId"],
+  },
+  {
+    name: "updateRock",
+    description:
+      "Update an existing Rock in Success.co. Use currentUser=true to reassign to the authenticated user. Perfect for queries like 'Mark the referral program rock as complete', 'Change the due date for the marketing rock to next month', or 'Reassign this rock to the Sales and Marketing teams'. Use getRocks first to find the rock ID. IMPORTANT: When updating team assignments, the teamId parameter REPLACES all existing team assignments - any teams not listed will be removed. Omit teamId to leave team assignments unchanged.",
+    readOnly: false,
+    annotations: {
+      title: "Update Rock",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      rockId,
+      name,
+      desc,
+      status,
+      dueDate,
+      userId,
+      currentUser,
+      teamId,
+    }) => {
+      // Validate that both userId and currentUser are not provided
+      if (userId && currentUser) {
+        throw new Error(
+          "Cannot provide both userId and currentUser. Use one or the other."
+        );
+      }
+
+      // Resolve currentUser to userId
+      const auth = getAuthContext();
+      let effectiveUserId = userId;
+      if (currentUser) {
+        if (!auth || auth.isApiKeyMode) {
+          throw new Error(
+            "currentUser=true requires OAuth authentication (not available in API key mode)"
+          );
+        }
+        effectiveUserId = auth.userId;
+      }
+
+      return await updateRock({
+        rockId,
+        name,
+        desc,
+        status,
+        dueDate,
+        userId: effectiveUserId,
+        teamId,
+      });
+    },
+    schema: {
+      rockId: z
+        .string()
+        .describe(
+          "Rock ID (required). Use getRocks to search for the rock by name or criteria."
+        ),
+      name: z.string().optional().describe("Update the rock name/title"),
+      desc: z.string().optional().describe("Update the rock description"),
+      status: z
+        .enum(["ONTRACK", "OFFTRACK", "COMPLETE", "INCOMPLETE"])
+        .optional()
+        .describe("Update rock status"),
+      dueDate: z
+        .string()
+        .optional()
+        .describe("Update due date (YYYY-MM-DD format)"),
+      userId: z
+        .string()
+        .optional()
+        .describe("Reassign to a different user (use getUsers to find ID)"),
+      currentUser: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, automatically reassign to the authenticated user (shortcut instead of providing userId)"
+        ),
+      teamId: z
+        .string()
+        .optional()
+        .describe(
+          "REPLACES all team assignments. Provide single team ID or comma-separated IDs for multiple teams (e.g., 'team-id-1,team-id-2'). Teams not listed will be removed. Omit this field to keep existing team assignments unchanged."
+        ),
+    },
+    required: ["rockId"],
+  },
+  {
+    name: "updateHeadline",
+    description:
+      "Update an existing headline in Success.co. Use leadershipTeam=true to reassign to the leadership team. Use currentUser=true to reassign to the authenticated user. Perfect for queries like 'Edit the ABC Corp headline to add more details' or 'Change the headline status'. Use getHeadlines first to find the headline ID.",
+    readOnly: false,
+    annotations: {
+      title: "Update Headline",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({
+      headlineId,
       name,
       desc,
-      issueStatusId,
+      status,
       teamId,
       leadershipTeam,
       userId,
       currentUser,
-      priority,
+      isCascadingMessage,
     }) => {
       // Validate that both userId and currentUser are not provided
       if (userId && currentUser) {
@@ -2423,32 +4530,30 @@ export const toolDefinitions = [
         effectiveUserId = auth.userId;
       }
 
-      return await updateIssue({
-        issueId,
+      return await updateHeadline({
+        headlineId,
         name,
         desc,
-        issueStatusId,
+        status,
         teamId,
         leadershipTeam,
         userId: effectiveUserId,
-        priority,
+        isCascadingMessage,
       });
     },
     schema: {
-      issueId: z
+      headlineId: z
         .string()
         .describe(
-          "Issue ID (required). Use getIssues to search for the issue by name or criteria."
+          "Headline ID (required). Use getHeadlines with keyword search to find the ID."
         ),
-      name: z.string().optional().describe("Update the issue name/title"),
-      desc: z.string().optional().describe("Update the issue description"),
-      issueStatusId: z
-        .enum(["TODO", "COMPLETE"])
+      name: z.string().optional().describe("Update the headline text"),
+      desc: z.string().optional().describe("Update the headline description"),
+      status: z
+        .enum(["Shared", "Not shared"])
         .optional()
-        .describe(
-          "Update status: 'TODO' for open issues, 'COMPLETE' for completed/resolved issues"
-        ),
-      teamId: z.string().optional().describe("Reassign to a different team"),
+        .describe("Update the headline status"),
+      teamId: z.string().optional().describe("Update team association"),
       leadershipTeam: z
         .boolean()
         .optional()
@@ -2458,244 +4563,461 @@ export const toolDefinitions = [
       userId: z
         .string()
         .optional()
-        .describe("Reassign to a different user (use getUsers to find ID)"),
+        .describe("Update user association (use getUsers to find ID)"),
       currentUser: z
         .boolean()
         .optional()
         .describe(
           "If true, automatically reassign to the authenticated user (shortcut instead of providing userId)"
         ),
-      priority: z
-        .enum(["No priority", "Low", "Medium", "High"])
+      isCascadingMessage: z
+        .boolean()
+        .optional()
+        .describe("Update whether this cascades to all teams"),
+    },
+    required: ["headlineId"],
+  },
+  {
+    name: "updateMeeting",
+    description:
+      "Update an existing meeting in Success.co. Perfect for queries like 'Reschedule next Monday's L10 to Tuesday at 3pm' or 'Change tomorrow's meeting time to 10:30am' or 'Cancel tomorrow's meeting'. Use getMeetings or getMeetingDetails first to find the meeting ID. To cancel a meeting, set state to 'DELETED'. You can update the time in the user's timezone using the time parameter.",
+    readOnly: false,
+    annotations: {
+      title: "Update Meeting",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ meetingId, date, time, state, meetingStatusId }) =>
+      await updateMeeting({
+        meetingId,
+        date,
+        time,
+        state,
+        meetingStatusId,
+      }),
+    schema: {
+      meetingId: z
+        .string()
+        .describe(
+          "Meeting ID (required). Use getMeetings to find the specific meeting instance."
+        ),
+      date: z
+        .string()
+        .optional()
+        .describe("Update meeting date (YYYY-MM-DD format)"),
+      time: z
+        .string()
         .optional()
         .describe(
-          "Update priority level: 'High', 'Medium', 'Low', or 'No priority'"
+          "Update meeting start time in HH:MM format (optional, 24-hour format in user's timezone). Examples: '14:30', '09:00', '16:45'. The time will be automatically converted based on the user's configured timezone. If provided without a date, uses the meeting's existing date."
+        ),
+      state: z
+        .enum(["ACTIVE", "DELETED"])
+        .optional()
+        .describe(
+          "Meeting state. Set to 'DELETED' to cancel a meeting, 'ACTIVE' to restore it."
+        ),
+      meetingStatusId: z
+        .string()
+        .optional()
+        .describe(
+          "Meeting status ID (e.g., 'NOT-STARTED', 'IN-PROGRESS', 'FINISHED')"
         ),
     },
-    required: ["issueId"],
+    required: ["meetingId"],
   },
   {
-    name: "updateRock",
+    name: "startMeeting",
     description:
-      "Update an existing Rock in Success.co. Use currentUser=true to reassign to the authenticated user. Perfect for queries like 'Mark the referral program rock as complete', 'Change the due date for the marketing rock to next month', or 'Reassign this rock to the Sales and Marketing teams'. Use getRocks first to find the rock ID. IMPORTANT: When updating team assignments, the teamId parameter REPLACES all existing team assignments - any teams not listed will be removed. Omit teamId to leave team assignments unchanged.",
+      "Start a meeting that hasn't started yet: marks it in progress, records the actual start time and opens the first agenda section. Returns the current section and the full agenda with planned minutes. Use advanceMeetingSection to move through the agenda and concludeMeeting to finish. Use getMeetings to find the meeting ID.",
     readOnly: false,
     annotations: {
-      title: "Update Rock",
+      title: "Start Meeting",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ meetingId }) => await startMeeting({ meetingId }),
+    schema: {
+      meetingId: z.string().describe("Meeting ID (required)"),
+    },
+    required: ["meetingId"],
+  },
+  {
+    name: "advanceMeetingSection",
+    description:
+      "Move a meeting in progress to the next agenda section (or jump to a given section). Records the time spent on the section being left, so section overruns show up in getMeetingAnalytics. Returns the time spent vs. planned, the new current section and the sections still to go.",
+    readOnly: false,
+    annotations: {
+      title: "Advance Meeting Section",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ meetingId, sectionId }) =>
+      await advanceMeetingSection({ meetingId, sectionId }),
+    schema: {
+      meetingId: z.string().describe("Meeting ID (required)"),
+      sectionId: z
+        .string()
+        .optional()
+        .describe(
+          "Agenda section to jump to. Defaults to the next section. Section IDs are returned by startMeeting."
+        ),
+    },
+    required: ["meetingId"],
+  },
+  {
+    name: "concludeMeeting",
+    description:
+      "Conclude a meeting in progress: records the time of the current section, saves each attendee's 1-10 rating (and who was absent), marks the meeting finished and returns a recap - time per section vs. plan, the average rating, and the to-dos, issues and headlines the team created during the meeting.",
+    readOnly: false,
+    annotations: {
+      title: "Conclude Meeting",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ meetingId, ratings, absentUserIds }) =>
+      await concludeMeeting({ meetingId, ratings, absentUserIds }),
+    schema: {
+      meetingId: z.string().describe("Meeting ID (required)"),
+      ratings: z
+        .string()
+        .optional()
+        .describe(
+          "Attendee ratings as comma-separated userId:rating pairs with whole numbers from 1 to 10, e.g. 'user-1:9, user-2:8'"
+        ),
+      absentUserIds: z
+        .string()
+        .optional()
+        .describe("Comma-separated IDs of attendees who were absent"),
+    },
+    required: ["meetingId"],
+  },
+  {
+    name: "draftMeetingSummary",
+    description:
+      "Draft the recap email of a meeting for review. Builds an HTML summary from the meeting's new to-dos, solved issues, the team's rock statuses for this quarter and the meeting rating, and saves it as 'Not reviewed'. Drafting again replaces a draft that hasn't been reviewed yet. Returns the HTML so it can be reviewed with reviewMeetingSummary; the app sends approved summaries.",
+    readOnly: false,
+    annotations: {
+      title: "Draft Meeting Summary",
       readOnlyHint: false,
       destructiveHint: false,
       idempotentHint: true,
       openWorldHint: false,
     },
+    handler: async ({ meetingId }) => await draftMeetingSummary({ meetingId }),
+    schema: {
+      meetingId: z.string().describe("Meeting ID (required)"),
+    },
+    required: ["meetingId"],
+  },
+  {
+    name: "reviewMeetingSummary",
+    description:
+      "Approve or reject a drafted meeting recap email (from draftMeetingSummary). Approving marks it 'Reviewed - ok'; rejecting marks it 'Reviewed - flagged' with comments explaining what to fix. Only drafts that haven't been reviewed yet can be reviewed.",
+    readOnly: false,
+    annotations: {
+      title: "Review Meeting Summary",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ summaryId, decision, comments }) =>
+      await reviewMeetingSummary({ summaryId, decision, comments }),
+    schema: {
+      summaryId: z
+        .string()
+        .describe("Meeting summary ID returned by draftMeetingSummary"),
+      decision: z
+        .enum(["approve", "reject"])
+        .describe("'approve' or 'reject'"),
+      comments: z
+        .string()
+        .optional()
+        .describe("Review comments (required when rejecting)"),
+    },
+    required: ["summaryId", "decision"],
+  },
+  {
+    name: "createMeetingSeries",
+    description:
+      "Create a recurring meeting series (e.g. a weekly L10 or quarterly planning) and schedule its meetings through a date (13 weeks ahead by default). Weekly series can meet on selected days; quarterly series use repeatUnit='MONTH' with repeatInterval=3. Perfect for queries like 'Set up a weekly leadership L10 on Mondays at 9am starting next week' or 'Schedule quarterly planning every 3 months from January 15'. Use getMeetingInfos to see existing series.",
+    readOnly: false,
+    annotations: {
+      title: "Create Meeting Series",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
     handler: async ({
-      rockId,
-      name,
-      desc,
-      status,
-      dueDate,
-      userId,
-      currentUser,
+      startDate,
+      time,
+      meetingAgendaId,
+      meetingAgendaType,
       teamId,
-    }) => {
-      // Validate that both userId and currentUser are not provided
-      if (userId && currentUser) {
-        throw new Error(
-          "Cannot provide both userId and currentUser. Use one or the other."
-        );
-      }
-
-      // Resolve currentUser to userId
-      const auth = getAuthContext();
-      let effectiveUserId = userId;
-      if (currentUser) {
-        if (!auth || auth.isApiKeyMode) {
-          throw new Error(
-            "currentUser=true requires OAuth authentication (not available in API key mode)"
-          );
-        }
-        effectiveUserId = auth.userId;
-      }
-
-      return await updateRock({
-        rockId,
-        name,
-        desc,
-        status,
-        dueDate,
-        userId: effectiveUserId,
+      leadershipTeam,
+      name,
+      repeatUnit,
+      repeatInterval,
+      selectedDays,
+      until,
+    }) =>
+      await createMeetingSeries({
+        startDate,
+        time,
+        meetingAgendaId,
+        meetingAgendaType,
         teamId,
-      });
-    },
+        leadershipTeam,
+        name,
+        repeatUnit,
+        repeatInterval,
+        selectedDays,
+        until,
+      }),
     schema: {
-      rockId: z
+      startDate: z
+        .string()
+        .describe("First meeting date in YYYY-MM-DD format (required)"),
+      time: z
         .string()
+        .optional()
         .describe(
-          "Rock ID (required). Use getRocks to search for the rock by name or criteria."
+          "Start time in HH:MM 24-hour format (e.g. '09:00'), in the user's timezone"
         ),
-      name: z.string().optional().describe("Update the rock name/title"),
-      desc: z.string().optional().describe("Update the rock description"),
-      status: z
-        .enum(["ONTRACK", "OFFTRACK", "COMPLETE", "INCOMPLETE"])
+      meetingAgendaId: z
+        .string()
         .optional()
-        .describe("Update rock status"),
-      dueDate: z
+        .describe(
+          "Meeting agenda ID (provide either this or meetingAgendaType)"
+        ),
+      meetingAgendaType: z
+        .enum([
+          "ANNUAL-PLANNING-DAY-1",
+          "ANNUAL-PLANNING-DAY-2",
+          "QUARTERLY-PULSING-AGENDA",
+          "WEEKLY-L10",
+          "FOCUS-DAY",
+          "VISION-BUILDING-SESSION",
+        ])
+        .optional()
+        .describe(
+          "Meeting agenda type (provide either this or meetingAgendaId)"
+        ),
+      teamId: z
         .string()
         .optional()
-        .describe("Update due date (YYYY-MM-DD format)"),
-      userId: z
+        .describe("Team ID (provide either this or leadershipTeam=true)"),
+      leadershipTeam: z
+        .boolean()
+        .optional()
+        .describe("If true, create the series for the leadership team"),
+      name: z
         .string()
         .optional()
-        .describe("Reassign to a different user (use getUsers to find ID)"),
-      currentUser: z
-        .boolean()
+        .describe("Series name (defaults to the agenda name)"),
+      repeatUnit: z
+        .enum(["DAY", "WEEK", "MONTH", "YEAR"])
+        .optional()
+        .describe("Repeat unit (defaults to 'WEEK')"),
+      repeatInterval: z
+        .number()
+        .int()
+        .min(1)
+        .max(99)
         .optional()
         .describe(
-          "If true, automatically reassign to the authenticated user (shortcut instead of providing userId)"
+          "Repeat every N units (defaults to 1). Use 2 with WEEK for every other week, 3 with MONTH for quarterly"
         ),
-      teamId: z
+      selectedDays: z
         .string()
         .optional()
         .describe(
-          "REPLACES all team assignments. Provide single team ID or comma-separated IDs for multiple teams (e.g., 'team-id-1,team-id-2'). Teams not listed will be removed. Omit this field to keep existing team assignments unchanged."
+          "Weekly series only: comma-separated days to meet on, e.g. 'MON' or 'MON,THU' (defaults to the day of startDate)"
+        ),
+      until: z
+        .string()
+        .optional()
+        .describe(
+          "Schedule meetings through this date, YYYY-MM-DD (defaults to 13 weeks after startDate, at most a year ahead)"
         ),
     },
-    required: ["rockId"],
+    required: ["startDate"],
   },
   {
-    name: "updateHeadline",
+    name: "updateMeetingSeries",
     description:
-      "Update an existing headline in Success.co. Use leadershipTeam=true to reassign to the leadership team. Use currentUser=true to reassign to the authenticated user. Perfect for queries like 'Edit the ABC Corp headline to add more details' or 'Change the headline status'. Use getHeadlines first to find the headline ID.",
+      "Edit a recurring meeting series: rename it, change its agenda, repeat pattern or start time. Changing the pattern moves the upcoming meetings that haven't started onto the new schedule; changing only the time keeps their dates. Past meetings are never changed. Perfect for queries like 'Move our weekly L10 to Tuesdays' or 'Start the leadership L10 at 10:00 from now on'. Use getMeetingInfos to find the series ID.",
     readOnly: false,
     annotations: {
-      title: "Update Headline",
+      title: "Update Meeting Series",
       readOnlyHint: false,
       destructiveHint: false,
       idempotentHint: true,
       openWorldHint: false,
     },
     handler: async ({
-      headlineId,
+      seriesId,
       name,
-      desc,
-      status,
-      teamId,
-      leadershipTeam,
-      userId,
-      currentUser,
-      isCascadingMessage,
-    }) => {
-      // Validate that both userId and currentUser are not provided
-      if (userId && currentUser) {
-        throw new Error(
-          "Cannot provide both userId and currentUser. Use one or the other."
-        );
-      }
-
-      // Resolve currentUser to userId
-      const auth = getAuthContext();
-      let effectiveUserId = userId;
-      if (currentUser) {
-        if (!auth || auth.isApiKeyMode) {
-          throw new Error(
-            "currentUser=true requires OAuth authentication (not available in API key mode)"
-          );
-        }
-        effectiveUserId = auth.userId;
-      }
-
-      return await updateHeadline({
-        headlineId,
+      meetingAgendaId,
+      repeatUnit,
+      repeatInterval,
+      selectedDays,
+      time,
+    }) =>
+      await updateMeetingSeries({
+        seriesId,
         name,
-        desc,
-        status,
-        teamId,
-        leadershipTeam,
-        userId: effectiveUserId,
-        isCascadingMessage,
-      });
-    },
+        meetingAgendaId,
+        repeatUnit,
+        repeatInterval,
+        selectedDays,
+        time,
+      }),
     schema: {
-      headlineId: z
+      seriesId: z
         .string()
         .describe(
-          "Headline ID (required). Use getHeadlines with keyword search to find the ID."
+          "Meeting series ID (required). Use getMeetingInfos to find it."
         ),
-      name: z.string().optional().describe("Update the headline text"),
-      desc: z.string().optional().describe("Update the headline description"),
-      status: z
-        .enum(["Shared", "Not shared"])
+      name: z.string().optional().describe("New series name"),
+      meetingAgendaId: z.string().optional().describe("New meeting agenda ID"),
+      repeatUnit: z
+        .enum(["DAY", "WEEK", "MONTH", "YEAR"])
         .optional()
-        .describe("Update the headline status"),
-      teamId: z.string().optional().describe("Update team association"),
-      leadershipTeam: z
-        .boolean()
+        .describe("New repeat unit"),
+      repeatInterval: z
+        .number()
+        .int()
+        .min(1)
+        .max(99)
+        .optional()
+        .describe("New repeat interval (every N units)"),
+      selectedDays: z
+        .string()
         .optional()
         .describe(
-          "If true, reassign to the leadership team (shortcut instead of calling getTeams first)"
+          "Weekly series only: comma-separated days to meet on, e.g. 'TUE'. Use '' to meet on the series' original weekday"
         ),
-      userId: z
+      time: z
         .string()
         .optional()
-        .describe("Update user association (use getUsers to find ID)"),
-      currentUser: z
-        .boolean()
-        .optional()
         .describe(
-          "If true, automatically reassign to the authenticated user (shortcut instead of providing userId)"
+          "New start time for upcoming meetings in HH:MM 24-hour format, in the series owner's timezone"
         ),
-      isCascadingMessage: z
-        .boolean()
-        .optional()
-        .describe("Update whether this cascades to all teams"),
     },
-    required: ["headlineId"],
+    required: ["seriesId"],
   },
   {
-    name: "updateMeeting",
+    name: "cancelMeetingSeries",
     description:
-      "Update an existing meeting in Success.co. Perfect for queries like 'Reschedule next Monday's L10 to Tuesday at 3pm' or 'Change tomorrow's meeting time to 10:30am' or 'Cancel tomorrow's meeting'. Use getMeetings or getMeetingDetails first to find the meeting ID. To cancel a meeting, set state to 'DELETED'. You can update the time in the user's timezone using the time parameter.",
+      "Cancel a recurring meeting series. Removes its upcoming meetings that haven't started and stops it from repeating; meetings that already happened are kept. Perfect for queries like 'Cancel the Monday sales L10'. Use getMeetingInfos to find the series ID.",
     readOnly: false,
     annotations: {
-      title: "Update Meeting",
+      title: "Cancel Meeting Series",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ seriesId }) => await cancelMeetingSeries({ seriesId }),
+    schema: {
+      seriesId: z
+        .string()
+        .describe(
+          "Meeting series ID (required). Use getMeetingInfos to find it."
+        ),
+    },
+    required: ["seriesId"],
+  },
+  {
+    name: "generateMeetingSeries",
+    description:
+      "Schedule the upcoming meetings of a recurring series from today through a date (13 weeks ahead by default). Only missing meetings are created: meetings that were skipped or rescheduled are not recreated. Perfect for queries like 'Make sure our L10s are scheduled through the end of the year'.",
+    readOnly: false,
+    annotations: {
+      title: "Generate Meeting Series",
       readOnlyHint: false,
       destructiveHint: false,
       idempotentHint: true,
       openWorldHint: false,
     },
-    handler: async ({ meetingId, date, time, state, meetingStatusId }) =>
-      await updateMeeting({
-        meetingId,
-        date,
-        time,
-        state,
-        meetingStatusId,
-      }),
+    handler: async ({ seriesId, until }) =>
+      await generateMeetingSeries({ seriesId, until }),
     schema: {
-      meetingId: z
+      seriesId: z
         .string()
         .describe(
-          "Meeting ID (required). Use getMeetings to find the specific meeting instance."
+          "Meeting series ID (required). Use getMeetingInfos to find it."
         ),
-      date: z
-        .string()
-        .optional()
-        .describe("Update meeting date (YYYY-MM-DD format)"),
-      time: z
+      until: z
         .string()
         .optional()
         .describe(
-          "Update meeting start time in HH:MM format (optional, 24-hour format in user's timezone). Examples: '14:30', '09:00', '16:45'. The time will be automatically converted based on the user's configured timezone. If provided without a date, uses the meeting's existing date."
+          "Schedule meetings through this date, YYYY-MM-DD (defaults to 13 weeks from today, at most a year ahead)"
         ),
-      state: z
-        .enum(["ACTIVE", "DELETED"])
+    },
+    required: ["seriesId"],
+  },
+  {
+    name: "skipMeetingOccurrence",
+    description:
+      "Skip one upcoming meeting of a recurring series, e.g. a holiday week. The meeting is removed and won't be recreated by generateMeetingSeries. Perfect for queries like 'Skip next Monday's L10, it's a holiday'. Use getMeetings to find the meeting ID.",
+    readOnly: false,
+    annotations: {
+      title: "Skip Meeting Occurrence",
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ meetingId }) =>
+      await skipMeetingOccurrence({ meetingId }),
+    schema: {
+      meetingId: z
+        .string()
+        .describe("Meeting ID of the occurrence to skip (required)"),
+    },
+    required: ["meetingId"],
+  },
+  {
+    name: "rescheduleMeetingOccurrence",
+    description:
+      "Move one upcoming meeting of a recurring series to another date and/or time without changing the rest of the series. The meeting keeps its original date in the series, so generateMeetingSeries won't schedule another meeting on it. Perfect for queries like 'Move this week's L10 to Wednesday at 2pm'. Use getMeetings to find the meeting ID.",
+    readOnly: false,
+    annotations: {
+      title: "Reschedule Meeting Occurrence",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ meetingId, date, time }) =>
+      await rescheduleMeetingOccurrence({ meetingId, date, time }),
+    schema: {
+      meetingId: z
+        .string()
+        .describe("Meeting ID of the occurrence to move (required)"),
+      date: z
+        .string()
         .optional()
         .describe(
-          "Meeting state. Set to 'DELETED' to cancel a meeting, 'ACTIVE' to restore it."
+          "New date in YYYY-MM-DD format (defaults to the current date)"
         ),
-      meetingStatusId: z
+      time: z
         .string()
         .optional()
         .describe(
-          "Meeting status ID (e.g., 'NOT-STARTED', 'IN-PROGRESS', 'FINISHED')"
+          "New start time in HH:MM 24-hour format, in the series owner's timezone (defaults to the current time)"
         ),
     },
     required: ["meetingId"],
@@ -2791,6 +5113,45 @@ export const toolDefinitions = [
     },
     required: ["entryId"],
   },
+  {
+    name: "bulkUpsertScorecardEntries",
+    description:
+      "Create or update many scorecard entries at once from a grid. Perfect for 'Paste last quarter's numbers into the scorecard' or backfilling history from a spreadsheet. Accepts CSV (header row 'Measurable,<date>,<date>,...' then one row per measurable name or ID) or JSON ({\"<measurable>\": {\"<date>\": value}} or [{measurable, startDate, value, note}]). Every cell is validated against the measurable's unit type and its date is snapped to the start of the measurable's period; valid cells are saved in one transaction. Returns a per-cell report of what was created, updated, unchanged or rejected and why.",
+    readOnly: false,
+    annotations: {
+      title: "Bulk Upsert Scorecard Entries",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ data, overwrite, dryRun }) =>
+      await bulkUpsertScorecardEntries({
+        data,
+        overwrite,
+        dryRun,
+      }),
+    schema: {
+      data: z
+        .string()
+        .describe(
+          "The grid (required). CSV with measurable names or IDs down the first column and period dates (YYYY-MM-DD) across the header row, or JSON as {\"<measurable>\": {\"<date>\": value}} or [{measurable, startDate, value, note}]. Empty CSV cells are skipped."
+        ),
+      overwrite: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true (default), replace existing entries for the same period. If false, cells with an existing entry are rejected."
+        ),
+      dryRun: z
+        .boolean()
+        .optional()
+        .describe(
+          "If true, validate and report what would happen without saving anything. Defaults to false."
+        ),
+    },
+    required: ["data"],
+  },
   {
     name: "deleteTodo",
     description:
@@ -3044,7 +5405,7 @@ export const toolDefinitions = [
   {
     name: "getComments",
     description:
-      "Get comments for entities in Success.co. Comments can be attached to todos, issues, rocks, milestones, meetings, and other entities. Perfect for queries like 'Show me comments on this issue' or 'Get all comments from last week'. Use currentUser=true to filter by the authenticated user. Use specific entity filters to narrow results.",
+      "Get comments for entities in Success.co. Comments can be attached to todos, issues, rocks, milestones, meetings, and other entities. Each comment includes its emoji reactions (emoji, count, who reacted) and a reactionCount, useful for spotting which updates got the most agreement. Perfect for queries like 'Show me comments on this issue' or 'Get all comments from last week'. Use currentUser=true to filter by the authenticated user. Use specific entity filters to narrow results.",
     readOnly: true,
     annotations: {
       title: "Get Comments",
@@ -3212,6 +5573,104 @@ export const toolDefinitions = [
     },
     required: ["commentId"],
   },
+  {
+    name: "addReaction",
+    description:
+      "React to a comment with an emoji as the current user, e.g. to acknowledge an update. Reacting twice with the same emoji does nothing. Use getComments to find the comment ID.",
+    readOnly: false,
+    annotations: {
+      title: "Add Reaction",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ commentId, emoji }) =>
+      await addReaction({ commentId, emoji }),
+    schema: {
+      commentId: z
+        .string()
+        .describe(
+          "Comment ID (required). Use getComments to find the comment ID."
+        ),
+      emoji: z.string().describe("Emoji to react with, e.g. '👍'"),
+    },
+    required: ["commentId", "emoji"],
+  },
+  {
+    name: "removeReaction",
+    description: "Remove one of the current user's emoji reactions from a comment.",
+    readOnly: false,
+    annotations: {
+      title: "Remove Reaction",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ commentId, emoji }) =>
+      await removeReaction({ commentId, emoji }),
+    schema: {
+      commentId: z
+        .string()
+        .describe(
+          "Comment ID (required). Use getComments to find the comment ID."
+        ),
+      emoji: z.string().describe("Emoji to remove, e.g. '👍'"),
+    },
+    required: ["commentId", "emoji"],
+  },
+  {
+    name: "getAttachments",
+    description:
+      "List the files attached to a to-do, issue, rock or comment, with file names and URLs. For to-dos, issues and rocks, files attached to their comments are listed too. Perfect for queries like 'Is there a spec linked to this rock?'.",
+    readOnly: true,
+    annotations: {
+      title: "Get Attachments",
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+    handler: async ({ itemType, itemId, includeComments }) =>
+      await getAttachments({ itemType, itemId, includeComments }),
+    schema: {
+      itemType: z
+        .enum(["todo", "issue", "rock", "comment"])
+        .describe("Type of the item"),
+      itemId: z.string().describe("ID of the item"),
+      includeComments: z
+        .boolean()
+        .optional()
+        .describe(
+          "If false, skip files attached to the item's comments (defaults to true)"
+        ),
+    },
+    required: ["itemType", "itemId"],
+  },
+  {
+    name: "attachFile",
+    description:
+      "Attach an already uploaded file to a to-do, issue, rock or comment by its URL. Use it to link specs, documents or screenshots to an item.",
+    readOnly: false,
+    annotations: {
+      title: "Attach File",
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: false,
+    },
+    handler: async ({ itemType, itemId, url }) =>
+      await attachFile({ itemType, itemId, url }),
+    schema: {
+      itemType: z
+        .enum(["todo", "issue", "rock", "comment"])
+        .describe("Type of the item"),
+      itemId: z.string().describe("ID of the item"),
+      url: z.string().describe("Full http(s) URL of the uploaded file"),
+    },
+    required: ["itemType", "itemId", "url"],
+  },
   {
     name: "getExecutionHealth",
     description:
@@ -3509,6 +5968,14 @@ export function getToolsAsJsonSchema() {
                 };
                 if (defaultValue !== undefined)
                   props[key].default = defaultValue;
+              } else if (schemaToProcess._def?.typeName === "ZodArray") {
+                // Handle ZodArray (for lists of structured items)
+                props[key] = {
+                  type: "array",
+                  description: schemaToProcess.description || "",
+                };
+                if (defaultValue !== undefined)
+                  props[key].default = defaultValue;
               } else if (schemaToProcess._def?.typeName === "ZodOptional") {
                 const innerSchema = schemaToProcess._def.innerType;
                 // Try to get description from outer schema first, then inner schema
@@ -3556,6 +6023,14 @@ export function getToolsAsJsonSchema() {
                   };
                   if (defaultValue !== undefined)
                     props[key].default = defaultValue;
+                } else if (innerSchema._def?.typeName === "ZodArray") {
+                  // Handle optional ZodArray
+                  props[key] = {
+                    type: "array",
+                    description: description,
+                  };
+                  if (defaultValue !== undefined)
+                    props[key].default = defaultValue;
                 }
               }
               return props;
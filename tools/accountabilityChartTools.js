@@ -1,7 +1,254 @@
 // Accountability Chart Tools
 // Tools for working with organizational structure, seats, roles, and reporting relationships
 
-import { callSuccessCoGraphQL } from "./core.js";
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
+
+// EOS guidance: each seat should have about five roles
+const RECOMMENDED_ROLES_PER_SEAT = 5;
+
+/**
+ * Split a seat's holders column (comma-separated user IDs)
+ * @param {string|null} holders
+ * @returns {Array<string>}
+ */
+function parseHolderIds(holders) {
+  return (holders || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id);
+}
+
+// What-if warnings: people holding more seats than this are flagged as overloaded
+const MAX_SEATS_PER_HOLDER = 2;
+
+// Words ignored when matching role names against rock names
+const OVERLAP_STOP_WORDS = new Set([
+  "and",
+  "the",
+  "for",
+  "with",
+  "from",
+  "into",
+  "new",
+  "all",
+  "our",
+  "management",
+  "manage",
+  "team",
+]);
+
+/**
+ * Parse the proposed changes of a what-if simulation
+ * @param {string|Array<Object>} proposedChanges - JSON array (or array) of changes
+ * @returns {{ok: boolean, changes?: Array<Object>, error?: string}}
+ */
+function parseProposedChanges(proposedChanges) {
+  let changes = proposedChanges;
+  if (typeof changes === "string") {
+    try {
+      changes = JSON.parse(changes);
+    } catch (error) {
+      return {
+        ok: false,
+        error: `Error: proposedChanges must be a JSON array. ${error.message}`,
+      };
+    }
+  }
+  if (!Array.isArray(changes)) changes = [changes];
+  return { ok: true, changes };
+}
+
+/**
+ * Apply proposed changes to the loaded chart in memory; nothing is saved
+ * Supported actions:
+ * - reassignHolder {seatId, userId, fromUserId?}: userId replaces fromUserId, or all holders
+ * - moveSeat {seatId, newParentSeatId}
+ * - splitSeat {seatId, newSeatName, roleIds?, holderIds?}: new sibling seat taking the given roles
+ * @param {Array<Object>} seats - Seats of the chart
+ * @param {Object} rolesMap - Seat ID → roles; updated in place
+ * @param {Array<Object>} changes - Parsed proposed changes
+ * @returns {{ok: boolean, seats?: Array<Object>, applied?: Array<string>, error?: string}}
+ */
+function applyProposedChanges(seats, rolesMap, changes) {
+  const simulated = seats.map((seat) => ({ ...seat }));
+  const seatsById = Object.fromEntries(
+    simulated.map((seat) => [seat.id, seat])
+  );
+  const applied = [];
+
+  for (const [index, change] of changes.entries()) {
+    const label = `Change ${index + 1} (${change?.action})`;
+    const seat = seatsById[change?.seatId];
+    if (!seat) {
+      return {
+        ok: false,
+        error: `Error: ${label}: no seat found with ID ${change?.seatId}`,
+      };
+    }
+
+    if (change.action === "reassignHolder") {
+      if (!change.userId) {
+        return { ok: false, error: `Error: ${label}: userId is required` };
+      }
+      const holders = parseHolderIds(seat.holders);
+      if (change.fromUserId && !holders.includes(change.fromUserId)) {
+        return {
+          ok: false,
+          error: `Error: ${label}: user ${change.fromUserId} does not hold "${seat.name}"`,
+        };
+      }
+      const newHolders = change.fromUserId
+        ? holders.map((id) => (id === change.fromUserId ? change.userId : id))
+        : [change.userId];
+      seat.holders = [...new Set(newHolders)].join(",");
+      applied.push(
+        `Reassign "${seat.name}" ${
+          change.fromUserId ? `from ${change.fromUserId} ` : ""
+        }to ${change.userId}`
+      );
+    } else if (change.action === "moveSeat") {
+      const parent = seatsById[change.newParentSeatId];
+      if (!parent) {
+        return {
+          ok: false,
+          error: `Error: ${label}: no seat found with ID ${change.newParentSeatId}`,
+        };
+      }
+      for (let current = parent; current; current = seatsById[current.parentId]) {
+        if (current.id === seat.id) {
+          return {
+            ok: false,
+            error: `Error: ${label}: "${seat.name}" cannot be moved under its own report "${parent.name}"`,
+          };
+        }
+      }
+      seat.parentId = parent.id;
+      seat.order =
+        Math.max(
+          0,
+          ...simulated
+            .filter((other) => other.parentId === parent.id)
+            .map((other) => other.order || 0)
+        ) + 1000;
+      applied.push(`Move "${seat.name}" under "${parent.name}"`);
+    } else if (change.action === "splitSeat") {
+      if (!change.newSeatName) {
+        return { ok: false, error: `Error: ${label}: newSeatName is required` };
+      }
+      const roleIds = Array.isArray(change.roleIds)
+        ? change.roleIds
+        : parseHolderIds(change.roleIds);
+      const seatRoles = rolesMap[seat.id] || [];
+      const unknownRole = roleIds.find(
+        (id) => !seatRoles.some((role) => role.id === id)
+      );
+      if (unknownRole) {
+        return {
+          ok: false,
+          error: `Error: ${label}: role ${unknownRole} is not a role of "${seat.name}"`,
+        };
+      }
+
+      const newSeat = {
+        id: `proposed-${index + 1}`,
+        name: change.newSeatName,
+        parentId: seat.parentId,
+        order: (seat.order || 0) + 1,
+        holders: (Array.isArray(change.holderIds)
+          ? change.holderIds
+          : parseHolderIds(change.holderIds)
+        ).join(","),
+        orgChartId: seat.orgChartId,
+      };
+      simulated.push(newSeat);
+      seatsById[newSeat.id] = newSeat;
+      rolesMap[newSeat.id] = seatRoles.filter((role) => roleIds.includes(role.id));
+      rolesMap[seat.id] = seatRoles.filter((role) => !roleIds.includes(role.id));
+      applied.push(
+        `Split "${seat.name}": new seat "${newSeat.name}" (Seat ID: ${newSeat.id}) takes ${roleIds.length} role(s)`
+      );
+    } else {
+      return {
+        ok: false,
+        error: `Error: ${label}: action must be 'reassignHolder', 'moveSeat' or 'splitSeat'`,
+      };
+    }
+  }
+
+  return { ok: true, seats: simulated, applied };
+}
+
+/**
+ * Significant lowercase words of a name, for role/rock overlap matching
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function overlapWords(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 3 && !OVERLAP_STOP_WORDS.has(word));
+}
+
+/**
+ * Find the problems a what-if chart would have
+ * @param {Array<Object>} seats - Simulated seats
+ * @param {Object} rolesMap - Seat ID → roles
+ * @param {Object} usersMap - User ID → user
+ * @param {Array<Object>} rocks - Open rocks with id, name and userId
+ * @returns {Array<string>} Warning lines
+ */
+function findChartWarnings(seats, rolesMap, usersMap, rocks) {
+  const warnings = [];
+  const userName = (id) =>
+    usersMap[id]
+      ? `${usersMap[id].firstName} ${usersMap[id].lastName}`
+      : `Unknown User (ID: ${id})`;
+
+  const seatsByHolder = {};
+  seats.forEach((seat) => {
+    parseHolderIds(seat.holders).forEach((id) => {
+      if (!seatsByHolder[id]) seatsByHolder[id] = [];
+      seatsByHolder[id].push(seat.name);
+    });
+  });
+  Object.entries(seatsByHolder).forEach(([id, seatNames]) => {
+    if (seatNames.length > MAX_SEATS_PER_HOLDER) {
+      warnings.push(
+        `**Overloaded:** ${userName(id)} holds ${
+          seatNames.length
+        } seats (${seatNames.join(", ")})`
+      );
+    }
+  });
+
+  seats
+    .filter((seat) => parseHolderIds(seat.holders).length === 0)
+    .forEach((seat) => {
+      warnings.push(`**No holder:** "${seat.name}" (Seat ID: ${seat.id})`);
+    });
+
+  seats.forEach((seat) => {
+    const holders = parseHolderIds(seat.holders);
+    (rolesMap[seat.id] || []).forEach((role) => {
+      const roleWords = overlapWords(role.name);
+      rocks
+        .filter((rock) => !holders.includes(rock.userId))
+        .filter((rock) =>
+          overlapWords(rock.name).some((word) => roleWords.includes(word))
+        )
+        .forEach((rock) => {
+          warnings.push(
+            `**Role/rock overlap:** "${seat.name}" role "${role.name}" overlaps rock "${
+              rock.name
+            }" owned by ${userName(rock.userId)}`
+          );
+        });
+    });
+  });
+
+  return warnings;
+}
 
 /**
  * Get the accountability chart (organizational structure) for the company
@@ -12,13 +259,24 @@ import { callSuccessCoGraphQL } from "./core.js";
  * @param {Object} params - Parameters for the accountability chart query
  * @param {string} params.stateId - State filter (defaults to 'ACTIVE')
  * @param {string} params.teamId - Optional team filter to focus on specific team
+ * @param {string|Array<Object>} [params.proposedChanges] - What-if changes to simulate without saving (see applyProposedChanges)
  * @returns {Promise<Object>} The accountability chart data
  */
 export async function getAccountabilityChart({
   stateId = "ACTIVE",
   teamId,
+  proposedChanges,
 } = {}) {
   try {
+    let changes = null;
+    if (proposedChanges) {
+      const parsed = parseProposedChanges(proposedChanges);
+      if (!parsed.ok) {
+        return { content: [{ type: "text", text: parsed.error }] };
+      }
+      changes = parsed.changes;
+    }
+
     // First, get the primary org chart
     const orgChartsQuery = `
       query {
@@ -102,7 +360,7 @@ export async function getAccountabilityChart({
       };
     }
 
-    const orgChartSeats = orgChartSeatsResult.data.data.orgChartSeats.nodes;
+    let orgChartSeats = orgChartSeatsResult.data.data.orgChartSeats.nodes;
 
     // Get roles and responsibilities for each seat
     const seatIds = orgChartSeats.map((seat) => seat.id);
@@ -176,18 +434,50 @@ export async function getAccountabilityChart({
       rolesMap[seatId] = uniqueRoles;
     });
 
-    // Get all unique user IDs from seat holders
+    // What-if mode: work on a simulated copy of the chart
+    let appliedChanges = null;
+    if (changes) {
+      const simulation = applyProposedChanges(orgChartSeats, rolesMap, changes);
+      if (!simulation.ok) {
+        return { content: [{ type: "text", text: simulation.error }] };
+      }
+      orgChartSeats = simulation.seats;
+      appliedChanges = simulation.applied;
+    }
+
+    // Open rocks, for the role/rock overlap warnings
+    let openRocks = [];
+    if (appliedChanges) {
+      const rocksResult = await callSuccessCoGraphQL(`
+        query {
+          rocks(filter: {stateId: {equalTo: "ACTIVE"}, rockStatusId: {notEqualTo: "COMPLETE"}}) {
+            nodes {
+              id
+              name
+              userId
+            }
+          }
+        }
+      `);
+      if (!rocksResult.ok) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error fetching rocks: ${rocksResult.error}`,
+            },
+          ],
+        };
+      }
+      openRocks = rocksResult.data.data.rocks.nodes;
+    }
+
+    // Get all unique user IDs from seat holders (and rock owners in what-if mode)
     const allHolderIds = new Set();
     orgChartSeats.forEach((seat) => {
-      if (seat.holders) {
-        // Split by comma and clean up whitespace
-        const holderIds = seat.holders
-          .split(",")
-          .map((id) => id.trim())
-          .filter((id) => id);
-        holderIds.forEach((id) => allHolderIds.add(id));
-      }
+      parseHolderIds(seat.holders).forEach((id) => allHolderIds.add(id));
     });
+    openRocks.forEach((rock) => allHolderIds.add(rock.userId));
 
     // Get user information for all holders
     const usersMap = {};
@@ -230,6 +520,14 @@ export async function getAccountabilityChart({
     }
     accountabilityChart += `Generated on: ${new Date().toLocaleDateString()}\n\n`;
 
+    if (appliedChanges) {
+      accountabilityChart += `## Proposed Changes (simulation - nothing has been saved)\n\n`;
+      appliedChanges.forEach((change) => {
+        accountabilityChart += `- ${change}\n`;
+      });
+      accountabilityChart += `\n`;
+    }
+
     if (orgChartSeats.length === 0) {
       accountabilityChart += `No seats found in the primary org chart.\n`;
       return {
@@ -293,14 +591,11 @@ export async function getAccountabilityChart({
 
     sortedSeats.forEach((seat) => {
       const indent = "  ".repeat(seat.level);
-      accountabilityChart += `${indent}### ${seat.name}\n`;
+      accountabilityChart += `${indent}### ${seat.name} (Seat ID: ${seat.id})\n`;
 
       if (seat.holders) {
-        // Split holders by comma and look up names
-        const holderIds = seat.holders
-          .split(",")
-          .map((id) => id.trim())
-          .filter((id) => id);
+        // Look up holder names
+        const holderIds = parseHolderIds(seat.holders);
         const holderNames = [];
 
         holderIds.forEach((holderId) => {
@@ -346,7 +641,7 @@ export async function getAccountabilityChart({
               if (cleanDescription && cleanDescription.length > 0) {
                 accountabilityChart += `: ${cleanDescription}`;
               }
-              accountabilityChart += `\n`;
+              accountabilityChart += ` (Role ID: ${responsibility.id})\n`;
             }
           });
       }
@@ -354,6 +649,23 @@ export async function getAccountabilityChart({
       accountabilityChart += `\n`;
     });
 
+    if (appliedChanges) {
+      const warnings = findChartWarnings(
+        orgChartSeats,
+        rolesMap,
+        usersMap,
+        openRocks
+      );
+      accountabilityChart += `## Warnings\n\n`;
+      if (warnings.length === 0) {
+        accountabilityChart += `No problems found with the proposed chart.\n`;
+      }
+      warnings.forEach((warning) => {
+        accountabilityChart += `- ${warning}\n`;
+      });
+      accountabilityChart += `\n`;
+    }
+
     // Add summary information
     accountabilityChart += `## Summary\n\n`;
     accountabilityChart += `- **Total Seats:** ${orgChartSeats.length}\n`;
@@ -392,3 +704,1119 @@ export async function getAccountabilityChart({
     };
   }
 }
+
+/**
+ * Load one active seat
+ * @param {string} seatId
+ * @returns {Promise<{ok: boolean, seat?: Object, error?: string}>}
+ */
+async function fetchSeat(seatId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      orgChartSeats(filter: {id: {equalTo: "${seatId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          parentId
+          order
+          holders
+          orgChartId
+          isAssistant
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const seat = result.data.data.orgChartSeats.nodes[0];
+  if (!seat) {
+    return { ok: false, error: `Error: No seat found with ID ${seatId}` };
+  }
+  return { ok: true, seat };
+}
+
+/**
+ * Load all active seats of an org chart
+ * @param {string} orgChartId
+ * @returns {Promise<{ok: boolean, seats?: Array<Object>, error?: string}>}
+ */
+async function fetchChartSeats(orgChartId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      orgChartSeats(filter: {orgChartId: {equalTo: "${orgChartId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          parentId
+          order
+          holders
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+  return { ok: true, seats: result.data.data.orgChartSeats.nodes };
+}
+
+/**
+ * Load the active roles of a seat, in display order
+ * @param {string} seatId
+ * @returns {Promise<{ok: boolean, roles?: Array<Object>, error?: string}>}
+ */
+async function fetchSeatRoles(seatId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      orgChartRolesResponsibilities(filter: {orgChartSeatId: {equalTo: "${seatId}"}, stateId: {equalTo: "ACTIVE"}}, orderBy: ORDER_ASC) {
+        nodes {
+          id
+          name
+          description
+          order
+          orgChartSeatId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+  return {
+    ok: true,
+    roles: result.data.data.orgChartRolesResponsibilities.nodes,
+  };
+}
+
+/**
+ * Load one active seat role
+ * @param {string} roleId
+ * @returns {Promise<{ok: boolean, role?: Object, error?: string}>}
+ */
+async function fetchRole(roleId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      orgChartRolesResponsibilities(filter: {id: {equalTo: "${roleId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          orgChartSeatId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const role = result.data.data.orgChartRolesResponsibilities.nodes[0];
+  if (!role) {
+    return { ok: false, error: `Error: No role found with ID ${roleId}` };
+  }
+  return { ok: true, role };
+}
+
+/**
+ * Apply a patch to a seat
+ * @param {string} seatId
+ * @param {Object} patch - OrgChartSeatPatch fields
+ * @returns {Promise<{ok: boolean, seat?: Object, error?: string}>}
+ */
+async function patchSeat(seatId, patch) {
+  const mutation = `
+    mutation UpdateOrgChartSeat($input: UpdateOrgChartSeatInput!) {
+      updateOrgChartSeat(input: $input) {
+        orgChartSeat {
+          id
+          name
+          parentId
+          order
+          holders
+          isAssistant
+          stateId
+        }
+      }
+    }
+  `;
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { id: seatId, patch },
+  });
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const seat = result.data?.data?.updateOrgChartSeat?.orgChartSeat;
+  if (!seat) {
+    return {
+      ok: false,
+      error: `Error: Updating seat failed. ${JSON.stringify(
+        result.data,
+        null,
+        2
+      )}`,
+    };
+  }
+  return { ok: true, seat };
+}
+
+/**
+ * Apply a patch to a seat role
+ * @param {string} roleId
+ * @param {Object} patch - OrgChartRolesResponsibilityPatch fields
+ * @returns {Promise<{ok: boolean, role?: Object, error?: string}>}
+ */
+async function patchRole(roleId, patch) {
+  const mutation = `
+    mutation UpdateOrgChartRolesResponsibility($input: UpdateOrgChartRolesResponsibilityInput!) {
+      updateOrgChartRolesResponsibility(input: $input) {
+        orgChartRolesResponsibility {
+          id
+          name
+          description
+          order
+          orgChartSeatId
+          stateId
+        }
+      }
+    }
+  `;
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { id: roleId, patch },
+  });
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const role =
+    result.data?.data?.updateOrgChartRolesResponsibility
+      ?.orgChartRolesResponsibility;
+  if (!role) {
+    return {
+      ok: false,
+      error: `Error: Updating role failed. ${JSON.stringify(
+        result.data,
+        null,
+        2
+      )}`,
+    };
+  }
+  return { ok: true, role };
+}
+
+/**
+ * Create a role on a seat, appended after the existing roles
+ * @param {Object} context - User context from getUserContext()
+ * @param {string} seatId
+ * @param {string} name
+ * @param {string} [description]
+ * @param {number} order
+ * @returns {Promise<{ok: boolean, role?: Object, error?: string}>}
+ */
+async function insertRole(context, seatId, name, description, order) {
+  const mutation = `
+    mutation CreateOrgChartRolesResponsibility($input: CreateOrgChartRolesResponsibilityInput!) {
+      createOrgChartRolesResponsibility(input: $input) {
+        orgChartRolesResponsibility {
+          id
+          name
+          description
+          order
+          orgChartSeatId
+        }
+      }
+    }
+  `;
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: {
+      orgChartRolesResponsibility: {
+        orgChartSeatId: seatId,
+        name,
+        description: description || "",
+        order,
+        companyId: context.companyId,
+        stateId: "ACTIVE",
+      },
+    },
+  });
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const role =
+    result.data?.data?.createOrgChartRolesResponsibility
+      ?.orgChartRolesResponsibility;
+  if (!role) {
+    return {
+      ok: false,
+      error: `Error: Creating role failed. ${JSON.stringify(
+        result.data,
+        null,
+        2
+      )}`,
+    };
+  }
+  return { ok: true, role };
+}
+
+/**
+ * Make sure every user ID belongs to an active user
+ * @param {Array<string>} userIds
+ * @returns {Promise<{ok: boolean, users?: Array<Object>, error?: string}>}
+ */
+async function verifyUsers(userIds) {
+  if (userIds.length === 0) return { ok: true, users: [] };
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      users(filter: {id: {in: [${userIds
+        .map((id) => `"${id}"`)
+        .join(", ")}]}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          firstName
+          lastName
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const users = result.data.data.users.nodes;
+  const missing = userIds.filter((id) => !users.some((u) => u.id === id));
+  if (missing.length > 0) {
+    return {
+      ok: false,
+      error: `Error: No active user found with ID ${missing.join(", ")}`,
+    };
+  }
+  return { ok: true, users };
+}
+
+/**
+ * Warning shown when a seat goes over the recommended number of roles
+ * @param {number} roleCount
+ * @returns {string|undefined}
+ */
+function roleCountWarning(roleCount) {
+  if (roleCount <= RECOMMENDED_ROLES_PER_SEAT) return undefined;
+  return `This seat now has ${roleCount} roles. EOS recommends about ${RECOMMENDED_ROLES_PER_SEAT} roles per seat.`;
+}
+
+/**
+ * Create a seat under an existing seat in the accountability chart
+ * @param {Object} args - Arguments object
+ * @param {string} args.name - Seat name
+ * @param {string} args.parentSeatId - Seat this seat reports to
+ * @param {string} [args.holderIds] - Comma-separated user IDs holding the seat
+ * @param {string} [args.roles] - Roles, one per line or separated by ';'
+ * @param {boolean} [args.isAssistant=false] - Show as an assistant seat
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function createSeat(args = {}) {
+  const { name, parentSeatId, holderIds, roles, isAssistant = false } = args;
+
+  if (!name || !name.trim() || !parentSeatId) {
+    return {
+      content: [
+        { type: "text", text: "Error: name and parentSeatId are required" },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const parent = await fetchSeat(parentSeatId);
+  if (!parent.ok) {
+    return { content: [{ type: "text", text: parent.error }] };
+  }
+
+  const holders = parseHolderIds(holderIds);
+  const users = await verifyUsers(holders);
+  if (!users.ok) {
+    return { content: [{ type: "text", text: users.error }] };
+  }
+
+  // New seats go after their siblings
+  const chartSeats = await fetchChartSeats(parent.seat.orgChartId);
+  if (!chartSeats.ok) {
+    return { content: [{ type: "text", text: chartSeats.error }] };
+  }
+  const siblingOrders = chartSeats.seats
+    .filter((seat) => seat.parentId === parentSeatId)
+    .map((seat) => seat.order || 0);
+  const order =
+    siblingOrders.length > 0 ? Math.max(...siblingOrders) + 1000 : 20000;
+
+  const mutation = `
+    mutation CreateOrgChartSeat($input: CreateOrgChartSeatInput!) {
+      createOrgChartSeat(input: $input) {
+        orgChartSeat {
+          id
+          name
+          parentId
+          order
+          holders
+          orgChartId
+          isAssistant
+        }
+      }
+    }
+  `;
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: {
+      orgChartSeat: {
+        name: name.trim(),
+        parentId: parentSeatId,
+        orgChartId: parent.seat.orgChartId,
+        order,
+        holders: holders.join(","),
+        isAssistant,
+        companyId: context.companyId,
+        stateId: "ACTIVE",
+      },
+    },
+  });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const seat = result.data?.data?.createOrgChartSeat?.orgChartSeat;
+  if (!seat) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Creating seat failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  const roleNames = (roles || "")
+    .split(/[\n;]/)
+    .map((role) => role.trim())
+    .filter((role) => role);
+  const createdRoles = [];
+  for (const [index, roleName] of roleNames.entries()) {
+    const role = await insertRole(context, seat.id, roleName, "", index + 1);
+    if (!role.ok) {
+      return { content: [{ type: "text", text: role.error }] };
+    }
+    createdRoles.push(role.role);
+  }
+
+  const warning = roleCountWarning(createdRoles.length);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Created seat "${seat.name}" under "${parent.seat.name}"`,
+            ...(warning && { warning }),
+            seat: {
+              ...seat,
+              holders: users.users,
+              roles: createdRoles,
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Rename a seat or change whether it is an assistant seat
+ * @param {Object} args - Arguments object
+ * @param {string} args.seatId - Seat ID
+ * @param {string} [args.name] - New seat name
+ * @param {boolean} [args.isAssistant] - Show as an assistant seat
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updateSeat(args = {}) {
+  const { seatId, name, isAssistant } = args;
+
+  if (!seatId) {
+    return {
+      content: [{ type: "text", text: "Error: seatId is required" }],
+    };
+  }
+
+  const patch = {};
+  if (name !== undefined) {
+    if (!name.trim()) {
+      return {
+        content: [{ type: "text", text: "Error: name cannot be empty" }],
+      };
+    }
+    patch.name = name.trim();
+  }
+  if (isAssistant !== undefined) patch.isAssistant = isAssistant;
+  if (Object.keys(patch).length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Nothing to update. Provide name or isAssistant.",
+        },
+      ],
+    };
+  }
+
+  const existing = await fetchSeat(seatId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+
+  const result = await patchSeat(seatId, patch);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Updated seat "${result.seat.name}"`,
+            seat: result.seat,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Move a seat (and everything under it) to report to another seat
+ * @param {Object} args - Arguments object
+ * @param {string} args.seatId - Seat to move
+ * @param {string} [args.newParentSeatId] - Seat it should report to; defaults to its current parent
+ * @param {number} [args.order] - Position among its new siblings (1 = first); defaults to last
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function moveSeat(args = {}) {
+  const { seatId, newParentSeatId, order } = args;
+
+  if (!seatId || (!newParentSeatId && order === undefined)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: seatId and newParentSeatId or order are required",
+        },
+      ],
+    };
+  }
+
+  const existing = await fetchSeat(seatId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+  const seat = existing.seat;
+  const parentId = newParentSeatId || seat.parentId;
+
+  const chartSeats = await fetchChartSeats(seat.orgChartId);
+  if (!chartSeats.ok) {
+    return { content: [{ type: "text", text: chartSeats.error }] };
+  }
+  const seatsById = Object.fromEntries(
+    chartSeats.seats.map((chartSeat) => [chartSeat.id, chartSeat])
+  );
+
+  let parentName = seatsById[parentId]?.name;
+  if (newParentSeatId) {
+    if (newParentSeatId === seatId) {
+      return {
+        content: [
+          { type: "text", text: "Error: A seat cannot report to itself" },
+        ],
+      };
+    }
+    if (!seatsById[newParentSeatId]) {
+      const parent = await fetchSeat(newParentSeatId);
+      return {
+        content: [
+          {
+            type: "text",
+            text: parent.ok
+              ? "Error: Seats can only be moved within the same org chart"
+              : parent.error,
+          },
+        ],
+      };
+    }
+
+    // Walk up from the new parent; reaching the seat means it would report to its own report
+    // The visited set stops the walk if the chart already holds a parent cycle
+    const visited = new Set();
+    let current = seatsById[newParentSeatId];
+    while (current && !visited.has(current.id)) {
+      visited.add(current.id);
+      if (current.parentId === seatId) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: "${seatsById[newParentSeatId].name}" reports to "${seat.name}", so "${seat.name}" cannot be moved under it`,
+            },
+          ],
+        };
+      }
+      current = seatsById[current.parentId];
+    }
+    parentName = seatsById[newParentSeatId].name;
+  }
+
+  // Order values are spaced out so a seat can be slotted between two siblings
+  const siblings = chartSeats.seats
+    .filter(
+      (chartSeat) => chartSeat.parentId === parentId && chartSeat.id !== seatId
+    )
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+  const position =
+    order === undefined
+      ? siblings.length
+      : Math.min(Math.max(Math.floor(Number(order)) - 1, 0), siblings.length);
+  const before = siblings[position - 1];
+  const after = siblings[position];
+  let newOrder;
+  if (!before && !after) newOrder = 20000;
+  else if (!before) newOrder = (after.order || 0) - 1000;
+  else if (!after) newOrder = (before.order || 0) + 1000;
+  else newOrder = Math.floor(((before.order || 0) + (after.order || 0)) / 2);
+
+  // No gap left between the neighbours - respace the siblings
+  if (before && after && (newOrder <= before.order || newOrder >= after.order)) {
+    for (const [index, sibling] of siblings.entries()) {
+      const respaced = await patchSeat(sibling.id, {
+        order: 20000 + (index + (index >= position ? 1 : 0)) * 1000,
+      });
+      if (!respaced.ok) {
+        return { content: [{ type: "text", text: respaced.error }] };
+      }
+    }
+    newOrder = 20000 + position * 1000;
+  }
+
+  const result = await patchSeat(seatId, { parentId, order: newOrder });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Moved seat "${seat.name}" under "${
+              parentName || parentId
+            }" at position ${position + 1}`,
+            seat: result.seat,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Delete a seat and its roles
+ * Seats that others report to are only deleted when moveChildrenTo is given.
+ * @param {Object} args - Arguments object
+ * @param {string} args.seatId - Seat ID
+ * @param {string} [args.moveChildrenTo] - Seat that the deleted seat's reports should move under
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function deleteSeat(args = {}) {
+  const { seatId, moveChildrenTo } = args;
+
+  if (!seatId) {
+    return {
+      content: [{ type: "text", text: "Error: seatId is required" }],
+    };
+  }
+
+  const existing = await fetchSeat(seatId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+  const seat = existing.seat;
+
+  const chartSeats = await fetchChartSeats(seat.orgChartId);
+  if (!chartSeats.ok) {
+    return { content: [{ type: "text", text: chartSeats.error }] };
+  }
+  const children = chartSeats.seats.filter(
+    (chartSeat) => chartSeat.parentId === seatId
+  );
+
+  if (children.length > 0) {
+    if (!moveChildrenTo) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: ${children.length} seat(s) report to "${
+              seat.name
+            }" (${children
+              .map((child) => child.name)
+              .join(
+                ", "
+              )}). Provide moveChildrenTo with the seat they should report to instead.`,
+          },
+        ],
+      };
+    }
+    const target = chartSeats.seats.find(
+      (chartSeat) => chartSeat.id === moveChildrenTo
+    );
+    if (!target || moveChildrenTo === seatId) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: moveChildrenTo must be another seat in the same org chart`,
+          },
+        ],
+      };
+    }
+    // The target may itself sit under the deleted seat; it then takes the deleted seat's place
+    const targetIsChild = target.parentId === seatId;
+    if (!targetIsChild) {
+      // A deeper report would end up above its own manager, creating a cycle
+      const seatsById = Object.fromEntries(
+        chartSeats.seats.map((chartSeat) => [chartSeat.id, chartSeat])
+      );
+      const visited = new Set();
+      let current = seatsById[target.parentId];
+      while (current && !visited.has(current.id)) {
+        visited.add(current.id);
+        if (current.id === seatId) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error: "${target.name}" reports indirectly to "${seat.name}". Choose a seat outside its branch, or one of its direct reports, for moveChildrenTo.`,
+              },
+            ],
+          };
+        }
+        current = seatsById[current.parentId];
+      }
+    }
+    if (targetIsChild) {
+      const moved = await patchSeat(target.id, { parentId: seat.parentId });
+      if (!moved.ok) {
+        return { content: [{ type: "text", text: moved.error }] };
+      }
+    }
+    for (const child of children) {
+      if (child.id === target.id) continue;
+      const moved = await patchSeat(child.id, { parentId: target.id });
+      if (!moved.ok) {
+        return { content: [{ type: "text", text: moved.error }] };
+      }
+    }
+  }
+
+  const roles = await fetchSeatRoles(seatId);
+  if (!roles.ok) {
+    return { content: [{ type: "text", text: roles.error }] };
+  }
+  for (const role of roles.roles) {
+    const deleted = await patchRole(role.id, { stateId: "DELETED" });
+    if (!deleted.ok) {
+      return { content: [{ type: "text", text: deleted.error }] };
+    }
+  }
+
+  const result = await patchSeat(seatId, { stateId: "DELETED" });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Deleted seat "${seat.name}" and its ${roles.roles.length} role(s)`,
+            ...(children.length > 0 && {
+              movedSeats: children.map((child) => ({
+                id: child.id,
+                name: child.name,
+              })),
+              movedTo: moveChildrenTo,
+            }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Add a role to a seat
+ * @param {Object} args - Arguments object
+ * @param {string} args.seatId - Seat ID
+ * @param {string} args.name - Role name
+ * @param {string} [args.description] - Role description
+ * @param {number} [args.order] - Position among the seat's roles (1 = first); defaults to last
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function createSeatRole(args = {}) {
+  const { seatId, name, description, order } = args;
+
+  if (!seatId || !name || !name.trim()) {
+    return {
+      content: [{ type: "text", text: "Error: seatId and name are required" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const existing = await fetchSeat(seatId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+
+  const roles = await fetchSeatRoles(seatId);
+  if (!roles.ok) {
+    return { content: [{ type: "text", text: roles.error }] };
+  }
+
+  const position =
+    order === undefined
+      ? roles.roles.length
+      : Math.min(
+          Math.max(Math.floor(Number(order)) - 1, 0),
+          roles.roles.length
+        );
+
+  // Shift the roles after the new one down
+  for (const [index, role] of roles.roles.entries()) {
+    const newOrder = index < position ? index + 1 : index + 2;
+    if (role.order === newOrder) continue;
+    const moved = await patchRole(role.id, { order: newOrder });
+    if (!moved.ok) {
+      return { content: [{ type: "text", text: moved.error }] };
+    }
+  }
+
+  const result = await insertRole(
+    context,
+    seatId,
+    name.trim(),
+    description,
+    position + 1
+  );
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const warning = roleCountWarning(roles.roles.length + 1);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Added role "${result.role.name}" to seat "${existing.seat.name}"`,
+            ...(warning && { warning }),
+            role: result.role,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Rename, describe or reorder a seat role
+ * @param {Object} args - Arguments object
+ * @param {string} args.roleId - Role ID
+ * @param {string} [args.name] - New role name
+ * @param {string} [args.description] - New role description
+ * @param {number} [args.order] - New position among the seat's roles (1 = first)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updateSeatRole(args = {}) {
+  const { roleId, name, description, order } = args;
+
+  if (!roleId) {
+    return {
+      content: [{ type: "text", text: "Error: roleId is required" }],
+    };
+  }
+  if (name === undefined && description === undefined && order === undefined) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Nothing to update. Provide name, description or order.",
+        },
+      ],
+    };
+  }
+  if (name !== undefined && !name.trim()) {
+    return {
+      content: [{ type: "text", text: "Error: name cannot be empty" }],
+    };
+  }
+
+  const roleResult = await fetchRole(roleId);
+  if (!roleResult.ok) {
+    return { content: [{ type: "text", text: roleResult.error }] };
+  }
+  const existing = roleResult.role;
+
+  const patch = {};
+  if (name !== undefined) patch.name = name.trim();
+  if (description !== undefined) patch.description = description;
+
+  if (order !== undefined) {
+    const roles = await fetchSeatRoles(existing.orgChartSeatId);
+    if (!roles.ok) {
+      return { content: [{ type: "text", text: roles.error }] };
+    }
+    const others = roles.roles.filter((role) => role.id !== roleId);
+    const position = Math.min(
+      Math.max(Math.floor(Number(order)) - 1, 0),
+      others.length
+    );
+    for (const [index, role] of others.entries()) {
+      const newOrder = index < position ? index + 1 : index + 2;
+      if (role.order === newOrder) continue;
+      const moved = await patchRole(role.id, { order: newOrder });
+      if (!moved.ok) {
+        return { content: [{ type: "text", text: moved.error }] };
+      }
+    }
+    patch.order = position + 1;
+  }
+
+  const result = await patchRole(roleId, patch);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Updated role "${result.role.name}"`,
+            role: result.role,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Remove a role from its seat
+ * @param {Object} args - Arguments object
+ * @param {string} args.roleId - Role ID
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function deleteSeatRole(args = {}) {
+  const { roleId } = args;
+
+  if (!roleId) {
+    return {
+      content: [{ type: "text", text: "Error: roleId is required" }],
+    };
+  }
+
+  const existing = await fetchRole(roleId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+
+  const result = await patchRole(roleId, { stateId: "DELETED" });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Deleted role "${existing.role.name}"`,
+            roleId,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Put a person in a seat
+ * @param {Object} args - Arguments object
+ * @param {string} args.seatId - Seat ID
+ * @param {string} args.userId - User to put in the seat
+ * @param {boolean} [args.replace=false] - Replace the current holders instead of adding to them
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function assignSeatHolder(args = {}) {
+  const { seatId, userId, replace = false } = args;
+
+  if (!seatId || !userId) {
+    return {
+      content: [{ type: "text", text: "Error: seatId and userId are required" }],
+    };
+  }
+
+  const existing = await fetchSeat(seatId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+
+  const users = await verifyUsers([userId]);
+  if (!users.ok) {
+    return { content: [{ type: "text", text: users.error }] };
+  }
+
+  const currentHolders = parseHolderIds(existing.seat.holders);
+  if (!replace && currentHolders.includes(userId)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: User ${userId} already holds seat "${existing.seat.name}"`,
+        },
+      ],
+    };
+  }
+  const holders = replace ? [userId] : [...currentHolders, userId];
+
+  const result = await patchSeat(seatId, { holders: holders.join(",") });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const user = users.users[0];
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `${user.firstName} ${user.lastName} now holds seat "${existing.seat.name}"`,
+            ...(replace && {
+              replacedHolderIds: currentHolders.filter((id) => id !== userId),
+            }),
+            seat: { ...result.seat, holders },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Take a person out of a seat
+ * @param {Object} args - Arguments object
+ * @param {string} args.seatId - Seat ID
+ * @param {string} args.userId - User to remove from the seat
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function removeSeatHolder(args = {}) {
+  const { seatId, userId } = args;
+
+  if (!seatId || !userId) {
+    return {
+      content: [{ type: "text", text: "Error: seatId and userId are required" }],
+    };
+  }
+
+  const existing = await fetchSeat(seatId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+
+  const currentHolders = parseHolderIds(existing.seat.holders);
+  if (!currentHolders.includes(userId)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: User ${userId} does not hold seat "${existing.seat.name}"`,
+        },
+      ],
+    };
+  }
+  const holders = currentHolders.filter((id) => id !== userId);
+
+  const result = await patchSeat(seatId, { holders: holders.join(",") });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Removed user ${userId} from seat "${existing.seat.name}"${
+              holders.length === 0 ? ". The seat is now empty." : ""
+            }`,
+            seat: { ...result.seat, holders },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
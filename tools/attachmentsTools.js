@@ -0,0 +1,354 @@
+// Attachments Tools
+// Tools for listing and adding uploaded files on todos, issues, rocks and comments
+
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
+
+// Attachment tables by the table of the item they belong to
+const ATTACHMENT_TABLES = {
+  todos: { collection: "todoFiles", typeName: "TodoFile", itemField: "todoId" },
+  issues: {
+    collection: "issueFiles",
+    typeName: "IssueFile",
+    itemField: "issueId",
+  },
+  rocks: { collection: "rockFiles", typeName: "RockFile", itemField: "rockId" },
+  comments: {
+    collection: "commentFiles",
+    typeName: "CommentFile",
+    itemField: "commentId",
+  },
+};
+
+// Singular entity types used by comments ('issue') → attachment tables
+const COMMENT_ENTITY_TABLES = {
+  todo: "todos",
+  issue: "issues",
+  rock: "rocks",
+};
+
+/**
+ * Turn a user-supplied item type into a key of ATTACHMENT_TABLES
+ * @param {string} itemType - e.g. 'todo', 'issues', 'Rock'
+ * @returns {string|null}
+ */
+function normalizeAttachmentTable(itemType) {
+  const type = (itemType || "").trim().toLowerCase();
+  const table = type.endsWith("s") ? type : `${type}s`;
+  return ATTACHMENT_TABLES[table] ? table : null;
+}
+
+/**
+ * Describe an attachment row
+ * @param {Object} file - todoFiles/issueFiles/rockFiles/commentFiles node
+ * @returns {{id: string, fileName: string, url: string, createdAt: string}}
+ */
+function formatAttachment(file) {
+  // Uploaded files are stored by URL only; use the last path segment as the name
+  let fileName = file.uploadedFileUrl;
+  try {
+    const pathname = new URL(file.uploadedFileUrl).pathname;
+    fileName = decodeURIComponent(pathname.split("/").pop()) || fileName;
+  } catch (error) {
+    // Not a full URL - show it as stored
+  }
+
+  return {
+    id: file.id,
+    fileName,
+    url: file.uploadedFileUrl,
+    createdAt: file.createdAt,
+  };
+}
+
+/**
+ * Load the attachments of several items of one table
+ * Used by fetch() and getMeetingDetails to show attachments next to items.
+ * @param {string} table - 'todos', 'issues', 'rocks' or 'comments'
+ * @param {Array<string>} ids - Item IDs
+ * @returns {Promise<{ok: boolean, attachmentsByItem?: Object, error?: string}>} attachmentsByItem maps item ID → attachments
+ */
+export async function loadAttachments(table, ids) {
+  const config = ATTACHMENT_TABLES[table];
+  if (!config) {
+    return { ok: false, error: `Error: ${table} can't have attachments` };
+  }
+  if (ids.length === 0) return { ok: true, attachmentsByItem: {} };
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      ${config.collection}(filter: {${config.itemField}: {in: [${ids
+        .map((id) => `"${id}"`)
+        .join(", ")}]}, stateId: {equalTo: "ACTIVE"}}, orderBy: CREATED_AT_ASC) {
+        nodes {
+          id
+          ${config.itemField}
+          uploadedFileUrl
+          createdAt
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const attachmentsByItem = {};
+  result.data.data[config.collection].nodes.forEach((file) => {
+    const itemId = file[config.itemField];
+    if (!attachmentsByItem[itemId]) attachmentsByItem[itemId] = [];
+    attachmentsByItem[itemId].push(formatAttachment(file));
+  });
+  return { ok: true, attachmentsByItem };
+}
+
+/**
+ * Load the comments on an item that have attachments, with those attachments
+ * @param {string} table - 'todos', 'issues' or 'rocks'
+ * @param {string} itemId
+ * @returns {Promise<{ok: boolean, comments?: Array<Object>, error?: string}>}
+ */
+async function loadCommentAttachments(table, itemId) {
+  const entityType = Object.keys(COMMENT_ENTITY_TABLES).find(
+    (type) => COMMENT_ENTITY_TABLES[type] === table
+  );
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      comments(filter: {entityType: {equalTo: "${entityType}"}, entityId: {equalTo: "${itemId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          userId
+          comment
+          createdAt
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const comments = result.data.data.comments.nodes;
+  const files = await loadAttachments(
+    "comments",
+    comments.map((comment) => comment.id)
+  );
+  if (!files.ok) return files;
+
+  return {
+    ok: true,
+    comments: comments
+      .filter((comment) => files.attachmentsByItem[comment.id])
+      .map((comment) => ({
+        commentId: comment.id,
+        userId: comment.userId,
+        comment: comment.comment,
+        createdAt: comment.createdAt,
+        attachments: files.attachmentsByItem[comment.id],
+      })),
+  };
+}
+
+/**
+ * List the files attached to a todo, issue, rock or comment
+ * For todos, issues and rocks, files attached to their comments are listed too.
+ * @param {Object} args - Arguments object
+ * @param {string} args.itemType - 'todo', 'issue', 'rock' or 'comment'
+ * @param {string} args.itemId - Item ID
+ * @param {boolean} [args.includeComments=true] - Include files attached to the item's comments
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getAttachments(args = {}) {
+  const { itemType, itemId, includeComments = true } = args;
+
+  const table = normalizeAttachmentTable(itemType);
+  if (!table || !itemId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: itemId and itemType ('todo', 'issue', 'rock' or 'comment') are required",
+        },
+      ],
+    };
+  }
+
+  const files = await loadAttachments(table, [itemId]);
+  if (!files.ok) {
+    return { content: [{ type: "text", text: files.error }] };
+  }
+  const attachments = files.attachmentsByItem[itemId] || [];
+
+  let commentAttachments;
+  if (includeComments && table !== "comments") {
+    const comments = await loadCommentAttachments(table, itemId);
+    if (!comments.ok) {
+      return { content: [{ type: "text", text: comments.error }] };
+    }
+    commentAttachments = comments.comments;
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            itemType: table,
+            itemId,
+            totalCount:
+              attachments.length +
+              (commentAttachments || []).reduce(
+                (sum, comment) => sum + comment.attachments.length,
+                0
+              ),
+            attachments,
+            ...(commentAttachments && { commentAttachments }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Attach an uploaded file to a todo, issue, rock or comment
+ * The file must already be uploaded; this records its URL on the item.
+ * @param {Object} args - Arguments object
+ * @param {string} args.itemType - 'todo', 'issue', 'rock' or 'comment'
+ * @param {string} args.itemId - Item ID
+ * @param {string} args.url - URL of the uploaded file (http or https)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function attachFile(args = {}) {
+  const { itemType, itemId, url } = args;
+
+  const table = normalizeAttachmentTable(itemType);
+  if (!table || !itemId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: itemId and itemType ('todo', 'issue', 'rock' or 'comment') are required",
+        },
+      ],
+    };
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: url must be a full http(s) URL of an uploaded file",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  // Make sure the item exists; comment files also record what the comment is on
+  const itemQuery =
+    table === "comments"
+      ? `comments(filter: {id: {equalTo: "${itemId}"}, stateId: {equalTo: "ACTIVE"}}) { nodes { id entityId } }`
+      : `${table}(filter: {id: {equalTo: "${itemId}"}, stateId: {equalTo: "ACTIVE"}}) { nodes { id } }`;
+  const itemResult = await callSuccessCoGraphQL(`query { ${itemQuery} }`);
+  if (!itemResult.ok) {
+    return { content: [{ type: "text", text: itemResult.error }] };
+  }
+  const item = itemResult.data.data[table].nodes[0];
+  if (!item) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: No ${table.slice(0, -1)} found with ID ${itemId}`,
+        },
+      ],
+    };
+  }
+
+  const config = ATTACHMENT_TABLES[table];
+  const inputKey =
+    config.typeName.charAt(0).toLowerCase() + config.typeName.slice(1);
+  const mutation = `
+    mutation Create${config.typeName}($input: Create${config.typeName}Input!) {
+      create${config.typeName}(input: $input) {
+        ${inputKey} {
+          id
+          ${config.itemField}
+          uploadedFileUrl
+          createdAt
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: {
+      [inputKey]: {
+        [config.itemField]: itemId,
+        ...(table === "comments" && { objectId: item.entityId }),
+        uploadedFileUrl: url,
+        companyId: context.companyId,
+        stateId: "ACTIVE",
+      },
+    },
+  });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const file = result.data?.data?.[`create${config.typeName}`]?.[inputKey];
+  if (!file) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Attaching the file failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  const attachment = formatAttachment(file);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Attached ${attachment.fileName} to ${table.slice(
+              0,
+              -1
+            )} ${itemId}`,
+            attachment,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -4,6 +4,88 @@
 import { callSuccessCoGraphQL, getUserContext } from "./core.js";
 import { validateStateId } from "../utils/helpers.js";
 
+/**
+ * Parse a user_reactions.reactions value into emoji strings
+ * @param {string} reactions - JSON array, e.g. '["👍","🎉"]'
+ * @returns {Array<string>}
+ */
+function parseReactions(reactions) {
+  try {
+    const parsed = JSON.parse(reactions || "[]");
+    return Array.isArray(parsed)
+      ? parsed.filter((emoji) => typeof emoji === "string" && emoji)
+      : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Parse a user_reactions.reactions value, keeping every entry
+ * Used when writing the value back, so entries parseReactions skips survive.
+ * @param {string} reactions - JSON array
+ * @returns {Array|null} The entries, or null if the value isn't a JSON array
+ */
+function parseReactionEntries(reactions) {
+  try {
+    const parsed = JSON.parse(reactions || "[]");
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load and aggregate the reactions on comments
+ * @param {Array<string>} commentIds
+ * @param {string} [currentUserId] - Used to flag the current user's own reactions
+ * @returns {Promise<Object>} Map of comment ID → [{emoji, count, userIds, reactedByMe}], most used first
+ */
+async function loadReactions(commentIds, currentUserId) {
+  if (commentIds.length === 0) return {};
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      userReactions(filter: {commentId: {in: [${commentIds
+        .map((id) => `"${id}"`)
+        .join(", ")}]}}) {
+        nodes {
+          commentId
+          userId
+          reactions
+        }
+      }
+    }
+  `);
+  if (!result.ok) return {};
+
+  // comment ID → emoji → user IDs
+  const usersByEmoji = {};
+  result.data.data.userReactions.nodes.forEach((row) => {
+    if (!usersByEmoji[row.commentId]) usersByEmoji[row.commentId] = {};
+    parseReactions(row.reactions).forEach((emoji) => {
+      const users = usersByEmoji[row.commentId][emoji] || [];
+      if (!users.includes(row.userId)) users.push(row.userId);
+      usersByEmoji[row.commentId][emoji] = users;
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(usersByEmoji).map(([commentId, emojis]) => [
+      commentId,
+      Object.entries(emojis)
+        .map(([emoji, userIds]) => ({
+          emoji,
+          count: userIds.length,
+          userIds,
+          reactedByMe:
+            Boolean(currentUserId) && userIds.includes(currentUserId),
+        }))
+        .sort((a, b) => b.count - a.count),
+    ])
+  );
+}
+
 /**
  * List Success.co comments for an entity
  * @param {Object} args - Arguments object
@@ -15,7 +97,7 @@ import { validateStateId } from "../utils/helpers.js";
  * @param {string} [args.userId] - Filter by comment author (user ID)
  * @param {string} [args.createdAfter] - Filter comments created after this date (ISO 8601 format)
  * @param {string} [args.createdBefore] - Filter comments created before this date (ISO 8601 format)
- * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>} Each comment includes its aggregated emoji reactions
  */
 export async function getComments(args) {
   const {
@@ -94,6 +176,15 @@ export async function getComments(args) {
   }
 
   const data = result.data;
+  const comments = data.data.comments.nodes;
+
+  // Aggregate emoji reactions per comment
+  const context = await getUserContext();
+  const reactionsByComment = await loadReactions(
+    comments.map((comment) => comment.id),
+    context?.userId
+  );
+
   return {
     content: [
       {
@@ -101,16 +192,24 @@ export async function getComments(args) {
         text: JSON.stringify(
           {
             totalCount: data.data.comments.totalCount,
-            results: data.data.comments.nodes.map((comment) => ({
-              id: comment.id,
-              entityType: comment.entityType,
-              entityId: comment.entityId,
-              userId: comment.userId,
-              comment: comment.comment,
-              createdAt: comment.createdAt,
-              updatedAt: comment.updatedAt,
-              status: comment.stateId,
-            })),
+            results: comments.map((comment) => {
+              const reactions = reactionsByComment[comment.id] || [];
+              return {
+                id: comment.id,
+                entityType: comment.entityType,
+                entityId: comment.entityId,
+                userId: comment.userId,
+                comment: comment.comment,
+                createdAt: comment.createdAt,
+                updatedAt: comment.updatedAt,
+                status: comment.stateId,
+                reactions,
+                reactionCount: reactions.reduce(
+                  (sum, reaction) => sum + reaction.count,
+                  0
+                ),
+              };
+            }),
           },
           null,
           2
@@ -494,3 +593,205 @@ export async function deleteComment(args) {
   };
 }
 
+
+/**
+ * Load the current user's reactions row for a comment
+ * user_reactions holds one row per user and comment, with the emojis as a JSON array.
+ * @param {string} commentId
+ * @param {string} userId
+ * @returns {Promise<{ok: boolean, row?: Object|null, error?: string}>}
+ */
+async function findUserReactions(commentId, userId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      userReactions(filter: {commentId: {equalTo: "${commentId}"}, userId: {equalTo: "${userId}"}}) {
+        nodes {
+          id
+          reactions
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+  return { ok: true, row: result.data.data.userReactions.nodes[0] || null };
+}
+
+/**
+ * Add or remove one of the current user's reactions on a comment
+ * @param {string} commentId
+ * @param {string} emoji
+ * @param {boolean} add - true to add, false to remove
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+async function setReaction(commentId, emoji, add) {
+  const reaction = (emoji || "").trim();
+  if (!commentId || !reaction) {
+    return {
+      content: [
+        { type: "text", text: "Error: commentId and emoji are required" },
+      ],
+    };
+  }
+
+  // Get user context for userId and companyId
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const commentResult = await callSuccessCoGraphQL(`
+    query {
+      comments(filter: {id: {equalTo: "${commentId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+        }
+      }
+    }
+  `);
+  if (!commentResult.ok) {
+    return { content: [{ type: "text", text: commentResult.error }] };
+  }
+  if (commentResult.data.data.comments.nodes.length === 0) {
+    return {
+      content: [
+        { type: "text", text: `Error: No comment found with ID ${commentId}` },
+      ],
+    };
+  }
+
+  const existing = await findUserReactions(commentId, context.userId);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+
+  const stored = existing.row
+    ? parseReactionEntries(existing.row.reactions)
+    : [];
+  if (!stored) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Your reactions on this comment can't be read, so they weren't changed",
+        },
+      ],
+    };
+  }
+  // Entries other than emoji strings are written back untouched
+  const current = stored.filter((r) => typeof r === "string");
+  const changed = add
+    ? !current.includes(reaction)
+    : current.includes(reaction);
+  const next = add
+    ? [...stored, ...(changed ? [reaction] : [])]
+    : stored.filter((r) => r !== reaction);
+
+  if (changed) {
+    const result = existing.row
+      ? await callSuccessCoGraphQL(
+          `
+          mutation UpdateUserReaction($input: UpdateUserReactionInput!) {
+            updateUserReaction(input: $input) {
+              userReaction {
+                id
+              }
+            }
+          }
+        `,
+          {
+            input: {
+              id: existing.row.id,
+              patch: { reactions: JSON.stringify(next) },
+            },
+          }
+        )
+      : await callSuccessCoGraphQL(
+          `
+          mutation CreateUserReaction($input: CreateUserReactionInput!) {
+            createUserReaction(input: $input) {
+              userReaction {
+                id
+              }
+            }
+          }
+        `,
+          {
+            input: {
+              userReaction: {
+                userId: context.userId,
+                commentId,
+                reactions: JSON.stringify(next),
+                companyId: context.companyId,
+              },
+            },
+          }
+        );
+    if (!result.ok) {
+      return { content: [{ type: "text", text: result.error }] };
+    }
+  }
+
+  const reactions = (await loadReactions([commentId], context.userId))[
+    commentId
+  ];
+
+  let message;
+  if (add) {
+    message = changed
+      ? `Reacted ${reaction} to the comment`
+      : `You already reacted ${reaction} to this comment`;
+  } else {
+    message = changed
+      ? `Removed your ${reaction} reaction`
+      : `You hadn't reacted ${reaction} to this comment`;
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message,
+            commentId,
+            reactions: reactions || [],
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * React to a comment with an emoji as the current user
+ * @param {Object} args - Arguments object
+ * @param {string} args.commentId - Comment ID (required)
+ * @param {string} args.emoji - Emoji to react with, e.g. '👍' (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function addReaction(args) {
+  const { commentId, emoji } = args;
+  return await setReaction(commentId, emoji, true);
+}
+
+/**
+ * Remove one of the current user's emoji reactions from a comment
+ * @param {Object} args - Arguments object
+ * @param {string} args.commentId - Comment ID (required)
+ * @param {string} args.emoji - Emoji to remove, e.g. '👍' (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function removeReaction(args) {
+  const { commentId, emoji } = args;
+  return await setReaction(commentId, emoji, false);
+}
@@ -163,6 +163,23 @@ export async function executeMutation(mutation, variables, resultPath) {
   return result;
 }
 
+/**
+ * Parse the JSON payload of another tool's MCP response
+ * Tools report failures as plain "Error: ..." text, so anything that is not
+ * JSON is treated as an error.
+ * @param {Object} response - MCP response object returned by a tool function
+ * @returns {Object} Parsed response payload
+ * @throws {Error} if the response is not JSON
+ */
+export function parseToolResponse(response) {
+  const text = response?.content?.[0]?.text || "";
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(text || "Empty tool response");
+  }
+}
+
 /**
  * Validate that at least one update field is provided
  * @param {Object} updates - Object with update fields
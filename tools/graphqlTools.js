@@ -5,6 +5,14 @@ import {
   callSuccessCoGraphQL,
   getGraphQLEndpoint,
 } from "./core.js";
+import {
+  ensureVTOSnapshot,
+  findVisionIdsForVTOMutation,
+} from "./vtoHistoryTools.js";
+
+// Mutations on V/TO section tables (visionCoreValues, visionThreeYearGoals, ...),
+// which are snapshotted to vision_histories before they run
+const VTO_MUTATION_PATTERN = /\b(create|update|delete)Vision(?!History)[A-Z]\w*/;
 
 /**
  * Get overview of the GraphQL API with introspection examples
@@ -265,6 +273,25 @@ export async function executeGraphQL(args) {
       throw new Error("Query parameter is required and must be a string");
     }
 
+    // V/TO edits made here are not routed through vtoTools, so save the
+    // visions being edited first in the same way
+    if (/^\s*mutation\b/.test(query) && VTO_MUTATION_PATTERN.test(query)) {
+      const target = await findVisionIdsForVTOMutation(query, variables);
+      if (!target.ok) {
+        throw new Error(
+          `Could not tell which V/TO this mutation edits, so no snapshot was saved and it was not run. ${target.error}`
+        );
+      }
+      for (const visionId of target.visionIds) {
+        const snapshot = await ensureVTOSnapshot({ visionId });
+        if (!snapshot.ok) {
+          throw new Error(
+            `Could not save a V/TO snapshot before this mutation, so it was not run. ${snapshot.error}`
+          );
+        }
+      }
+    }
+
     // Call the GraphQL API using the existing helper (handles auth automatically)
     const response = await callSuccessCoGraphQL(query, variables);
 
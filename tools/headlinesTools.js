@@ -9,6 +9,7 @@ import {
 } from "./core.js";
 import { validateStateId } from "../utils/helpers.js";
 import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+import { resolveTagFilter } from "./tagsTools.js";
 
 /**
  * List Success.co headlines
@@ -25,6 +26,7 @@ import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
  * @param {string} [args.createdBefore] - Filter headlines created before this date (ISO format)
  * @param {string} [args.keyword] - Search for headlines containing this keyword (case-insensitive)
  * @param {string} [args.status] - Filter by status: 'Shared' or 'Not shared' (defaults to 'Not shared')
+ * @param {string} [args.tags] - Comma-separated tag names; only headlines with any of these tags
  * @returns {Promise<{content: Array<{type: string, text: string}>}>}
  */
 export async function getHeadlines(args) {
@@ -41,6 +43,7 @@ export async function getHeadlines(args) {
     createdBefore,
     keyword,
     status = "Not shared",
+    tags,
   } = args;
 
   // Map external status values to internal database values
@@ -75,9 +78,22 @@ export async function getHeadlines(args) {
 
   const filterItems = [`stateId: {equalTo: "${stateId}"}`];
 
-  // Add headlineId filter if provided
+  // Add headlineId and tags filters (both on id)
+  const idFilters = [];
   if (headlineId) {
-    filterItems.push(`id: {equalTo: "${headlineId}"}`);
+    idFilters.push(`equalTo: "${headlineId}"`);
+  }
+  if (tags) {
+    const tagged = await resolveTagFilter("headlines", tags);
+    if (!tagged.ok) {
+      return { content: [{ type: "text", text: tagged.error }] };
+    }
+    if (tagged.ids) {
+      idFilters.push(`in: [${tagged.ids.map((id) => `"${id}"`).join(", ")}]`);
+    }
+  }
+  if (idFilters.length > 0) {
+    filterItems.push(`id: {${idFilters.join(", ")}}`);
   }
 
   // Add teamId filter if provided
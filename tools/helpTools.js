@@ -15,6 +15,10 @@ export async function getSampleQuestions() {
         "What's our 10-year target, and how are we tracking against it?",
         "Show me our 3-year picture side-by-side with our current performance metrics.",
         "Are our quarterly Rocks aligned with our V/TO goals?",
+        "How has our V/TO changed since last year?",
+        "Undo the changes made to our 3-year picture today.",
+        "Are the measurables on our 1-year plan on track to hit their targets?",
+        "What's on our V/TO issues list, and which ones are being worked on this quarter?",
       ],
       "Accountability Chart": [
         "Who reports to the Integrator?",
@@ -22,6 +26,8 @@ export async function getSampleQuestions() {
         "Who's accountable for lead generation KPIs?",
         "Show me any open roles or missing seats on the accountability chart.",
         "Create a summary of who's accountable for each company Rock.",
+        "Move the Marketing seat under the Integrator and add a 'Brand' role to it.",
+        "What would our chart look like if Jane took over the Operations seat? Who would be overloaded?",
       ],
       "Scorecard": [
         "Show me this week's scorecard.",
@@ -30,6 +36,10 @@ export async function getSampleQuestions() {
         "What's our trend for revenue over the last quarter?",
         "List all metrics that are below target YTD.",
         "Give me a quick summary of scorecard performance and outliers.",
+        "Which measurables have been off-track the longest, and are any trending down?",
+        "Create a weekly measurable for revenue per customer calculated from Revenue and Customers.",
+        "Add last month's numbers from this spreadsheet to the scorecard.",
+        "Export our weekly scorecard to a spreadsheet for finance.",
       ],
       "Rocks": [
         "Show me all company Rocks and their completion status.",
@@ -37,6 +47,7 @@ export async function getSampleQuestions() {
         "Who owns the Rock '[Rock name]' and what's its current status?",
         "Summarize the progress on all Rocks by department.",
         "What percentage of our Rocks are completed on time?",
+        "Roll over our unfinished Rocks to next quarter.",
       ],
       "To-Dos": [
         "List all of my open to-dos from our Level 10 meetings.",
@@ -50,6 +61,7 @@ export async function getSampleQuestions() {
         "Which issues have been stuck open for more than 2 weeks?",
         "Summarize issues by team or topic.",
         "What are the top 3 recurring issues across all departments?",
+        "Let's IDS the pricing issue - what do we know about it?",
       ],
       "Meetings / Level 10": [
         "What were the headlines from our last leadership L10?",
@@ -57,6 +69,11 @@ export async function getSampleQuestions() {
         "How did each team score their last Level 10 meeting?",
         "What's the average meeting score for Q4?",
         "List all to-dos created in this week's meetings.",
+        "How have our L10 meeting ratings trended this quarter?",
+        "Which parts of our L10 regularly run over time?",
+        "Start our leadership L10 and move to the next section when we're done.",
+        "Draft the recap email for today's L10 so I can review it.",
+        "Set up a weekly L10 on Mondays at 9am, and skip the one on Christmas.",
       ],
       "Headlines": [
         "Show me all [team] team headlines from last L10.",
@@ -70,6 +87,41 @@ export async function getSampleQuestions() {
         "Which question scored lowest?",
         "Compare this quarter's checkup to last quarter's.",
         "Summarize improvement areas for the next EOS quarter.",
+        "Start a new organization checkup that the whole leadership team can score.",
+        "Which EOS component scored weakest on our last checkup, and how has it changed?",
+      ],
+      "People Analyzer": [
+        "Who is below the bar on our core values?",
+        "Who is missing GWC in our latest People Analyzer?",
+        "Start a People Analyzer session for the leadership team.",
+      ],
+      "SWOT Analysis": [
+        "Show me the leadership team's SWOT analysis.",
+        "Add 'Rising material costs' as a threat for the leadership team.",
+        "Turn our biggest weakness into an issue.",
+      ],
+      "Notifications": [
+        "What did people mention me in this week?",
+        "Do I have any unread notifications?",
+        "Mark all my notifications as read.",
+      ],
+      "Related Items": [
+        "Which issue did this to-do come from?",
+        "Link the pricing issue to our website rock.",
+        "What's linked to [Rock name]?",
+      ],
+      "Tags": [
+        "Show everything tagged customer-escalation.",
+        "Tag this issue as Q3-launch.",
+        "Which rocks and to-dos are tagged Q3-launch?",
+      ],
+      "Attachments": [
+        "Is there a spec attached to [Rock name]?",
+        "Show the files attached to this issue.",
+      ],
+      "Comments": [
+        "Which comments on [Rock name] got the most reactions?",
+        "Give the latest comment on this issue a 👍.",
       ],
       "Teams and People": [
         "Who's on the [Team] team?",
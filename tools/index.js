@@ -39,7 +39,13 @@ export { getUsers, getCurrentUser } from "./usersTools.js";
 export { getTodos, createTodo, updateTodo, deleteTodo } from "./todosTools.js";
 
 // Rocks
-export { getRocks, createRock, updateRock, deleteRock } from "./rocksTools.js";
+export {
+  getRocks,
+  createRock,
+  updateRock,
+  deleteRock,
+  rolloverQuarter,
+} from "./rocksTools.js";
 
 // Issues
 export {
@@ -47,6 +53,7 @@ export {
   createIssue,
   updateIssue,
   deleteIssue,
+  idsIssue,
 } from "./issuesTools.js";
 
 // Headlines
@@ -63,8 +70,12 @@ export {
   getMeetingInfos,
   getMeetingAgendas,
   getMeetingDetails,
+  getMeetingAnalytics,
   createMeeting,
   updateMeeting,
+  startMeeting,
+  advanceMeetingSection,
+  concludeMeeting,
 } from "./meetingsTools.js";
 
 // Milestones
@@ -83,10 +94,76 @@ export {
   deleteScorecardMeasurable,
   createScorecardMeasurableEntry,
   updateScorecardMeasurableEntry,
+  bulkUpsertScorecardEntries,
+  analyzeScorecardTrends,
+  exportScorecard,
 } from "./scorecardTools.js";
 
+// Meeting Summaries
+export {
+  draftMeetingSummary,
+  reviewMeetingSummary,
+} from "./meetingSummaryTools.js";
+
+// Meeting Series
+export {
+  createMeetingSeries,
+  updateMeetingSeries,
+  cancelMeetingSeries,
+  generateMeetingSeries,
+  skipMeetingOccurrence,
+  rescheduleMeetingOccurrence,
+} from "./meetingSeriesTools.js";
+
 // Org Checkups
-export { getOrgCheckups } from "./orgCheckupsTools.js";
+export {
+  getOrgCheckups,
+  startOrgCheckup,
+  answerOrgCheckup,
+  finalizeOrgCheckup,
+  getOrgCheckupScores,
+} from "./orgCheckupsTools.js";
+
+// People Analyzer
+export {
+  getPeopleAnalyzer,
+  createPeopleAnalyzerSession,
+  updatePeopleAnalyzerSession,
+  updatePeopleAnalyzerScores,
+} from "./peopleAnalyzerTools.js";
+
+// SWOT
+export {
+  getSwotItems,
+  createSwotItem,
+  updateSwotItem,
+  reorderSwotItems,
+  deleteSwotItem,
+  convertSwotItemToIssue,
+} from "./swotTools.js";
+
+// Notifications
+export {
+  getMyNotifications,
+  markNotificationsRead,
+} from "./notificationsTools.js";
+
+// Related Items
+export {
+  linkItems,
+  unlinkItems,
+  getRelatedItems,
+} from "./relatedItemsTools.js";
+
+// Tags
+export {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  tagItem,
+  untagItem,
+} from "./tagsTools.js";
 
 // Vision/Traction Organizer
 export {
@@ -108,8 +185,44 @@ export {
   deleteVTOMarketStrategy,
 } from "./vtoTools.js";
 
+// V/TO History
+export {
+  getVTOHistory,
+  diffVTOVersions,
+  restoreVTOVersion,
+} from "./vtoHistoryTools.js";
+
+// V/TO Goals
+export {
+  attachMeasurableToGoal,
+  detachMeasurableFromGoal,
+  setGoalFinancialTarget,
+  getGoalKpiReport,
+} from "./vtoGoalTools.js";
+
+// V/TO Issues
+export {
+  getVTOIssues,
+  createVTOIssue,
+  updateVTOIssue,
+  deleteVTOIssue,
+  promoteIssueToVTO,
+  demoteVTOIssue,
+} from "./vtoIssuesTools.js";
+
 // Accountability Chart
-export { getAccountabilityChart } from "./accountabilityChartTools.js";
+export {
+  getAccountabilityChart,
+  createSeat,
+  updateSeat,
+  moveSeat,
+  deleteSeat,
+  createSeatRole,
+  updateSeatRole,
+  deleteSeatRole,
+  assignSeatHolder,
+  removeSeatHolder,
+} from "./accountabilityChartTools.js";
 
 // Search and Fetch
 export { search, fetch } from "./searchAndFetchTools.js";
@@ -120,8 +233,13 @@ export {
   createComment,
   updateComment,
   deleteComment,
+  addReaction,
+  removeReaction,
 } from "./commentsTools.js";
 
+// Attachments
+export { getAttachments, attachFile } from "./attachmentsTools.js";
+
 // Insights & Analytics
 export {
   getExecutionHealth,
@@ -13,7 +13,16 @@ import {
   mapPriorityToText,
   mapIssueTypeToLowercase,
 } from "../utils/helpers.js";
-import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+import {
+  getCompanyCode,
+  generateObjectUrl,
+  parseToolResponse,
+} from "./commonHelpers.js";
+import { resolveTagFilter } from "./tagsTools.js";
+import { getComments, createComment } from "./commentsTools.js";
+import { loadRelatedItems, createRelation } from "./relatedItemsTools.js";
+import { createTodo } from "./todosTools.js";
+import { getUserWorkload } from "./insightsTools.js";
 
 /**
  * List Success.co issues
@@ -31,6 +40,7 @@ import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
  * @param {string} [args.createdAfter] - Filter issues created after this date (ISO format)
  * @param {string} [args.createdBefore] - Filter issues created before this date (ISO format)
  * @param {string} [args.statusUpdatedBefore] - Filter issues with status updated before this date (ISO format)
+ * @param {string} [args.tags] - Comma-separated tag names; only issues with any of these tags
  * @returns {Promise<{content: Array<{type: string, text: string}>}>}
  */
 export async function getIssues(args) {
@@ -48,6 +58,7 @@ export async function getIssues(args) {
     createdAfter,
     createdBefore,
     statusUpdatedBefore,
+    tags,
   } = args;
 
   // Resolve teamId if leadershipTeam is true
@@ -142,6 +153,19 @@ export async function getIssues(args) {
     );
   }
 
+  // Limit to issues with any of the given tags
+  if (tags) {
+    const tagged = await resolveTagFilter("issues", tags);
+    if (!tagged.ok) {
+      return { content: [{ type: "text", text: tagged.error }] };
+    }
+    if (tagged.ids) {
+      filterItems.push(
+        `id: {in: [${tagged.ids.map((id) => `"${id}"`).join(", ")}]}`
+      );
+    }
+  }
+
   const filterStr = [
     filterItems.length > 0 ? `filter: {${filterItems.join(", ")}}` : "",
     first !== undefined ? `first: ${first}` : "",
@@ -803,3 +827,279 @@ export async function deleteIssue(args) {
     ],
   };
 }
+
+/**
+ * Summarize the issue owner's workload against the rest of the team
+ * @param {Object} workload - getUserWorkload output for the issue's team
+ * @param {string} ownerId - Issue owner's user ID
+ * @returns {Object|null}
+ */
+function describeOwnerWorkload(workload, ownerId) {
+  const owner = workload.userWorkload.find((user) => user.userId === ownerId);
+  if (!owner) return null;
+
+  return {
+    ...owner,
+    teamAverage: workload.summary.avgItemsPerUser,
+    isOverloaded: workload.overloadedUsers.some(
+      (user) => user.userName === owner.userName
+    ),
+  };
+}
+
+/**
+ * Work an issue through IDS (Identify, Discuss, Solve)
+ * Without a resolution, gathers what the team needs to discuss the issue: its
+ * comments, linked rocks and todos, and the owner's workload. With a
+ * resolution, solves it in one step: marks it complete, creates the resulting
+ * todos on the issue's team (linked back to the issue) and records the
+ * resolution as a comment.
+ * @param {Object} args - Arguments object
+ * @param {string} args.issueId - Issue ID (required)
+ * @param {string} [args.resolution] - What the team decided; solves the issue when given
+ * @param {Array<{name: string, desc?: string, userId?: string, dueDate?: string}>} [args.todos] - Todos that come out of the solution (owner defaults to the issue owner)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function idsIssue(args = {}) {
+  const { issueId, resolution, todos = [] } = args;
+
+  if (!issueId) {
+    return {
+      content: [{ type: "text", text: "Error: Issue ID is required" }],
+    };
+  }
+  if (resolution !== undefined && !resolution.trim()) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: resolution can't be empty. Leave it out to gather the issue's context instead.",
+        },
+      ],
+    };
+  }
+  if (todos.length > 0 && resolution === undefined) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: todos can only be created when solving the issue. Provide a resolution too.",
+        },
+      ],
+    };
+  }
+  if (todos.some((todo) => !todo.name?.trim())) {
+    return {
+      content: [{ type: "text", text: "Error: Every todo needs a name" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const issueResult = await callSuccessCoGraphQL(`
+    query {
+      issues(filter: {id: {equalTo: "${issueId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          desc
+          issueStatusId
+          teamId
+          userId
+          priorityNo
+          createdAt
+        }
+      }
+    }
+  `);
+  if (!issueResult.ok) {
+    return { content: [{ type: "text", text: issueResult.error }] };
+  }
+  const issue = issueResult.data.data.issues.nodes[0];
+  if (!issue) {
+    return {
+      content: [
+        { type: "text", text: `Error: Issue not found with ID: ${issueId}` },
+      ],
+    };
+  }
+
+  const companyCode = await getCompanyCode(context.companyId);
+  const issueSummary = {
+    id: issue.id,
+    name: issue.name,
+    description: issue.desc || "",
+    status: issue.issueStatusId,
+    priority: mapPriorityToText(issue.priorityNo),
+    teamId: issue.teamId,
+    userId: issue.userId,
+    createdAt: issue.createdAt,
+    url: companyCode
+      ? generateObjectUrl("issues", issue.id, companyCode)
+      : null,
+  };
+
+  // Identify & Discuss: everything the team should look at before deciding
+  if (resolution === undefined) {
+    let comments;
+    let workload;
+    let related;
+    try {
+      [comments, workload, related] = await Promise.all([
+        getComments({ entityType: "issue", entityId: issue.id }).then(
+          parseToolResponse
+        ),
+        issue.userId && issue.teamId
+          ? getUserWorkload({ teamId: issue.teamId }).then(parseToolResponse)
+          : null,
+        loadRelatedItems(issue.id),
+      ]);
+    } catch (error) {
+      return { content: [{ type: "text", text: error.message }] };
+    }
+    if (!related.ok) {
+      return { content: [{ type: "text", text: related.error }] };
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              issue: issueSummary,
+              comments: comments.results.map((comment) => ({
+                id: comment.id,
+                userId: comment.userId,
+                comment: comment.comment,
+                createdAt: comment.createdAt,
+              })),
+              linkedRocks: related.relatedItems.filter(
+                (item) => item.type === "rocks"
+              ),
+              linkedTodos: related.relatedItems.filter(
+                (item) => item.type === "todos"
+              ),
+              ownerWorkload: workload
+                ? describeOwnerWorkload(workload, issue.userId)
+                : null,
+              nextStep:
+                "Once the team has decided, call idsIssue again with a resolution (and any todos) to solve the issue.",
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  // Solve
+  if (issue.issueStatusId === "COMPLETE") {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Issue "${issue.name}" is already solved`,
+        },
+      ],
+    };
+  }
+
+  const updateResponse = await updateIssue({
+    issueId: issue.id,
+    issueStatusId: "COMPLETE",
+  });
+  try {
+    parseToolResponse(updateResponse);
+  } catch (error) {
+    return updateResponse;
+  }
+
+  // The issue is solved from here on - report anything else as a warning
+  const warnings = [];
+  const createdTodos = [];
+  for (const todo of todos) {
+    let created;
+    try {
+      created = parseToolResponse(
+        await createTodo({
+          name: todo.name.trim(),
+          desc: todo.desc,
+          userId: todo.userId || issue.userId,
+          dueDate: todo.dueDate,
+          teamId: issue.teamId,
+        })
+      ).todo;
+    } catch (error) {
+      warnings.push(`Could not create todo "${todo.name}": ${error.message}`);
+      continue;
+    }
+    createdTodos.push(created);
+
+    const link = await createRelation(
+      { table: "issues", id: issue.id },
+      { table: "todos", id: created.id }
+    );
+    if (!link.ok) {
+      warnings.push(
+        `Could not link todo "${created.name}" to the issue: ${link.error}`
+      );
+    }
+  }
+
+  // GraphQL string literals can't hold newlines - keep the comment on one line
+  const commentText = [
+    `Solved: ${resolution.trim().replace(/\s*\n\s*/g, " ")}`,
+    createdTodos.length > 0
+      ? `To-dos: ${createdTodos.map((todo) => todo.name).join("; ")}`
+      : "",
+  ]
+    .filter(Boolean)
+    .join(" | ");
+  let comment = null;
+  try {
+    comment = parseToolResponse(
+      await createComment({
+        comment: commentText,
+        entityType: "issue",
+        entityId: issue.id,
+      })
+    ).comment;
+  } catch (error) {
+    warnings.push(`Could not add the resolution comment: ${error.message}`);
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Issue "${issue.name}" solved with ${
+              createdTodos.length
+            } todo${createdTodos.length === 1 ? "" : "s"}`,
+            issue: { ...issueSummary, status: "COMPLETE" },
+            todos: createdTodos,
+            comment,
+            ...(warnings.length > 0 && { warnings }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
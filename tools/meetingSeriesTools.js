@@ -0,0 +1,1670 @@
+// Meeting Series Tools
+// Tools for recurring meetings: a meeting info with a repeat pattern (the
+// series) and the meetings scheduled from it (its occurrences)
+
+import {
+  callSuccessCoGraphQL,
+  getLeadershipTeamId,
+  getUserContext,
+  getDatabase,
+} from "./core.js";
+import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+import { NOT_STARTED_STATUS, patchMeeting } from "./meetingsTools.js";
+
+// meeting_repeats ID of one-off meetings, and of series once cancelled
+const NEVER_REPEATS_ID = "NEVER";
+
+const REPEAT_UNITS = ["DAY", "WEEK", "MONTH", "YEAR"];
+const WEEKDAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+// Words that identify a meeting_repeats row for each repeat unit
+const REPEATS_KEYWORDS = {
+  DAY: /day|dai/i,
+  WEEK: /week/i,
+  MONTH: /month/i,
+  YEAR: /year|annual/i,
+};
+
+// How far ahead occurrences are scheduled by default (13 weeks), and at most
+const DEFAULT_HORIZON_DAYS = 91;
+const MAX_HORIZON_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .split("T")[0];
+}
+
+/**
+ * Add months to a YYYY-MM-DD date, on the given day of the month or the
+ * month's last day if it's shorter
+ * @param {string} date
+ * @param {number} months
+ * @param {number} dayOfMonth
+ * @returns {string}
+ */
+function addMonths(date, months, dayOfMonth) {
+  const [year, month] = date.split("-").map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  target.setUTCDate(Math.min(dayOfMonth, lastDay));
+  return target.toISOString().split("T")[0];
+}
+
+/**
+ * Day of the week of a YYYY-MM-DD date
+ * @param {string} date
+ * @returns {number} Index into WEEKDAYS (0 = Monday)
+ */
+function weekdayOf(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Check that a string is a real YYYY-MM-DD date (not e.g. 2025-02-30)
+ * @param {string} date
+ * @returns {boolean}
+ */
+function isValidDate(date) {
+  return (
+    typeof date === "string" &&
+    DATE_PATTERN.test(date) &&
+    !isNaN(Date.parse(date)) &&
+    addDays(date, 0) === date
+  );
+}
+
+/**
+ * Load the time zone a series is scheduled in - its owner's, or UTC if the
+ * owner has none Postgres knows - and today's date there
+ * Without a database connection every series is scheduled in UTC.
+ * @param {string} ownerUserId - Owner of the series
+ * @returns {Promise<{ok: boolean, timeZone?: string, today?: string, error?: string}>}
+ */
+async function loadTimeZone(ownerUserId) {
+  const db = getDatabase();
+  if (!db) {
+    return {
+      ok: true,
+      timeZone: "UTC",
+      today: new Date().toISOString().split("T")[0],
+    };
+  }
+
+  try {
+    const [zone] = await db`
+      WITH zone AS (
+        SELECT COALESCE(
+          (SELECT name FROM pg_timezone_names
+           WHERE name = (SELECT time_zone FROM users WHERE id = ${ownerUserId})),
+          'UTC'
+        ) AS name
+      )
+      SELECT name AS time_zone, to_char(now() AT TIME ZONE name, 'YYYY-MM-DD') AS today
+      FROM zone
+    `;
+    return { ok: true, timeZone: zone.time_zone, today: zone.today };
+  } catch (error) {
+    return {
+      ok: false,
+      error: `Error loading the series timezone: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Local dates and times of timestamps in a time zone
+ * @param {Array<string>} timestamps
+ * @param {string} timeZone
+ * @returns {Promise<Array<{date: string, time: string}>>} YYYY-MM-DD and HH:MM, in the order given
+ */
+async function toLocalTimes(timestamps, timeZone) {
+  if (timestamps.length === 0) return [];
+
+  const db = getDatabase();
+  if (!db) {
+    return timestamps.map((timestamp) => {
+      const [date, time] = new Date(timestamp).toISOString().split("T");
+      return { date, time: time.slice(0, 5) };
+    });
+  }
+
+  return db`
+    SELECT to_char(stamp AT TIME ZONE ${timeZone}, 'YYYY-MM-DD') AS date,
+           to_char(stamp AT TIME ZONE ${timeZone}, 'HH24:MI') AS time
+    FROM unnest(${db.array(timestamps)}::timestamptz[]) WITH ORDINALITY AS list(stamp, position)
+    ORDER BY position
+  `;
+}
+
+/**
+ * Timestamp of a local date and time in a time zone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {Promise<string>} ISO timestamp
+ */
+async function toStartTime(date, time, timeZone) {
+  const db = getDatabase();
+  if (!db) {
+    return new Date(`${date}T${time.padStart(5, "0")}:00Z`).toISOString();
+  }
+
+  const [row] = await db`
+    SELECT (${date}::date + ${time}::time) AT TIME ZONE ${timeZone} AS start_time
+  `;
+  return row.start_time.toISOString();
+}
+
+/**
+ * Parse days of the week like 'Mon, Wed' or 'MONDAY,THURSDAY'
+ * @param {string} [value]
+ * @returns {{days: Array<number>, invalid: Array<string>}} days are WEEKDAYS indexes
+ */
+function parseSelectedDays(value) {
+  const days = new Set();
+  const invalid = [];
+  String(value || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .forEach((token) => {
+      const index = WEEKDAYS.indexOf(token.slice(0, 3).toUpperCase());
+      if (index === -1) invalid.push(token);
+      else days.add(index);
+    });
+  return { days: [...days].sort((a, b) => a - b), invalid };
+}
+
+/**
+ * Validate a repeat pattern given to the tools
+ * @param {Object} args
+ * @param {string} args.repeatUnit - 'DAY', 'WEEK', 'MONTH' or 'YEAR'
+ * @param {number} args.repeatInterval - Repeat every N units
+ * @param {string} [args.selectedDays] - Days of the week, for weekly series
+ * @returns {{ok: boolean, pattern?: Object, error?: string}}
+ */
+function buildPattern({ repeatUnit, repeatInterval, selectedDays }) {
+  const unit = String(repeatUnit || "").toUpperCase();
+  if (!REPEAT_UNITS.includes(unit)) {
+    return {
+      ok: false,
+      error: `Error: repeatUnit must be one of: ${REPEAT_UNITS.join(", ")}`,
+    };
+  }
+  if (
+    !Number.isInteger(repeatInterval) ||
+    repeatInterval < 1 ||
+    repeatInterval > 99
+  ) {
+    return {
+      ok: false,
+      error: "Error: repeatInterval must be a whole number from 1 to 99",
+    };
+  }
+
+  const days = parseSelectedDays(selectedDays);
+  if (days.invalid.length > 0) {
+    return {
+      ok: false,
+      error: `Error: Unknown days in selectedDays: ${days.invalid.join(
+        ", "
+      )}. Use ${WEEKDAYS.join(", ")}`,
+    };
+  }
+  if (days.days.length > 0 && unit !== "WEEK") {
+    return {
+      ok: false,
+      error: "Error: selectedDays only applies to weekly series",
+    };
+  }
+
+  return {
+    ok: true,
+    pattern: {
+      repeatUnit: unit,
+      repeatInterval,
+      selectedDays: days.days,
+    },
+  };
+}
+
+/**
+ * Read the repeat pattern of a meeting info
+ * @param {Object} info - meetingInfos node
+ * @returns {{repeatUnit: string, repeatInterval: number, selectedDays: Array<number>}}
+ */
+function patternOf(info) {
+  const repeatUnit = REPEAT_UNITS.includes(info.repeatUnit)
+    ? info.repeatUnit
+    : "WEEK";
+  return {
+    repeatUnit,
+    repeatInterval: Math.max(1, info.repeatInterval || 1),
+    selectedDays:
+      repeatUnit === "WEEK" ? parseSelectedDays(info.selectedDays).days : [],
+  };
+}
+
+/**
+ * Describe a repeat pattern, e.g. 'Every 2 weeks on MON, THU'
+ * @param {Object} pattern
+ * @returns {string}
+ */
+function describePattern({ repeatUnit, repeatInterval, selectedDays }) {
+  const unit = repeatUnit.toLowerCase();
+  const every =
+    repeatInterval === 1 ? `Every ${unit}` : `Every ${repeatInterval} ${unit}s`;
+  return selectedDays.length > 0
+    ? `${every} on ${selectedDays.map((day) => WEEKDAYS[day]).join(", ")}`
+    : every;
+}
+
+/**
+ * Longest time between two occurrences of a pattern, in days
+ * @param {Object} pattern
+ * @returns {number}
+ */
+function periodDays({ repeatUnit, repeatInterval }) {
+  const unitDays = { DAY: 1, WEEK: 7, MONTH: 31, YEAR: 366 };
+  return unitDays[repeatUnit] * repeatInterval;
+}
+
+/**
+ * List the dates a pattern puts meetings on, from its first date to end
+ * Weekly series with selected days meet on those days of every Nth week,
+ * counted from the week of the first date. Monthly and yearly series keep
+ * the day of the month of the first date.
+ * @param {Object} pattern
+ * @param {string} anchor - First date of the series (YYYY-MM-DD)
+ * @param {string} end - Last date to list (YYYY-MM-DD)
+ * @returns {Array<string>} Sorted YYYY-MM-DD dates
+ */
+function listSlots(pattern, anchor, end) {
+  const { repeatUnit, repeatInterval, selectedDays } = pattern;
+  const weekStart = addDays(anchor, -weekdayOf(anchor));
+  const dayOfMonth = Number(anchor.split("-")[2]);
+
+  const slots = [];
+  for (let step = 0; ; step += repeatInterval) {
+    let dates;
+    if (repeatUnit === "DAY") {
+      dates = [addDays(anchor, step)];
+    } else if (repeatUnit === "WEEK") {
+      dates =
+        selectedDays.length > 0
+          ? selectedDays.map((day) => addDays(weekStart, step * 7 + day))
+          : [addDays(anchor, step * 7)];
+    } else {
+      const months = repeatUnit === "YEAR" ? step * 12 : step;
+      dates = [addMonths(anchor, months, dayOfMonth)];
+    }
+
+    if (dates[0] > end) break;
+    slots.push(...dates.filter((date) => date >= anchor && date <= end));
+  }
+  return slots;
+}
+
+/**
+ * The pattern date a meeting belongs to: the date it was scheduled on, kept
+ * in originalDate when it's rescheduled
+ * @param {Object} occurrence
+ * @returns {string} YYYY-MM-DD
+ */
+function slotOf(occurrence) {
+  return occurrence.originalDate || occurrence.date;
+}
+
+/**
+ * Pattern dates already used by occurrences, including skipped and
+ * rescheduled ones
+ * @param {Array<Object>} occurrences
+ * @returns {Set<string>}
+ */
+function takenSlots(occurrences) {
+  return new Set(occurrences.map(slotOf));
+}
+
+/**
+ * First pattern date of a series
+ * @param {Array<Object>} occurrences
+ * @returns {string|undefined} YYYY-MM-DD
+ */
+function seriesAnchor(occurrences) {
+  return occurrences.map(slotOf).sort()[0];
+}
+
+/**
+ * Read meetings nodes as occurrences with their local date and time
+ * Meetings created without a time are stored at midnight UTC.
+ * @param {Array<Object>} meetings - meetings nodes
+ * @param {string} timeZone
+ * @returns {Promise<Array<Object>>}
+ */
+async function describeOccurrences(meetings, timeZone) {
+  const timed = meetings.filter((meeting) => meeting.startTime);
+  const localTimes = await toLocalTimes(
+    timed.map((meeting) => meeting.startTime),
+    timeZone
+  );
+  return meetings.map((meeting) => {
+    const local = meeting.startTime
+      ? localTimes[timed.indexOf(meeting)]
+      : {
+          date: new Date(meeting.date).toISOString().split("T")[0],
+          time: null,
+        };
+    return {
+      id: meeting.id,
+      date: local.date,
+      time: local.time,
+      originalDate: meeting.originalDate || null,
+      status: meeting.meetingStatusId,
+      stateId: meeting.stateId,
+    };
+  });
+}
+
+/**
+ * Format an occurrence for output
+ * @param {Object} occurrence - From describeOccurrence
+ * @param {string|null} companyCode
+ * @returns {Object}
+ */
+function formatOccurrence(occurrence, companyCode) {
+  return {
+    id: occurrence.id,
+    date: occurrence.date,
+    time: occurrence.time,
+    originalDate: occurrence.originalDate || null,
+    status: occurrence.status,
+    skipped: occurrence.stateId !== "ACTIVE",
+    url: companyCode
+      ? generateObjectUrl("meetings", occurrence.id, companyCode)
+      : null,
+  };
+}
+
+/**
+ * Format a series for output
+ * @param {Object} info - meetingInfos node
+ * @returns {Object}
+ */
+function formatSeries(info) {
+  const pattern = patternOf(info);
+  const recurring = info.meetingRepeatsId !== NEVER_REPEATS_ID;
+  return {
+    id: info.id,
+    name: info.name,
+    teamId: info.teamId,
+    meetingAgendaId: info.meetingAgendaId,
+    recurring,
+    recurrence: recurring ? describePattern(pattern) : "Cancelled",
+    repeatUnit: pattern.repeatUnit,
+    repeatInterval: pattern.repeatInterval,
+    selectedDays: pattern.selectedDays.map((day) => WEEKDAYS[day]),
+  };
+}
+
+/**
+ * The time of day a series meets at: the most common start time of its
+ * latest occurrences, so a single rescheduled meeting doesn't change it
+ * @param {Array<Object>} occurrences
+ * @returns {string|null} HH:MM, or null if the series has no start times
+ */
+function seriesTime(occurrences) {
+  const recent = occurrences
+    .filter((occurrence) => occurrence.time)
+    .slice(-5)
+    .reverse();
+  const counts = {};
+  recent.forEach((occurrence) => {
+    counts[occurrence.time] = (counts[occurrence.time] || 0) + 1;
+  });
+  return recent.reduce(
+    (best, occurrence) =>
+      !best || counts[occurrence.time] > counts[best] ? occurrence.time : best,
+    null
+  );
+}
+
+/**
+ * Check an optional 'until' date and default it to DEFAULT_HORIZON_DAYS
+ * @param {string} [until] - YYYY-MM-DD
+ * @param {string} from - First date to schedule (YYYY-MM-DD)
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ok: boolean, until?: string, error?: string}}
+ */
+function resolveHorizon(until, from, today) {
+  if (!until) return { ok: true, until: addDays(from, DEFAULT_HORIZON_DAYS) };
+
+  if (!isValidDate(until)) {
+    return { ok: false, error: "Error: until must be a YYYY-MM-DD date" };
+  }
+  if (until < from) {
+    return { ok: false, error: `Error: until must be on or after ${from}` };
+  }
+  if (until > addDays(today, MAX_HORIZON_DAYS)) {
+    return {
+      ok: false,
+      error: `Error: Meetings can be scheduled at most ${MAX_HORIZON_DAYS} days ahead`,
+    };
+  }
+  return { ok: true, until };
+}
+
+/**
+ * Pick the meeting_repeats row that best describes a pattern
+ * meetingRepeatsId is what the app shows; the schedule itself comes from
+ * repeatUnit, repeatInterval and selectedDays.
+ * @param {Object} pattern
+ * @returns {Promise<{ok: boolean, meetingRepeatsId?: string, error?: string}>}
+ */
+async function resolveRepeatsId(pattern) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      meetingRepeats(filter: {stateId: {equalTo: "ACTIVE"}}, orderBy: DISPLAY_ORDER_ASC) {
+        nodes {
+          id
+          name
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const options = result.data.data.meetingRepeats.nodes.filter(
+    (option) => option.id !== NEVER_REPEATS_ID
+  );
+  const find = (keyword) =>
+    options.find(
+      (option) => keyword.test(option.id) || keyword.test(option.name)
+    );
+  const unitKeyword = REPEATS_KEYWORDS[pattern.repeatUnit];
+  const match =
+    (pattern.repeatUnit === "MONTH" &&
+      pattern.repeatInterval === 3 &&
+      find(/quarter/i)) ||
+    (pattern.repeatInterval === 1 && find(unitKeyword)) ||
+    find(/custom/i) ||
+    find(unitKeyword);
+
+  if (!match) {
+    return {
+      ok: false,
+      error: `Error: No meeting repeat option fits "${describePattern(
+        pattern
+      )}". Available options: ${options
+        .map((option) => option.id)
+        .join(", ")}`,
+    };
+  }
+  return { ok: true, meetingRepeatsId: match.id };
+}
+
+/**
+ * Load a series with all of its occurrences, skipped ones included
+ * Dates and times are in the series owner's time zone.
+ * @param {string} seriesId - Meeting info ID
+ * @returns {Promise<{ok: boolean, series?: Object, occurrences?: Array<Object>, timeZone?: string, today?: string, error?: string}>}
+ */
+async function loadSeries(seriesId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      meetingInfos(filter: {id: {equalTo: "${seriesId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          teamId
+          ownerUserId
+          meetingAgendaId
+          meetingRepeatsId
+          repeatInterval
+          repeatUnit
+          selectedDays
+        }
+      }
+      meetings(filter: {meetingInfoId: {equalTo: "${seriesId}"}}, orderBy: DATE_ASC) {
+        nodes {
+          id
+          date
+          startTime
+          originalDate
+          meetingStatusId
+          stateId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const series = result.data.data.meetingInfos.nodes[0];
+  if (!series) {
+    return {
+      ok: false,
+      error: `Error: No meeting series found with ID ${seriesId}`,
+    };
+  }
+
+  const zone = await loadTimeZone(series.ownerUserId);
+  if (!zone.ok) return zone;
+
+  let occurrences;
+  try {
+    occurrences = await describeOccurrences(
+      result.data.data.meetings.nodes,
+      zone.timeZone
+    );
+  } catch (error) {
+    return {
+      ok: false,
+      error: `Error converting meeting times: ${error.message}`,
+    };
+  }
+  occurrences.sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    ok: true,
+    series,
+    occurrences,
+    timeZone: zone.timeZone,
+    today: zone.today,
+  };
+}
+
+/**
+ * Occurrences that haven't happened yet and can still be moved or skipped
+ * @param {Array<Object>} occurrences
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array<Object>}
+ */
+function upcomingOccurrences(occurrences, today) {
+  return occurrences.filter(
+    (occurrence) =>
+      occurrence.stateId === "ACTIVE" &&
+      occurrence.status === NOT_STARTED_STATUS &&
+      occurrence.date >= today
+  );
+}
+
+/**
+ * Fields that put a meeting on a local date and, optionally, time
+ * @param {string} date - YYYY-MM-DD
+ * @param {string|null} time - HH:MM
+ * @param {string} timeZone
+ * @returns {Promise<{date: string, startTime?: string}>}
+ */
+async function scheduleFields(date, time, timeZone) {
+  if (!time) return { date };
+  const startTime = await toStartTime(date, time, timeZone);
+  return { date: startTime, startTime };
+}
+
+/**
+ * Create the occurrences a series is missing between two dates
+ * Pattern dates used by an existing occurrence - including skipped and
+ * rescheduled ones - are left alone.
+ * @param {Object} series - meetingInfos node
+ * @param {Array<Object>} occurrences - Existing occurrences, sorted by date
+ * @param {Object} schedule
+ * @param {string} schedule.from - YYYY-MM-DD
+ * @param {string} schedule.until - YYYY-MM-DD
+ * @param {string|null} schedule.time - HH:MM
+ * @param {string} schedule.timeZone
+ * @param {string} companyId
+ * @returns {Promise<{ok: boolean, created: Array<Object>, error?: string}>}
+ */
+async function fillSeries(series, occurrences, schedule, companyId) {
+  const pattern = patternOf(series);
+  const anchor = seriesAnchor(occurrences) || schedule.from;
+  const taken = takenSlots(occurrences);
+  const dates = listSlots(pattern, anchor, schedule.until).filter(
+    (date) => date >= schedule.from && !taken.has(date)
+  );
+
+  const created = [];
+  for (const date of dates) {
+    let fields;
+    try {
+      fields = await scheduleFields(date, schedule.time, schedule.timeZone);
+    } catch (error) {
+      return { ok: false, created, error: error.message };
+    }
+    const result = await callSuccessCoGraphQL(
+      `
+      mutation CreateMeeting($input: CreateMeetingInput!) {
+        createMeeting(input: $input) {
+          meeting {
+            id
+            date
+            startTime
+            originalDate
+            meetingStatusId
+            stateId
+          }
+        }
+      }
+    `,
+      {
+        input: {
+          meeting: {
+            ...fields,
+            meetingInfoId: series.id,
+            meetingStatusId: NOT_STARTED_STATUS,
+            companyId,
+            stateId: "ACTIVE",
+          },
+        },
+      }
+    );
+    const meeting = result.ok && result.data?.data?.createMeeting?.meeting;
+    if (!meeting) {
+      return {
+        ok: false,
+        created,
+        error: result.ok
+          ? `Meeting creation failed. ${JSON.stringify(result.data)}`
+          : result.error,
+      };
+    }
+    try {
+      created.push(
+        ...(await describeOccurrences([meeting], schedule.timeZone))
+      );
+    } catch (error) {
+      return { ok: false, created, error: error.message };
+    }
+  }
+  return { ok: true, created };
+}
+
+/**
+ * Patch a meeting info
+ * @param {string} seriesId
+ * @param {Object} patch - Meeting info fields to change
+ * @returns {Promise<{ok: boolean, series?: Object, error?: string}>}
+ */
+async function patchSeries(seriesId, patch) {
+  const result = await callSuccessCoGraphQL(
+    `
+    mutation UpdateMeetingInfo($input: UpdateMeetingInfoInput!) {
+      updateMeetingInfo(input: $input) {
+        meetingInfo {
+          id
+          name
+          teamId
+          meetingAgendaId
+          meetingRepeatsId
+          repeatInterval
+          repeatUnit
+          selectedDays
+        }
+      }
+    }
+  `,
+    { input: { id: seriesId, patch } }
+  );
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const series = result.data?.data?.updateMeetingInfo?.meetingInfo;
+  if (!series) {
+    return {
+      ok: false,
+      error: `Error: Meeting series update failed. ${JSON.stringify(
+        result.data
+      )}`,
+    };
+  }
+  return { ok: true, series };
+}
+
+/**
+ * Look up a meeting agenda by ID, or by type for a team
+ * @param {string} teamId
+ * @param {string} [meetingAgendaId]
+ * @param {string} [meetingAgendaType]
+ * @returns {Promise<{ok: boolean, agenda?: {id: string, name: string}, error?: string}>}
+ */
+async function resolveAgenda(teamId, meetingAgendaId, meetingAgendaType) {
+  const filter = meetingAgendaId
+    ? `id: {equalTo: "${meetingAgendaId}"}`
+    : `meetingAgendaTypeId: {equalTo: "${meetingAgendaType}"}, teamId: {equalTo: "${teamId}"}`;
+  const result = await callSuccessCoGraphQL(`
+    query {
+      meetingAgendas(filter: {${filter}, stateId: {equalTo: "ACTIVE"}}, first: 1) {
+        nodes {
+          id
+          name
+        }
+      }
+    }
+  `);
+  if (!result.ok) {
+    return {
+      ok: false,
+      error: `Error looking up meeting agenda: ${result.error}`,
+    };
+  }
+
+  const agenda = result.data.data.meetingAgendas.nodes[0];
+  if (!agenda) {
+    return {
+      ok: false,
+      error: meetingAgendaId
+        ? `Error: No meeting agenda found with ID ${meetingAgendaId}`
+        : `Error: No meeting agenda found with type "${meetingAgendaType}" for the specified team. Use getMeetingAgendas to see available agendas.`,
+    };
+  }
+  return { ok: true, agenda };
+}
+
+/**
+ * Create a recurring meeting series and schedule its first occurrences
+ * Weekly L10s use repeatUnit 'WEEK'; quarterly planning uses 'MONTH' with
+ * repeatInterval 3.
+ * @param {Object} args - Arguments object
+ * @param {string} args.startDate - First meeting date (YYYY-MM-DD, required)
+ * @param {string} [args.time] - Start time (HH:MM, in the user's timezone)
+ * @param {string} [args.meetingAgendaId] - Meeting agenda ID (provide either this or meetingAgendaType)
+ * @param {string} [args.meetingAgendaType] - Meeting agenda type, e.g. 'WEEKLY-L10' or 'QUARTERLY-PULSING-AGENDA'
+ * @param {string} [args.teamId] - Team ID (provide either this or leadershipTeam)
+ * @param {boolean} [args.leadershipTeam] - If true, use the leadership team
+ * @param {string} [args.name] - Series name (defaults to the agenda name)
+ * @param {string} [args.repeatUnit='WEEK'] - 'DAY', 'WEEK', 'MONTH' or 'YEAR'
+ * @param {number} [args.repeatInterval=1] - Repeat every N units
+ * @param {string} [args.selectedDays] - Weekly series only: days to meet on, e.g. 'MON,THU'
+ * @param {string} [args.until] - Schedule occurrences through this date (defaults to 13 weeks after startDate)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function createMeetingSeries(args = {}) {
+  const {
+    startDate,
+    time,
+    meetingAgendaId,
+    meetingAgendaType,
+    teamId: providedTeamId,
+    leadershipTeam = false,
+    name,
+    repeatUnit = "WEEK",
+    repeatInterval = 1,
+    selectedDays,
+    until,
+  } = args;
+
+  if (!isValidDate(startDate)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: startDate is required (format: YYYY-MM-DD)",
+        },
+      ],
+    };
+  }
+  if (time && !TIME_PATTERN.test(time)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid time format. Please use HH:MM format (e.g., '14:30' or '09:00')",
+        },
+      ],
+    };
+  }
+  if (!meetingAgendaId && !meetingAgendaType) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Either meetingAgendaId or meetingAgendaType is required",
+        },
+      ],
+    };
+  }
+  if (!providedTeamId && !leadershipTeam) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Either teamId or leadershipTeam=true is required",
+        },
+      ],
+    };
+  }
+
+  const built = buildPattern({ repeatUnit, repeatInterval, selectedDays });
+  if (!built.ok) {
+    return { content: [{ type: "text", text: built.error }] };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  // The signed-in user will own the series, so it runs in their time zone
+  const zone = await loadTimeZone(context.userId);
+  if (!zone.ok) {
+    return { content: [{ type: "text", text: zone.error }] };
+  }
+  const { timeZone, today } = zone;
+  if (startDate < today) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Cannot start a meeting series in the past. Please use a current or future date.",
+        },
+      ],
+    };
+  }
+  const horizon = resolveHorizon(until, startDate, today);
+  if (!horizon.ok) {
+    return { content: [{ type: "text", text: horizon.error }] };
+  }
+
+  // Resolve teamId if leadershipTeam is true
+  let teamId = providedTeamId;
+  if (leadershipTeam && !providedTeamId) {
+    teamId = await getLeadershipTeamId();
+    if (!teamId) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "Error: Could not find leadership team. Please ensure a team is marked as the leadership team.",
+          },
+        ],
+      };
+    }
+  }
+
+  const agenda = await resolveAgenda(
+    teamId,
+    meetingAgendaId,
+    meetingAgendaType
+  );
+  if (!agenda.ok) {
+    return { content: [{ type: "text", text: agenda.error }] };
+  }
+  const repeats = await resolveRepeatsId(built.pattern);
+  if (!repeats.ok) {
+    return { content: [{ type: "text", text: repeats.error }] };
+  }
+
+  const infoResult = await callSuccessCoGraphQL(
+    `
+    mutation CreateMeetingInfo($input: CreateMeetingInfoInput!) {
+      createMeetingInfo(input: $input) {
+        meetingInfo {
+          id
+          name
+          teamId
+          meetingAgendaId
+          meetingRepeatsId
+          repeatInterval
+          repeatUnit
+          selectedDays
+        }
+      }
+    }
+  `,
+    {
+      input: {
+        meetingInfo: {
+          name: name || agenda.agenda.name,
+          meetingAgendaId: agenda.agenda.id,
+          teamId,
+          ownerUserId: context.userId,
+          companyId: context.companyId,
+          stateId: "ACTIVE",
+          meetingInfoStatusId: "ACTIVE",
+          meetingRepeatsId: repeats.meetingRepeatsId,
+          repeatUnit: built.pattern.repeatUnit,
+          repeatInterval: built.pattern.repeatInterval,
+          selectedDays: built.pattern.selectedDays
+            .map((day) => WEEKDAYS[day])
+            .join(","),
+        },
+      },
+    }
+  );
+  if (!infoResult.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error creating meeting series: ${infoResult.error}`,
+        },
+      ],
+    };
+  }
+  const series = infoResult.data?.data?.createMeetingInfo?.meetingInfo;
+  if (!series) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Meeting series creation failed. ${JSON.stringify(
+            infoResult.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  const filled = await fillSeries(
+    series,
+    [],
+    {
+      from: startDate,
+      until: horizon.until,
+      time: time || null,
+      timeZone,
+    },
+    context.companyId
+  );
+  if (!filled.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Created meeting series ${series.id} but only scheduled ${filled.created.length} meetings: ${filled.error}. Run generateMeetingSeries to schedule the rest.`,
+        },
+      ],
+    };
+  }
+
+  const companyCode = await getCompanyCode(context.companyId);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Created "${series.name}" (${describePattern(
+              built.pattern
+            )}) with ${filled.created.length} meetings through ${
+              horizon.until
+            }`,
+            series: formatSeries(series),
+            timeZone,
+            occurrences: filled.created.map((occurrence) =>
+              formatOccurrence(occurrence, companyCode)
+            ),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Schedule a series' missing occurrences from today through a date
+ * Occurrences that were skipped or rescheduled are not recreated.
+ * @param {Object} args - Arguments object
+ * @param {string} args.seriesId - Meeting info ID of the series (required)
+ * @param {string} [args.until] - Schedule through this date (defaults to 13 weeks from today)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function generateMeetingSeries(args = {}) {
+  const { seriesId, until } = args;
+
+  if (!seriesId) {
+    return {
+      content: [{ type: "text", text: "Error: seriesId is required" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await loadSeries(seriesId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+  const { series, occurrences, timeZone, today } = loaded;
+  if (series.meetingRepeatsId === NEVER_REPEATS_ID) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: "${series.name}" isn't a recurring series (or was cancelled). Use createMeetingSeries to start a new one.`,
+        },
+      ],
+    };
+  }
+
+  const horizon = resolveHorizon(until, today, today);
+  if (!horizon.ok) {
+    return { content: [{ type: "text", text: horizon.error }] };
+  }
+
+  const filled = await fillSeries(
+    series,
+    occurrences,
+    {
+      from: today,
+      until: horizon.until,
+      time: seriesTime(occurrences),
+      timeZone,
+    },
+    context.companyId
+  );
+  if (!filled.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Scheduled ${filled.created.length} meetings before failing: ${filled.error}`,
+        },
+      ],
+    };
+  }
+
+  const companyCode = await getCompanyCode(context.companyId);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message:
+              filled.created.length > 0
+                ? `Scheduled ${filled.created.length} new meetings of "${series.name}" through ${horizon.until}`
+                : `"${series.name}" is already scheduled through ${horizon.until}`,
+            series: formatSeries(series),
+            created: filled.created.map((occurrence) =>
+              formatOccurrence(occurrence, companyCode)
+            ),
+            upcoming: upcomingOccurrences(
+              [...occurrences, ...filled.created],
+              today
+            )
+              .sort((a, b) => a.date.localeCompare(b.date))
+              .map((occurrence) => formatOccurrence(occurrence, companyCode)),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Edit a recurring meeting series
+ * Changing the repeat pattern moves the upcoming meetings onto the new
+ * schedule; changing only the time keeps their dates.
+ * @param {Object} args - Arguments object
+ * @param {string} args.seriesId - Meeting info ID of the series (required)
+ * @param {string} [args.name] - New series name
+ * @param {string} [args.meetingAgendaId] - New meeting agenda
+ * @param {string} [args.repeatUnit] - 'DAY', 'WEEK', 'MONTH' or 'YEAR'
+ * @param {number} [args.repeatInterval] - Repeat every N units
+ * @param {string} [args.selectedDays] - Weekly series only: days to meet on ('' to clear)
+ * @param {string} [args.time] - New start time for upcoming meetings (HH:MM, in the series owner's timezone)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updateMeetingSeries(args = {}) {
+  const {
+    seriesId,
+    name,
+    meetingAgendaId,
+    repeatUnit,
+    repeatInterval,
+    selectedDays,
+    time,
+  } = args;
+
+  if (!seriesId) {
+    return {
+      content: [{ type: "text", text: "Error: seriesId is required" }],
+    };
+  }
+  if (time && !TIME_PATTERN.test(time)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid time format. Please use HH:MM format (e.g., '14:30' or '09:00')",
+        },
+      ],
+    };
+  }
+  const patternChanged =
+    repeatUnit !== undefined ||
+    repeatInterval !== undefined ||
+    selectedDays !== undefined;
+  if (!name && !meetingAgendaId && !patternChanged && !time) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: No updates specified. Provide at least one field to update.",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await loadSeries(seriesId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+  const { series, occurrences, timeZone, today } = loaded;
+  if (series.meetingRepeatsId === NEVER_REPEATS_ID) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: "${series.name}" isn't a recurring series (or was cancelled). Use createMeetingSeries to start a new one.`,
+        },
+      ],
+    };
+  }
+
+  const patch = {};
+  if (name) patch.name = name;
+  if (meetingAgendaId) {
+    const agenda = await resolveAgenda(series.teamId, meetingAgendaId);
+    if (!agenda.ok) {
+      return { content: [{ type: "text", text: agenda.error }] };
+    }
+    patch.meetingAgendaId = agenda.agenda.id;
+  }
+
+  let pattern = patternOf(series);
+  if (patternChanged) {
+    const unit = repeatUnit ? String(repeatUnit).toUpperCase() : null;
+    const built = buildPattern({
+      repeatUnit: unit || pattern.repeatUnit,
+      repeatInterval: repeatInterval ?? pattern.repeatInterval,
+      // Keep the days of a weekly series unless it stops being weekly
+      selectedDays:
+        selectedDays ??
+        (!unit || unit === "WEEK"
+          ? pattern.selectedDays.map((day) => WEEKDAYS[day]).join(",")
+          : ""),
+    });
+    if (!built.ok) {
+      return { content: [{ type: "text", text: built.error }] };
+    }
+    const repeats = await resolveRepeatsId(built.pattern);
+    if (!repeats.ok) {
+      return { content: [{ type: "text", text: repeats.error }] };
+    }
+    pattern = built.pattern;
+    Object.assign(patch, {
+      meetingRepeatsId: repeats.meetingRepeatsId,
+      repeatUnit: pattern.repeatUnit,
+      repeatInterval: pattern.repeatInterval,
+      selectedDays: pattern.selectedDays.map((day) => WEEKDAYS[day]).join(","),
+    });
+  }
+
+  let updatedSeries = series;
+  if (Object.keys(patch).length > 0) {
+    const patched = await patchSeries(series.id, patch);
+    if (!patched.ok) {
+      return { content: [{ type: "text", text: patched.error }] };
+    }
+    updatedSeries = patched.series;
+  }
+
+  // Move the upcoming meetings to the new schedule and/or time
+  const upcoming = upcomingOccurrences(occurrences, today);
+  const newTime = time || seriesTime(occurrences);
+  let targetDates = upcoming.map((occurrence) => occurrence.date);
+  if (patternChanged && upcoming.length > 0) {
+    const others = occurrences.filter(
+      (occurrence) => !upcoming.includes(occurrence)
+    );
+    const anchor = seriesAnchor(occurrences);
+    const taken = takenSlots(others);
+    const end = addDays(
+      today,
+      periodDays(pattern) * (upcoming.length + others.length + 1)
+    );
+    targetDates = listSlots(pattern, anchor, end)
+      .filter((date) => date >= today && !taken.has(date))
+      .slice(0, upcoming.length);
+  }
+
+  const moved = [];
+  if (patternChanged || time) {
+    for (const [index, occurrence] of upcoming.entries()) {
+      const date = targetDates[index];
+      const occurrenceTime = time ? newTime : occurrence.time || newTime;
+      if (date === occurrence.date && occurrenceTime === occurrence.time) {
+        continue;
+      }
+      let fields;
+      try {
+        fields = await scheduleFields(date, occurrenceTime, timeZone);
+      } catch (error) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Updated the series but only moved ${moved.length} upcoming meetings: ${error.message}`,
+            },
+          ],
+        };
+      }
+      // Meetings moved onto the new schedule sit on their own pattern date
+      const result = await patchMeeting(
+        occurrence.id,
+        patternChanged ? { ...fields, originalDate: null } : fields
+      );
+      if (!result.ok) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: Updated the series but only moved ${moved.length} upcoming meetings: ${result.error}`,
+            },
+          ],
+        };
+      }
+      moved.push({
+        ...occurrence,
+        previousDate: occurrence.date,
+        date,
+        time: occurrenceTime,
+        originalDate: patternChanged ? null : occurrence.originalDate,
+      });
+    }
+  }
+
+  const companyCode = await getCompanyCode(context.companyId);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Updated "${updatedSeries.name}" (${describePattern(
+              pattern
+            )}); moved ${moved.length} of ${upcoming.length} upcoming meetings`,
+            series: formatSeries(updatedSeries),
+            moved: moved.map((occurrence) => ({
+              ...formatOccurrence(occurrence, companyCode),
+              previousDate: occurrence.previousDate,
+            })),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Cancel a recurring meeting series
+ * Removes its upcoming meetings and stops it from repeating. Meetings that
+ * already happened are kept.
+ * @param {Object} args - Arguments object
+ * @param {string} args.seriesId - Meeting info ID of the series (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function cancelMeetingSeries(args = {}) {
+  const { seriesId } = args;
+
+  if (!seriesId) {
+    return {
+      content: [{ type: "text", text: "Error: seriesId is required" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await loadSeries(seriesId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+  const { series, occurrences, today } = loaded;
+  const upcoming = upcomingOccurrences(occurrences, today);
+  if (series.meetingRepeatsId === NEVER_REPEATS_ID && upcoming.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: "${series.name}" isn't a recurring series or was already cancelled`,
+        },
+      ],
+    };
+  }
+
+  const patched = await patchSeries(series.id, {
+    meetingRepeatsId: NEVER_REPEATS_ID,
+  });
+  if (!patched.ok) {
+    return { content: [{ type: "text", text: patched.error }] };
+  }
+
+  let removed = 0;
+  for (const occurrence of upcoming) {
+    const result = await patchMeeting(occurrence.id, { stateId: "DELETED" });
+    if (!result.ok) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: Cancelled the series but only removed ${removed} of ${upcoming.length} upcoming meetings: ${result.error}`,
+          },
+        ],
+      };
+    }
+    removed++;
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Cancelled "${series.name}" and removed ${removed} upcoming meetings`,
+            series: formatSeries(patched.series),
+            removedMeetingIds: upcoming.map((occurrence) => occurrence.id),
+            keptMeetings: occurrences.length - removed,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Load a meeting with the series it belongs to, for skipping or rescheduling
+ * @param {string} meetingId
+ * @returns {Promise<{ok: boolean, occurrence?: Object, series?: Object, occurrences?: Array<Object>, timeZone?: string, today?: string, error?: string}>}
+ */
+async function loadOccurrence(meetingId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      meetings(filter: {id: {equalTo: "${meetingId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          meetingInfoId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+  const meeting = result.data.data.meetings.nodes[0];
+  if (!meeting) {
+    return { ok: false, error: `Error: No meeting found with ID ${meetingId}` };
+  }
+
+  const loaded = await loadSeries(meeting.meetingInfoId);
+  if (!loaded.ok) return loaded;
+  if (loaded.series.meetingRepeatsId === NEVER_REPEATS_ID) {
+    return {
+      ok: false,
+      error: "Error: This meeting isn't part of a recurring series. Use updateMeeting to change it.",
+    };
+  }
+
+  const occurrence = loaded.occurrences.find(
+    (candidate) => candidate.id === meetingId
+  );
+  if (!upcomingOccurrences([occurrence], loaded.today).length) {
+    return {
+      ok: false,
+      error: `Error: Only upcoming meetings that haven't started can be changed (this one is ${occurrence.status} on ${occurrence.date})`,
+    };
+  }
+  return { ok: true, ...loaded, occurrence };
+}
+
+/**
+ * Skip one occurrence of a recurring meeting series
+ * The meeting is removed, and generateMeetingSeries won't schedule it again.
+ * @param {Object} args - Arguments object
+ * @param {string} args.meetingId - Meeting ID of the occurrence (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function skipMeetingOccurrence(args = {}) {
+  const { meetingId } = args;
+
+  if (!meetingId) {
+    return {
+      content: [{ type: "text", text: "Error: Meeting ID is required" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await loadOccurrence(meetingId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+
+  const result = await patchMeeting(meetingId, { stateId: "DELETED" });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const companyCode = await getCompanyCode(context.companyId);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Skipped the ${loaded.occurrence.date} meeting of "${loaded.series.name}"`,
+            series: formatSeries(loaded.series),
+            occurrence: formatOccurrence(
+              { ...loaded.occurrence, stateId: "DELETED" },
+              companyCode
+            ),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Move one occurrence of a recurring meeting series to another date or time
+ * The meeting keeps its place in the series: the date it was scheduled on is
+ * stored as its originalDate, so generateMeetingSeries doesn't fill it again.
+ * @param {Object} args - Arguments object
+ * @param {string} args.meetingId - Meeting ID of the occurrence (required)
+ * @param {string} [args.date] - New date (YYYY-MM-DD, defaults to the current date)
+ * @param {string} [args.time] - New start time (HH:MM, in the series owner's timezone; defaults to the current time)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function rescheduleMeetingOccurrence(args = {}) {
+  const { meetingId, date, time } = args;
+
+  if (!meetingId || (!date && !time)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: meetingId and a new date and/or time are required",
+        },
+      ],
+    };
+  }
+  if (date && !isValidDate(date)) {
+    return {
+      content: [
+        { type: "text", text: "Error: date must be a YYYY-MM-DD date" },
+      ],
+    };
+  }
+  if (time && !TIME_PATTERN.test(time)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid time format. Please use HH:MM format (e.g., '14:30' or '09:00')",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await loadOccurrence(meetingId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+  const { series, occurrence, timeZone, today } = loaded;
+
+  const newDate = date || occurrence.date;
+  if (newDate < today) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Cannot move a meeting into the past. Please use a current or future date.",
+        },
+      ],
+    };
+  }
+
+  const newTime = time || occurrence.time;
+  let fields;
+  try {
+    fields = await scheduleFields(newDate, newTime, timeZone);
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error converting date/time with timezone: ${error.message}`,
+        },
+      ],
+    };
+  }
+
+  // Remember the pattern date, unless the meeting is moved back onto it
+  const slot = slotOf(occurrence);
+  const originalDate = newDate === slot ? null : slot;
+  const result = await patchMeeting(meetingId, { ...fields, originalDate });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const companyCode = await getCompanyCode(context.companyId);
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Moved the ${occurrence.date} meeting of "${series.name}" to ${newDate}${
+              newTime ? ` at ${newTime}` : ""
+            }`,
+            series: formatSeries(series),
+            occurrence: {
+              ...formatOccurrence(
+                { ...occurrence, date: newDate, time: newTime, originalDate },
+                companyCode
+              ),
+              previousDate: occurrence.date,
+              previousTime: occurrence.time,
+            },
+            timeZone,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
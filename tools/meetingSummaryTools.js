@@ -0,0 +1,429 @@
+// Meeting Summary Tools
+// Tools for drafting meeting recap emails and reviewing them before the app sends them
+
+import { getUserContext, getDatabase } from "./core.js";
+import { parseToolResponse } from "./commonHelpers.js";
+import { getMeetingDetails } from "./meetingsTools.js";
+import { getRocks } from "./rocksTools.js";
+import { getUsers } from "./usersTools.js";
+
+// review_status values allowed by meeting_summary_emails' check constraint
+const NOT_REVIEWED_STATUS = "Not reviewed";
+const REVIEW_STATUSES = {
+  approve: "Reviewed - ok",
+  reject: "Reviewed - flagged",
+};
+
+const ROCK_STATUS_LABELS = {
+  ONTRACK: "On track",
+  OFFTRACK: "Off track",
+  COMPLETE: "Complete",
+  INCOMPLETE: "Incomplete",
+};
+
+/**
+ * Escape text for HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Build an HTML list, or a placeholder paragraph when there are no items
+ * @param {Array<string>} items - Already escaped HTML
+ * @param {string} emptyText
+ * @returns {string}
+ */
+function htmlList(items, emptyText) {
+  return items.length > 0
+    ? `<ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>`
+    : `<p><em>${escapeHtml(emptyText)}</em></p>`;
+}
+
+/**
+ * Build the HTML recap email of a meeting
+ * @param {Object} details - getMeetingDetails output
+ * @param {Object} meetingInfo - {name, teamName}
+ * @param {Array<Object>} rocks - getRocks results
+ * @param {Function} nameOf - User ID → display name
+ * @returns {string}
+ */
+function buildSummaryHtml(details, meetingInfo, rocks, nameOf) {
+  const { meeting, todos, issues } = details;
+  const owner = (userId) => ` <small>(${escapeHtml(nameOf(userId))})</small>`;
+  const date = new Date(meeting.date).toISOString().split("T")[0];
+
+  const newTodos = todos.map(
+    (todo) =>
+      `${escapeHtml(todo.name)}${owner(todo.userId)}${
+        todo.dueDate
+          ? ` - due ${escapeHtml(todo.dueDate.split("T")[0])}`
+          : ""
+      }`
+  );
+  const solvedIssues = issues
+    .filter((issue) => issue.status === "COMPLETE")
+    .map((issue) => `${escapeHtml(issue.name)}${owner(issue.userId)}`);
+  const rockStatuses = rocks.map(
+    (rock) =>
+      `${escapeHtml(rock.name)}${owner(rock.userId)} - <strong>${escapeHtml(
+        ROCK_STATUS_LABELS[rock.status] || rock.status
+      )}</strong>`
+  );
+
+  return [
+    `<h1>${escapeHtml(meetingInfo.name)} - ${escapeHtml(date)}</h1>`,
+    `<p>${escapeHtml(meetingInfo.teamName)}${
+      meeting.averageRating > 0
+        ? ` &middot; Meeting rating: <strong>${escapeHtml(
+            meeting.averageRating
+          )}/10</strong>`
+        : ""
+    }</p>`,
+    `<h2>New To-Dos (${newTodos.length})</h2>`,
+    htmlList(newTodos, "No new to-dos"),
+    `<h2>Solved Issues (${solvedIssues.length})</h2>`,
+    htmlList(solvedIssues, "No issues solved"),
+    `<h2>Rocks</h2>`,
+    htmlList(rockStatuses, "No rocks this quarter"),
+  ].join("\n");
+}
+
+/**
+ * Describe a meeting_summary_emails row
+ * @param {Object} row
+ * @param {boolean} [includeHtml=false]
+ * @returns {Object}
+ */
+function formatSummaryEmail(row, includeHtml = false) {
+  return {
+    id: row.id,
+    meetingId: row.meeting_id,
+    recipientCount: row.recipient_count,
+    reviewStatus: row.review_status,
+    reviewComments: row.review_comments || "",
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(includeHtml && { htmlContent: row.html_content }),
+  };
+}
+
+/**
+ * Draft the recap email of a meeting for review
+ * Builds the HTML from the meeting's new to-dos, solved issues, the team's
+ * rocks and the rating, and stores it in meeting_summary_emails as
+ * 'Not reviewed'. Re-drafting replaces a draft that hasn't been reviewed yet.
+ * @param {Object} args - Arguments object
+ * @param {string} args.meetingId - Meeting ID (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function draftMeetingSummary(args = {}) {
+  const { meetingId } = args;
+
+  if (!meetingId) {
+    return {
+      content: [{ type: "text", text: "Error: Meeting ID is required" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  // meeting_summary_emails isn't exposed through GraphQL
+  const db = getDatabase();
+  if (!db) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Database connection is required for meeting summaries",
+        },
+      ],
+    };
+  }
+
+  try {
+    const [meetingInfo] = await db`
+      SELECT mi.name, mi.team_id, t.name AS team_name
+      FROM meetings m
+      INNER JOIN meeting_infos mi ON m.meeting_info_id = mi.id
+      INNER JOIN teams t ON mi.team_id = t.id
+      WHERE m.id = ${meetingId}
+        AND m.company_id = ${context.companyId}
+        AND m.state_id = 'ACTIVE'
+    `;
+    if (!meetingInfo) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: No meeting found with ID ${meetingId}`,
+          },
+        ],
+      };
+    }
+
+    let details;
+    let rocks;
+    let users;
+    try {
+      [details, rocks, users] = await Promise.all([
+        getMeetingDetails({ meetingId }).then(parseToolResponse),
+        getRocks({
+          teamId: meetingInfo.team_id,
+          timePeriod: "current_quarter",
+          includeMilestones: false,
+        }).then(parseToolResponse),
+        getUsers({ teamId: meetingInfo.team_id }).then(parseToolResponse),
+      ]);
+    } catch (error) {
+      return { content: [{ type: "text", text: error.message }] };
+    }
+    if (details.error) {
+      return {
+        content: [{ type: "text", text: `Error: ${details.error}` }],
+      };
+    }
+
+    // Owners can be outside the team, e.g. people who left it this quarter
+    const ownerIds = [
+      ...new Set(
+        [...details.todos, ...details.issues, ...rocks.results]
+          .map((item) => item.userId)
+          .filter(Boolean)
+      ),
+    ];
+    const owners =
+      ownerIds.length > 0
+        ? await db`
+            SELECT id, first_name, last_name
+            FROM users
+            WHERE id IN ${db(ownerIds)}
+              AND company_id = ${context.companyId}
+          `
+        : [];
+    const namesById = Object.fromEntries(
+      owners.map((user) => [user.id, `${user.first_name} ${user.last_name}`])
+    );
+    const htmlContent = buildSummaryHtml(
+      details,
+      { name: meetingInfo.name, teamName: meetingInfo.team_name },
+      rocks.results,
+      (userId) => namesById[userId] || "Unassigned"
+    );
+    const recipientCount = users.results.length;
+
+    const [existing] = await db`
+      SELECT id
+      FROM meeting_summary_emails
+      WHERE meeting_id = ${meetingId}
+        AND review_status = ${NOT_REVIEWED_STATUS}
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const [saved] = existing
+      ? await db`
+          UPDATE meeting_summary_emails
+          SET html_content = ${htmlContent},
+              recipient_count = ${recipientCount},
+              updated_at = NOW()
+          WHERE id = ${existing.id}
+          RETURNING *
+        `
+      : await db`
+          INSERT INTO meeting_summary_emails (
+            meeting_id,
+            recipient_count,
+            html_content,
+            review_status
+          ) VALUES (
+            ${meetingId},
+            ${recipientCount},
+            ${htmlContent},
+            ${NOT_REVIEWED_STATUS}
+          )
+          RETURNING *
+        `;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: `${
+                existing ? "Updated the" : "Drafted a"
+              } recap email for "${meetingInfo.name}" to ${recipientCount} recipients. Approve or reject it with reviewMeetingSummary.`,
+              summaryEmail: formatSummaryEmail(saved, true),
+              counts: {
+                newTodos: details.todos.length,
+                solvedIssues: details.issues.filter(
+                  (issue) => issue.status === "COMPLETE"
+                ).length,
+                rocks: rocks.results.length,
+              },
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error drafting meeting summary:", error);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error drafting meeting summary: ${error.message}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Approve or reject a drafted meeting recap email
+ * @param {Object} args - Arguments object
+ * @param {string} args.summaryId - meeting_summary_emails ID (required)
+ * @param {string} args.decision - 'approve' or 'reject' (required)
+ * @param {string} [args.comments] - Review comments (required when rejecting)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function reviewMeetingSummary(args = {}) {
+  const { summaryId, decision, comments } = args;
+
+  const reviewStatus = REVIEW_STATUSES[decision];
+  if (!summaryId || !reviewStatus) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: summaryId and decision ('approve' or 'reject') are required",
+        },
+      ],
+    };
+  }
+  if (decision === "reject" && !comments?.trim()) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: comments are required when rejecting a summary, so the author knows what to fix",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const db = getDatabase();
+  if (!db) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Database connection is required for meeting summaries",
+        },
+      ],
+    };
+  }
+
+  try {
+    // The table has no company_id - scope it through the meeting
+    const [summary] = await db`
+      SELECT s.id, s.review_status
+      FROM meeting_summary_emails s
+      INNER JOIN meetings m ON s.meeting_id = m.id
+      WHERE s.id = ${summaryId}
+        AND m.company_id = ${context.companyId}
+    `;
+    if (!summary) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: No meeting summary found with ID ${summaryId}`,
+          },
+        ],
+      };
+    }
+    if (summary.review_status !== NOT_REVIEWED_STATUS) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: This summary was already reviewed (${summary.review_status}). Draft it again with draftMeetingSummary to review a new version.`,
+          },
+        ],
+      };
+    }
+
+    const [updated] = await db`
+      UPDATE meeting_summary_emails
+      SET review_status = ${reviewStatus},
+          review_comments = ${comments?.trim() || null},
+          updated_at = NOW()
+      WHERE id = ${summaryId}
+      RETURNING *
+    `;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message:
+                decision === "approve"
+                  ? "Meeting summary approved"
+                  : "Meeting summary rejected",
+              summaryEmail: formatSummaryEmail(updated),
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error reviewing meeting summary:", error);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error reviewing meeting summary: ${error.message}`,
+        },
+      ],
+    };
+  }
+}
@@ -9,6 +9,12 @@ import {
 } from "./core.js";
 import { validateStateId } from "../utils/helpers.js";
 import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+import { loadAttachments } from "./attachmentsTools.js";
+
+// Meeting statuses used by the live facilitation and meeting series tools
+export const NOT_STARTED_STATUS = "NOT-STARTED";
+const IN_PROGRESS_STATUS = "IN-PROGRESS";
+const FINISHED_STATUS = "FINISHED";
 
 /**
  * List Success.co meetings
@@ -793,6 +799,14 @@ export async function getMeetingDetails(args) {
         )
       : [];
 
+    // Get files attached to the meeting's todos and issues
+    const [todoFiles, issueFiles] = await Promise.all([
+      loadAttachments("todos", todos.map((t) => t.id)),
+      loadAttachments("issues", issues.map((i) => i.id)),
+    ]);
+    const todoAttachments = todoFiles.ok ? todoFiles.attachmentsByItem : {};
+    const issueAttachments = issueFiles.ok ? issueFiles.attachmentsByItem : {};
+
     // Get company code for URL generation
     const context = await getUserContext();
     const companyCode = context
@@ -831,6 +845,7 @@ export async function getMeetingDetails(args) {
         teamId: t.teamId,
         dueDate: t.dueDate,
         createdAt: t.createdAt,
+        attachments: todoAttachments[t.id] || [],
       })),
       issues: issues.map((i) => ({
         id: i.id,
@@ -840,11 +855,16 @@ export async function getMeetingDetails(args) {
         userId: i.userId,
         teamId: i.teamId,
         createdAt: i.createdAt,
+        attachments: issueAttachments[i.id] || [],
       })),
       summary: {
         headlineCount: headlines.length,
         todoCount: todos.length,
         issueCount: issues.length,
+        attachmentCount: [
+          ...Object.values(todoAttachments),
+          ...Object.values(issueAttachments),
+        ].reduce((sum, files) => sum + files.length, 0),
       },
     };
 
@@ -1684,3 +1704,1172 @@ export async function updateMeeting(args) {
     ],
   };
 }
+
+/**
+ * Load a meeting with its team, agenda sections and recorded section times
+ * @param {string} meetingId
+ * @returns {Promise<{ok: boolean, meeting?: Object, sections?: Array<Object>, sectionInfos?: Array<Object>, error?: string}>}
+ */
+async function fetchLiveMeeting(meetingId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      meetings(filter: {id: {equalTo: "${meetingId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          date
+          startTime
+          endTime
+          meetingStatusId
+          facilitatorUserId
+          facilitatorSectionId
+          sectionStartTime
+          meetingInfo {
+            id
+            name
+            teamId
+            meetingAgenda {
+              meetingAgendaSections(orderBy: ORDER_ASC) {
+                nodes {
+                  id
+                  name
+                  duration
+                  type
+                  visible
+                  stateId
+                }
+              }
+            }
+          }
+          meetingSectionInfos {
+            nodes {
+              id
+              sectionId
+              timeSpent
+              duration
+            }
+          }
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const meeting = result.data.data.meetings.nodes[0];
+  if (!meeting) {
+    return { ok: false, error: `Error: No meeting found with ID ${meetingId}` };
+  }
+
+  const sections = (
+    meeting.meetingInfo?.meetingAgenda?.meetingAgendaSections?.nodes || []
+  ).filter((section) => section.visible && section.stateId === "ACTIVE");
+
+  return {
+    ok: true,
+    meeting,
+    sections,
+    sectionInfos: meeting.meetingSectionInfos?.nodes || [],
+  };
+}
+
+/**
+ * Patch a meeting
+ * Also used by meetingSeriesTools.js to move and skip occurrences.
+ * @param {string} meetingId
+ * @param {Object} patch - Meeting fields to change
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function patchMeeting(meetingId, patch) {
+  const result = await callSuccessCoGraphQL(
+    `
+    mutation UpdateMeeting($input: UpdateMeetingInput!) {
+      updateMeeting(input: $input) {
+        meeting {
+          id
+        }
+      }
+    }
+  `,
+    { input: { id: meetingId, patch } }
+  );
+  if (!result.ok) return { ok: false, error: result.error };
+  if (!result.data?.data?.updateMeeting?.meeting) {
+    return {
+      ok: false,
+      error: `Error: Meeting update failed. ${JSON.stringify(result.data)}`,
+    };
+  }
+  return { ok: true };
+}
+
+/**
+ * Add the time since the current section started to its meeting_section_infos row
+ * Revisiting a section adds to the time already recorded for it.
+ * @param {Object} meeting - Meeting from fetchLiveMeeting
+ * @param {Array<Object>} sectionInfos - Recorded section times
+ * @param {Object} section - Current agenda section
+ * @param {string} companyId
+ * @param {Date} now
+ * @returns {Promise<{ok: boolean, seconds?: number, totalSeconds?: number, error?: string}>}
+ */
+async function recordSectionTime(
+  meeting,
+  sectionInfos,
+  section,
+  companyId,
+  now
+) {
+  const seconds = meeting.sectionStartTime
+    ? Math.max(
+        0,
+        Math.round((now - new Date(meeting.sectionStartTime)) / 1000)
+      )
+    : 0;
+  const existing = sectionInfos.find((info) => info.sectionId === section.id);
+
+  const result = existing
+    ? await callSuccessCoGraphQL(
+        `
+        mutation UpdateMeetingSectionInfo($input: UpdateMeetingSectionInfoInput!) {
+          updateMeetingSectionInfo(input: $input) {
+            meetingSectionInfo {
+              id
+              timeSpent
+            }
+          }
+        }
+      `,
+        {
+          input: {
+            id: existing.id,
+            patch: { timeSpent: existing.timeSpent + seconds },
+          },
+        }
+      )
+    : await callSuccessCoGraphQL(
+        `
+        mutation CreateMeetingSectionInfo($input: CreateMeetingSectionInfoInput!) {
+          createMeetingSectionInfo(input: $input) {
+            meetingSectionInfo {
+              id
+              timeSpent
+            }
+          }
+        }
+      `,
+        {
+          input: {
+            meetingSectionInfo: {
+              meetingId: meeting.id,
+              sectionId: section.id,
+              timeSpent: seconds,
+              duration: section.duration,
+              companyId,
+            },
+          },
+        }
+      );
+  if (!result.ok) return { ok: false, error: result.error };
+
+  return {
+    ok: true,
+    seconds,
+    totalSeconds: (existing?.timeSpent || 0) + seconds,
+  };
+}
+
+/**
+ * Format seconds as "6m 10s"
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Describe an agenda section for the live meeting responses
+ * @param {Object} section - Agenda section
+ * @param {Array<Object>} sections - All sections of the agenda
+ * @returns {{id: string, name: string, plannedMinutes: number, position: string}}
+ */
+function describeSection(section, sections) {
+  return {
+    id: section.id,
+    name: section.name,
+    plannedMinutes: section.duration,
+    position: `${sections.indexOf(section) + 1}/${sections.length}`,
+  };
+}
+
+/**
+ * Parse meeting ratings given as "userId:rating, userId:rating"
+ * @param {string} ratings
+ * @returns {{ok: boolean, ratings?: Array<{userId: string, rating: number}>, error?: string}}
+ */
+function parseMeetingRatings(ratings) {
+  const parsed = [];
+  for (const pair of (ratings || "").split(",").filter((p) => p.trim())) {
+    const [userId, value] = pair.split(":").map((part) => part.trim());
+    const rating = Number(value);
+    if (!userId || !Number.isInteger(rating) || rating < 1 || rating > 10) {
+      return {
+        ok: false,
+        error: `Error: Invalid rating "${pair.trim()}". Use userId:rating with a whole number from 1 to 10`,
+      };
+    }
+    parsed.push({ userId, rating });
+  }
+  return { ok: true, ratings: parsed };
+}
+
+/**
+ * Load the to-dos, issues and headlines a team created during a meeting
+ * @param {string} teamId
+ * @param {string} from - Meeting start (ISO timestamp)
+ * @param {string} to - Meeting end (ISO timestamp)
+ * @returns {Promise<{todos: Array<Object>, issues: Array<Object>, headlines: Array<Object>}>}
+ */
+async function loadMeetingRecap(teamId, from, to) {
+  const filter = `teamId: {equalTo: "${teamId}"}, stateId: {equalTo: "ACTIVE"}, createdAt: {greaterThanOrEqualTo: "${from}", lessThanOrEqualTo: "${to}"}`;
+  const [todosResult, issuesResult, headlinesResult] = await Promise.all([
+    callSuccessCoGraphQL(`
+      query {
+        todos(filter: {${filter}}) {
+          nodes {
+            id
+            name
+            userId
+            dueDate
+          }
+        }
+      }
+    `),
+    callSuccessCoGraphQL(`
+      query {
+        issues(filter: {${filter}}) {
+          nodes {
+            id
+            name
+            userId
+            priorityNo
+          }
+        }
+      }
+    `),
+    callSuccessCoGraphQL(`
+      query {
+        headlines(filter: {${filter}}) {
+          nodes {
+            id
+            name
+            userId
+            isCascadingMessage
+          }
+        }
+      }
+    `),
+  ]);
+
+  return {
+    todos: todosResult.ok ? todosResult.data.data.todos.nodes : [],
+    issues: issuesResult.ok ? issuesResult.data.data.issues.nodes : [],
+    headlines: headlinesResult.ok
+      ? headlinesResult.data.data.headlines.nodes
+      : [],
+  };
+}
+
+/**
+ * Start a meeting: mark it in progress and open the first agenda section
+ * @param {Object} args - Arguments object
+ * @param {string} args.meetingId - Meeting ID (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function startMeeting(args = {}) {
+  const { meetingId } = args;
+
+  if (!meetingId) {
+    return {
+      content: [{ type: "text", text: "Error: Meeting ID is required" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await fetchLiveMeeting(meetingId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+  const { meeting, sections } = loaded;
+
+  if (meeting.meetingStatusId !== NOT_STARTED_STATUS) {
+    return {
+      content: [
+        {
+          type: "text",
+          text:
+            meeting.meetingStatusId === IN_PROGRESS_STATUS
+              ? "Error: This meeting is already in progress. Use advanceMeetingSection to move on."
+              : `Error: This meeting can't be started (status: ${meeting.meetingStatusId})`,
+        },
+      ],
+    };
+  }
+  if (sections.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: This meeting's agenda has no visible sections",
+        },
+      ],
+    };
+  }
+
+  const now = new Date().toISOString();
+  const patched = await patchMeeting(meetingId, {
+    meetingStatusId: IN_PROGRESS_STATUS,
+    startTime: now,
+    facilitatorSectionId: sections[0].id,
+    sectionStartTime: now,
+    ...(!meeting.facilitatorUserId && { facilitatorUserId: context.userId }),
+  });
+  if (!patched.ok) {
+    return { content: [{ type: "text", text: patched.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Started "${meeting.meetingInfo.name}". Current section: ${sections[0].name} (${sections[0].duration} min)`,
+            meeting: {
+              id: meetingId,
+              name: meeting.meetingInfo.name,
+              status: IN_PROGRESS_STATUS,
+              startTime: now,
+            },
+            currentSection: describeSection(sections[0], sections),
+            agenda: sections.map((section) =>
+              describeSection(section, sections)
+            ),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Move a meeting in progress to its next (or a chosen) agenda section
+ * The time spent on the section being left is recorded in meeting_section_infos.
+ * @param {Object} args - Arguments object
+ * @param {string} args.meetingId - Meeting ID (required)
+ * @param {string} [args.sectionId] - Section to jump to (defaults to the next one)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function advanceMeetingSection(args = {}) {
+  const { meetingId, sectionId } = args;
+
+  if (!meetingId) {
+    return {
+      content: [{ type: "text", text: "Error: Meeting ID is required" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await fetchLiveMeeting(meetingId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+  const { meeting, sections, sectionInfos } = loaded;
+
+  if (meeting.meetingStatusId !== IN_PROGRESS_STATUS) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: This meeting is not in progress (status: ${meeting.meetingStatusId}). Use startMeeting first.`,
+        },
+      ],
+    };
+  }
+
+  const current = sections.find(
+    (section) => section.id === meeting.facilitatorSectionId
+  );
+  const next = sectionId
+    ? sections.find((section) => section.id === sectionId)
+    : sections[sections.indexOf(current) + 1];
+  if (!next) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: sectionId
+            ? `Error: Section ${sectionId} is not on this meeting's agenda`
+            : current
+            ? `Error: ${current.name} is the last section. Use concludeMeeting to finish the meeting.`
+            : "Error: This meeting's agenda has no visible sections",
+        },
+      ],
+    };
+  }
+  if (next === current) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: The meeting is already on ${current.name}`,
+        },
+      ],
+    };
+  }
+
+  const now = new Date();
+  let recorded;
+  if (current) {
+    recorded = await recordSectionTime(
+      meeting,
+      sectionInfos,
+      current,
+      context.companyId,
+      now
+    );
+    if (!recorded.ok) {
+      return { content: [{ type: "text", text: recorded.error }] };
+    }
+  }
+
+  const patched = await patchMeeting(meetingId, {
+    facilitatorSectionId: next.id,
+    sectionStartTime: now.toISOString(),
+  });
+  if (!patched.ok) {
+    return { content: [{ type: "text", text: patched.error }] };
+  }
+
+  const previousSection = current && {
+    ...describeSection(current, sections),
+    timeSpentSeconds: recorded.totalSeconds,
+    overtime: recorded.totalSeconds > current.duration * 60,
+  };
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `${
+              current
+                ? `Spent ${formatDuration(recorded.totalSeconds)} on ${
+                    current.name
+                  } (planned ${current.duration} min). `
+                : ""
+            }Now on ${next.name} (${next.duration} min)`,
+            previousSection,
+            currentSection: describeSection(next, sections),
+            remainingSections: sections
+              .slice(sections.indexOf(next) + 1)
+              .map((section) => describeSection(section, sections)),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Conclude a meeting in progress
+ * Records the attendees' ratings, marks the meeting finished, then records
+ * the current section's time and returns a recap of what the team created
+ * during it.
+ * @param {Object} args - Arguments object
+ * @param {string} args.meetingId - Meeting ID (required)
+ * @param {string} [args.ratings] - Ratings as "userId:rating, ..." (1-10)
+ * @param {string} [args.absentUserIds] - Comma-separated IDs of absent attendees
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function concludeMeeting(args = {}) {
+  const { meetingId, ratings, absentUserIds } = args;
+
+  if (!meetingId) {
+    return {
+      content: [{ type: "text", text: "Error: Meeting ID is required" }],
+    };
+  }
+
+  const parsedRatings = parseMeetingRatings(ratings);
+  if (!parsedRatings.ok) {
+    return { content: [{ type: "text", text: parsedRatings.error }] };
+  }
+  const absentIds = (absentUserIds || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const attendees = [
+    ...parsedRatings.ratings.map((r) => ({ ...r, isAbsent: false })),
+    ...absentIds.map((userId) => ({ userId, rating: 0, isAbsent: true })),
+  ];
+  const duplicate = attendees.find(
+    (attendee, index) =>
+      attendees.findIndex((a) => a.userId === attendee.userId) !== index
+  );
+  if (duplicate) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: User ${duplicate.userId} is listed more than once`,
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const loaded = await fetchLiveMeeting(meetingId);
+  if (!loaded.ok) {
+    return { content: [{ type: "text", text: loaded.error }] };
+  }
+  const { meeting, sections, sectionInfos } = loaded;
+
+  if (meeting.meetingStatusId !== IN_PROGRESS_STATUS) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: This meeting is not in progress (status: ${meeting.meetingStatusId})`,
+        },
+      ],
+    };
+  }
+
+  const now = new Date();
+
+  // Ratings are unique per meeting and user whatever their state, so earlier
+  // ones (including deleted ones) are updated and reactivated
+  const existingResult = await callSuccessCoGraphQL(`
+    query {
+      meetingRatings(filter: {meetingId: {equalTo: "${meetingId}"}}) {
+        nodes {
+          id
+          userId
+        }
+      }
+    }
+  `);
+  if (!existingResult.ok) {
+    return { content: [{ type: "text", text: existingResult.error }] };
+  }
+  const existingRatings = existingResult.data.data.meetingRatings.nodes;
+
+  for (const attendee of attendees) {
+    const existing = existingRatings.find((r) => r.userId === attendee.userId);
+    const values = { rating: attendee.rating, isAbsent: attendee.isAbsent };
+    const result = existing
+      ? await callSuccessCoGraphQL(
+          `
+          mutation UpdateMeetingRating($input: UpdateMeetingRatingInput!) {
+            updateMeetingRating(input: $input) {
+              meetingRating {
+                id
+              }
+            }
+          }
+        `,
+          { input: { id: existing.id, patch: { ...values, stateId: "ACTIVE" } } }
+        )
+      : await callSuccessCoGraphQL(
+          `
+          mutation CreateMeetingRating($input: CreateMeetingRatingInput!) {
+            createMeetingRating(input: $input) {
+              meetingRating {
+                id
+              }
+            }
+          }
+        `,
+          {
+            input: {
+              meetingRating: {
+                ...values,
+                meetingId,
+                userId: attendee.userId,
+                companyId: context.companyId,
+                stateId: "ACTIVE",
+              },
+            },
+          }
+        );
+    if (!result.ok) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error saving the rating of user ${attendee.userId}: ${result.error}`,
+          },
+        ],
+      };
+    }
+  }
+
+  const given = parsedRatings.ratings.map((r) => r.rating);
+  const averageRating =
+    given.length > 0
+      ? roundTo1(given.reduce((sum, r) => sum + r, 0) / given.length)
+      : null;
+
+  const endTime = now.toISOString();
+  const patched = await patchMeeting(meetingId, {
+    meetingStatusId: FINISHED_STATUS,
+    endTime,
+    sectionStartTime: null,
+    // average_rating is a whole number
+    ...(averageRating !== null && {
+      averageRating: Math.round(averageRating),
+    }),
+  });
+  if (!patched.ok) {
+    return { content: [{ type: "text", text: patched.error }] };
+  }
+
+  // Record the last section only now that the meeting is finished, so a
+  // retry after a failure above can't add its time twice
+  const current = sections.find(
+    (section) => section.id === meeting.facilitatorSectionId
+  );
+  if (current) {
+    const recorded = await recordSectionTime(
+      meeting,
+      sectionInfos,
+      current,
+      context.companyId,
+      now
+    );
+    if (!recorded.ok) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: The meeting was concluded, but the time spent on ${current.name} could not be recorded: ${recorded.error}`,
+          },
+        ],
+      };
+    }
+  }
+
+  // Section times as recorded, including the one just closed
+  const final = await fetchLiveMeeting(meetingId);
+  const timeBySection = Object.fromEntries(
+    (final.ok ? final.sectionInfos : sectionInfos).map((info) => [
+      info.sectionId,
+      info.timeSpent,
+    ])
+  );
+
+  const startTime = meeting.startTime || meeting.date;
+  const recap = await loadMeetingRecap(
+    meeting.meetingInfo.teamId,
+    startTime,
+    endTime
+  );
+  const durationSeconds = Math.round((now - new Date(startTime)) / 1000);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Concluded "${
+              meeting.meetingInfo.name
+            }" after ${formatDuration(durationSeconds)}${
+              averageRating !== null
+                ? ` with an average rating of ${averageRating}`
+                : ""
+            }`,
+            meeting: {
+              id: meetingId,
+              name: meeting.meetingInfo.name,
+              status: FINISHED_STATUS,
+              startTime,
+              endTime,
+              durationMinutes: Math.round(durationSeconds / 60),
+              averageRating,
+            },
+            sections: sections.map((section) => ({
+              ...describeSection(section, sections),
+              timeSpentSeconds: timeBySection[section.id] || 0,
+              overtime:
+                (timeBySection[section.id] || 0) > section.duration * 60,
+            })),
+            ratings: attendees,
+            recap: {
+              todos: recap.todos,
+              issues: recap.issues,
+              headlines: recap.headlines,
+              summary: {
+                todoCount: recap.todos.length,
+                issueCount: recap.issues.length,
+                headlineCount: recap.headlines.length,
+              },
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Get the reporting period a meeting date falls into
+ * @param {Date} date - Meeting date
+ * @param {string} groupBy - 'week', 'month', or 'quarter'
+ * @returns {string} Period key (week: Monday's YYYY-MM-DD, month: YYYY-MM, quarter: YYYY-Qn)
+ */
+function getMeetingPeriodKey(date, groupBy) {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+
+  if (groupBy === "week") {
+    const monday = new Date(
+      Date.UTC(year, d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7))
+    );
+    return monday.toISOString().split("T")[0];
+  }
+  if (groupBy === "quarter") {
+    return `${year}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+  }
+  return `${year}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Round a number to one decimal place
+ * @param {number} value
+ * @returns {number|null}
+ */
+function roundTo1(value) {
+  return value === null || Number.isNaN(value)
+    ? null
+    : Math.round(value * 10) / 10;
+}
+
+/**
+ * Get meeting quality analytics from meeting ratings and section timings
+ * Reports, for finished meetings in the date range:
+ * - average meeting rating per team, overall and per period
+ * - attendance and absence rates per person (from meeting_ratings.is_absent)
+ * - agenda sections that regularly run over their planned duration
+ *   (meeting_section_infos.time_spent is in seconds, planned durations are in minutes)
+ * @param {Object} args - Arguments object
+ * @param {string} [args.teamId] - Only analyze this team's meetings
+ * @param {boolean} [args.leadershipTeam] - If true, use the leadership team
+ * @param {string} [args.meetingAgendaType] - Only analyze meetings with this agenda type (e.g. 'WEEKLY-L10')
+ * @param {string} [args.dateAfter] - Meetings on or after this date (ISO format, defaults to 6 months ago)
+ * @param {string} [args.dateBefore] - Meetings on or before this date (ISO format)
+ * @param {string} [args.groupBy] - Rating trend period: 'week', 'month' (default), or 'quarter'
+ * @param {number} [args.overrunThreshold] - Percent over plan before a section counts as running over (defaults to 10)
+ * @param {number} [args.minOccurrences] - Minimum times a section must have run to be flagged (defaults to 3)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getMeetingAnalytics(args = {}) {
+  const {
+    teamId: providedTeamId,
+    leadershipTeam = false,
+    meetingAgendaType,
+    dateAfter,
+    dateBefore,
+    groupBy = "month",
+    overrunThreshold = 10,
+    minOccurrences = 3,
+  } = args;
+
+  if (!["week", "month", "quarter"].includes(groupBy)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid groupBy - must be week, month, or quarter",
+        },
+      ],
+    };
+  }
+
+  // Resolve teamId if leadershipTeam is true
+  let teamId = providedTeamId;
+  if (leadershipTeam && !providedTeamId) {
+    teamId = await getLeadershipTeamId();
+    if (!teamId) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "Error: Could not find leadership team. Please ensure a team is marked as the leadership team.",
+          },
+        ],
+      };
+    }
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const db = getDatabase();
+  if (!db) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Database connection not available",
+        },
+      ],
+    };
+  }
+
+  const startDate =
+    dateAfter ||
+    (() => {
+      const d = new Date();
+      d.setMonth(d.getMonth() - 6);
+      return d.toISOString().split("T")[0];
+    })();
+
+  try {
+    // Step 1: Finished meetings in range, with their team
+    const meetings = await db`
+      SELECT m.id, m.date, m.average_rating, mi.team_id, t.name AS team_name,
+             mi.name AS meeting_name
+      FROM meetings m
+      INNER JOIN meeting_infos mi ON m.meeting_info_id = mi.id
+      INNER JOIN meeting_agendas ma ON mi.meeting_agenda_id = ma.id
+      INNER JOIN teams t ON mi.team_id = t.id
+      WHERE m.company_id = ${context.companyId}
+        AND m.state_id = 'ACTIVE'
+        AND m.meeting_status_id = 'FINISHED'
+        AND m.date >= ${startDate}
+        ${dateBefore ? db`AND m.date <= ${dateBefore}` : db``}
+        ${teamId ? db`AND mi.team_id = ${teamId}` : db``}
+        ${
+          meetingAgendaType
+            ? db`AND ma.meeting_agenda_type_id = ${meetingAgendaType}`
+            : db``
+        }
+      ORDER BY m.date ASC
+    `;
+
+    if (meetings.length === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                period: { dateAfter: startDate, dateBefore: dateBefore || null },
+                meetingsAnalyzed: 0,
+                message: "No finished meetings found in this date range",
+                teams: [],
+                attendance: [],
+                sections: [],
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    const meetingIds = meetings.map((m) => m.id);
+
+    // Step 2: Ratings/attendance and section timings for those meetings
+    const [ratings, sectionInfos] = await Promise.all([
+      db`
+        SELECT r.meeting_id, r.user_id, r.rating, r.is_absent,
+               u.first_name, u.last_name
+        FROM meeting_ratings r
+        INNER JOIN users u ON r.user_id = u.id
+        WHERE r.meeting_id IN ${db(meetingIds)}
+          AND r.state_id = 'ACTIVE'
+      `,
+      db`
+        SELECT si.meeting_id, si.section_id, si.time_spent, si.duration,
+               s.name AS section_name, s.type AS section_type,
+               s.duration AS planned_duration
+        FROM meeting_section_infos si
+        INNER JOIN meeting_agenda_sections s ON si.section_id = s.id
+        WHERE si.meeting_id IN ${db(meetingIds)}
+      `,
+    ]);
+
+    const ratingsByMeeting = new Map();
+    ratings.forEach((r) => {
+      if (!ratingsByMeeting.has(r.meeting_id)) {
+        ratingsByMeeting.set(r.meeting_id, []);
+      }
+      ratingsByMeeting.get(r.meeting_id).push(r);
+    });
+
+    // Average rating per meeting: present attendees who rated, else the stored average
+    const meetingRating = (meeting) => {
+      const given = (ratingsByMeeting.get(meeting.id) || []).filter(
+        (r) => !r.is_absent && r.rating > 0
+      );
+      if (given.length > 0) {
+        return given.reduce((sum, r) => sum + r.rating, 0) / given.length;
+      }
+      return meeting.average_rating > 0 ? meeting.average_rating : null;
+    };
+
+    // Team rating trends
+    const teamsMap = new Map();
+    meetings.forEach((meeting) => {
+      if (!teamsMap.has(meeting.team_id)) {
+        teamsMap.set(meeting.team_id, {
+          teamId: meeting.team_id,
+          teamName: meeting.team_name,
+          meetings: [],
+        });
+      }
+      teamsMap.get(meeting.team_id).meetings.push({
+        date: meeting.date,
+        rating: meetingRating(meeting),
+      });
+    });
+
+    const teams = [...teamsMap.values()].map((team) => {
+      const rated = team.meetings.filter((m) => m.rating !== null);
+      const periods = new Map();
+      rated.forEach((m) => {
+        const key = getMeetingPeriodKey(m.date, groupBy);
+        if (!periods.has(key)) periods.set(key, []);
+        periods.get(key).push(m.rating);
+      });
+      const trend = [...periods.entries()].map(([period, values]) => ({
+        period,
+        meetings: values.length,
+        averageRating: roundTo1(
+          values.reduce((sum, v) => sum + v, 0) / values.length
+        ),
+      }));
+
+      return {
+        teamId: team.teamId,
+        teamName: team.teamName,
+        meetingCount: team.meetings.length,
+        ratedMeetingCount: rated.length,
+        averageRating: rated.length
+          ? roundTo1(rated.reduce((sum, m) => sum + m.rating, 0) / rated.length)
+          : null,
+        ratingChange:
+          trend.length > 1
+            ? roundTo1(
+                trend[trend.length - 1].averageRating - trend[0].averageRating
+              )
+            : null,
+        trend,
+      };
+    });
+
+    // Attendance per person
+    const attendanceMap = new Map();
+    ratings.forEach((r) => {
+      if (!attendanceMap.has(r.user_id)) {
+        attendanceMap.set(r.user_id, {
+          userId: r.user_id,
+          name: `${r.first_name || ""} ${r.last_name || ""}`.trim(),
+          meetings: 0,
+          present: 0,
+          absent: 0,
+          ratingsGiven: [],
+        });
+      }
+      const person = attendanceMap.get(r.user_id);
+      person.meetings++;
+      if (r.is_absent) {
+        person.absent++;
+      } else {
+        person.present++;
+        if (r.rating > 0) person.ratingsGiven.push(r.rating);
+      }
+    });
+
+    const attendance = [...attendanceMap.values()]
+      .map((person) => ({
+        userId: person.userId,
+        name: person.name,
+        meetings: person.meetings,
+        present: person.present,
+        absent: person.absent,
+        attendanceRate: roundTo1((person.present / person.meetings) * 100),
+        absenceRate: roundTo1((person.absent / person.meetings) * 100),
+        averageRatingGiven: person.ratingsGiven.length
+          ? roundTo1(
+              person.ratingsGiven.reduce((sum, v) => sum + v, 0) /
+                person.ratingsGiven.length
+            )
+          : null,
+      }))
+      .sort((a, b) => b.absenceRate - a.absenceRate);
+
+    // Section overruns
+    const teamByMeeting = new Map(meetings.map((m) => [m.id, m.team_name]));
+    const sectionsMap = new Map();
+    sectionInfos.forEach((si) => {
+      const plannedMinutes = si.duration > 0 ? si.duration : si.planned_duration;
+      if (!plannedMinutes || plannedMinutes <= 0) return;
+
+      if (!sectionsMap.has(si.section_id)) {
+        sectionsMap.set(si.section_id, {
+          sectionId: si.section_id,
+          sectionName: si.section_name,
+          sectionType: si.section_type,
+          teamName: teamByMeeting.get(si.meeting_id),
+          runs: [],
+        });
+      }
+      sectionsMap.get(si.section_id).runs.push({
+        plannedMinutes,
+        actualMinutes: si.time_spent / 60,
+      });
+    });
+
+    const sections = [...sectionsMap.values()]
+      .map((section) => {
+        const overruns = section.runs.filter(
+          (run) =>
+            run.actualMinutes > run.plannedMinutes * (1 + overrunThreshold / 100)
+        );
+        const avgPlanned =
+          section.runs.reduce((sum, run) => sum + run.plannedMinutes, 0) /
+          section.runs.length;
+        const avgActual =
+          section.runs.reduce((sum, run) => sum + run.actualMinutes, 0) /
+          section.runs.length;
+        const overrunRate = (overruns.length / section.runs.length) * 100;
+
+        return {
+          sectionId: section.sectionId,
+          sectionName: section.sectionName,
+          sectionType: section.sectionType,
+          teamName: section.teamName,
+          timesRun: section.runs.length,
+          averagePlannedMinutes: roundTo1(avgPlanned),
+          averageActualMinutes: roundTo1(avgActual),
+          averageOverrunMinutes: roundTo1(avgActual - avgPlanned),
+          overrunCount: overruns.length,
+          overrunRate: roundTo1(overrunRate),
+          regularlyRunsOver:
+            section.runs.length >= minOccurrences && overrunRate >= 50,
+        };
+      })
+      .sort((a, b) => b.overrunRate - a.overrunRate);
+
+    const totalRatings = ratings.length;
+    const totalAbsent = ratings.filter((r) => r.is_absent).length;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              period: {
+                dateAfter: startDate,
+                dateBefore: dateBefore || null,
+                groupBy,
+              },
+              meetingsAnalyzed: meetings.length,
+              summary: {
+                averageRating: (() => {
+                  const rated = meetings
+                    .map(meetingRating)
+                    .filter((r) => r !== null);
+                  return rated.length
+                    ? roundTo1(rated.reduce((sum, r) => sum + r, 0) / rated.length)
+                    : null;
+                })(),
+                overallAbsenceRate: totalRatings
+                  ? roundTo1((totalAbsent / totalRatings) * 100)
+                  : null,
+                sectionsRegularlyRunningOver: sections
+                  .filter((s) => s.regularlyRunsOver)
+                  .map((s) => `${s.sectionName} (${s.teamName})`),
+              },
+              teams,
+              attendance,
+              sections,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error calculating meeting analytics: ${error.message}`,
+        },
+      ],
+    };
+  }
+}
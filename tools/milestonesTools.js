@@ -9,6 +9,7 @@ import {
 } from "./core.js";
 import { validateStateId } from "../utils/helpers.js";
 import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+import { resolveTagFilter } from "./tagsTools.js";
 
 /**
  * List Success.co milestones
@@ -20,6 +21,7 @@ import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
  * @param {string} [args.userId] - Filter by user ID
  * @param {string} [args.teamId] - Filter by team ID
  * @param {string} [args.keyword] - Search for milestones with names containing this keyword (case-insensitive)
+ * @param {string} [args.tags] - Comma-separated tag names; only milestones with any of these tags
  * @returns {Promise<{content: Array<{type: string, text: string}>}>}
  */
 export async function getMilestones(args) {
@@ -32,6 +34,7 @@ export async function getMilestones(args) {
     teamId: providedTeamId,
     leadershipTeam = false,
     keyword,
+    tags,
   } = args;
 
   // Resolve teamId if leadershipTeam is true
@@ -64,6 +67,19 @@ export async function getMilestones(args) {
   if (teamId) filterParts.push(`teamId: {equalTo: "${teamId}"}`);
   if (keyword) filterParts.push(`name: {includesInsensitive: "${keyword}"}`);
 
+  // Limit to milestones with any of the given tags
+  if (tags) {
+    const tagged = await resolveTagFilter("milestones", tags);
+    if (!tagged.ok) {
+      return { content: [{ type: "text", text: tagged.error }] };
+    }
+    if (tagged.ids) {
+      filterParts.push(
+        `id: {in: [${tagged.ids.map((id) => `"${id}"`).join(", ")}]}`
+      );
+    }
+  }
+
   const filterStr = filterParts.join(", ");
 
   // Build query-level parameters (outside filter object)
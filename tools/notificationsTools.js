@@ -0,0 +1,436 @@
+// Notifications Tools
+// Tools for reading and clearing the current user's notifications inbox
+
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
+import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+
+// notifications.entity_table values that can be hydrated, with the GraphQL
+// collection and fields loaded for each
+const HYDRATED_ENTITY_TABLES = {
+  teams: { collection: "teams", fields: "id name desc isLeadership" },
+  users: {
+    collection: "users",
+    fields: "id firstName lastName email jobTitle",
+  },
+  todos: {
+    collection: "todos",
+    fields: "id name desc todoStatusId userId teamId dueDate createdAt",
+  },
+  rocks: {
+    collection: "rocks",
+    fields: "id name desc rockStatusId userId dueDate createdAt",
+  },
+  meetings: {
+    collection: "meetings",
+    fields: "id date startTime endTime meetingStatusId meetingInfoId",
+  },
+  issues: {
+    collection: "issues",
+    fields: "id name desc issueStatusId priorityNo userId teamId createdAt",
+  },
+  headlines: {
+    collection: "headlines",
+    fields: "id name desc headlineStatusId userId teamId createdAt",
+  },
+  visions: { collection: "visions", fields: "id teamId isLeadership" },
+  comments: {
+    collection: "comments",
+    fields: "id entityType entityId comment userId createdAt stateId",
+  },
+};
+
+// Entity tables that have a page in the Success.co web app
+const LINKABLE_ENTITY_TABLES = ["todos", "rocks", "meetings", "issues", "headlines"];
+
+/**
+ * Load the entities of one table in a single query
+ * @param {string} entityTable - Database table name (e.g. 'issues')
+ * @param {Array<string>} entityIds
+ * @returns {Promise<Object>} Entities by ID; missing ones are left out
+ */
+async function loadEntities(entityTable, entityIds) {
+  const table = HYDRATED_ENTITY_TABLES[entityTable];
+  const ids = [...new Set(entityIds.filter(Boolean))];
+  if (!table || ids.length === 0) return {};
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      ${table.collection}(filter: {id: {in: [${ids
+        .map((id) => `"${id}"`)
+        .join(", ")}]}}) {
+        nodes {
+          ${table.fields}
+        }
+      }
+    }
+  `);
+  if (!result.ok) return {};
+
+  return Object.fromEntries(
+    result.data.data[table.collection].nodes.map((entity) => [
+      entity.id,
+      entity,
+    ])
+  );
+}
+
+/**
+ * Hydrate the targets of notifications, with one query per entity table
+ * Comments are loaded together with the item they were left on, so a mention
+ * can be answered without another lookup.
+ * @param {Array<Object>} notifications
+ * @returns {Promise<Object>} Entities by "entityTable:entityId"; missing ones are null
+ */
+async function hydrateNotificationEntities(notifications) {
+  const idsByTable = {};
+  notifications.forEach(({ entityTable, entityId }) => {
+    if (!idsByTable[entityTable]) idsByTable[entityTable] = [];
+    idsByTable[entityTable].push(entityId);
+  });
+
+  const tables = Object.keys(idsByTable);
+  const loaded = await Promise.all(
+    tables.map((table) => loadEntities(table, idsByTable[table]))
+  );
+  const entitiesByTable = Object.fromEntries(
+    tables.map((table, index) => [table, loaded[index]])
+  );
+
+  // Comment entity types are singular ('issue'), tables are plural ('issues')
+  const comments = Object.values(entitiesByTable.comments || {});
+  const parentIdsByTable = {};
+  comments.forEach((comment) => {
+    if (!comment.entityType) return;
+    const parentTable = `${comment.entityType}s`;
+    if (!parentIdsByTable[parentTable]) parentIdsByTable[parentTable] = [];
+    parentIdsByTable[parentTable].push(comment.entityId);
+  });
+  const parentTables = Object.keys(parentIdsByTable);
+  const parents = await Promise.all(
+    parentTables.map((table) => loadEntities(table, parentIdsByTable[table]))
+  );
+  const parentsByTable = Object.fromEntries(
+    parentTables.map((table, index) => [table, parents[index]])
+  );
+
+  const entitiesByKey = {};
+  notifications.forEach(({ entityTable, entityId }) => {
+    const entity = entitiesByTable[entityTable]?.[entityId] || null;
+    if (entity && entityTable === "comments") {
+      const parentTable = entity.entityType ? `${entity.entityType}s` : null;
+      entitiesByKey[`${entityTable}:${entityId}`] = {
+        ...entity,
+        parentTable,
+        parent: parentsByTable[parentTable]?.[entity.entityId] || null,
+      };
+    } else {
+      entitiesByKey[`${entityTable}:${entityId}`] = entity;
+    }
+  });
+  return entitiesByKey;
+}
+
+/**
+ * List the current user's notifications, newest first
+ * Each notification includes the person who triggered it and its target
+ * entity, loaded with one query per entity table.
+ * @param {Object} args - Arguments object
+ * @param {number} [args.first=25] - Optional page size (defaults to 25)
+ * @param {number} [args.offset] - Optional offset
+ * @param {boolean} [args.unreadOnly] - If true, only return unread notifications
+ * @param {string} [args.type] - Filter by notification type (e.g. 'mention')
+ * @param {string} [args.entityTable] - Filter by target table (e.g. 'issues', 'comments')
+ * @param {string} [args.createdAfter] - Filter notifications created after this date (ISO format)
+ * @param {string} [args.createdBefore] - Filter notifications created before this date (ISO format)
+ * @param {boolean} [args.includeEntities=true] - If false, skip loading target entities
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getMyNotifications(args = {}) {
+  const {
+    first = 25,
+    offset,
+    unreadOnly = false,
+    type,
+    entityTable,
+    createdAfter,
+    createdBefore,
+    includeEntities = true,
+  } = args;
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const filterItems = [
+    `userId: {equalTo: "${context.userId}"}`,
+    `stateId: {equalTo: "ACTIVE"}`,
+  ];
+  if (unreadOnly) {
+    filterItems.push(`isRead: {equalTo: false}`);
+  }
+  if (type) {
+    filterItems.push(`type: {equalTo: "${type}"}`);
+  }
+  if (entityTable) {
+    filterItems.push(`entityTable: {equalTo: "${entityTable}"}`);
+  }
+  if (createdAfter) {
+    filterItems.push(`createdAt: {greaterThanOrEqualTo: "${createdAfter}"}`);
+  }
+  if (createdBefore) {
+    filterItems.push(`createdAt: {lessThanOrEqualTo: "${createdBefore}"}`);
+  }
+
+  const filterStr = [
+    `filter: {${filterItems.join(", ")}}`,
+    `orderBy: CREATED_AT_DESC`,
+    first !== undefined ? `first: ${first}` : "",
+    offset !== undefined ? `offset: ${offset}` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const query = `
+    query {
+      notifications(${filterStr}) {
+        nodes {
+          id
+          actorId
+          type
+          title
+          message
+          entityTable
+          entityId
+          relatedData
+          isRead
+          createdAt
+        }
+        totalCount
+      }
+      unread: notifications(filter: {userId: {equalTo: "${context.userId}"}, stateId: {equalTo: "ACTIVE"}, isRead: {equalTo: false}}) {
+        totalCount
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(query);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const notifications = result.data.data.notifications.nodes;
+  const unreadCount = result.data.data.unread.totalCount;
+
+  // Resolve actor names in one query
+  const actorIds = [...new Set(notifications.map((n) => n.actorId))];
+  const actorsById = {};
+  if (actorIds.length > 0) {
+    const usersResult = await callSuccessCoGraphQL(`
+      query {
+        users(filter: {id: {in: [${actorIds.map((id) => `"${id}"`).join(", ")}]}}) {
+          nodes {
+            id
+            firstName
+            lastName
+            email
+          }
+        }
+      }
+    `);
+    if (usersResult.ok) {
+      usersResult.data.data.users.nodes.forEach((user) => {
+        actorsById[user.id] = user;
+      });
+    }
+  }
+
+  const entitiesByKey = includeEntities
+    ? await hydrateNotificationEntities(notifications)
+    : {};
+
+  const companyCode = await getCompanyCode(context.companyId);
+
+  const formatted = notifications.map((notification) => {
+    const actor = actorsById[notification.actorId];
+    const entity = includeEntities
+      ? entitiesByKey[`${notification.entityTable}:${notification.entityId}`]
+      : undefined;
+
+    // Link comments to the item they were left on
+    const linkTable =
+      notification.entityTable === "comments"
+        ? entity?.parentTable
+        : notification.entityTable;
+    const linkId =
+      notification.entityTable === "comments"
+        ? entity?.entityId
+        : notification.entityId;
+
+    return {
+      id: notification.id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      isRead: notification.isRead,
+      createdAt: notification.createdAt,
+      actor: actor
+        ? {
+            id: actor.id,
+            name: `${actor.firstName || ""} ${actor.lastName || ""}`.trim(),
+            email: actor.email,
+          }
+        : { id: notification.actorId },
+      entityTable: notification.entityTable,
+      entityId: notification.entityId,
+      relatedData: notification.relatedData,
+      ...(includeEntities && { entity: entity || null }),
+      url:
+        companyCode && LINKABLE_ENTITY_TABLES.includes(linkTable)
+          ? generateObjectUrl(linkTable, linkId, companyCode)
+          : null,
+    };
+  });
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            totalCount: result.data.data.notifications.totalCount,
+            unreadCount,
+            currentUserId: context.userId,
+            notifications: formatted,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Mark the current user's notifications as read (or unread)
+ * @param {Object} args - Arguments object
+ * @param {string} [args.notificationIds] - Comma-separated notification IDs
+ * @param {boolean} [args.all] - If true, mark all of the current user's unread notifications
+ * @param {boolean} [args.isRead=true] - Set to false to mark notifications as unread
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function markNotificationsRead(args = {}) {
+  const { notificationIds, all = false, isRead = true } = args;
+
+  const ids = (notificationIds || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id);
+
+  if (!all && ids.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Provide notificationIds or set all=true",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  // Only touch the current user's notifications that need changing
+  const filterItems = [
+    `userId: {equalTo: "${context.userId}"}`,
+    `stateId: {equalTo: "ACTIVE"}`,
+    `isRead: {equalTo: ${!isRead}}`,
+  ];
+  if (!all) {
+    filterItems.push(`id: {in: [${ids.map((id) => `"${id}"`).join(", ")}]}`);
+  }
+
+  const query = `
+    query {
+      notifications(filter: {${filterItems.join(", ")}}) {
+        nodes {
+          id
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(query);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const targetIds = result.data.data.notifications.nodes.map((n) => n.id);
+
+  const mutation = `
+    mutation UpdateNotification($input: UpdateNotificationInput!) {
+      updateNotification(input: $input) {
+        notification {
+          id
+          isRead
+        }
+      }
+    }
+  `;
+
+  const updated = [];
+  const errors = [];
+  for (const id of targetIds) {
+    const updateResult = await callSuccessCoGraphQL(mutation, {
+      input: { id, patch: { isRead } },
+    });
+    if (updateResult.ok) {
+      updated.push(id);
+    } else {
+      errors.push(`${id}: ${updateResult.error}`);
+    }
+  }
+
+  // IDs that were requested but don't belong to the user or were already in the requested state
+  const skipped = all ? [] : ids.filter((id) => !targetIds.includes(id));
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: errors.length === 0,
+            message: `Marked ${updated.length} notification(s) as ${
+              isRead ? "read" : "unread"
+            }`,
+            updated,
+            ...(skipped.length > 0 && { skipped }),
+            ...(errors.length > 0 && { errors }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -1,9 +1,155 @@
 // Organization Checkups Tools
 // Tools for working with organization checkup sessions
 
-import { callSuccessCoGraphQL } from "./core.js";
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
 import { validateStateId } from "../utils/helpers.js";
 
+const IN_PROGRESS_STATUS = "IN-PROGRESS";
+const FINISHED_STATUS = "FINISHED";
+
+// Permission levels that may finalize a checkup someone else started
+const MANAGER_PERMISSIONS = [
+  "ADMIN",
+  "OWNER",
+  "IMPLEMENTER",
+  "PRACTICEMANAGER",
+  "MANAGER",
+];
+
+// The Six Key Components, in the order EOS presents them
+const EOS_COMPONENTS = [
+  "Vision",
+  "People",
+  "Data",
+  "Issues",
+  "Process",
+  "Traction",
+];
+
+// The 20 Organizational Checkup statements, each scored 1-5 (total 20-100)
+const ORG_CHECKUP_QUESTIONS = [
+  {
+    number: 1,
+    component: "Vision",
+    statement:
+      "We have a clear vision in writing that has been properly communicated and is shared by everyone in the company.",
+  },
+  {
+    number: 2,
+    component: "People",
+    statement:
+      "Our core values are clear, and we are hiring, reviewing, rewarding, and firing around them.",
+  },
+  {
+    number: 3,
+    component: "Vision",
+    statement:
+      "Our Core Focus (core business) is clear, and we keep our people, systems, and processes focused on it.",
+  },
+  {
+    number: 4,
+    component: "Vision",
+    statement:
+      "Our 10-Year Target is clear, communicated regularly, and is shared by all.",
+  },
+  {
+    number: 5,
+    component: "Vision",
+    statement:
+      "Our target market is clear, and all of our marketing and sales efforts are focused on it.",
+  },
+  {
+    number: 6,
+    component: "Vision",
+    statement:
+      "Our differentiators are clear, and all of our marketing and sales efforts communicate them.",
+  },
+  {
+    number: 7,
+    component: "Vision",
+    statement:
+      "We have a proven process for doing business with our customers. It has been named and visually illustrated, and all of our salespeople use it.",
+  },
+  {
+    number: 8,
+    component: "People",
+    statement:
+      "All of the people in our organization are the right people (they fit our culture and share our core values).",
+  },
+  {
+    number: 9,
+    component: "People",
+    statement:
+      "Our Accountability Chart is clear, complete, and constantly updated.",
+  },
+  {
+    number: 10,
+    component: "People",
+    statement:
+      "Everyone is in the right seat.",
+  },
+  {
+    number: 11,
+    component: "Issues",
+    statement:
+      "Our leadership team is open and honest, and demonstrates a high level of trust.",
+  },
+  {
+    number: 12,
+    component: "Traction",
+    statement:
+      "Everyone has Rocks (1 to 7 priorities per quarter) and is focused on them.",
+  },
+  {
+    number: 13,
+    component: "Traction",
+    statement:
+      "Everyone is engaged in regular weekly meetings.",
+  },
+  {
+    number: 14,
+    component: "Traction",
+    statement:
+      "All meetings are on the same day and at the same time each week, have the same printed agenda, start on time, and end on time.",
+  },
+  {
+    number: 15,
+    component: "Issues",
+    statement:
+      "All teams clearly identify, discuss, and solve issues for the long-term greater good of the company.",
+  },
+  {
+    number: 16,
+    component: "Process",
+    statement:
+      "Our Core Processes are documented, simplified, and followed by all to produce the results we want.",
+  },
+  {
+    number: 17,
+    component: "Data",
+    statement:
+      "We have systems for receiving regular feedback from customers and employees, and we always know their level of satisfaction.",
+  },
+  {
+    number: 18,
+    component: "Data",
+    statement:
+      "A Scorecard for tracking weekly metrics/measurables is in place.",
+  },
+  {
+    number: 19,
+    component: "Data",
+    statement:
+      "Everyone in the organization has at least one number they are accountable for keeping on track each week.",
+  },
+  {
+    number: 20,
+    component: "Data",
+    statement:
+      "We have a budget and are monitoring it regularly (e.g., monthly or quarterly).",
+  },
+];
+
 /**
  * Get Organization Checkup sessions and scores
  * @param {Object} args - Arguments object
@@ -123,3 +269,720 @@ export async function getOrgCheckups(args = {}) {
     ],
   };
 }
+
+/**
+ * Load a checkup by ID, or the company's in-progress checkup when no ID is given
+ * @param {string} [checkupId]
+ * @returns {Promise<{ok: boolean, checkup?: Object, error?: string}>}
+ */
+async function fetchCheckup(checkupId) {
+  const filter = checkupId
+    ? `id: {equalTo: "${checkupId}"}`
+    : `orgCheckupStatusId: {equalTo: "${IN_PROGRESS_STATUS}"}`;
+  const result = await callSuccessCoGraphQL(`
+    query {
+      orgCheckups(filter: {${filter}, stateId: {equalTo: "ACTIVE"}}, orderBy: CREATED_AT_DESC, first: 1) {
+        nodes {
+          id
+          orgCheckupStatusId
+          totalScore
+          createdByUserId
+          allowTeamScoring
+          createdAt
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const checkup = result.data.data.orgCheckups.nodes[0];
+  if (!checkup) {
+    return {
+      ok: false,
+      error: checkupId
+        ? `Error: No checkup found with ID ${checkupId}`
+        : "Error: No checkup is in progress. Start one with startOrgCheckup.",
+    };
+  }
+  return { ok: true, checkup };
+}
+
+/**
+ * Load the active answers of a checkup
+ * @param {string} checkupId
+ * @returns {Promise<{ok: boolean, answers?: Array<Object>, error?: string}>}
+ */
+async function fetchAnswers(checkupId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      orgCheckupAnswers(filter: {orgCheckupId: {equalTo: "${checkupId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          questionNumber
+          score
+          createdByUserId
+          isFinal
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+  return { ok: true, answers: result.data.data.orgCheckupAnswers.nodes };
+}
+
+/**
+ * Load a user's permission level
+ * @param {string} userId
+ * @returns {Promise<{ok: boolean, permissionId?: string, error?: string}>}
+ */
+async function fetchUserPermission(userId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      users(filter: {id: {equalTo: "${userId}"}}) {
+        nodes {
+          id
+          userPermissionId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const user = result.data.data.users.nodes[0];
+  if (!user) {
+    return { ok: false, error: `Error: No user found with ID ${userId}` };
+  }
+  return { ok: true, permissionId: user.userPermissionId };
+}
+
+/**
+ * Parse "question:score" pairs
+ * @param {string} answers - e.g. "1:4, 2:5, 3:3"
+ * @returns {{ok: boolean, answers?: Array<{questionNumber: number, score: number}>, error?: string}}
+ */
+function parseAnswers(answers) {
+  const pairs = (answers || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter((pair) => pair);
+  if (pairs.length === 0) {
+    return {
+      ok: false,
+      error: "Error: answers are required as 'question:score' pairs, e.g. '1:4, 2:5'",
+    };
+  }
+
+  const parsed = [];
+  for (const pair of pairs) {
+    const [question, score] = pair.split(":").map((part) => Number(part));
+    if (!Number.isInteger(question) || question < 1 || question > 20) {
+      return {
+        ok: false,
+        error: `Error: Invalid answer '${pair}'. Question numbers go from 1 to 20.`,
+      };
+    }
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      return {
+        ok: false,
+        error: `Error: Invalid answer '${pair}'. Scores go from 1 to 5.`,
+      };
+    }
+    // A later pair for the same question wins
+    const index = parsed.findIndex(
+      (answer) => answer.questionNumber === question
+    );
+    if (index >= 0) parsed.splice(index, 1);
+    parsed.push({ questionNumber: question, score });
+  }
+  return { ok: true, answers: parsed };
+}
+
+/**
+ * Score per question: the rounded average of everyone's answers
+ * Each respondent has one answer per question. Once a checkup is finished
+ * only final answers count; before that, drafts are included too.
+ * @param {Array<Object>} answers - Answers of one checkup
+ * @param {boolean} finished - Whether the checkup is finished
+ * @returns {{scores: Object, respondentCount: number}} scores maps question number → score
+ */
+function questionScores(answers, finished) {
+  const counted = finished
+    ? answers.filter((answer) => answer.isFinal)
+    : answers;
+
+  const byQuestion = {};
+  counted.forEach((answer) => {
+    if (!byQuestion[answer.questionNumber]) {
+      byQuestion[answer.questionNumber] = [];
+    }
+    byQuestion[answer.questionNumber].push(answer.score);
+  });
+  return {
+    scores: Object.fromEntries(
+      Object.entries(byQuestion).map(([question, scores]) => [
+        question,
+        Math.round(
+          scores.reduce((sum, score) => sum + score, 0) / scores.length
+        ),
+      ])
+    ),
+    respondentCount: new Set(counted.map((answer) => answer.createdByUserId))
+      .size,
+  };
+}
+
+/**
+ * Total and per-component EOS scores
+ * @param {Object} scores - Question number → score
+ * @returns {{totalScore: number, answeredCount: number, components: Array<Object>}}
+ */
+function componentScores(scores) {
+  const components = EOS_COMPONENTS.map((component) => {
+    const questions = ORG_CHECKUP_QUESTIONS.filter(
+      (question) => question.component === component
+    );
+    const answered = questions.filter((question) => scores[question.number]);
+    const score = answered.reduce(
+      (sum, question) => sum + scores[question.number],
+      0
+    );
+    const maxScore = questions.length * 5;
+    return {
+      component,
+      score,
+      maxScore,
+      percent: Math.round((score / maxScore) * 100),
+      answeredCount: answered.length,
+      questionCount: questions.length,
+    };
+  });
+
+  return {
+    totalScore: components.reduce((sum, component) => sum + component.score, 0),
+    answeredCount: components.reduce(
+      (sum, component) => sum + component.answeredCount,
+      0
+    ),
+    components,
+  };
+}
+
+/**
+ * Score a checkup, with the lowest-scoring statements and the change since the previous finished checkup
+ * @param {Object} checkup - orgCheckups node
+ * @returns {Promise<{ok: boolean, report?: Object, error?: string}>}
+ */
+async function buildScoreReport(checkup) {
+  const answers = await fetchAnswers(checkup.id);
+  if (!answers.ok) return answers;
+
+  const isFinal = checkup.orgCheckupStatusId === FINISHED_STATUS;
+  const current = questionScores(answers.answers, isFinal);
+  const totals = componentScores(current.scores);
+  const lowest = ORG_CHECKUP_QUESTIONS.filter(
+    (question) => current.scores[question.number]
+  )
+    .sort((a, b) => current.scores[a.number] - current.scores[b.number])
+    .slice(0, 5)
+    .map((question) => ({
+      ...question,
+      score: current.scores[question.number],
+    }));
+
+  const report = {
+    checkupId: checkup.id,
+    status: checkup.orgCheckupStatusId,
+    createdAt: checkup.createdAt,
+    isFinal,
+    ...(!isFinal && {
+      note: "Provisional: averaged from the answers so far until the checkup is finalized",
+    }),
+    respondentCount: current.respondentCount,
+    totalScore: totals.totalScore,
+    maxScore: 100,
+    answeredCount: totals.answeredCount,
+    components: totals.components,
+    lowestStatements: lowest,
+  };
+
+  const previousResult = await callSuccessCoGraphQL(`
+    query {
+      orgCheckups(filter: {orgCheckupStatusId: {equalTo: "${FINISHED_STATUS}"}, createdAt: {lessThan: "${checkup.createdAt}"}, stateId: {equalTo: "ACTIVE"}}, orderBy: CREATED_AT_DESC, first: 1) {
+        nodes {
+          id
+          createdAt
+        }
+      }
+    }
+  `);
+  if (!previousResult.ok) return { ok: false, error: previousResult.error };
+
+  const previousCheckup = previousResult.data.data.orgCheckups.nodes[0];
+  if (previousCheckup) {
+    const previousAnswers = await fetchAnswers(previousCheckup.id);
+    if (!previousAnswers.ok) return previousAnswers;
+
+    const previousScores = questionScores(
+      previousAnswers.answers,
+      true
+    ).scores;
+    const previous = componentScores(previousScores);
+    report.comparison = {
+      previousCheckupId: previousCheckup.id,
+      previousCreatedAt: previousCheckup.createdAt,
+      previousTotalScore: previous.totalScore,
+      totalChange: totals.totalScore - previous.totalScore,
+      components: totals.components.map((component, index) => ({
+        component: component.component,
+        previousPercent: previous.components[index].percent,
+        percent: component.percent,
+        change: component.percent - previous.components[index].percent,
+      })),
+      mostImproved: ORG_CHECKUP_QUESTIONS.filter(
+        (question) =>
+          current.scores[question.number] && previousScores[question.number]
+      )
+        .map((question) => ({
+          number: question.number,
+          statement: question.statement,
+          change:
+            current.scores[question.number] - previousScores[question.number],
+        }))
+        .filter((question) => question.change !== 0)
+        .sort((a, b) => b.change - a.change),
+    };
+  }
+
+  return { ok: true, report };
+}
+
+/**
+ * Start a new Organizational Checkup
+ * Only one checkup can be in progress at a time.
+ * @param {Object} args - Arguments object
+ * @param {boolean} [args.allowTeamScoring=false] - Let everyone answer (their scores are averaged); otherwise only the person who started it answers
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function startOrgCheckup(args = {}) {
+  const { allowTeamScoring = false } = args;
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const existing = await fetchCheckup();
+  if (existing.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Checkup ${existing.checkup.id} is already in progress. Answer it with answerOrgCheckup or finish it with finalizeOrgCheckup.`,
+        },
+      ],
+    };
+  }
+
+  const mutation = `
+    mutation CreateOrgCheckup($input: CreateOrgCheckupInput!) {
+      createOrgCheckup(input: $input) {
+        orgCheckup {
+          id
+          orgCheckupStatusId
+          allowTeamScoring
+          createdAt
+        }
+      }
+    }
+  `;
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: {
+      orgCheckup: {
+        orgCheckupStatusId: IN_PROGRESS_STATUS,
+        allowTeamScoring,
+        createdByUserId: context.userId,
+        companyId: context.companyId,
+        stateId: "ACTIVE",
+      },
+    },
+  });
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const checkup = result.data?.data?.createOrgCheckup?.orgCheckup;
+  if (!checkup) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Starting the checkup failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message:
+              "Started an Organizational Checkup. Score each statement from 1 (not true) to 5 (always true).",
+            checkup,
+            questions: ORG_CHECKUP_QUESTIONS,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Record the current user's scores for checkup statements
+ * Answers can be changed until the checkup is finalized.
+ * @param {Object} args - Arguments object
+ * @param {string} [args.checkupId] - Checkup ID (defaults to the checkup in progress)
+ * @param {string} args.answers - Comma-separated 'question:score' pairs, e.g. '1:4, 2:5'
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function answerOrgCheckup(args = {}) {
+  const { checkupId, answers } = args;
+
+  const parsed = parseAnswers(answers);
+  if (!parsed.ok) {
+    return { content: [{ type: "text", text: parsed.error }] };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const found = await fetchCheckup(checkupId);
+  if (!found.ok) {
+    return { content: [{ type: "text", text: found.error }] };
+  }
+  const checkup = found.checkup;
+  if (checkup.orgCheckupStatusId !== IN_PROGRESS_STATUS) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Checkup ${checkup.id} is ${checkup.orgCheckupStatusId} and can no longer be answered`,
+        },
+      ],
+    };
+  }
+  if (!checkup.allowTeamScoring && checkup.createdByUserId !== context.userId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Team scoring is off for this checkup, so only the person who started it can answer",
+        },
+      ],
+    };
+  }
+
+  const existing = await fetchAnswers(checkup.id);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+  // Answers given in the app are stored as final straight away; they are
+  // still this user's answer while the checkup is in progress
+  const myAnswers = existing.answers.filter(
+    (answer) => answer.createdByUserId === context.userId
+  );
+
+  for (const answer of parsed.answers) {
+    const previous = myAnswers.find(
+      (existingAnswer) =>
+        existingAnswer.questionNumber === answer.questionNumber
+    );
+    if (previous && previous.score === answer.score) continue;
+
+    const result = previous
+      ? await callSuccessCoGraphQL(
+          `
+          mutation UpdateOrgCheckupAnswer($input: UpdateOrgCheckupAnswerInput!) {
+            updateOrgCheckupAnswer(input: $input) {
+              orgCheckupAnswer { id }
+            }
+          }
+        `,
+          { input: { id: previous.id, patch: { score: answer.score } } }
+        )
+      : await callSuccessCoGraphQL(
+          `
+          mutation CreateOrgCheckupAnswer($input: CreateOrgCheckupAnswerInput!) {
+            createOrgCheckupAnswer(input: $input) {
+              orgCheckupAnswer { id }
+            }
+          }
+        `,
+          {
+            input: {
+              orgCheckupAnswer: {
+                orgCheckupId: checkup.id,
+                questionNumber: answer.questionNumber,
+                score: answer.score,
+                createdByUserId: context.userId,
+                isFinal: false,
+                companyId: context.companyId,
+                stateId: "ACTIVE",
+              },
+            },
+          }
+        );
+    if (!result.ok) {
+      return { content: [{ type: "text", text: result.error }] };
+    }
+  }
+
+  const answeredQuestions = new Set([
+    ...myAnswers.map((answer) => answer.questionNumber),
+    ...parsed.answers.map((answer) => answer.questionNumber),
+  ]);
+  const unanswered = ORG_CHECKUP_QUESTIONS.filter(
+    (question) => !answeredQuestions.has(question.number)
+  );
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Recorded ${parsed.answers.length} answer(s) on checkup ${checkup.id}`,
+            checkupId: checkup.id,
+            answeredCount: answeredQuestions.size,
+            unansweredQuestions: unanswered,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Finalize a checkup: everyone's draft answers become final, and each
+ * statement scores the rounded average of them
+ * Only the person who started the checkup or a manager can finalize it.
+ * Answers that are already final are left alone, so finalizing again after
+ * an interrupted attempt is safe.
+ * @param {Object} args - Arguments object
+ * @param {string} [args.checkupId] - Checkup ID (defaults to the checkup in progress)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function finalizeOrgCheckup(args = {}) {
+  const { checkupId } = args;
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const found = await fetchCheckup(checkupId);
+  if (!found.ok) {
+    return { content: [{ type: "text", text: found.error }] };
+  }
+  const checkup = found.checkup;
+  if (checkup.orgCheckupStatusId !== IN_PROGRESS_STATUS) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Checkup ${checkup.id} is ${checkup.orgCheckupStatusId}, not in progress`,
+        },
+      ],
+    };
+  }
+  if (checkup.createdByUserId !== context.userId) {
+    const permission = await fetchUserPermission(context.userId);
+    if (!permission.ok) {
+      return { content: [{ type: "text", text: permission.error }] };
+    }
+    if (!MANAGER_PERMISSIONS.includes(permission.permissionId)) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "Error: Only the person who started this checkup or a manager can finalize it",
+          },
+        ],
+      };
+    }
+  }
+
+  const existing = await fetchAnswers(checkup.id);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+  const { scores } = questionScores(existing.answers, false);
+  const missing = ORG_CHECKUP_QUESTIONS.filter(
+    (question) => !scores[question.number]
+  );
+  if (missing.length > 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: ${missing.length} statement(s) have no answers yet: ${missing
+            .map((question) => question.number)
+            .join(", ")}`,
+        },
+      ],
+    };
+  }
+
+  const drafts = existing.answers.filter((answer) => !answer.isFinal);
+  for (const draft of drafts) {
+    const result = await callSuccessCoGraphQL(
+      `
+      mutation UpdateOrgCheckupAnswer($input: UpdateOrgCheckupAnswerInput!) {
+        updateOrgCheckupAnswer(input: $input) {
+          orgCheckupAnswer { id }
+        }
+      }
+    `,
+      { input: { id: draft.id, patch: { isFinal: true } } }
+    );
+    if (!result.ok) {
+      return { content: [{ type: "text", text: result.error }] };
+    }
+  }
+
+  const totalScore = componentScores(scores).totalScore;
+  const updateResult = await callSuccessCoGraphQL(
+    `
+    mutation UpdateOrgCheckup($input: UpdateOrgCheckupInput!) {
+      updateOrgCheckup(input: $input) {
+        orgCheckup {
+          id
+          orgCheckupStatusId
+          totalScore
+          createdAt
+        }
+      }
+    }
+  `,
+    {
+      input: {
+        id: checkup.id,
+        patch: { orgCheckupStatusId: FINISHED_STATUS, totalScore },
+      },
+    }
+  );
+  if (!updateResult.ok) {
+    return { content: [{ type: "text", text: updateResult.error }] };
+  }
+
+  const finished = updateResult.data?.data?.updateOrgCheckup?.orgCheckup;
+  const report = await buildScoreReport(finished || checkup);
+  if (!report.ok) {
+    return { content: [{ type: "text", text: report.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `Finalized checkup ${checkup.id} with a score of ${totalScore}/100`,
+            ...report.report,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Get the EOS score of a checkup per component, compared with the previous checkup
+ * @param {Object} args - Arguments object
+ * @param {string} [args.checkupId] - Checkup ID (defaults to the most recent checkup)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getOrgCheckupScores(args = {}) {
+  const { checkupId } = args;
+
+  let checkup;
+  if (checkupId) {
+    const found = await fetchCheckup(checkupId);
+    if (!found.ok) {
+      return { content: [{ type: "text", text: found.error }] };
+    }
+    checkup = found.checkup;
+  } else {
+    const result = await callSuccessCoGraphQL(`
+      query {
+        orgCheckups(filter: {stateId: {equalTo: "ACTIVE"}}, orderBy: CREATED_AT_DESC, first: 1) {
+          nodes {
+            id
+            orgCheckupStatusId
+            totalScore
+            createdAt
+          }
+        }
+      }
+    `);
+    if (!result.ok) {
+      return { content: [{ type: "text", text: result.error }] };
+    }
+    checkup = result.data.data.orgCheckups.nodes[0];
+    if (!checkup) {
+      return {
+        content: [{ type: "text", text: "No Organizational Checkups found" }],
+      };
+    }
+  }
+
+  const report = await buildScoreReport(checkup);
+  if (!report.ok) {
+    return { content: [{ type: "text", text: report.error }] };
+  }
+
+  return {
+    content: [{ type: "text", text: JSON.stringify(report.report, null, 2) }],
+  };
+}
@@ -0,0 +1,1042 @@
+// People Analyzer Tools
+// Tools for reading and recording People Analyzer sessions (core values + GWC)
+
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
+import { validateStateId } from "../utils/helpers.js";
+import { getLeadershipCoreValues } from "./vtoTools.js";
+
+// People Analyzer core value ratings as stored in people_analyzer_session_users_scores.score
+const SCORE_TO_RATING = {
+  3: "+",
+  2: "+/-",
+  1: "-",
+};
+
+const RATING_TO_SCORE = {
+  "+": 3,
+  "+/-": 2,
+  "-": 1,
+};
+
+/**
+ * Parse the core_values column of a session into a list of core value IDs
+ * The column is stored as text - either a JSON array or a comma-separated list
+ * @param {string} coreValuesText - Raw core_values column value
+ * @returns {Array<string>} Core value IDs
+ */
+function parseSessionCoreValueIds(coreValuesText) {
+  if (!coreValuesText) return [];
+
+  try {
+    const parsed = JSON.parse(coreValuesText);
+    if (Array.isArray(parsed)) {
+      return parsed
+        .map((item) => (typeof item === "object" && item ? item.id : item))
+        .filter(Boolean)
+        .map(String);
+    }
+  } catch (error) {
+    // Not JSON - fall through to comma-separated parsing
+  }
+
+  return coreValuesText
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id);
+}
+
+/**
+ * Evaluate a person against the session's bar
+ * The bar is the minimum number of "+" ratings (barPlus) and the maximum
+ * number of "+/-" ratings (barPlusMinus). Any "-" rating is below the bar.
+ * @param {Array<{rating: string}>} scores - Core value scores for the person
+ * @param {number|null} barPlus - Minimum number of "+" ratings
+ * @param {number|null} barPlusMinus - Maximum number of "+/-" ratings
+ * @returns {{plusCount: number, plusMinusCount: number, minusCount: number, aboveTheBar: boolean|null}}
+ */
+function evaluateAgainstBar(scores, barPlus, barPlusMinus) {
+  const plusCount = scores.filter((s) => s.rating === "+").length;
+  const plusMinusCount = scores.filter((s) => s.rating === "+/-").length;
+  const minusCount = scores.filter((s) => s.rating === "-").length;
+
+  if (scores.length === 0) {
+    return { plusCount, plusMinusCount, minusCount, aboveTheBar: null };
+  }
+
+  let aboveTheBar = minusCount === 0;
+  if (barPlus !== null && barPlus !== undefined) {
+    aboveTheBar = aboveTheBar && plusCount >= barPlus;
+  }
+  if (barPlusMinus !== null && barPlusMinus !== undefined) {
+    aboveTheBar = aboveTheBar && plusMinusCount <= barPlusMinus;
+  }
+
+  return { plusCount, plusMinusCount, minusCount, aboveTheBar };
+}
+
+/**
+ * Resolve a core value reference (ID or name) against the leadership core values
+ * @param {string} reference - Core value ID or name
+ * @param {Array<Object>} coreValues - Leadership core values from getLeadershipCoreValues
+ * @returns {Object|null} Matching core value or null
+ */
+function resolveCoreValue(reference, coreValues) {
+  if (!reference) return null;
+  const normalized = String(reference).trim().toLowerCase();
+  return (
+    coreValues.find((cv) => cv.id === reference) ||
+    coreValues.find((cv) => cv.name.trim().toLowerCase() === normalized) ||
+    null
+  );
+}
+
+/**
+ * Get People Analyzer sessions with per-person GWC and core value scores
+ * @param {Object} args - Arguments object
+ * @param {number} [args.first] - Optional page size
+ * @param {number} [args.offset] - Optional offset
+ * @param {string} [args.stateId] - State filter (defaults to 'ACTIVE')
+ * @param {string} [args.sessionId] - Filter by specific session ID
+ * @param {string} [args.userId] - Only include this person in each session
+ * @param {boolean} [args.belowBarOnly] - Only include people below the bar or missing GWC
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getPeopleAnalyzer(args = {}) {
+  const {
+    first = 10,
+    offset = 0,
+    stateId = "ACTIVE",
+    sessionId,
+    userId,
+    belowBarOnly = false,
+  } = args;
+
+  const validation = validateStateId(stateId);
+  if (!validation.isValid) {
+    return {
+      content: [{ type: "text", text: validation.error }],
+    };
+  }
+
+  const filterItems = [`stateId: {equalTo: "${stateId}"}`];
+  if (sessionId) {
+    filterItems.push(`id: {equalTo: "${sessionId}"}`);
+  }
+
+  const query = `
+    query {
+      peopleAnalyzerSessions(filter: {${filterItems.join(
+        ", "
+      )}}, first: ${first}, offset: ${offset}, orderBy: CREATED_AT_DESC) {
+        nodes {
+          id
+          name
+          coreValues
+          peopleAnalyzerSessionStatusId
+          barPlus
+          barPlusMinus
+          createdByUserId
+          createdAt
+          stateId
+        }
+        totalCount
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(query);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const sessions = result.data.data.peopleAnalyzerSessions.nodes;
+
+  // Core values are resolved against the leadership V/TO
+  const coreValuesLookup = await getLeadershipCoreValues();
+  const leadershipCoreValues = coreValuesLookup.ok
+    ? coreValuesLookup.coreValues
+    : [];
+
+  const usersResult = await callSuccessCoGraphQL(`
+    query {
+      users(filter: {stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          firstName
+          lastName
+          email
+        }
+      }
+    }
+  `);
+  const usersById = {};
+  if (usersResult.ok) {
+    usersResult.data.data.users.nodes.forEach((user) => {
+      usersById[user.id] = user;
+    });
+  }
+
+  const sessionsWithPeople = await Promise.all(
+    sessions.map(async (session) => {
+      const sessionUserFilters = [
+        `peopleAnalyzerSessionId: {equalTo: "${session.id}"}`,
+        `stateId: {equalTo: "ACTIVE"}`,
+      ];
+      if (userId) {
+        sessionUserFilters.push(`userId: {equalTo: "${userId}"}`);
+      }
+
+      const sessionUsersResult = await callSuccessCoGraphQL(`
+        query {
+          peopleAnalyzerSessionUsers(filter: {${sessionUserFilters.join(
+            ", "
+          )}}) {
+            nodes {
+              id
+              userId
+              getsIt
+              wantsIt
+              capacity
+              aboveTheBar
+            }
+          }
+        }
+      `);
+
+      const sessionUsers = sessionUsersResult.ok
+        ? sessionUsersResult.data.data.peopleAnalyzerSessionUsers.nodes
+        : [];
+
+      let scores = [];
+      if (sessionUsers.length > 0) {
+        const scoresResult = await callSuccessCoGraphQL(`
+          query {
+            peopleAnalyzerSessionUsersScores(filter: {peopleAnalyzerSessionUserId: {in: [${sessionUsers
+              .map((su) => `"${su.id}"`)
+              .join(", ")}]}, stateId: {equalTo: "ACTIVE"}}) {
+              nodes {
+                id
+                peopleAnalyzerSessionUserId
+                coreValueId
+                score
+              }
+            }
+          }
+        `);
+        if (scoresResult.ok) {
+          scores = scoresResult.data.data.peopleAnalyzerSessionUsersScores.nodes;
+        }
+      }
+
+      const sessionCoreValues = parseSessionCoreValueIds(
+        session.coreValues
+      ).map((id) => {
+        const match = resolveCoreValue(id, leadershipCoreValues);
+        return { id, name: match ? match.name : null };
+      });
+
+      const people = sessionUsers.map((sessionUser) => {
+        const personScores = scores
+          .filter((s) => s.peopleAnalyzerSessionUserId === sessionUser.id)
+          .map((s) => {
+            const match = resolveCoreValue(s.coreValueId, leadershipCoreValues);
+            return {
+              coreValueId: s.coreValueId,
+              coreValue: match ? match.name : "Unknown core value",
+              score: s.score,
+              rating: SCORE_TO_RATING[s.score] || null,
+            };
+          });
+
+        const bar = evaluateAgainstBar(
+          personScores,
+          session.barPlus,
+          session.barPlusMinus
+        );
+        const gwc = {
+          getsIt: sessionUser.getsIt,
+          wantsIt: sessionUser.wantsIt,
+          capacity: sessionUser.capacity,
+        };
+        const user = usersById[sessionUser.userId];
+
+        return {
+          sessionUserId: sessionUser.id,
+          userId: sessionUser.userId,
+          name: user
+            ? `${user.firstName || ""} ${user.lastName || ""}`.trim()
+            : null,
+          email: user ? user.email : null,
+          gwc,
+          hasGWC:
+            gwc.getsIt === true &&
+            gwc.wantsIt === true &&
+            gwc.capacity === true,
+          scores: personScores,
+          plusCount: bar.plusCount,
+          plusMinusCount: bar.plusMinusCount,
+          minusCount: bar.minusCount,
+          aboveTheBar: bar.aboveTheBar,
+          storedAboveTheBar: sessionUser.aboveTheBar,
+          belowCoreValues: personScores
+            .filter((s) => s.rating === "-")
+            .map((s) => s.coreValue),
+        };
+      });
+
+      const filteredPeople = belowBarOnly
+        ? people.filter((p) => p.aboveTheBar === false || !p.hasGWC)
+        : people;
+
+      return {
+        id: session.id,
+        name: session.name,
+        statusId: session.peopleAnalyzerSessionStatusId,
+        createdAt: session.createdAt,
+        createdByUserId: session.createdByUserId,
+        bar: {
+          minimumPlus: session.barPlus,
+          maximumPlusMinus: session.barPlusMinus,
+        },
+        coreValues: sessionCoreValues,
+        summary: {
+          peopleCount: people.length,
+          belowTheBarCount: people.filter((p) => p.aboveTheBar === false)
+            .length,
+          missingGWCCount: people.filter((p) => !p.hasGWC).length,
+        },
+        people: filteredPeople,
+      };
+    })
+  );
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            totalCount: result.data.data.peopleAnalyzerSessions.totalCount,
+            ratingScale: SCORE_TO_RATING,
+            leadershipCoreValues: leadershipCoreValues.map((cv) => ({
+              id: cv.id,
+              name: cv.name,
+            })),
+            sessions: sessionsWithPeople,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Create a new People Analyzer session
+ * The session's core values default to the leadership V/TO core values.
+ * @param {Object} args - Arguments object
+ * @param {string} args.name - Session name (required)
+ * @param {string} [args.userIds] - Comma-separated user IDs to include in the session
+ * @param {number} [args.barPlus] - Minimum number of "+" ratings to be above the bar
+ * @param {number} [args.barPlusMinus] - Maximum number of "+/-" ratings to be above the bar
+ * @param {string} [args.statusId] - Session status ID (defaults to the first status)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function createPeopleAnalyzerSession(args) {
+  const { name, userIds, barPlus, barPlusMinus, statusId } = args;
+
+  if (!name || name.trim() === "") {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Session name is required",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const coreValuesLookup = await getLeadershipCoreValues();
+  if (!coreValuesLookup.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error fetching leadership core values: ${coreValuesLookup.error}`,
+        },
+      ],
+    };
+  }
+  if (coreValuesLookup.coreValues.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: No core values found on the leadership V/TO. Add core values before creating a People Analyzer session.",
+        },
+      ],
+    };
+  }
+
+  // Default to the first status (by order) when none is provided
+  let sessionStatusId = statusId;
+  if (!sessionStatusId) {
+    const statusesResult = await callSuccessCoGraphQL(`
+      query {
+        peopleAnalyzerSessionStatuses(filter: {stateId: {equalTo: "ACTIVE"}}, orderBy: ORDER_ASC, first: 1) {
+          nodes {
+            id
+            name
+          }
+        }
+      }
+    `);
+    if (!statusesResult.ok) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error fetching session statuses: ${statusesResult.error}`,
+          },
+        ],
+      };
+    }
+    sessionStatusId =
+      statusesResult.data.data.peopleAnalyzerSessionStatuses.nodes[0]?.id;
+    if (!sessionStatusId) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "Error: No People Analyzer session statuses configured for this company. Provide statusId explicitly.",
+          },
+        ],
+      };
+    }
+  }
+
+  const mutation = `
+    mutation CreatePeopleAnalyzerSession($input: CreatePeopleAnalyzerSessionInput!) {
+      createPeopleAnalyzerSession(input: $input) {
+        peopleAnalyzerSession {
+          id
+          name
+          coreValues
+          peopleAnalyzerSessionStatusId
+          barPlus
+          barPlusMinus
+          createdAt
+          stateId
+        }
+      }
+    }
+  `;
+
+  const session = {
+    name: name.trim(),
+    coreValues: JSON.stringify(coreValuesLookup.coreValues.map((cv) => cv.id)),
+    peopleAnalyzerSessionStatusId: sessionStatusId,
+    createdByUserId: context.userId,
+    companyId: context.companyId,
+    stateId: "ACTIVE",
+  };
+  if (barPlus !== undefined) session.barPlus = barPlus;
+  if (barPlusMinus !== undefined) session.barPlusMinus = barPlusMinus;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { peopleAnalyzerSession: session },
+  });
+
+  if (!result.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error creating People Analyzer session: ${result.error}`,
+        },
+      ],
+    };
+  }
+
+  const created =
+    result.data?.data?.createPeopleAnalyzerSession?.peopleAnalyzerSession;
+
+  if (!created) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: People Analyzer session creation failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  // Add the requested people to the session
+  const addedUsers = [];
+  const failedUsers = [];
+  const userIdList = userIds
+    ? userIds
+        .split(",")
+        .map((id) => id.trim())
+        .filter((id) => id)
+    : [];
+
+  for (const personId of userIdList) {
+    const addResult = await callSuccessCoGraphQL(
+      `
+      mutation CreatePeopleAnalyzerSessionUser($input: CreatePeopleAnalyzerSessionUserInput!) {
+        createPeopleAnalyzerSessionUser(input: $input) {
+          peopleAnalyzerSessionUser {
+            id
+            userId
+          }
+        }
+      }
+    `,
+      {
+        input: {
+          peopleAnalyzerSessionUser: {
+            userId: personId,
+            peopleAnalyzerSessionId: created.id,
+            companyId: context.companyId,
+            stateId: "ACTIVE",
+          },
+        },
+      }
+    );
+
+    const sessionUser =
+      addResult.data?.data?.createPeopleAnalyzerSessionUser
+        ?.peopleAnalyzerSessionUser;
+    if (addResult.ok && sessionUser) {
+      addedUsers.push({ sessionUserId: sessionUser.id, userId: personId });
+    } else {
+      failedUsers.push({ userId: personId, error: addResult.error });
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: failedUsers.length === 0,
+            message:
+              failedUsers.length === 0
+                ? "People Analyzer session created successfully"
+                : `People Analyzer session created, but ${failedUsers.length} of ${userIdList.length} people could not be added - see failedUsers`,
+            session: {
+              id: created.id,
+              name: created.name,
+              statusId: created.peopleAnalyzerSessionStatusId,
+              bar: {
+                minimumPlus: created.barPlus,
+                maximumPlusMinus: created.barPlusMinus,
+              },
+              coreValues: coreValuesLookup.coreValues.map((cv) => ({
+                id: cv.id,
+                name: cv.name,
+              })),
+              createdAt: created.createdAt,
+            },
+            addedUsers,
+            failedUsers,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Update a People Analyzer session
+ * @param {Object} args - Arguments object
+ * @param {string} args.sessionId - Session ID (required)
+ * @param {string} [args.name] - Update session name
+ * @param {number} [args.barPlus] - Update minimum number of "+" ratings
+ * @param {number} [args.barPlusMinus] - Update maximum number of "+/-" ratings
+ * @param {string} [args.statusId] - Update session status ID
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updatePeopleAnalyzerSession(args) {
+  const { sessionId, name, barPlus, barPlusMinus, statusId } = args;
+
+  if (!sessionId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Session ID is required",
+        },
+      ],
+    };
+  }
+
+  const updates = {};
+  if (name) updates.name = name;
+  if (barPlus !== undefined) updates.barPlus = barPlus;
+  if (barPlusMinus !== undefined) updates.barPlusMinus = barPlusMinus;
+  if (statusId) updates.peopleAnalyzerSessionStatusId = statusId;
+
+  if (Object.keys(updates).length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: No updates specified. Provide at least one field to update.",
+        },
+      ],
+    };
+  }
+
+  const mutation = `
+    mutation UpdatePeopleAnalyzerSession($input: UpdatePeopleAnalyzerSessionInput!) {
+      updatePeopleAnalyzerSession(input: $input) {
+        peopleAnalyzerSession {
+          id
+          name
+          peopleAnalyzerSessionStatusId
+          barPlus
+          barPlusMinus
+          stateId
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { id: sessionId, patch: updates },
+  });
+
+  if (!result.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error updating People Analyzer session: ${result.error}`,
+        },
+      ],
+    };
+  }
+
+  const updated =
+    result.data?.data?.updatePeopleAnalyzerSession?.peopleAnalyzerSession;
+
+  if (!updated) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: People Analyzer session update failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "People Analyzer session updated successfully",
+            session: {
+              id: updated.id,
+              name: updated.name,
+              statusId: updated.peopleAnalyzerSessionStatusId,
+              bar: {
+                minimumPlus: updated.barPlus,
+                maximumPlusMinus: updated.barPlusMinus,
+              },
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Record GWC answers and core value ratings for one person in a session
+ * Adds the person to the session if they are not in it yet, and updates
+ * existing scores in place.
+ * @param {Object} args - Arguments object
+ * @param {string} args.sessionId - Session ID (required)
+ * @param {string} args.userId - Person being rated (required)
+ * @param {boolean} [args.getsIt] - Gets it (GWC)
+ * @param {boolean} [args.wantsIt] - Wants it (GWC)
+ * @param {boolean} [args.capacity] - Capacity to do it (GWC)
+ * @param {Array<{coreValue: string, rating: string}>} [args.scores] - Ratings per core value (ID or name) using "+", "+/-" or "-"
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updatePeopleAnalyzerScores(args) {
+  const { sessionId, userId, getsIt, wantsIt, capacity, scores = [] } = args;
+
+  if (!sessionId || !userId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Session ID and user ID are required",
+        },
+      ],
+    };
+  }
+
+  if (
+    getsIt === undefined &&
+    wantsIt === undefined &&
+    capacity === undefined &&
+    scores.length === 0
+  ) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: No updates specified. Provide GWC answers and/or core value scores.",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const sessionResult = await callSuccessCoGraphQL(`
+    query {
+      peopleAnalyzerSessions(filter: {id: {equalTo: "${sessionId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          coreValues
+          barPlus
+          barPlusMinus
+        }
+      }
+    }
+  `);
+  if (!sessionResult.ok) {
+    return { content: [{ type: "text", text: sessionResult.error }] };
+  }
+  const session = sessionResult.data.data.peopleAnalyzerSessions.nodes[0];
+  if (!session) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: People Analyzer session not found with ID: ${sessionId}`,
+        },
+      ],
+    };
+  }
+
+  // Resolve every score against the leadership core values before writing anything
+  const coreValuesLookup = await getLeadershipCoreValues();
+  if (!coreValuesLookup.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error fetching leadership core values: ${coreValuesLookup.error}`,
+        },
+      ],
+    };
+  }
+
+  const resolvedScores = [];
+  for (const entry of scores) {
+    const coreValue = resolveCoreValue(
+      entry.coreValue,
+      coreValuesLookup.coreValues
+    );
+    if (!coreValue) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: Core value "${entry.coreValue}" not found on the leadership V/TO. Available core values: ${coreValuesLookup.coreValues
+              .map((cv) => cv.name)
+              .join(", ")}`,
+          },
+        ],
+      };
+    }
+    const score = RATING_TO_SCORE[entry.rating];
+    if (!score) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: Invalid rating "${entry.rating}" for core value "${coreValue.name}". Must be "+", "+/-" or "-".`,
+          },
+        ],
+      };
+    }
+    resolvedScores.push({ coreValue, score, rating: entry.rating });
+  }
+
+  // Find or create the session user
+  const sessionUserResult = await callSuccessCoGraphQL(`
+    query {
+      peopleAnalyzerSessionUsers(filter: {peopleAnalyzerSessionId: {equalTo: "${sessionId}"}, userId: {equalTo: "${userId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          getsIt
+          wantsIt
+          capacity
+        }
+      }
+    }
+  `);
+  if (!sessionUserResult.ok) {
+    return { content: [{ type: "text", text: sessionUserResult.error }] };
+  }
+
+  let sessionUser =
+    sessionUserResult.data.data.peopleAnalyzerSessionUsers.nodes[0];
+  const gwcUpdates = {};
+  if (getsIt !== undefined) gwcUpdates.getsIt = getsIt;
+  if (wantsIt !== undefined) gwcUpdates.wantsIt = wantsIt;
+  if (capacity !== undefined) gwcUpdates.capacity = capacity;
+
+  if (!sessionUser) {
+    const createResult = await callSuccessCoGraphQL(
+      `
+      mutation CreatePeopleAnalyzerSessionUser($input: CreatePeopleAnalyzerSessionUserInput!) {
+        createPeopleAnalyzerSessionUser(input: $input) {
+          peopleAnalyzerSessionUser {
+            id
+            getsIt
+            wantsIt
+            capacity
+          }
+        }
+      }
+    `,
+      {
+        input: {
+          peopleAnalyzerSessionUser: {
+            userId,
+            peopleAnalyzerSessionId: sessionId,
+            companyId: context.companyId,
+            stateId: "ACTIVE",
+            ...gwcUpdates,
+          },
+        },
+      }
+    );
+    sessionUser =
+      createResult.data?.data?.createPeopleAnalyzerSessionUser
+        ?.peopleAnalyzerSessionUser;
+    if (!createResult.ok || !sessionUser) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error adding person to session: ${
+              createResult.error || JSON.stringify(createResult.data, null, 2)
+            }`,
+          },
+        ],
+      };
+    }
+  } else if (Object.keys(gwcUpdates).length > 0) {
+    const gwcResult = await callSuccessCoGraphQL(
+      `
+      mutation UpdatePeopleAnalyzerSessionUser($input: UpdatePeopleAnalyzerSessionUserInput!) {
+        updatePeopleAnalyzerSessionUser(input: $input) {
+          peopleAnalyzerSessionUser {
+            id
+            getsIt
+            wantsIt
+            capacity
+          }
+        }
+      }
+    `,
+      { input: { id: sessionUser.id, patch: gwcUpdates } }
+    );
+    if (!gwcResult.ok) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error updating GWC: ${gwcResult.error}`,
+          },
+        ],
+      };
+    }
+    sessionUser =
+      gwcResult.data?.data?.updatePeopleAnalyzerSessionUser
+        ?.peopleAnalyzerSessionUser || sessionUser;
+  }
+
+  // Upsert scores per core value
+  const existingScoresResult = await callSuccessCoGraphQL(`
+    query {
+      peopleAnalyzerSessionUsersScores(filter: {peopleAnalyzerSessionUserId: {equalTo: "${sessionUser.id}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          coreValueId
+          score
+        }
+      }
+    }
+  `);
+  if (!existingScoresResult.ok) {
+    return { content: [{ type: "text", text: existingScoresResult.error }] };
+  }
+  const existingScores =
+    existingScoresResult.data.data.peopleAnalyzerSessionUsersScores.nodes;
+
+  const errors = [];
+  const savedScores = [];
+  for (const resolved of resolvedScores) {
+    const { coreValue, score } = resolved;
+    const existing = existingScores.find((s) => s.coreValueId === coreValue.id);
+    const scoreResult = existing
+      ? await callSuccessCoGraphQL(
+          `
+          mutation UpdatePeopleAnalyzerSessionUsersScore($input: UpdatePeopleAnalyzerSessionUsersScoreInput!) {
+            updatePeopleAnalyzerSessionUsersScore(input: $input) {
+              peopleAnalyzerSessionUsersScore {
+                id
+              }
+            }
+          }
+        `,
+          { input: { id: existing.id, patch: { score } } }
+        )
+      : await callSuccessCoGraphQL(
+          `
+          mutation CreatePeopleAnalyzerSessionUsersScore($input: CreatePeopleAnalyzerSessionUsersScoreInput!) {
+            createPeopleAnalyzerSessionUsersScore(input: $input) {
+              peopleAnalyzerSessionUsersScore {
+                id
+              }
+            }
+          }
+        `,
+          {
+            input: {
+              peopleAnalyzerSessionUsersScore: {
+                peopleAnalyzerSessionUserId: sessionUser.id,
+                coreValueId: coreValue.id,
+                score,
+                companyId: context.companyId,
+                stateId: "ACTIVE",
+              },
+            },
+          }
+        );
+    if (scoreResult.ok) {
+      savedScores.push(resolved);
+    } else {
+      errors.push(`${coreValue.name}: ${scoreResult.error}`);
+    }
+  }
+
+  // Recompute and store whether the person is above the bar, from the
+  // scores as saved: a score that failed to save keeps its old value
+  const allScores = existingScores
+    .filter((s) => !savedScores.some((r) => r.coreValue.id === s.coreValueId))
+    .map((s) => ({ rating: SCORE_TO_RATING[s.score] }))
+    .concat(savedScores.map((r) => ({ rating: r.rating })));
+  const bar = evaluateAgainstBar(
+    allScores,
+    session.barPlus,
+    session.barPlusMinus
+  );
+
+  if (bar.aboveTheBar !== null) {
+    const barResult = await callSuccessCoGraphQL(
+      `
+      mutation UpdatePeopleAnalyzerSessionUser($input: UpdatePeopleAnalyzerSessionUserInput!) {
+        updatePeopleAnalyzerSessionUser(input: $input) {
+          peopleAnalyzerSessionUser {
+            id
+          }
+        }
+      }
+    `,
+      { input: { id: sessionUser.id, patch: { aboveTheBar: bar.aboveTheBar } } }
+    );
+    if (!barResult.ok) {
+      errors.push(`aboveTheBar: ${barResult.error}`);
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: errors.length === 0,
+            message:
+              errors.length === 0
+                ? "People Analyzer scores saved successfully"
+                : `Some updates could not be saved: ${errors.join("; ")}`,
+            sessionUserId: sessionUser.id,
+            userId,
+            gwc: {
+              getsIt: sessionUser.getsIt,
+              wantsIt: sessionUser.wantsIt,
+              capacity: sessionUser.capacity,
+            },
+            scores: resolvedScores.map((r) => ({
+              coreValueId: r.coreValue.id,
+              coreValue: r.coreValue.name,
+              rating: r.rating,
+              saved: savedScores.includes(r),
+            })),
+            plusCount: bar.plusCount,
+            plusMinusCount: bar.plusMinusCount,
+            minusCount: bar.minusCount,
+            aboveTheBar: bar.aboveTheBar,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,664 @@
+// Related Items Tools
+// Links between items of different types (issues, V/TO issues, rocks, ...),
+// stored in related_items with types from relation_types
+
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
+import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+
+// How linked items are described, by table. Tables missing here can still be
+// linked if relation_types has them, but are listed by ID only.
+const LINKABLE_ITEMS = {
+  todos: { collection: "todos", label: "name", status: "todoStatusId" },
+  issues: { collection: "issues", label: "name", status: "issueStatusId" },
+  rocks: { collection: "rocks", label: "name", status: "rockStatusId" },
+  headlines: {
+    collection: "headlines",
+    label: "name",
+    status: "headlineStatusId",
+  },
+  milestones: {
+    collection: "milestones",
+    label: "name",
+    status: "milestoneStatusId",
+  },
+  meetings: {
+    collection: "meetings",
+    label: "date",
+    status: "meetingStatusId",
+  },
+  vision_issues: { collection: "visionIssues", label: "name" },
+};
+
+// Tables with a page in the Success.co web app
+const LINKABLE_URL_TABLES = [
+  "todos",
+  "rocks",
+  "issues",
+  "headlines",
+  "meetings",
+];
+
+// relation_types, loaded once per process
+let relationTypes = null;
+
+/**
+ * Load relation_types, indexed both ways
+ * @returns {Promise<{ok: boolean, byTable?: Object, byId?: Object, error?: string}>}
+ */
+async function loadRelationTypes() {
+  if (!relationTypes) {
+    const result = await callSuccessCoGraphQL(`
+      query {
+        relationTypes {
+          nodes {
+            id
+            tableName
+          }
+        }
+      }
+    `);
+    if (!result.ok) return { ok: false, error: result.error };
+
+    const nodes = result.data.data.relationTypes.nodes;
+    relationTypes = {
+      byTable: Object.fromEntries(
+        nodes.map((type) => [type.tableName, type.id])
+      ),
+      byId: Object.fromEntries(
+        nodes.map((type) => [type.id, type.tableName])
+      ),
+    };
+  }
+  return { ok: true, ...relationTypes };
+}
+
+/**
+ * Look up the relation type ID used for a table in related_items
+ * @param {string} tableName - Database table name (e.g. 'issues', 'vision_issues')
+ * @returns {Promise<{ok: boolean, relationTypeId?: string, error?: string}>}
+ */
+export async function getRelationTypeId(tableName) {
+  const types = await loadRelationTypes();
+  if (!types.ok) return types;
+
+  const relationTypeId = types.byTable[tableName];
+  if (!relationTypeId) {
+    return {
+      ok: false,
+      error: `Error: ${tableName} items can't be linked. Linkable types: ${Object.keys(
+        types.byTable
+      ).join(", ")}`,
+    };
+  }
+  return { ok: true, relationTypeId };
+}
+
+/**
+ * Turn a user-supplied item type into a table name
+ * Accepts table names ('todos', 'vision_issues') and singular forms ('todo').
+ * @param {string} itemType
+ * @returns {string}
+ */
+export function normalizeItemTable(itemType) {
+  const table = (itemType || "").trim().toLowerCase().replace(/-/g, "_");
+  return table.endsWith("s") ? table : `${table}s`;
+}
+
+/**
+ * Load display details for items of one table
+ * @param {string} table - Database table name
+ * @param {Array<string>} ids - Item IDs
+ * @returns {Promise<Object>} Map of item ID → {id, name, status, stateId}
+ */
+async function describeItems(table, ids) {
+  const config = LINKABLE_ITEMS[table];
+  if (!config || ids.length === 0) return {};
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      ${config.collection}(filter: {id: {in: [${ids
+        .map((id) => `"${id}"`)
+        .join(", ")}]}}) {
+        nodes {
+          id
+          ${config.label}
+          ${config.status || ""}
+          stateId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return {};
+
+  return Object.fromEntries(
+    result.data.data[config.collection].nodes.map((node) => [
+      node.id,
+      {
+        id: node.id,
+        name: node[config.label] ?? null,
+        status: config.status ? node[config.status] : null,
+        stateId: node.stateId,
+      },
+    ])
+  );
+}
+
+/**
+ * Find the related_items row for a pair of items, in either direction and any state
+ * Only one row can exist per pair, so unlinked pairs are re-activated rather than recreated.
+ * @param {string} itemId
+ * @param {string} relatedItemId
+ * @returns {Promise<{ok: boolean, relation?: Object|null, error?: string}>}
+ */
+async function findRelation(itemId, relatedItemId) {
+  const fields = `
+        nodes {
+          id
+          itemId
+          itemType
+          relatedItemId
+          relatedItemType
+          stateId
+        }
+  `;
+  const result = await callSuccessCoGraphQL(`
+    query {
+      forward: relatedItems(filter: {itemId: {equalTo: "${itemId}"}, relatedItemId: {equalTo: "${relatedItemId}"}}) {${fields}}
+      backward: relatedItems(filter: {itemId: {equalTo: "${relatedItemId}"}, relatedItemId: {equalTo: "${itemId}"}}) {${fields}}
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  return {
+    ok: true,
+    relation:
+      result.data.data.forward.nodes[0] ||
+      result.data.data.backward.nodes[0] ||
+      null,
+  };
+}
+
+/**
+ * Link two items in related_items
+ * @param {Object} item - {table, id} of the first item (e.g. {table: 'issues', id})
+ * @param {Object} relatedItem - {table, id} of the second item
+ * @returns {Promise<{ok: boolean, relation?: Object, created?: boolean, error?: string}>}
+ */
+export async function createRelation(item, relatedItem) {
+  if (item.id === relatedItem.id) {
+    return { ok: false, error: "Error: An item can't be linked to itself" };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return { ok: false, error: "Error: Authentication required" };
+  }
+
+  const [itemType, relatedItemType] = await Promise.all([
+    getRelationTypeId(item.table),
+    getRelationTypeId(relatedItem.table),
+  ]);
+  if (!itemType.ok) return itemType;
+  if (!relatedItemType.ok) return relatedItemType;
+
+  const existing = await findRelation(item.id, relatedItem.id);
+  if (!existing.ok) return existing;
+
+  const selection = `
+    relatedItem {
+      id
+      itemId
+      itemType
+      relatedItemId
+      relatedItemType
+      stateId
+    }
+  `;
+
+  if (existing.relation) {
+    if (existing.relation.stateId === "ACTIVE") {
+      return { ok: true, relation: existing.relation, created: false };
+    }
+
+    const result = await callSuccessCoGraphQL(
+      `
+      mutation UpdateRelatedItem($input: UpdateRelatedItemInput!) {
+        updateRelatedItem(input: $input) {
+          ${selection}
+        }
+      }
+    `,
+      { input: { id: existing.relation.id, patch: { stateId: "ACTIVE" } } }
+    );
+    if (!result.ok) return { ok: false, error: result.error };
+    return {
+      ok: true,
+      relation: result.data?.data?.updateRelatedItem?.relatedItem,
+      created: false,
+    };
+  }
+
+  const result = await callSuccessCoGraphQL(
+    `
+    mutation CreateRelatedItem($input: CreateRelatedItemInput!) {
+      createRelatedItem(input: $input) {
+        ${selection}
+      }
+    }
+  `,
+    {
+      input: {
+        relatedItem: {
+          itemId: item.id,
+          itemType: itemType.relationTypeId,
+          relatedItemId: relatedItem.id,
+          relatedItemType: relatedItemType.relationTypeId,
+          companyId: context.companyId,
+          stateId: "ACTIVE",
+        },
+      },
+    }
+  );
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const relation = result.data?.data?.createRelatedItem?.relatedItem;
+  if (!relation) {
+    return {
+      ok: false,
+      error: `Link creation failed. ${JSON.stringify(result.data)}`,
+    };
+  }
+  return { ok: true, relation, created: true };
+}
+
+/**
+ * Soft-delete a related_items row
+ * @param {string} relationId
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+async function deleteRelation(relationId) {
+  const result = await callSuccessCoGraphQL(
+    `
+    mutation UpdateRelatedItem($input: UpdateRelatedItemInput!) {
+      updateRelatedItem(input: $input) {
+        relatedItem {
+          id
+          stateId
+        }
+      }
+    }
+  `,
+    { input: { id: relationId, patch: { stateId: "DELETED" } } }
+  );
+  if (!result.ok) return { ok: false, error: result.error };
+  return { ok: true };
+}
+
+/**
+ * Unlink two items, if they are linked
+ * @param {string} itemId
+ * @param {string} relatedItemId
+ * @returns {Promise<{ok: boolean, removed?: boolean, error?: string}>}
+ */
+export async function removeRelation(itemId, relatedItemId) {
+  const existing = await findRelation(itemId, relatedItemId);
+  if (!existing.ok) return existing;
+  if (!existing.relation || existing.relation.stateId !== "ACTIVE") {
+    return { ok: true, removed: false };
+  }
+
+  const result = await deleteRelation(existing.relation.id);
+  if (!result.ok) return result;
+  return { ok: true, removed: true };
+}
+
+/**
+ * List the IDs of items of one table linked to any of the given items
+ * @param {string} table - Table of the given items (e.g. 'vision_issues')
+ * @param {Array<string>} ids - IDs of the given items
+ * @param {string} relatedTable - Table of the linked items to return (e.g. 'issues')
+ * @returns {Promise<{ok: boolean, links?: Array<{itemId: string, relatedItemId: string}>, error?: string}>}
+ */
+export async function findRelatedIds(table, ids, relatedTable) {
+  if (ids.length === 0) return { ok: true, links: [] };
+
+  const [type, relatedType] = await Promise.all([
+    getRelationTypeId(table),
+    getRelationTypeId(relatedTable),
+  ]);
+  if (!type.ok) return type;
+  if (!relatedType.ok) return relatedType;
+
+  const idList = ids.map((id) => `"${id}"`).join(", ");
+  const result = await callSuccessCoGraphQL(`
+    query {
+      forward: relatedItems(filter: {itemId: {in: [${idList}]}, itemType: {equalTo: "${type.relationTypeId}"}, relatedItemType: {equalTo: "${relatedType.relationTypeId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          itemId
+          relatedItemId
+        }
+      }
+      backward: relatedItems(filter: {relatedItemId: {in: [${idList}]}, relatedItemType: {equalTo: "${type.relationTypeId}"}, itemType: {equalTo: "${relatedType.relationTypeId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          itemId
+          relatedItemId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  return {
+    ok: true,
+    links: [
+      ...result.data.data.forward.nodes,
+      ...result.data.data.backward.nodes.map((link) => ({
+        itemId: link.relatedItemId,
+        relatedItemId: link.itemId,
+      })),
+    ],
+  };
+}
+
+/**
+ * Load the items linked to an item, in either direction
+ * Used by getRelatedItems and by fetch() to show an item's links.
+ * @param {string} itemId - Item ID
+ * @param {string} [relatedTable] - Only return linked items from this table
+ * @returns {Promise<{ok: boolean, relatedItems?: Array<Object>, error?: string}>}
+ */
+export async function loadRelatedItems(itemId, relatedTable) {
+  const types = await loadRelationTypes();
+  if (!types.ok) return types;
+
+  let forwardType = "";
+  let backwardType = "";
+  if (relatedTable) {
+    const relatedType = await getRelationTypeId(relatedTable);
+    if (!relatedType.ok) return relatedType;
+    forwardType = `, relatedItemType: {equalTo: "${relatedType.relationTypeId}"}`;
+    backwardType = `, itemType: {equalTo: "${relatedType.relationTypeId}"}`;
+  }
+
+  const fields = `
+        nodes {
+          id
+          itemId
+          itemType
+          relatedItemId
+          relatedItemType
+          createdAt
+        }
+  `;
+  const result = await callSuccessCoGraphQL(`
+    query {
+      forward: relatedItems(filter: {itemId: {equalTo: "${itemId}"}, stateId: {equalTo: "ACTIVE"}${forwardType}}) {${fields}}
+      backward: relatedItems(filter: {relatedItemId: {equalTo: "${itemId}"}, stateId: {equalTo: "ACTIVE"}${backwardType}}) {${fields}}
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  // Point every link from the given item to the other side
+  const links = [
+    ...result.data.data.forward.nodes.map((link) => ({
+      relationId: link.id,
+      table: types.byId[link.relatedItemType],
+      id: link.relatedItemId,
+      linkedAt: link.createdAt,
+    })),
+    ...result.data.data.backward.nodes.map((link) => ({
+      relationId: link.id,
+      table: types.byId[link.itemType],
+      id: link.itemId,
+      linkedAt: link.createdAt,
+    })),
+    // Tags are links too, but are listed separately (see tagsTools.js)
+  ].filter((link) => link.table !== "tags");
+
+  // Describe the linked items one table at a time
+  const idsByTable = {};
+  links.forEach((link) => {
+    if (!idsByTable[link.table]) idsByTable[link.table] = [];
+    idsByTable[link.table].push(link.id);
+  });
+  const detailsByTable = {};
+  for (const [table, ids] of Object.entries(idsByTable)) {
+    detailsByTable[table] = await describeItems(table, ids);
+  }
+
+  const context = await getUserContext();
+  const companyCode = context ? await getCompanyCode(context.companyId) : null;
+
+  return {
+    ok: true,
+    relatedItems: links
+      // Skip links to items that have since been deleted
+      .filter((link) => {
+        const details = detailsByTable[link.table]?.[link.id];
+        return !details || details.stateId === "ACTIVE";
+      })
+      .map((link) => {
+        const details = detailsByTable[link.table]?.[link.id];
+        return {
+          relationId: link.relationId,
+          type: link.table,
+          id: link.id,
+          name: details?.name ?? null,
+          status: details?.status ?? null,
+          linkedAt: link.linkedAt,
+          url:
+            companyCode && LINKABLE_URL_TABLES.includes(link.table)
+              ? generateObjectUrl(link.table, link.id, companyCode)
+              : null,
+        };
+      }),
+  };
+}
+
+/**
+ * Check that an item exists and is active
+ * @param {string} table - Database table name
+ * @param {string} id - Item ID
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function verifyItem(table, id) {
+  // Tables we can't describe are checked by relation_types only
+  if (!LINKABLE_ITEMS[table]) return { ok: true };
+
+  const details = await describeItems(table, [id]);
+  if (details[id]?.stateId !== "ACTIVE") {
+    return { ok: false, error: `Error: No ${table} item found with ID ${id}` };
+  }
+  return { ok: true };
+}
+
+/**
+ * Link two items, e.g. a to-do to the issue it came from
+ * Links have no direction, and linking an already linked pair is a no-op.
+ * @param {Object} args - Arguments object
+ * @param {string} args.itemType - Type of the first item (e.g. 'issue', 'todos', 'vision_issues')
+ * @param {string} args.itemId - ID of the first item
+ * @param {string} args.relatedItemType - Type of the second item
+ * @param {string} args.relatedItemId - ID of the second item
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function linkItems(args = {}) {
+  const { itemType, itemId, relatedItemType, relatedItemId } = args;
+
+  if (!itemType || !itemId || !relatedItemType || !relatedItemId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: itemType, itemId, relatedItemType and relatedItemId are required",
+        },
+      ],
+    };
+  }
+
+  const item = { table: normalizeItemTable(itemType), id: itemId };
+  const relatedItem = {
+    table: normalizeItemTable(relatedItemType),
+    id: relatedItemId,
+  };
+
+  for (const target of [item, relatedItem]) {
+    const typeCheck = await getRelationTypeId(target.table);
+    if (!typeCheck.ok) {
+      return { content: [{ type: "text", text: typeCheck.error }] };
+    }
+    const itemCheck = await verifyItem(target.table, target.id);
+    if (!itemCheck.ok) {
+      return { content: [{ type: "text", text: itemCheck.error }] };
+    }
+  }
+
+  const result = await createRelation(item, relatedItem);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: result.created
+              ? `Linked ${item.table} ${item.id} to ${relatedItem.table} ${relatedItem.id}`
+              : `${item.table} ${item.id} and ${relatedItem.table} ${relatedItem.id} are linked`,
+            created: result.created,
+            relation: result.relation,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Remove a link between two items
+ * @param {Object} args - Arguments object
+ * @param {string} [args.relationId] - ID of the link (from getRelatedItems)
+ * @param {string} [args.itemId] - ID of one linked item (with relatedItemId)
+ * @param {string} [args.relatedItemId] - ID of the other linked item
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function unlinkItems(args = {}) {
+  const { relationId, itemId, relatedItemId } = args;
+
+  if (!relationId && (!itemId || !relatedItemId)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Provide relationId, or itemId and relatedItemId",
+        },
+      ],
+    };
+  }
+
+  let relation;
+  if (relationId) {
+    const result = await callSuccessCoGraphQL(`
+      query {
+        relatedItems(filter: {id: {equalTo: "${relationId}"}}) {
+          nodes {
+            id
+            stateId
+          }
+        }
+      }
+    `);
+    if (!result.ok) {
+      return { content: [{ type: "text", text: result.error }] };
+    }
+    relation = result.data.data.relatedItems.nodes[0];
+  } else {
+    const result = await findRelation(itemId, relatedItemId);
+    if (!result.ok) {
+      return { content: [{ type: "text", text: result.error }] };
+    }
+    relation = result.relation;
+  }
+
+  if (!relation || relation.stateId !== "ACTIVE") {
+    return {
+      content: [
+        {
+          type: "text",
+          text: relationId
+            ? `Error: No link found with ID ${relationId}`
+            : `Error: ${itemId} and ${relatedItemId} are not linked`,
+        },
+      ],
+    };
+  }
+
+  const result = await deleteRelation(relation.id);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "Link removed",
+            relationId: relation.id,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * List the items linked to an item
+ * @param {Object} args - Arguments object
+ * @param {string} args.itemId - Item ID
+ * @param {string} [args.relatedType] - Only return linked items of this type (e.g. 'rocks')
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getRelatedItems(args = {}) {
+  const { itemId, relatedType } = args;
+
+  if (!itemId) {
+    return {
+      content: [{ type: "text", text: "Error: itemId is required" }],
+    };
+  }
+
+  const result = await loadRelatedItems(
+    itemId,
+    relatedType ? normalizeItemTable(relatedType) : undefined
+  );
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            itemId,
+            totalCount: result.relatedItems.length,
+            relatedItems: result.relatedItems,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
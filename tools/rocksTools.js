@@ -13,8 +13,17 @@ import {
   validateStateId,
   mapRockTypeToLowercase,
   getLastDateOfCurrentQuarter,
+  calculateStartDateForDataField,
 } from "../utils/helpers.js";
-import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+import {
+  getCompanyCode,
+  generateObjectUrl,
+  parseToolResponse,
+} from "./commonHelpers.js";
+import { createIssue } from "./issuesTools.js";
+import { createMilestone } from "./milestonesTools.js";
+import { resolveTagFilter } from "./tagsTools.js";
+import { createRelation, findRelatedIds } from "./relatedItemsTools.js";
 
 /**
  * List Success.co rocks
@@ -28,6 +37,7 @@ import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
  * @param {string} [args.keyword] - Search for rocks with names containing this keyword (case-insensitive)
  * @param {boolean} [args.includeMilestones] - Include milestones for each rock (defaults to true)
  * @param {string} [args.timePeriod] - Filter by time period: 'this_year' (default), 'current_quarter', 'previous_quarter', 'all'
+ * @param {string} [args.tags] - Comma-separated tag names; only rocks with any of these tags
  * @returns {Promise<{content: Array<{type: string, text: string}>>>}
  */
 export async function getRocks(args) {
@@ -42,6 +52,7 @@ export async function getRocks(args) {
     keyword,
     includeMilestones = true,
     timePeriod = "this_year",
+    tags,
   } = args;
 
   // Resolve teamId if leadershipTeam is true
@@ -132,6 +143,18 @@ export async function getRocks(args) {
     }
   }
 
+  // Limit to rocks with any of the given tags
+  let tagFilter = "";
+  if (tags) {
+    const tagged = await resolveTagFilter("rocks", tags);
+    if (!tagged.ok) {
+      return { content: [{ type: "text", text: tagged.error }] };
+    }
+    if (tagged.ids) {
+      tagFilter = `id: {in: [${tagged.ids.map((id) => `"${id}"`).join(", ")}]}`;
+    }
+  }
+
   // Build filter parameters (inside filter object)
   const filterParts = [
     `stateId: {equalTo: "${stateId}"}`,
@@ -139,6 +162,7 @@ export async function getRocks(args) {
     userId ? `userId: {equalTo: "${userId}"}` : "",
     keyword ? `name: {includesInsensitive: "${keyword}"}` : "",
     dueDateFilter,
+    tagFilter,
   ]
     .filter(Boolean)
     .join(", ");
@@ -1347,3 +1371,549 @@ export async function deleteRock(args) {
     ],
   };
 }
+
+/**
+ * Parse a YYYY-MM-DD date string as a local date (avoids UTC shifts)
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {Date}
+ */
+function parseLocalDate(dateString) {
+  const [year, month, day] = dateString.substring(0, 10).split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a Date as YYYY-MM-DD in local time
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLocalDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+const ROLLOVER_ACTIONS = ["carry_forward", "drop", "convert_to_issue"];
+
+/**
+ * Find which rocks were already rolled over
+ * A rolled-over rock is linked in related_items to its copy: a rock due after
+ * the closed quarter, or an issue with the same name.
+ * @param {Array<Object>} rocks - Rocks due in the quarter being closed
+ * @param {string} quarterEnd - Last day of that quarter (YYYY-MM-DD)
+ * @returns {Promise<{ok: boolean, rolledOver?: Object, error?: string}>} rolledOver maps rock ID to the ID of its copy
+ */
+async function findRolledOverRocks(rocks, quarterEnd) {
+  const rockIds = rocks.map((rock) => rock.id);
+  const [rockLinks, issueLinks] = await Promise.all([
+    findRelatedIds("rocks", rockIds, "rocks"),
+    findRelatedIds("rocks", rockIds, "issues"),
+  ]);
+  if (!rockLinks.ok) return rockLinks;
+  if (!issueLinks.ok) return issueLinks;
+  if (rockLinks.links.length === 0 && issueLinks.links.length === 0) {
+    return { ok: true, rolledOver: {} };
+  }
+
+  const idList = (links) =>
+    links.map((link) => `"${link.relatedItemId}"`).join(", ");
+  const result = await callSuccessCoGraphQL(`
+    query {
+      ${
+        rockLinks.links.length
+          ? `rocks(filter: {id: {in: [${idList(rockLinks.links)}]}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          dueDate
+        }
+      }`
+          : ""
+      }
+      ${
+        issueLinks.links.length
+          ? `issues(filter: {id: {in: [${idList(issueLinks.links)}]}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+        }
+      }`
+          : ""
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const laterRockIds = new Set(
+    (result.data.data.rocks?.nodes || [])
+      .filter((rock) => rock.dueDate && rock.dueDate > quarterEnd)
+      .map((rock) => rock.id)
+  );
+  const issueNames = {};
+  (result.data.data.issues?.nodes || []).forEach((issue) => {
+    issueNames[issue.id] = issue.name;
+  });
+
+  const rolledOver = {};
+  rockLinks.links.forEach((link) => {
+    if (laterRockIds.has(link.relatedItemId)) {
+      rolledOver[link.itemId] = link.relatedItemId;
+    }
+  });
+  issueLinks.links.forEach((link) => {
+    const rock = rocks.find((r) => r.id === link.itemId);
+    if (rock && issueNames[link.relatedItemId] === rock.name) {
+      rolledOver[link.itemId] = link.relatedItemId;
+    }
+  });
+  return { ok: true, rolledOver };
+}
+
+/**
+ * Roll unfinished rocks over into the next quarter
+ * Dry-run mode (default) returns the plan: which rocks would be carried forward,
+ * dropped, or converted into issues. Commit mode applies the plan: carried-forward
+ * rocks are re-created for next quarter with their open milestones, converted rocks
+ * become issues, and every original rock is marked INCOMPLETE. Each copy is linked
+ * to its original rock in related_items; rocks with such a link are skipped, so
+ * running commit mode again does not duplicate them. Rocks already marked
+ * INCOMPLETE without a link stay in the plan, with 'drop' as their default action.
+ * @param {Object} args - Arguments object
+ * @param {string} [args.teamId] - Only roll over rocks for this team
+ * @param {boolean} [args.leadershipTeam] - If true, use the leadership team
+ * @param {string} [args.referenceDate] - A date inside the quarter being closed (YYYY-MM-DD, defaults to today)
+ * @param {boolean} [args.dryRun] - If true (default), only return the plan
+ * @param {string} [args.defaultAction] - Action for rocks without an explicit decision: 'carry_forward' (default), 'drop', or 'convert_to_issue'
+ * @param {Array<{rockId: string, action: string}>} [args.decisions] - Per-rock overrides
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function rolloverQuarter(args = {}) {
+  const {
+    teamId: providedTeamId,
+    leadershipTeam = false,
+    referenceDate,
+    dryRun = true,
+    defaultAction = "carry_forward",
+    decisions = [],
+  } = args;
+
+  const isDevMode = getIsDevMode();
+
+  if (!ROLLOVER_ACTIONS.includes(defaultAction)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Invalid defaultAction - must be ${ROLLOVER_ACTIONS.join(
+            ", "
+          )}`,
+        },
+      ],
+    };
+  }
+
+  const invalidDecision = decisions.find(
+    (d) => !ROLLOVER_ACTIONS.includes(d.action)
+  );
+  if (invalidDecision) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Invalid action "${
+            invalidDecision.action
+          }" for rock ${invalidDecision.rockId} - must be ${ROLLOVER_ACTIONS.join(
+            ", "
+          )}`,
+        },
+      ],
+    };
+  }
+
+  if (referenceDate && !/^\d{4}-\d{2}-\d{2}/.test(referenceDate)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: referenceDate must be in YYYY-MM-DD format",
+        },
+      ],
+    };
+  }
+
+  // Resolve teamId if leadershipTeam is true
+  let teamId = providedTeamId;
+  if (leadershipTeam && !providedTeamId) {
+    teamId = await getLeadershipTeamId();
+    if (!teamId) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "Error: Could not find leadership team. Please ensure a team is marked as the leadership team.",
+          },
+        ],
+      };
+    }
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  // Work out the quarter being closed and the next quarter from the company quarter dates
+  const db = getDatabase();
+  const reference = referenceDate ? parseLocalDate(referenceDate) : new Date();
+  const quarterEnd = await getLastDateOfCurrentQuarter(
+    context.companyId,
+    db,
+    isDevMode,
+    reference
+  );
+  if (!quarterEnd) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Could not determine the company's quarter dates. Please ensure all four quarter dates are configured.",
+        },
+      ],
+    };
+  }
+
+  const nextQuarterStartDate = parseLocalDate(quarterEnd);
+  nextQuarterStartDate.setDate(nextQuarterStartDate.getDate() + 1);
+  const nextQuarterStart = formatLocalDate(nextQuarterStartDate);
+  const nextQuarterEnd = await getLastDateOfCurrentQuarter(
+    context.companyId,
+    db,
+    isDevMode,
+    nextQuarterStartDate
+  );
+
+  let quarterStart;
+  try {
+    quarterStart = await calculateStartDateForDataField(
+      "QUARTERLY",
+      formatLocalDate(reference),
+      context.companyId,
+      db,
+      isDevMode
+    );
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Could not determine quarter start date: ${error.message}`,
+        },
+      ],
+    };
+  }
+
+  if (!nextQuarterEnd) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Could not determine the next quarter's end date.",
+        },
+      ],
+    };
+  }
+
+  // Unfinished rocks due in the quarter being closed
+  const rocksQuery = `
+    query {
+      rocks(filter: {stateId: {equalTo: "ACTIVE"}, rockStatusId: {notEqualTo: "COMPLETE"}, dueDate: {greaterThanOrEqualTo: "${quarterStart}", lessThanOrEqualTo: "${quarterEnd}"}}) {
+        nodes {
+          id
+          name
+          desc
+          rockStatusId
+          type
+          dueDate
+          userId
+        }
+      }
+    }
+  `;
+
+  const rocksResult = await callSuccessCoGraphQL(rocksQuery);
+  if (!rocksResult.ok) {
+    return { content: [{ type: "text", text: rocksResult.error }] };
+  }
+
+  let rocks = rocksResult.data.data.rocks.nodes;
+  const rockIdsStr = rocks.map((r) => `"${r.id}"`).join(", ");
+
+  // Team associations and open milestones for each rock
+  const teamsByRock = {};
+  const milestonesByRock = {};
+  if (rocks.length > 0) {
+    const [teamsOnRocksResult, milestonesResult] = await Promise.all([
+      callSuccessCoGraphQL(`
+        query {
+          teamsOnRocks(filter: {rockId: {in: [${rockIdsStr}]}, stateId: {equalTo: "ACTIVE"}}) {
+            nodes {
+              rockId
+              teamId
+            }
+          }
+        }
+      `),
+      callSuccessCoGraphQL(`
+        query {
+          milestones(filter: {rockId: {in: [${rockIdsStr}]}, stateId: {equalTo: "ACTIVE"}, milestoneStatusId: {notEqualTo: "COMPLETE"}}) {
+            nodes {
+              id
+              rockId
+              name
+              dueDate
+              userId
+            }
+          }
+        }
+      `),
+    ]);
+
+    if (teamsOnRocksResult.ok) {
+      teamsOnRocksResult.data.data.teamsOnRocks.nodes.forEach((tor) => {
+        if (!teamsByRock[tor.rockId]) teamsByRock[tor.rockId] = [];
+        teamsByRock[tor.rockId].push(tor.teamId);
+      });
+    }
+    if (milestonesResult.ok) {
+      milestonesResult.data.data.milestones.nodes.forEach((milestone) => {
+        if (!milestonesByRock[milestone.rockId]) {
+          milestonesByRock[milestone.rockId] = [];
+        }
+        milestonesByRock[milestone.rockId].push(milestone);
+      });
+    }
+  }
+
+  if (teamId) {
+    rocks = rocks.filter((rock) => (teamsByRock[rock.id] || []).includes(teamId));
+  }
+
+  // Skip rocks linked to a copy made by an earlier rollover
+  const rolledOverResult = await findRolledOverRocks(rocks, quarterEnd);
+  if (!rolledOverResult.ok) {
+    return { content: [{ type: "text", text: rolledOverResult.error }] };
+  }
+  const rolledOver = rolledOverResult.rolledOver;
+  rocks = rocks.filter((rock) => !rolledOver[rock.id]);
+
+  // Build the plan
+  const decisionsByRock = {};
+  decisions.forEach((d) => {
+    decisionsByRock[d.rockId] = d.action;
+  });
+  const unknownDecisions = decisions
+    .filter((d) => !rocks.some((rock) => rock.id === d.rockId))
+    .map((d) => d.rockId);
+
+  const plan = rocks.map((rock) => ({
+    rockId: rock.id,
+    name: rock.name,
+    status: rock.rockStatusId,
+    dueDate: rock.dueDate,
+    userId: rock.userId,
+    teamIds: teamsByRock[rock.id] || [],
+    openMilestones: (milestonesByRock[rock.id] || []).length,
+    action:
+      decisionsByRock[rock.id] ||
+      (rock.rockStatusId === "INCOMPLETE" ? "drop" : defaultAction),
+  }));
+
+  const summary = {
+    quarterStart,
+    quarterEnd,
+    nextQuarterStart,
+    nextQuarterEnd,
+    unfinishedRocks: plan.length,
+    alreadyRolledOver: Object.keys(rolledOver).length,
+    carryForward: plan.filter((p) => p.action === "carry_forward").length,
+    drop: plan.filter((p) => p.action === "drop").length,
+    convertToIssue: plan.filter((p) => p.action === "convert_to_issue").length,
+  };
+
+  if (dryRun) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              dryRun: true,
+              message:
+                "Dry run only - nothing was changed. Call again with dryRun=false to apply this plan.",
+              summary,
+              warnings: unknownDecisions.length
+                ? [
+                    `Decisions ignored for rocks not in the plan: ${unknownDecisions.join(
+                      ", "
+                    )}`,
+                  ]
+                : [],
+              plan: {
+                carryForward: plan.filter((p) => p.action === "carry_forward"),
+                drop: plan.filter((p) => p.action === "drop"),
+                convertToIssue: plan.filter(
+                  (p) => p.action === "convert_to_issue"
+                ),
+              },
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  // Apply the plan
+  const results = [];
+  for (const item of plan) {
+    const rock = rocks.find((r) => r.id === item.rockId);
+    const outcome = { rockId: rock.id, name: rock.name, action: item.action };
+
+    // Tracks the step in progress so a failure can say what was already changed
+    let step;
+    try {
+      if (item.action === "carry_forward") {
+        step = "create_rock";
+        const rockTeamIds = item.teamIds.length
+          ? item.teamIds.join(",")
+          : teamId;
+        const created = parseToolResponse(
+          await createRock({
+            name: rock.name,
+            desc: rock.desc || "",
+            dueDate: nextQuarterEnd,
+            teamId: rockTeamIds,
+            userId: rock.userId,
+            type: rock.type === "personal" ? "Personal" : "Company",
+          })
+        );
+        outcome.newRockId = created.rock.id;
+        outcome.newRockUrl = created.rock.url;
+
+        // Link the copy so later runs skip this rock
+        step = "link_copy";
+        const link = await createRelation(
+          { table: "rocks", id: rock.id },
+          { table: "rocks", id: created.rock.id }
+        );
+        if (!link.ok) throw new Error(link.error);
+
+        // Re-link open milestones to the new rock
+        outcome.milestones = [];
+        for (const milestone of milestonesByRock[rock.id] || []) {
+          const milestoneDueDate =
+            milestone.dueDate && milestone.dueDate > quarterEnd
+              ? milestone.dueDate
+              : nextQuarterEnd;
+          try {
+            const createdMilestone = parseToolResponse(
+              await createMilestone({
+                name: milestone.name,
+                rockId: created.rock.id,
+                dueDate: milestoneDueDate,
+                userId: milestone.userId,
+              })
+            );
+            outcome.milestones.push({
+              name: milestone.name,
+              newMilestoneId: createdMilestone.milestone.id,
+            });
+          } catch (error) {
+            outcome.milestones.push({
+              name: milestone.name,
+              error: error.message,
+            });
+          }
+        }
+      } else if (item.action === "convert_to_issue") {
+        step = "create_issue";
+        const issueTeamId = item.teamIds[0] || teamId;
+        const created = parseToolResponse(
+          await createIssue({
+            name: rock.name,
+            desc: rock.desc || "",
+            teamId: issueTeamId,
+            userId: rock.userId,
+          })
+        );
+        outcome.newIssueId = created.issue.id;
+        outcome.newIssueUrl = created.issue.url;
+
+        // Link the issue so later runs skip this rock
+        step = "link_copy";
+        const link = await createRelation(
+          { table: "rocks", id: rock.id },
+          { table: "issues", id: created.issue.id }
+        );
+        if (!link.ok) throw new Error(link.error);
+      }
+
+      // Close out the original rock
+      step = "close_original";
+      if (rock.rockStatusId !== "INCOMPLETE") {
+        parseToolResponse(
+          await updateRock({ rockId: rock.id, status: "INCOMPLETE" })
+        );
+      }
+      outcome.success = true;
+    } catch (error) {
+      outcome.success = false;
+      outcome.failedStep = step;
+      outcome.error = error.message;
+      const copy =
+        item.action === "carry_forward" ? "next-quarter rock" : "issue";
+      if (step === "link_copy") {
+        outcome.note = `The ${copy} was created, but not linked to the original rock, which is still open. Link them with linkItems and mark the original INCOMPLETE by hand rather than re-running the rollover for it.`;
+      } else if (step === "close_original" && item.action !== "drop") {
+        outcome.note = `The ${copy} was created and linked, but the original rock is still open. Mark it INCOMPLETE by hand; later runs skip it.`;
+      } else {
+        outcome.note = "Nothing was changed for this rock.";
+      }
+    }
+
+    results.push(outcome);
+  }
+
+  const failed = results.filter((r) => !r.success);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: failed.length === 0,
+            dryRun: false,
+            message:
+              failed.length === 0
+                ? `Quarter rollover applied to ${results.length} rock(s)`
+                : `Quarter rollover applied with ${failed.length} failure(s) - see failedStep and note on each failed result`,
+            summary,
+            results,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -12,9 +12,406 @@ import {
   validateStateId,
   validateMeasurableValue,
   calculateStartDateForDataField,
+  parseTargetNumber,
+  meetsTarget,
 } from "../utils/helpers.js";
+import { parseToolResponse } from "./commonHelpers.js";
 import { logger } from "../utils/logger.js";
 
+// Formula measurables reference other measurables by ID in braces,
+// e.g. "{<revenue ID>} / {<customers ID>}"
+const FORMULA_REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * Parse a formula into an expression tree
+ * Supports numbers, {measurable} references, + - * /, unary minus and parentheses.
+ * @param {string} formula
+ * @returns {{ok: boolean, ast?: Object, references?: Array<string>, error?: string}}
+ */
+function parseFormula(formula) {
+  const tokens = [];
+  const tokenPattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|\{([^{}]+)\}|([-+*/()]))/y;
+  let position = 0;
+  const text = formula || "";
+  while (position < text.length) {
+    if (/^\s*$/.test(text.slice(position))) break;
+    tokenPattern.lastIndex = position;
+    const match = tokenPattern.exec(text);
+    if (!match) {
+      return {
+        ok: false,
+        error: `Unexpected '${text.slice(position).trim()[0]}' in formula`,
+      };
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: "num", value: Number(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: "ref", id: match[2].trim() });
+    } else {
+      tokens.push({ type: "op", value: match[3] });
+    }
+    position = tokenPattern.lastIndex;
+  }
+  if (tokens.length === 0) return { ok: false, error: "Formula is empty" };
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (token, ops) =>
+    token?.type === "op" && ops.includes(token.value);
+
+  // expression := term (('+'|'-') term)*, term := factor (('*'|'/') factor)*
+  function parseExpression() {
+    let node = parseTerm();
+    while (isOp(peek(), "+-")) {
+      const op = tokens[index++].value;
+      node = { type: "op", op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+  function parseTerm() {
+    let node = parseFactor();
+    while (isOp(peek(), "*/")) {
+      const op = tokens[index++].value;
+      node = { type: "op", op, left: node, right: parseFactor() };
+    }
+    return node;
+  }
+  function parseFactor() {
+    const token = tokens[index++];
+    if (!token) throw new Error("Formula ends unexpectedly");
+    if (token.type === "num" || token.type === "ref") return token;
+    if (isOp(token, "-")) return { type: "neg", arg: parseFactor() };
+    if (isOp(token, "+")) return parseFactor();
+    if (isOp(token, "(")) {
+      const node = parseExpression();
+      if (!isOp(tokens[index++], ")")) {
+        throw new Error("Missing ')' in formula");
+      }
+      return node;
+    }
+    throw new Error(`Unexpected '${token.value}' in formula`);
+  }
+
+  try {
+    const ast = parseExpression();
+    if (index < tokens.length) {
+      throw new Error(`Unexpected '${tokens[index].value}' in formula`);
+    }
+    const references = [
+      ...new Set(
+        tokens.filter((token) => token.type === "ref").map((token) => token.id)
+      ),
+    ];
+    if (references.length === 0) {
+      throw new Error("Formula must reference at least one {measurable}");
+    }
+    return { ok: true, ast, references };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Evaluate a parsed formula
+ * @param {Object} ast - Expression tree from parseFormula
+ * @param {Function} valueOf - Measurable ID → number, or null when it has no value
+ * @returns {number|null} null when a source is missing or a division by zero occurs
+ */
+function evaluateFormula(ast, valueOf) {
+  if (ast.type === "num") return ast.value;
+  if (ast.type === "ref") return valueOf(ast.id);
+  if (ast.type === "neg") {
+    const value = evaluateFormula(ast.arg, valueOf);
+    return value === null ? null : -value;
+  }
+
+  const left = evaluateFormula(ast.left, valueOf);
+  const right = evaluateFormula(ast.right, valueOf);
+  if (left === null || right === null) return null;
+  switch (ast.op) {
+    case "+":
+      return left + right;
+    case "-":
+      return left - right;
+    case "*":
+      return left * right;
+    default:
+      return right === 0 ? null : left / right;
+  }
+}
+
+/**
+ * Check a formula before saving it
+ * References may be measurable IDs or names; they are saved as IDs. Sources must
+ * have the same type (period) as the measurable, and no formula may end up
+ * depending on itself.
+ * @param {Function} db - Database connection
+ * @param {string} companyId
+ * @param {string} formula - Formula as entered
+ * @param {string} dataFieldType - 'WEEKLY', 'MONTHLY', ...
+ * @param {string} [measurableId] - Measurable being updated (omit when creating)
+ * @returns {Promise<{ok: boolean, formula?: string, sources?: Array<Object>, error?: string}>}
+ */
+async function validateFormula(
+  db,
+  companyId,
+  formula,
+  dataFieldType,
+  measurableId
+) {
+  const parsed = parseFormula(formula);
+  if (!parsed.ok) return { ok: false, error: `Error: ${parsed.error}` };
+
+  const fields = await db`
+    SELECT id, name, type, formula
+    FROM data_fields
+    WHERE company_id = ${companyId}
+      AND state_id = 'ACTIVE'
+  `;
+  const fieldsById = Object.fromEntries(
+    fields.map((field) => [field.id, field])
+  );
+
+  const resolved = {};
+  for (const reference of parsed.references) {
+    const matches = fieldsById[reference]
+      ? [fieldsById[reference]]
+      : fields.filter(
+          (field) => field.name.trim().toLowerCase() === reference.toLowerCase()
+        );
+    if (matches.length === 0) {
+      return {
+        ok: false,
+        error: `Error: Formula references unknown measurable {${reference}}`,
+      };
+    }
+    if (matches.length > 1) {
+      return {
+        ok: false,
+        error: `Error: More than one measurable is named "${reference}". Use its ID instead: ${matches
+          .map((field) => `{${field.id}}`)
+          .join(" or ")}`,
+      };
+    }
+    if (matches[0].type !== dataFieldType) {
+      return {
+        ok: false,
+        error: `Error: "${matches[0].name}" is ${matches[0].type.toLowerCase()}, but the formula measurable is ${dataFieldType.toLowerCase()}. Sources must have the same type.`,
+      };
+    }
+    resolved[reference] = matches[0];
+  }
+
+  const normalized = formula.replace(
+    FORMULA_REFERENCE_PATTERN,
+    (match, reference) => `{${resolved[reference.trim()].id}}`
+  );
+
+  // Walk the sources' own formulas; reaching the measurable again is a cycle
+  const sourceIdsOf = (field) =>
+    field.formula ? parseFormula(field.formula).references || [] : [];
+  const visit = (id, path) => {
+    if (measurableId && id === measurableId) return path;
+    if (path.includes(id)) return null;
+    const field = fieldsById[id];
+    if (!field) return null;
+    for (const sourceId of sourceIdsOf(field)) {
+      const cycle = visit(sourceId, [...path, id]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+  for (const source of Object.values(resolved)) {
+    const cycle = visit(source.id, []);
+    if (cycle) {
+      const names = [measurableId, ...cycle, measurableId].map(
+        (id) => fieldsById[id]?.name || id
+      );
+      return {
+        ok: false,
+        error: `Error: Circular reference: ${names.join(" → ")}`,
+      };
+    }
+  }
+
+  return {
+    ok: true,
+    formula: normalized,
+    sources: Object.values(resolved).map((field) => ({
+      id: field.id,
+      name: field.name,
+    })),
+  };
+}
+
+/**
+ * Evaluate formula measurables for every period that has values
+ * Source measurables that weren't loaded yet (e.g. filtered out) are fetched.
+ * Their values are limited to the date range; without a full range they are
+ * capped at 1000 rows and results carry a warning when the cap is hit.
+ * @param {Array<Object>} fields - Loaded data fields
+ * @param {Object} valuesByField - Data field ID → data values; extended in place
+ * @param {Object} dateRange - {startDate, endDate} used for the data values
+ * @returns {Promise<Object>} Data field ID → {evaluatedValues, sources, error, warning}
+ */
+async function evaluateFormulaFields(fields, valuesByField, dateRange) {
+  const valueCap = 1000;
+  const boundedRange = Boolean(dateRange.startDate && dateRange.endDate);
+  let truncated = false;
+
+  const fieldsById = Object.fromEntries(
+    fields.map((field) => [field.id, field])
+  );
+
+  // Load source measurables (and their sources) that aren't in the result
+  let missingIds = fields
+    .filter((field) => field.formula)
+    .flatMap((field) => parseFormula(field.formula).references || [])
+    .filter((id) => !fieldsById[id]);
+  while (missingIds.length > 0) {
+    const idList = [...new Set(missingIds)].map((id) => `"${id}"`).join(", ");
+    const dateFilters = [];
+    if (dateRange.startDate) {
+      dateFilters.push(`greaterThanOrEqualTo: "${dateRange.startDate}"`);
+    }
+    if (dateRange.endDate) {
+      dateFilters.push(`lessThanOrEqualTo: "${dateRange.endDate}"`);
+    }
+    const result = await callSuccessCoGraphQL(`
+      query {
+        dataFields(filter: {id: {in: [${idList}]}, stateId: {equalTo: "ACTIVE"}}) {
+          nodes {
+            id
+            name
+            formula
+          }
+        }
+        dataValues(${
+          boundedRange ? "" : `first: ${valueCap}, `
+        }filter: {dataFieldId: {in: [${idList}]}, stateId: {equalTo: "ACTIVE"}${
+          dateFilters.length > 0 ? `, startDate: {${dateFilters.join(", ")}}` : ""
+        }}, orderBy: START_DATE_DESC) {
+          nodes {
+            dataFieldId
+            startDate
+            value
+          }
+          totalCount
+        }
+      }
+    `);
+    if (!result.ok) {
+      logger.error(`[SCORECARD] Error fetching formula sources`, {
+        error: result.error,
+      });
+      break;
+    }
+
+    const sources = result.data.data.dataFields.nodes;
+    sources.forEach((field) => {
+      fieldsById[field.id] = field;
+      if (!valuesByField[field.id]) valuesByField[field.id] = [];
+    });
+    const { nodes: sourceValues, totalCount } = result.data.data.dataValues;
+    if (totalCount > sourceValues.length) truncated = true;
+    sourceValues.forEach((value) => {
+      valuesByField[value.dataFieldId].push(value);
+    });
+    missingIds = sources
+      .filter((field) => field.formula)
+      .flatMap((field) => parseFormula(field.formula).references || [])
+      .filter((id) => !fieldsById[id]);
+    if (sources.length === 0) break;
+  }
+
+  const parsedById = {};
+  const parsedFormula = (id) => {
+    if (!parsedById[id]) parsedById[id] = parseFormula(fieldsById[id].formula);
+    return parsedById[id];
+  };
+
+  // Stored value of a measurable in a period, or its evaluated formula
+  const cache = {};
+  const valueAt = (id, startDate, visiting) => {
+    const key = `${id}:${startDate}`;
+    if (key in cache) return cache[key];
+    const field = fieldsById[id];
+    let value = null;
+    if (field?.formula && !visiting.has(id)) {
+      const parsed = parsedFormula(id);
+      if (parsed.ok) {
+        const nextVisiting = new Set(visiting).add(id);
+        value = evaluateFormula(parsed.ast, (sourceId) =>
+          valueAt(sourceId, startDate, nextVisiting)
+        );
+      }
+    } else if (field) {
+      const stored = (valuesByField[id] || []).find(
+        (dataValue) => dataValue.startDate === startDate
+      );
+      const number = stored ? Number(stored.value) : NaN;
+      value = Number.isFinite(number) ? number : null;
+    }
+    cache[key] = value;
+    return value;
+  };
+
+  // All source periods a formula can be evaluated for
+  const periodsOf = (id, visiting = new Set()) => {
+    const field = fieldsById[id];
+    if (!field) return [];
+    if (!field.formula) {
+      return (valuesByField[id] || []).map((dataValue) => dataValue.startDate);
+    }
+    if (visiting.has(id)) return [];
+    const parsed = parsedFormula(id);
+    if (!parsed.ok) return [];
+    return parsed.references.flatMap((sourceId) =>
+      periodsOf(sourceId, new Set(visiting).add(id))
+    );
+  };
+
+  const results = {};
+  fields
+    .filter((field) => field.formula)
+    .forEach((field) => {
+      const parsed = parsedFormula(field.id);
+      if (!parsed.ok) {
+        results[field.id] = { error: parsed.error, evaluatedValues: [] };
+        return;
+      }
+      const unknown = parsed.references.filter((id) => !fieldsById[id]);
+      const evaluatedValues = [...new Set(periodsOf(field.id))]
+        .sort((a, b) => new Date(b) - new Date(a))
+        .map((startDate) => {
+          const value = valueAt(field.id, startDate, new Set());
+          if (value === null) return null;
+          return {
+            startDate,
+            value: field.autoRoundDecimals
+              ? Math.round(value)
+              : Number(value.toPrecision(12)),
+          };
+        })
+        .filter(Boolean);
+
+      results[field.id] = {
+        sources: parsed.references.map((id) => ({
+          id,
+          name: fieldsById[id]?.name || null,
+        })),
+        evaluatedValues,
+        ...(unknown.length > 0 && {
+          error: `Formula references missing measurable(s): ${unknown.join(", ")}`,
+        }),
+        ...(truncated && {
+          warning: `Only the latest ${valueCap} source values were loaded, so older periods may be missing. Pass startDate and endDate to evaluate a specific range.`,
+        }),
+      };
+    });
+  return results;
+}
+
 /**
  * Get scorecard measurables (KPIs) with their data values
  * @param {Object} args - Arguments object
@@ -355,6 +752,13 @@ export async function getScorecardMeasurables(args) {
       valuesByField[value.dataFieldId].push(value);
     });
 
+    // Evaluate formula measurables from their source measurables
+    const formulaResults = await evaluateFormulaFields(
+      filteredDataFields,
+      valuesByField,
+      { startDate: calculatedStartDate, endDate: calculatedEndDate }
+    );
+
     // Helper function to sort values by date (most recent first)
     function sortValuesByDate(values) {
       return values.sort(
@@ -381,11 +785,21 @@ export async function getScorecardMeasurables(args) {
       };
       const fieldTimeframe = fieldTypeMapping[field.type] || "weeks";
 
+      const formulaResult = formulaResults[field.id];
+
       return {
         ...fieldWithoutStatusId,
         status: dataFieldStatusId,
         values: sortedValues,
         timeframe: fieldTimeframe,
+        ...(formulaResult && {
+          formulaSources: formulaResult.sources,
+          evaluatedValues: formulaResult.evaluatedValues,
+          ...(formulaResult.error && { formulaError: formulaResult.error }),
+          ...(formulaResult.warning && {
+            formulaWarning: formulaResult.warning,
+          }),
+        }),
       };
     });
 
@@ -941,6 +1355,382 @@ export async function updateScorecardMeasurableEntry(args) {
   }
 }
 
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with commas, doubled quotes and line breaks.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Turn a CSV or JSON scorecard grid into a flat list of cells
+ * Accepted shapes:
+ * - CSV: header "Measurable,<date>,<date>,...", then one row per measurable
+ * - JSON object: {"<measurable>": {"<date>": value, ...}, ...}
+ * - JSON array: [{measurable, startDate, value, note?}, ...]
+ * @param {string} data
+ * @returns {{ok: boolean, cells?: Array<Object>, error?: string}}
+ */
+function parseScorecardGrid(data) {
+  const text = (data || "").trim();
+  if (!text) return { ok: false, error: "Error: data is required" };
+
+  if (text.startsWith("{") || text.startsWith("[")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { ok: false, error: `Error: Invalid JSON. ${error.message}` };
+    }
+
+    if (Array.isArray(parsed)) {
+      return {
+        ok: true,
+        cells: parsed.map((entry, index) => ({
+          cell: `#${index + 1}`,
+          measurable: String(entry?.measurable ?? entry?.dataFieldId ?? ""),
+          date: String(entry?.startDate ?? entry?.date ?? ""),
+          value: entry?.value,
+          note: entry?.note,
+        })),
+      };
+    }
+
+    return {
+      ok: true,
+      cells: Object.entries(parsed).flatMap(([measurable, values]) =>
+        Object.entries(values || {}).map(([date, value]) => ({
+          cell: `${measurable} / ${date}`,
+          measurable,
+          date,
+          value,
+        }))
+      ),
+    };
+  }
+
+  const rows = parseCsv(text);
+  if (rows.length < 2 || rows[0].length < 2) {
+    return {
+      ok: false,
+      error:
+        "Error: CSV needs a header row 'Measurable,<date>,<date>,...' and one row per measurable",
+    };
+  }
+  const dates = rows[0].slice(1).map((date) => date.trim());
+  const cells = [];
+  rows.slice(1).forEach((row, rowIndex) => {
+    const measurable = (row[0] || "").trim();
+    dates.forEach((date, dateIndex) => {
+      const value = (row[dateIndex + 1] || "").trim();
+      // Empty cells mean "no entry", not "clear the value"
+      if (value === "") return;
+      cells.push({
+        cell: `row ${rowIndex + 2}, column ${dateIndex + 2}`,
+        measurable,
+        date,
+        value,
+      });
+    });
+  });
+  return { ok: true, cells };
+}
+
+/**
+ * Create or update many scorecard entries at once from a CSV or JSON grid
+ * Every cell is validated first; valid cells are then saved in one transaction.
+ * @param {Object} args - Arguments object
+ * @param {string} args.data - CSV grid (measurable name or ID × period dates) or JSON
+ * @param {boolean} [args.overwrite=true] - Update entries that already exist for a period
+ * @param {boolean} [args.dryRun=false] - Only report what would happen
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function bulkUpsertScorecardEntries(args = {}) {
+  const { data, overwrite = true, dryRun = false } = args;
+
+  const isDevMode = getIsDevMode();
+
+  const grid = parseScorecardGrid(data);
+  if (!grid.ok) {
+    return { content: [{ type: "text", text: grid.error }] };
+  }
+  if (grid.cells.length === 0) {
+    return {
+      content: [{ type: "text", text: "Error: data contains no values" }],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+  const { companyId } = context;
+
+  const db = getDatabase();
+  if (!db) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Database connection is required for creating measurable entries",
+        },
+      ],
+    };
+  }
+
+  try {
+    const fields = await db`
+      SELECT id, name, type, unit_type, formula
+      FROM data_fields
+      WHERE company_id = ${companyId}
+        AND state_id = 'ACTIVE'
+    `;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Validate every cell before touching the database
+    const report = [];
+    const claimed = {};
+    for (const cell of grid.cells) {
+      const entry = {
+        cell: cell.cell,
+        measurable: cell.measurable,
+        date: cell.date,
+        value: cell.value,
+      };
+      const reject = (reason) =>
+        report.push({ ...entry, status: "rejected", reason });
+
+      const matches = fields.filter(
+        (field) =>
+          field.id === cell.measurable ||
+          field.name.trim().toLowerCase() ===
+            cell.measurable.trim().toLowerCase()
+      );
+      if (matches.length === 0) {
+        reject(`No measurable named or with ID '${cell.measurable}'`);
+        continue;
+      }
+      if (matches.length > 1) {
+        reject(
+          `More than one measurable is named '${cell.measurable}'; use its ID`
+        );
+        continue;
+      }
+      const field = matches[0];
+      entry.measurableId = field.id;
+      entry.measurable = field.name;
+
+      if (field.formula) {
+        reject("Formula measurables are calculated and can't be entered");
+        continue;
+      }
+
+      const validation = validateMeasurableValue(cell.value, field.unit_type);
+      if (!validation.isValid) {
+        reject(validation.error);
+        continue;
+      }
+
+      if (!cell.date || isNaN(new Date(cell.date).getTime())) {
+        reject(`Invalid date '${cell.date}'`);
+        continue;
+      }
+      let startDate;
+      try {
+        startDate = await calculateStartDateForDataField(
+          field.type,
+          cell.date,
+          companyId,
+          db,
+          isDevMode
+        );
+      } catch (error) {
+        reject(`Error calculating start date: ${error.message}`);
+        continue;
+      }
+      entry.startDate = startDate;
+      if (new Date(startDate) > today) {
+        reject(`Period ${startDate} is in the future`);
+        continue;
+      }
+
+      const key = `${field.id}:${startDate}`;
+      if (claimed[key]) {
+        reject(`Same period as ${claimed[key]}`);
+        continue;
+      }
+      claimed[key] = cell.cell;
+
+      report.push({
+        ...entry,
+        value: String(cell.value).trim(),
+        note: cell.note,
+        status: "valid",
+      });
+    }
+
+    const valid = report.filter((entry) => entry.status === "valid");
+    const existing = valid.length
+      ? await db`
+          SELECT id, data_field_id, start_date::text AS start_date, value
+          FROM data_values
+          WHERE company_id = ${companyId}
+            AND data_field_id IN ${db([
+              ...new Set(valid.map((entry) => entry.measurableId)),
+            ])}
+            AND start_date IN ${db([
+              ...new Set(valid.map((entry) => entry.startDate)),
+            ])}
+            AND state_id = 'ACTIVE'
+        `
+      : [];
+    const existingByKey = Object.fromEntries(
+      existing.map((row) => [`${row.data_field_id}:${row.start_date}`, row])
+    );
+
+    valid.forEach((entry) => {
+      const current = existingByKey[`${entry.measurableId}:${entry.startDate}`];
+      if (!current) {
+        entry.status = "created";
+      } else if (current.value === entry.value) {
+        entry.status = "unchanged";
+      } else if (overwrite) {
+        entry.status = "updated";
+        entry.previousValue = current.value;
+      } else {
+        entry.status = "rejected";
+        entry.reason = `An entry already exists (${current.value}); use overwrite=true to replace it`;
+      }
+      entry.existingId = current?.id;
+    });
+
+    // All writes succeed together or not at all
+    if (!dryRun) {
+      await db.begin(async (sql) => {
+        for (const entry of valid) {
+          if (entry.status === "created") {
+            await sql`
+              INSERT INTO data_values (
+                data_field_id,
+                start_date,
+                value,
+                company_id,
+                state_id,
+                note
+              ) VALUES (
+                ${entry.measurableId},
+                ${entry.startDate},
+                ${entry.value},
+                ${companyId},
+                'ACTIVE',
+                ${entry.note || ""}
+              )
+            `;
+          } else if (entry.status === "updated") {
+            const patch = { value: entry.value };
+            if (entry.note !== undefined) patch.note = entry.note;
+            await sql`
+              UPDATE data_values
+              SET ${sql(patch)}
+              WHERE id = ${entry.existingId}
+                AND company_id = ${companyId}
+            `;
+          }
+        }
+      });
+    }
+
+    const cells = report.map(({ existingId, note, ...entry }) => entry);
+    const count = (status) =>
+      cells.filter((entry) => entry.status === status).length;
+    const summary = {
+      created: count("created"),
+      updated: count("updated"),
+      unchanged: count("unchanged"),
+      rejected: count("rejected"),
+    };
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: dryRun
+                ? `Dry run: ${summary.created} entries would be created, ${summary.updated} updated and ${summary.rejected} rejected. Nothing was saved.`
+                : `Saved scorecard entries: ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.rejected} rejected`,
+              dryRun,
+              summary,
+              cells,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error saving scorecard entries:", error);
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error saving scorecard entries: ${error.message}. No entries were saved.`,
+        },
+      ],
+    };
+  }
+}
+
 /**
  * Create a new scorecard measurable (data field)
  * @param {Object} args - Arguments object
@@ -956,6 +1746,7 @@ export async function updateScorecardMeasurableEntry(args) {
  * @param {boolean} [args.showTotal] - Show total in reports (default: true)
  * @param {boolean} [args.autoFormat] - Auto format values (default: false)
  * @param {boolean} [args.autoRoundDecimals] - Auto round decimals (default: false)
+ * @param {string} [args.formula] - Calculate values from other measurables, e.g. "{Revenue} / {Customers}" (IDs or names in braces)
  * @param {string} [args.userId] - User ID (owner) (defaults to authenticated user)
  * @param {string} [args.teamId] - Team ID to associate with (comma-separated for multiple teams)
  * @param {boolean} [args.leadershipTeam] - If true, associate with leadership team
@@ -975,6 +1766,7 @@ export async function createScorecardMeasurable(args) {
     showTotal = true,
     autoFormat = false,
     autoRoundDecimals = false,
+    formula,
     userId: providedUserId,
     teamId: providedTeamId,
     leadershipTeam = false,
@@ -1069,6 +1861,20 @@ export async function createScorecardMeasurable(args) {
       };
     }
 
+    // Validate the formula and store its references as IDs
+    let formulaCheck = null;
+    if (formula && formula.trim()) {
+      formulaCheck = await validateFormula(
+        db,
+        companyId,
+        formula,
+        dataFieldType
+      );
+      if (!formulaCheck.ok) {
+        return { content: [{ type: "text", text: formulaCheck.error }] };
+      }
+    }
+
     // Resolve teamId if leadershipTeam is true
     let teamId = providedTeamId;
     if (leadershipTeam && !providedTeamId) {
@@ -1105,6 +1911,7 @@ export async function createScorecardMeasurable(args) {
         show_total,
         auto_format,
         auto_round_decimals,
+        formula,
         user_id,
         company_id,
         state_id,
@@ -1122,6 +1929,7 @@ export async function createScorecardMeasurable(args) {
         ${showTotal},
         ${autoFormat},
         ${autoRoundDecimals},
+        ${formulaCheck ? formulaCheck.formula : null},
         ${userId},
         ${companyId},
         'ACTIVE',
@@ -1129,7 +1937,7 @@ export async function createScorecardMeasurable(args) {
       )
       RETURNING id, name, "desc", type, unit_type, unit_comparison, goal_target, 
                 goal_target_end, goal_currency, show_average, show_total, 
-                auto_format, auto_round_decimals, user_id, created_at
+                auto_format, auto_round_decimals, formula, user_id, created_at
     `;
 
     const createdMeasurable = insertResult[0];
@@ -1191,6 +1999,8 @@ export async function createScorecardMeasurable(args) {
         showTotal: createdMeasurable.show_total,
         autoFormat: createdMeasurable.auto_format,
         autoRoundDecimals: createdMeasurable.auto_round_decimals,
+        formula: createdMeasurable.formula,
+        ...(formulaCheck && { formulaSources: formulaCheck.sources }),
         userId: createdMeasurable.user_id,
         createdAt: createdMeasurable.created_at,
         teamIds: teamAssociations,
@@ -1234,6 +2044,7 @@ export async function createScorecardMeasurable(args) {
  * @param {boolean} [args.showTotal] - Show total in reports
  * @param {boolean} [args.autoFormat] - Auto format values
  * @param {boolean} [args.autoRoundDecimals] - Auto round decimals
+ * @param {string} [args.formula] - Formula from other measurables (IDs or names in braces); empty string removes it
  * @param {string} [args.status] - Status: 'ACTIVE' or 'ARCHIVED'
  * @returns {Promise<{content: Array<{type: string, text: string}>}>}
  */
@@ -1252,6 +2063,7 @@ export async function updateScorecardMeasurable(args) {
     showTotal,
     autoFormat,
     autoRoundDecimals,
+    formula,
     status,
   } = args;
 
@@ -1302,7 +2114,7 @@ export async function updateScorecardMeasurable(args) {
     const existingResult = await db`
       SELECT id, name, "desc", type, unit_type, unit_comparison, goal_target,
              goal_target_end, goal_currency, show_average, show_total,
-             auto_format, auto_round_decimals, data_field_status_id
+             auto_format, auto_round_decimals, formula, data_field_status_id
       FROM data_fields
       WHERE id = ${measurableId}
         AND company_id = ${companyId}
@@ -1391,6 +2203,30 @@ export async function updateScorecardMeasurable(args) {
     if (showTotal !== undefined) updates.show_total = showTotal;
     if (autoFormat !== undefined) updates.auto_format = autoFormat;
     if (autoRoundDecimals !== undefined) updates.auto_round_decimals = autoRoundDecimals;
+
+    // Validate the formula against the (possibly new) type and check for cycles
+    let formulaCheck = null;
+    const newFormula =
+      formula !== undefined ? formula : updates.type ? existing.formula : undefined;
+    if (newFormula !== undefined && newFormula !== null) {
+      if (newFormula.trim()) {
+        formulaCheck = await validateFormula(
+          db,
+          companyId,
+          newFormula,
+          updates.type || existing.type,
+          measurableId
+        );
+        if (!formulaCheck.ok) {
+          return { content: [{ type: "text", text: formulaCheck.error }] };
+        }
+        if (formulaCheck.formula !== existing.formula) {
+          updates.formula = formulaCheck.formula;
+        }
+      } else if (existing.formula) {
+        updates.formula = null;
+      }
+    }
     
     if (status !== undefined) {
       const validStatuses = ["ACTIVE", "ARCHIVED"];
@@ -1433,7 +2269,8 @@ export async function updateScorecardMeasurable(args) {
         AND state_id = 'ACTIVE'
       RETURNING id, name, "desc", type, unit_type, unit_comparison, goal_target,
                 goal_target_end, goal_currency, show_average, show_total,
-                auto_format, auto_round_decimals, data_field_status_id, updated_at
+                auto_format, auto_round_decimals, formula, data_field_status_id,
+                updated_at
     `;
 
     if (updateResult.length === 0) {
@@ -1471,6 +2308,8 @@ export async function updateScorecardMeasurable(args) {
         showTotal: updated.show_total,
         autoFormat: updated.auto_format,
         autoRoundDecimals: updated.auto_round_decimals,
+        formula: updated.formula,
+        ...(formulaCheck && { formulaSources: formulaCheck.sources }),
         status: updated.data_field_status_id,
         updatedAt: updated.updated_at,
       },
@@ -1655,3 +2494,602 @@ export async function deleteScorecardMeasurable(args) {
     };
   }
 }
+
+// data_fields.type → name of one period, for trend summaries
+const PERIOD_NAMES = {
+  WEEKLY: "week",
+  MONTHLY: "month",
+  QUARTERLY: "quarter",
+  ANNUALLY: "year",
+};
+
+// Modified z-score above which a value is an anomaly (Iglewicz & Hoaglin)
+const DEFAULT_ANOMALY_THRESHOLD = 3.5;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} numbers
+ * @returns {number}
+ */
+function median(numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Least-squares slope of a series, in value units per period
+ * @param {Array<number>} values - Oldest first
+ * @returns {number}
+ */
+function linearSlope(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, x) => {
+    numerator += (x - meanX) * (value - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Find values far from the rest using the modified z-score (median and MAD)
+ * @param {Array<{startDate: string, value: number}>} points
+ * @param {number} threshold - Modified z-score threshold
+ * @returns {Array<{startDate: string, value: number, score: number, direction: string}>}
+ */
+function findAnomalies(points, threshold) {
+  if (points.length < 5) return [];
+
+  const values = points.map((point) => point.value);
+  const center = median(values);
+  const mad = median(values.map((value) => Math.abs(value - center)));
+  // With MAD 0 (mostly identical values) fall back to the mean absolute deviation
+  const meanDeviation =
+    values.reduce((sum, value) => sum + Math.abs(value - center), 0) /
+    values.length;
+  const scale = mad > 0 ? mad / 0.6745 : meanDeviation * 1.253314;
+  if (scale === 0) return [];
+
+  return points
+    .map((point) => ({
+      startDate: point.startDate,
+      value: point.value,
+      score: Math.round(((point.value - center) / scale) * 100) / 100,
+    }))
+    .filter((point) => Math.abs(point.score) >= threshold)
+    .map((point) => ({
+      ...point,
+      direction: point.score > 0 ? "high" : "low",
+    }));
+}
+
+/**
+ * Round to 2 decimals, or to 4 significant digits for small numbers
+ * @param {number} value
+ * @returns {number}
+ */
+function roundStat(value) {
+  return Math.abs(value) >= 1
+    ? Math.round(value * 100) / 100
+    : Number(value.toPrecision(4));
+}
+
+/**
+ * Analyze the trend of one measurable
+ * @param {Object} measurable - Entry of getScorecardMeasurables' scorecardMeasurables
+ * @param {number} window - Periods in the rolling average
+ * @param {number} anomalyThreshold - Modified z-score threshold
+ * @returns {Object}
+ */
+function analyzeMeasurableTrend(measurable, window, anomalyThreshold) {
+  const periodName = PERIOD_NAMES[measurable.type] || "period";
+  const stored = measurable.values || [];
+  // Formula measurables are analyzed on their evaluated values
+  const source =
+    stored.length === 0 && measurable.evaluatedValues
+      ? measurable.evaluatedValues
+      : stored;
+
+  const points = source
+    .map((dataValue) => ({
+      startDate: dataValue.startDate,
+      value: parseTargetNumber(dataValue.value),
+      target: parseTargetNumber(
+        dataValue.customGoalTarget || measurable.goalTarget
+      ),
+    }))
+    .filter((point) => point.value !== null)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+  const result = {
+    id: measurable.id,
+    name: measurable.name,
+    userId: measurable.userId,
+    type: measurable.type,
+    unitType: measurable.unitType,
+    goalTarget: measurable.goalTarget,
+    unitComparison: measurable.unitComparison,
+    periodsWithData: points.length,
+  };
+  if (points.length === 0) {
+    return { ...result, summary: `${measurable.name} has no values yet` };
+  }
+
+  const comparison = measurable.unitComparison || ">=";
+  const isOnTrack = (point) =>
+    point.target === null
+      ? null
+      : meetsTarget(point.value, point.target, comparison);
+
+  // Consecutive periods off-track, counting back from the latest
+  let offTrackRun = 0;
+  while (
+    offTrackRun < points.length &&
+    isOnTrack(points[points.length - 1 - offTrackRun]) === false
+  ) {
+    offTrackRun++;
+  }
+
+  const values = points.map((point) => point.value);
+  const average = (list) =>
+    list.reduce((sum, value) => sum + value, 0) / list.length;
+  const recent = values.slice(-window);
+  const previous = values.slice(-2 * window, -window);
+  const mean = average(values);
+
+  const slope = points.length >= 3 ? linearSlope(values) : 0;
+  // Changes under 1% of the average per period count as flat
+  const direction =
+    Math.abs(slope) <= Math.abs(mean) * 0.01
+      ? "flat"
+      : slope > 0
+      ? "up"
+      : "down";
+  const lowerIsBetter = comparison === "<=" || comparison === "<";
+  const trend =
+    direction === "flat" || comparison === "="
+      ? "stable"
+      : (direction === "up") !== lowerIsBetter
+      ? "improving"
+      : "declining";
+
+  const latest = points[points.length - 1];
+  const anomalies = findAnomalies(points, anomalyThreshold);
+
+  const parts = [];
+  if (offTrackRun > 0) {
+    parts.push(
+      `has been off-track for ${offTrackRun} ${periodName}${
+        offTrackRun === 1 ? "" : "s"
+      }`
+    );
+  } else if (isOnTrack(latest)) {
+    parts.push("is on track");
+  }
+  parts.push(
+    direction === "flat" ? "is holding steady" : `is trending ${direction}`
+  );
+  let summary = `${measurable.name} ${parts.join(" and ")}`;
+  if (anomalies.length > 0) {
+    summary += ` (${anomalies.length} unusual ${periodName}${
+      anomalies.length === 1 ? "" : "s"
+    })`;
+  }
+
+  return {
+    ...result,
+    latest: {
+      startDate: latest.startDate,
+      value: latest.value,
+      target: latest.target,
+      onTrack: isOnTrack(latest),
+    },
+    offTrackRun,
+    rollingAverage: {
+      window: recent.length,
+      value: roundStat(average(recent)),
+      ...(previous.length > 0 && {
+        previousValue: roundStat(average(previous)),
+      }),
+    },
+    slope: roundStat(slope),
+    slopeUnit: `per ${periodName}`,
+    direction,
+    trend,
+    anomalies,
+    summary,
+  };
+}
+
+/**
+ * Analyze scorecard trends: off-track runs, rolling averages, slopes and anomalies
+ * Built on getScorecardMeasurables, so it takes the same filters.
+ * @param {Object} args - Arguments object
+ * @param {string} [args.teamId] - Filter by team ID
+ * @param {boolean} [args.leadershipTeam] - If true, use the leadership team
+ * @param {string} [args.userId] - Filter by measurable owner
+ * @param {string} [args.dataFieldId] - Analyze one measurable
+ * @param {string} [args.keyword] - Filter by measurable name
+ * @param {string} [args.type] - 'weekly' (default), 'monthly', 'quarterly' or 'annually'
+ * @param {number} [args.periods] - Number of periods to analyze (default: 13)
+ * @param {number} [args.window] - Periods in the rolling average (default: 4)
+ * @param {number} [args.anomalyThreshold] - Modified z-score that counts as an anomaly (default: 3.5)
+ * @param {boolean} [args.onlyFlagged] - Only return measurables that are off-track, declining or have anomalies
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function analyzeScorecardTrends(args = {}) {
+  const {
+    teamId,
+    leadershipTeam = false,
+    userId,
+    dataFieldId,
+    keyword,
+    type = "weekly",
+    periods = 13,
+    window = 4,
+    anomalyThreshold = DEFAULT_ANOMALY_THRESHOLD,
+    onlyFlagged = false,
+  } = args;
+
+  if (!Number.isInteger(window) || window < 1) {
+    return {
+      content: [
+        { type: "text", text: "Error: window must be a positive whole number" },
+      ],
+    };
+  }
+
+  let scorecard;
+  try {
+    scorecard = parseToolResponse(
+      await getScorecardMeasurables({
+        teamId,
+        leadershipTeam,
+        userId,
+        dataFieldId,
+        keyword,
+        type,
+        periods,
+      })
+    );
+  } catch (error) {
+    return { content: [{ type: "text", text: error.message }] };
+  }
+
+  let measurables = (scorecard.scorecardMeasurables || []).map((measurable) =>
+    analyzeMeasurableTrend(measurable, window, anomalyThreshold)
+  );
+  if (onlyFlagged) {
+    measurables = measurables.filter(
+      (measurable) =>
+        measurable.offTrackRun > 0 ||
+        measurable.trend === "declining" ||
+        measurable.anomalies?.length > 0
+    );
+  }
+
+  // Longest off-track runs first, then declining measurables
+  measurables.sort(
+    (a, b) =>
+      (b.offTrackRun || 0) - (a.offTrackRun || 0) ||
+      (b.trend === "declining") - (a.trend === "declining")
+  );
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            type,
+            periods,
+            summary: {
+              measurableCount: measurables.length,
+              offTrackCount: measurables.filter((m) => m.offTrackRun > 0)
+                .length,
+              decliningCount: measurables.filter(
+                (m) => m.trend === "declining"
+              ).length,
+              anomalyCount: measurables.reduce(
+                (sum, m) => sum + (m.anomalies?.length || 0),
+                0
+              ),
+            },
+            measurables,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+// Export formats: file extension and MIME type of the embedded resource
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", mimeType: "text/csv" },
+  // SpreadsheetML 2003 - opens in Excel, Numbers and LibreOffice with colours
+  spreadsheetml: { extension: "xml", mimeType: "application/vnd.ms-excel" },
+};
+
+/**
+ * Build the export grid: one row per measurable, one column per period
+ * @param {Array<Object>} measurables - getScorecardMeasurables' scorecardMeasurables
+ * @param {Object} usersById - User ID → user with firstName/lastName
+ * @returns {{headers: Array<string>, rows: Array<Array<Object>>, periods: Array<string>}}
+ *   Cells are {value, number?, status?} where status is 'onTrack' or 'offTrack'
+ */
+function buildScorecardGrid(measurables, usersById) {
+  const valuesOf = (measurable) =>
+    (measurable.values || []).length === 0 && measurable.evaluatedValues
+      ? measurable.evaluatedValues
+      : measurable.values || [];
+
+  const periods = [
+    ...new Set(
+      measurables.flatMap((measurable) =>
+        valuesOf(measurable).map((dataValue) => dataValue.startDate)
+      )
+    ),
+  ].sort();
+
+  const rows = measurables.map((measurable) => {
+    const owner = usersById[measurable.userId];
+    const comparison = measurable.unitComparison || ">=";
+    const byPeriod = Object.fromEntries(
+      valuesOf(measurable).map((dataValue) => [dataValue.startDate, dataValue])
+    );
+
+    const offTrackPeriods = [];
+    let onTrackCount = 0;
+    const periodCells = periods.map((period) => {
+      const dataValue = byPeriod[period];
+      if (!dataValue) return { value: "" };
+
+      const number = parseTargetNumber(dataValue.value);
+      const target = parseTargetNumber(
+        dataValue.customGoalTarget || measurable.goalTarget
+      );
+      let status;
+      if (number !== null && target !== null) {
+        status = meetsTarget(number, target, comparison)
+          ? "onTrack"
+          : "offTrack";
+        if (status === "onTrack") onTrackCount++;
+        else offTrackPeriods.push(period);
+      }
+      return { value: String(dataValue.value), number, status };
+    });
+
+    return [
+      { value: measurable.name },
+      { value: owner ? `${owner.firstName} ${owner.lastName}` : "" },
+      {
+        value:
+          measurable.goalTarget !== null && measurable.goalTarget !== ""
+            ? `${comparison} ${measurable.goalTarget}`
+            : "",
+      },
+      ...periodCells,
+      { value: `${onTrackCount}/${onTrackCount + offTrackPeriods.length}` },
+      { value: offTrackPeriods.join("; ") },
+    ];
+  });
+
+  return {
+    headers: [
+      "Measurable",
+      "Owner",
+      "Goal",
+      ...periods,
+      "On Track",
+      "Off-Track Periods",
+    ],
+    rows,
+    periods,
+  };
+}
+
+/**
+ * Render the export grid as CSV
+ * Text starting with =, +, - or @ gets a leading ' so spreadsheet apps don't
+ * run it as a formula; plain negative numbers are left as they are.
+ * @param {{headers: Array<string>, rows: Array<Array<Object>>}} grid
+ * @returns {string}
+ */
+function renderScorecardCsv(grid) {
+  const escapeCell = (text) => {
+    const value =
+      /^[=+\-@]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)
+        ? `'${text}`
+        : text;
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  };
+  return [
+    grid.headers.map(escapeCell).join(","),
+    ...grid.rows.map((row) =>
+      row.map((cell) => escapeCell(cell.value)).join(",")
+    ),
+  ].join("\r\n");
+}
+
+/**
+ * Render the export grid as a SpreadsheetML 2003 workbook
+ * On-track cells are green and off-track cells red.
+ * @param {{headers: Array<string>, rows: Array<Array<Object>>}} grid
+ * @returns {string}
+ */
+function renderScorecardSpreadsheet(grid) {
+  const escapeXml = (value) =>
+    value
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  const renderCell = (cell, styleId) => {
+    const style = styleId || cell.status;
+    const data =
+      cell.number !== null && cell.number !== undefined
+        ? `<Data ss:Type="Number">${cell.number}</Data>`
+        : `<Data ss:Type="String">${escapeXml(cell.value)}</Data>`;
+    return `<Cell${style ? ` ss:StyleID="${style}"` : ""}>${data}</Cell>`;
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    "  <Styles>",
+    '    <Style ss:ID="header"><Font ss:Bold="1"/></Style>',
+    '    <Style ss:ID="onTrack"><Interior ss:Color="#C6EFCE" ss:Pattern="Solid"/></Style>',
+    '    <Style ss:ID="offTrack"><Interior ss:Color="#FFC7CE" ss:Pattern="Solid"/></Style>',
+    "  </Styles>",
+    '  <Worksheet ss:Name="Scorecard">',
+    "    <Table>",
+    `      <Row>${grid.headers
+      .map((header) => renderCell({ value: header }, "header"))
+      .join("")}</Row>`,
+    ...grid.rows.map(
+      (row) => `      <Row>${row.map((cell) => renderCell(cell)).join("")}</Row>`
+    ),
+    "    </Table>",
+    "  </Worksheet>",
+    "</Workbook>",
+  ].join("\n");
+}
+
+/**
+ * Export the scorecard as a CSV or spreadsheet document
+ * The document is returned as an embedded resource, with one row per
+ * measurable and one column per period.
+ * @param {Object} args - Arguments object
+ * @param {string} [args.format='csv'] - 'csv' or 'spreadsheetml'
+ * @param {string} [args.teamId] - Only measurables of this team
+ * @param {boolean} [args.leadershipTeam] - Only measurables of the leadership team
+ * @param {string} [args.userId] - Only measurables owned by this user
+ * @param {string} [args.dataFieldId] - A single measurable
+ * @param {string} [args.keyword] - Measurable name contains
+ * @param {string} [args.type='weekly'] - 'weekly', 'monthly', 'quarterly' or 'annually'
+ * @param {number} [args.periods=13] - Number of periods when no dates are given
+ * @param {string} [args.startDate] - Periods starting on or after (YYYY-MM-DD)
+ * @param {string} [args.endDate] - Periods starting on or before (YYYY-MM-DD)
+ * @returns {Promise<{content: Array<Object>}>}
+ */
+export async function exportScorecard(args = {}) {
+  const {
+    format = "csv",
+    teamId,
+    leadershipTeam = false,
+    userId,
+    dataFieldId,
+    keyword,
+    type = "weekly",
+    periods = 13,
+    startDate,
+    endDate,
+  } = args;
+
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: format must be 'csv' or 'spreadsheetml'",
+        },
+      ],
+    };
+  }
+
+  let scorecard;
+  try {
+    scorecard = parseToolResponse(
+      await getScorecardMeasurables({
+        teamId,
+        leadershipTeam,
+        userId,
+        dataFieldId,
+        keyword,
+        type,
+        periods,
+        startDate,
+        endDate,
+      })
+    );
+  } catch (error) {
+    return { content: [{ type: "text", text: error.message }] };
+  }
+
+  const measurables = [...(scorecard.scorecardMeasurables || [])].sort(
+    (a, b) => (a.order ?? 0) - (b.order ?? 0)
+  );
+  if (measurables.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: No measurables match these filters - nothing to export",
+        },
+      ],
+    };
+  }
+
+  // Owner names
+  const ownerIds = [
+    ...new Set(measurables.map((measurable) => measurable.userId)),
+  ].filter(Boolean);
+  let usersById = {};
+  if (ownerIds.length > 0) {
+    const usersResult = await callSuccessCoGraphQL(`
+      query {
+        users(filter: {id: {in: [${ownerIds
+          .map((id) => `"${id}"`)
+          .join(", ")}]}}) {
+          nodes {
+            id
+            firstName
+            lastName
+          }
+        }
+      }
+    `);
+    if (!usersResult.ok) {
+      return { content: [{ type: "text", text: usersResult.error }] };
+    }
+    usersById = Object.fromEntries(
+      usersResult.data.data.users.nodes.map((user) => [user.id, user])
+    );
+  }
+
+  const grid = buildScorecardGrid(measurables, usersById);
+  const document =
+    format === "csv"
+      ? renderScorecardCsv(grid)
+      : renderScorecardSpreadsheet(grid);
+  const fileName = `scorecard-${type}-${
+    new Date().toISOString().split("T")[0]
+  }.${exportFormat.extension}`;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Exported ${measurables.length} measurables over ${grid.periods.length} periods as ${fileName}`,
+      },
+      {
+        type: "resource",
+        resource: {
+          uri: `scorecard://export/${fileName}`,
+          mimeType: exportFormat.mimeType,
+          text: document,
+        },
+      },
+    ],
+  };
+}
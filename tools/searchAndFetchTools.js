@@ -1,7 +1,10 @@
 // Search and Fetch Tools
 // Tools for searching across Success.co entities and fetching specific items
 
-import { callSuccessCoGraphQL, getGraphQLEndpoint } from "./core.js";
+import { callSuccessCoGraphQL } from "./core.js";
+import { loadRelatedItems } from "./relatedItemsTools.js";
+import { loadItemTags } from "./tagsTools.js";
+import { loadAttachments } from "./attachmentsTools.js";
 
 /**
  * Search across Success.co entities
@@ -656,23 +659,27 @@ export async function fetch(args) {
 
   // Helper function to make GraphQL requests
   const makeGraphQLRequest = async (query, variables = {}) => {
-    const url = getGraphQLEndpoint();
-    const response = await globalThis.fetch(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ query, variables }),
-    });
+    const result = await callSuccessCoGraphQL(query, variables);
+    return result.ok ? result.data : null;
+  };
 
-    if (response.ok) {
-      const data = await response.json();
-      if (!data.errors) {
-        return data;
-      }
-    }
-    return null;
+  // Add an entity's tags, linked items (e.g. the issue a to-do came from) and,
+  // for to-dos, issues and rocks, attached files
+  const withLinkedData = async (table, entity) => {
+    const hasAttachments = ["todos", "issues", "rocks"].includes(table);
+    const [related, tags, files] = await Promise.all([
+      loadRelatedItems(entity.id),
+      loadItemTags(table, entity.id),
+      hasAttachments ? loadAttachments(table, [entity.id]) : null,
+    ]);
+    return {
+      ...entity,
+      tags: tags.ok ? tags.tags.map((tag) => tag.name) : [],
+      relatedItems: related.ok ? related.relatedItems : [],
+      ...(hasAttachments && {
+        attachments: files.ok ? files.attachmentsByItem[entity.id] || [] : [],
+      }),
+    };
   };
 
   // Try to fetch as team
@@ -802,7 +809,14 @@ export async function fetch(args) {
     const result = await makeGraphQLRequest(gql, { id: rawId });
     if (result?.data?.todo) {
       return {
-        content: [{ type: "text", text: JSON.stringify(result.data.todo) }],
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              await withLinkedData("todos", result.data.todo)
+            ),
+          },
+        ],
       };
     }
   }
@@ -848,18 +862,20 @@ export async function fetch(args) {
         content: [
           {
             type: "text",
-            text: JSON.stringify({
-              id: rock.id,
-              status: rock.rockStatusId,
-              name: rock.name,
-              desc: rock.desc,
-              statusUpdatedAt: rock.statusUpdatedAt,
-              type: rock.type,
-              dueDate: rock.dueDate,
-              createdAt: rock.createdAt,
-              stateId: rock.stateId,
-              companyId: rock.companyId,
-            }),
+            text: JSON.stringify(
+              await withLinkedData("rocks", {
+                id: rock.id,
+                status: rock.rockStatusId,
+                name: rock.name,
+                desc: rock.desc,
+                statusUpdatedAt: rock.statusUpdatedAt,
+                type: rock.type,
+                dueDate: rock.dueDate,
+                createdAt: rock.createdAt,
+                stateId: rock.stateId,
+                companyId: rock.companyId,
+              })
+            ),
           },
         ],
       };
@@ -903,7 +919,14 @@ export async function fetch(args) {
     const result = await makeGraphQLRequest(gql, { id: rawId });
     if (result?.data?.meeting) {
       return {
-        content: [{ type: "text", text: JSON.stringify(result.data.meeting) }],
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              await withLinkedData("meetings", result.data.meeting)
+            ),
+          },
+        ],
       };
     }
   }
@@ -949,7 +972,14 @@ export async function fetch(args) {
     const result = await makeGraphQLRequest(gql, { id: rawId });
     if (result?.data?.issue) {
       return {
-        content: [{ type: "text", text: JSON.stringify(result.data.issue) }],
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              await withLinkedData("issues", result.data.issue)
+            ),
+          },
+        ],
       };
     }
   }
@@ -993,7 +1023,14 @@ export async function fetch(args) {
     const result = await makeGraphQLRequest(gql, { id: rawId });
     if (result?.data?.headline) {
       return {
-        content: [{ type: "text", text: JSON.stringify(result.data.headline) }],
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              await withLinkedData("headlines", result.data.headline)
+            ),
+          },
+        ],
       };
     }
   }
@@ -0,0 +1,905 @@
+// SWOT Tools
+// Tools for reading and managing SWOT analysis items (Strengths, Weaknesses, Opportunities, Threats)
+
+import {
+  callSuccessCoGraphQL,
+  getLeadershipTeamId,
+  getUserContext,
+} from "./core.js";
+import { validateStateId } from "../utils/helpers.js";
+import { parseToolResponse } from "./commonHelpers.js";
+import { createIssue } from "./issuesTools.js";
+
+// SWOT categories as stored in swot_items.category
+const SWOT_CATEGORIES = {
+  Strength: "STRENGTH",
+  Weakness: "WEAKNESS",
+  Opportunity: "OPPORTUNITY",
+  Threat: "THREAT",
+};
+
+// Only weaknesses and threats are problems to solve, so only they can become issues
+const CONVERTIBLE_CATEGORIES = ["WEAKNESS", "THREAT"];
+
+/**
+ * Map a SWOT category name to its database value
+ * Accepts the display name ('Weakness') or the stored value ('WEAKNESS')
+ * @param {string} category - Category name
+ * @returns {string|null} Database category value, or null if invalid
+ */
+function mapSwotCategory(category) {
+  if (!category) return null;
+  if (SWOT_CATEGORIES[category]) return SWOT_CATEGORIES[category];
+  const upper = category.toUpperCase();
+  return Object.values(SWOT_CATEGORIES).includes(upper) ? upper : null;
+}
+
+/**
+ * Map a database SWOT category back to its display name
+ * @param {string} category - Database category value
+ * @returns {string} Display name
+ */
+function mapSwotCategoryToText(category) {
+  const entry = Object.entries(SWOT_CATEGORIES).find(
+    ([, value]) => value === category
+  );
+  return entry ? entry[0] : category;
+}
+
+/**
+ * Format a swot_items node for tool output
+ * @param {Object} item - GraphQL swotItem node
+ * @returns {Object} Formatted SWOT item
+ */
+function formatSwotItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    category: mapSwotCategoryToText(item.category),
+    displayOrder: item.displayOrder,
+    teamId: item.teamId,
+    createdAt: item.createdAt,
+    status: item.stateId,
+  };
+}
+
+/**
+ * Resolve the team for a SWOT tool call
+ * @param {string} providedTeamId - Team ID passed by the caller
+ * @param {boolean} leadershipTeam - Whether to use the leadership team
+ * @returns {Promise<{teamId: string|null, error: string|null}>}
+ */
+async function resolveSwotTeamId(providedTeamId, leadershipTeam) {
+  if (providedTeamId || !leadershipTeam) {
+    return { teamId: providedTeamId || null, error: null };
+  }
+
+  const teamId = await getLeadershipTeamId();
+  if (!teamId) {
+    return {
+      teamId: null,
+      error:
+        "Error: Could not find leadership team. Please ensure a team is marked as the leadership team.",
+    };
+  }
+  return { teamId, error: null };
+}
+
+/**
+ * Fetch a single active SWOT item by ID
+ * @param {string} swotItemId - SWOT item ID
+ * @returns {Promise<{ok: boolean, item: Object|null, error: string|null}>}
+ */
+async function fetchSwotItem(swotItemId) {
+  const query = `
+    query {
+      swotItems(filter: {id: {equalTo: "${swotItemId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          category
+          displayOrder
+          teamId
+          createdAt
+          stateId
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(query);
+  if (!result.ok) {
+    return { ok: false, item: null, error: result.error };
+  }
+
+  const item = result.data?.data?.swotItems?.nodes?.[0];
+  if (!item) {
+    return {
+      ok: false,
+      item: null,
+      error: `Error: SWOT item ${swotItemId} not found`,
+    };
+  }
+
+  return { ok: true, item, error: null };
+}
+
+/**
+ * Fetch the active SWOT items of one team and category, in display order
+ * @param {string} teamId - Team ID
+ * @param {string} category - Database category value
+ * @returns {Promise<{ok: boolean, items: Array, error: string|null}>}
+ */
+async function fetchSwotCategoryItems(teamId, category) {
+  const query = `
+    query {
+      swotItems(filter: {teamId: {equalTo: "${teamId}"}, category: {equalTo: "${category}"}, stateId: {equalTo: "ACTIVE"}}, orderBy: DISPLAY_ORDER_ASC) {
+        nodes {
+          id
+          name
+          displayOrder
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(query);
+  if (!result.ok) {
+    return { ok: false, items: [], error: result.error };
+  }
+
+  return { ok: true, items: result.data.data.swotItems.nodes, error: null };
+}
+
+/**
+ * List SWOT items for a team, grouped by category
+ * @param {Object} args - Arguments object
+ * @param {string} [args.teamId] - Filter by team ID
+ * @param {boolean} [args.leadershipTeam] - If true, use the leadership team
+ * @param {string} [args.category] - Filter by category: 'Strength', 'Weakness', 'Opportunity', or 'Threat'
+ * @param {string} [args.keyword] - Search for items containing this keyword (case-insensitive)
+ * @param {string} [args.stateId] - SWOT item state filter (defaults to 'ACTIVE')
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getSwotItems(args = {}) {
+  const {
+    teamId: providedTeamId,
+    leadershipTeam = false,
+    category,
+    keyword,
+    stateId = "ACTIVE",
+  } = args;
+
+  const validation = validateStateId(stateId);
+  if (!validation.isValid) {
+    return {
+      content: [{ type: "text", text: validation.error }],
+    };
+  }
+
+  const dbCategory = mapSwotCategory(category);
+  if (category && !dbCategory) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid category - must be Strength, Weakness, Opportunity, or Threat",
+        },
+      ],
+    };
+  }
+
+  const { teamId, error } = await resolveSwotTeamId(
+    providedTeamId,
+    leadershipTeam
+  );
+  if (error) {
+    return { content: [{ type: "text", text: error }] };
+  }
+
+  const filterItems = [`stateId: {equalTo: "${stateId}"}`];
+  if (teamId) {
+    filterItems.push(`teamId: {equalTo: "${teamId}"}`);
+  }
+  if (dbCategory) {
+    filterItems.push(`category: {equalTo: "${dbCategory}"}`);
+  }
+
+  const query = `
+    query {
+      swotItems(filter: {${filterItems.join(
+        ", "
+      )}}, orderBy: [TEAM_ID_ASC, DISPLAY_ORDER_ASC]) {
+        nodes {
+          id
+          name
+          category
+          displayOrder
+          teamId
+          createdAt
+          stateId
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(query);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  let items = result.data.data.swotItems.nodes;
+
+  if (keyword) {
+    const lowerKeyword = keyword.toLowerCase();
+    items = items.filter(
+      (item) => item.name && item.name.toLowerCase().includes(lowerKeyword)
+    );
+  }
+
+  const formatted = items.map(formatSwotItem);
+  const byCategory = {};
+  Object.keys(SWOT_CATEGORIES).forEach((name) => {
+    byCategory[name] = formatted.filter((item) => item.category === name);
+  });
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            totalCount: formatted.length,
+            teamId: teamId || null,
+            summary: Object.fromEntries(
+              Object.entries(byCategory).map(([name, list]) => [
+                name,
+                list.length,
+              ])
+            ),
+            strengths: byCategory.Strength,
+            weaknesses: byCategory.Weakness,
+            opportunities: byCategory.Opportunity,
+            threats: byCategory.Threat,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Create a SWOT item in Success.co
+ * New items are added to the end of their category
+ * @param {Object} args - Arguments object
+ * @param {string} args.name - SWOT item text (required)
+ * @param {string} args.category - 'Strength', 'Weakness', 'Opportunity', or 'Threat' (required)
+ * @param {string} [args.teamId] - Team ID (required unless leadershipTeam is true)
+ * @param {boolean} [args.leadershipTeam] - If true, assign to the leadership team
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function createSwotItem(args) {
+  const { name, category, teamId: providedTeamId, leadershipTeam = false } =
+    args;
+
+  if (!name || name.trim() === "") {
+    return {
+      content: [{ type: "text", text: "Error: SWOT item text is required" }],
+    };
+  }
+
+  const dbCategory = mapSwotCategory(category);
+  if (!dbCategory) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid category - must be Strength, Weakness, Opportunity, or Threat",
+        },
+      ],
+    };
+  }
+
+  const { teamId, error } = await resolveSwotTeamId(
+    providedTeamId,
+    leadershipTeam
+  );
+  if (error) {
+    return { content: [{ type: "text", text: error }] };
+  }
+
+  // SWOT items MUST be linked to a team
+  if (!teamId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: SWOT item must be assigned to a team. Please provide either 'teamId' or set 'leadershipTeam' to true.",
+        },
+      ],
+    };
+  }
+
+  // Get user context (works with OAuth or API key)
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const existing = await fetchSwotCategoryItems(teamId, dbCategory);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+  const displayOrder =
+    existing.items.reduce(
+      (max, item) => Math.max(max, item.displayOrder || 0),
+      0
+    ) + 1;
+
+  const mutation = `
+    mutation CreateSwotItem($input: CreateSwotItemInput!) {
+      createSwotItem(input: $input) {
+        swotItem {
+          id
+          name
+          category
+          displayOrder
+          teamId
+          createdAt
+          stateId
+        }
+      }
+    }
+  `;
+
+  const variables = {
+    input: {
+      swotItem: {
+        name: name.trim(),
+        category: dbCategory,
+        displayOrder,
+        teamId,
+        companyId: context.companyId,
+        stateId: "ACTIVE",
+      },
+    },
+  };
+
+  const result = await callSuccessCoGraphQL(mutation, variables);
+  if (!result.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error creating SWOT item: ${result.error}`,
+        },
+      ],
+    };
+  }
+
+  const swotItem = result.data?.data?.createSwotItem?.swotItem;
+  if (!swotItem) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: SWOT item creation failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "SWOT item created successfully",
+            swotItem: formatSwotItem(swotItem),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Update a SWOT item in Success.co
+ * Moving an item to another category places it at the end of that category
+ * @param {Object} args - Arguments object
+ * @param {string} args.swotItemId - SWOT item ID (required)
+ * @param {string} [args.name] - New text
+ * @param {string} [args.category] - New category
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updateSwotItem(args) {
+  const { swotItemId, name, category } = args;
+
+  if (!swotItemId) {
+    return {
+      content: [{ type: "text", text: "Error: SWOT item ID is required" }],
+    };
+  }
+
+  const dbCategory = mapSwotCategory(category);
+  if (category && !dbCategory) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid category - must be Strength, Weakness, Opportunity, or Threat",
+        },
+      ],
+    };
+  }
+
+  const updates = {};
+  if (name !== undefined) {
+    if (name.trim() === "") {
+      return {
+        content: [
+          { type: "text", text: "Error: SWOT item text cannot be empty" },
+        ],
+      };
+    }
+    updates.name = name.trim();
+  }
+
+  if (!updates.name && !dbCategory) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: No updates specified. Provide at least one field to update.",
+        },
+      ],
+    };
+  }
+
+  const current = await fetchSwotItem(swotItemId);
+  if (!current.ok) {
+    return { content: [{ type: "text", text: current.error }] };
+  }
+
+  if (dbCategory && dbCategory !== current.item.category) {
+    const target = await fetchSwotCategoryItems(
+      current.item.teamId,
+      dbCategory
+    );
+    if (!target.ok) {
+      return { content: [{ type: "text", text: target.error }] };
+    }
+    updates.category = dbCategory;
+    updates.displayOrder =
+      target.items.reduce(
+        (max, item) => Math.max(max, item.displayOrder || 0),
+        0
+      ) + 1;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: "SWOT item already up to date",
+              swotItem: formatSwotItem(current.item),
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  const mutation = `
+    mutation UpdateSwotItem($input: UpdateSwotItemInput!) {
+      updateSwotItem(input: $input) {
+        swotItem {
+          id
+          name
+          category
+          displayOrder
+          teamId
+          createdAt
+          stateId
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { id: swotItemId, patch: updates },
+  });
+  if (!result.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error updating SWOT item: ${result.error}`,
+        },
+      ],
+    };
+  }
+
+  const swotItem = result.data?.data?.updateSwotItem?.swotItem;
+  if (!swotItem) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: SWOT item update failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "SWOT item updated successfully",
+            swotItem: formatSwotItem(swotItem),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Reorder the SWOT items of one category
+ * Items listed in swotItemIds come first, in the given order; any remaining
+ * items in the category keep their relative order after them.
+ * @param {Object} args - Arguments object
+ * @param {string} args.category - Category to reorder (required)
+ * @param {string} args.swotItemIds - Comma-separated SWOT item IDs in the desired order (required)
+ * @param {string} [args.teamId] - Team ID (required unless leadershipTeam is true)
+ * @param {boolean} [args.leadershipTeam] - If true, use the leadership team
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function reorderSwotItems(args) {
+  const {
+    category,
+    swotItemIds,
+    teamId: providedTeamId,
+    leadershipTeam = false,
+  } = args;
+
+  const dbCategory = mapSwotCategory(category);
+  if (!dbCategory) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Invalid category - must be Strength, Weakness, Opportunity, or Threat",
+        },
+      ],
+    };
+  }
+
+  const orderedIds = (swotItemIds || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => id);
+  if (orderedIds.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: swotItemIds is required - provide the SWOT item IDs in the desired order",
+        },
+      ],
+    };
+  }
+
+  const { teamId, error } = await resolveSwotTeamId(
+    providedTeamId,
+    leadershipTeam
+  );
+  if (error) {
+    return { content: [{ type: "text", text: error }] };
+  }
+  if (!teamId) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Please provide either 'teamId' or set 'leadershipTeam' to true.",
+        },
+      ],
+    };
+  }
+
+  const existing = await fetchSwotCategoryItems(teamId, dbCategory);
+  if (!existing.ok) {
+    return { content: [{ type: "text", text: existing.error }] };
+  }
+
+  const existingIds = existing.items.map((item) => item.id);
+  const unknownIds = orderedIds.filter((id) => !existingIds.includes(id));
+  if (unknownIds.length > 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: These SWOT items are not ${mapSwotCategoryToText(
+            dbCategory
+          )} items of team ${teamId}: ${unknownIds.join(", ")}`,
+        },
+      ],
+    };
+  }
+
+  const finalOrder = [
+    ...new Set(orderedIds),
+    ...existingIds.filter((id) => !orderedIds.includes(id)),
+  ];
+
+  const mutation = `
+    mutation UpdateSwotItem($input: UpdateSwotItemInput!) {
+      updateSwotItem(input: $input) {
+        swotItem {
+          id
+          displayOrder
+        }
+      }
+    }
+  `;
+
+  const errors = [];
+  for (const [index, id] of finalOrder.entries()) {
+    const displayOrder = index + 1;
+    const current = existing.items.find((item) => item.id === id);
+    if (current.displayOrder === displayOrder) continue;
+
+    const result = await callSuccessCoGraphQL(mutation, {
+      input: { id, patch: { displayOrder } },
+    });
+    if (!result.ok) {
+      errors.push(`${id}: ${result.error}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error reordering SWOT items: ${errors.join("; ")}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `${mapSwotCategoryToText(
+              dbCategory
+            )} items reordered successfully`,
+            order: finalOrder.map((id, index) => ({
+              id,
+              name: existing.items.find((item) => item.id === id).name,
+              displayOrder: index + 1,
+            })),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Delete a SWOT item in Success.co (soft delete)
+ * @param {Object} args - Arguments object
+ * @param {string} args.swotItemId - SWOT item ID (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function deleteSwotItem(args) {
+  const { swotItemId } = args;
+
+  if (!swotItemId) {
+    return {
+      content: [{ type: "text", text: "Error: swotItemId is required" }],
+    };
+  }
+
+  const mutation = `
+    mutation {
+      updateSwotItem(input: {
+        id: "${swotItemId}",
+        patch: {
+          stateId: "DELETED"
+        }
+      }) {
+        swotItem {
+          id
+          name
+          stateId
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const swotItem = result.data?.data?.updateSwotItem?.swotItem;
+  if (!swotItem) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: SWOT item deletion failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "SWOT item deleted successfully",
+            swotItem: {
+              id: swotItem.id,
+              name: swotItem.name,
+              status: swotItem.stateId,
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Turn a Weakness or Threat SWOT item into an issue for the same team
+ * The issue is created through createIssue, so it follows the same defaults and validation.
+ * @param {Object} args - Arguments object
+ * @param {string} args.swotItemId - SWOT item ID (required)
+ * @param {string} [args.name] - Issue title (defaults to the SWOT item text)
+ * @param {string} [args.desc] - Issue description
+ * @param {string} [args.userId] - Issue owner
+ * @param {string} [args.priority] - Issue priority ('High', 'Medium', 'Low', 'No priority')
+ * @param {string} [args.type] - Issue type ('Short-term' or 'Long-term', defaults to 'Short-term')
+ * @param {boolean} [args.removeSwotItem] - If true, delete the SWOT item once the issue is created
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function convertSwotItemToIssue(args) {
+  const {
+    swotItemId,
+    name,
+    desc,
+    userId,
+    priority,
+    type,
+    removeSwotItem = false,
+  } = args;
+
+  if (!swotItemId) {
+    return {
+      content: [{ type: "text", text: "Error: SWOT item ID is required" }],
+    };
+  }
+
+  const current = await fetchSwotItem(swotItemId);
+  if (!current.ok) {
+    return { content: [{ type: "text", text: current.error }] };
+  }
+
+  const swotItem = current.item;
+  if (!CONVERTIBLE_CATEGORIES.includes(swotItem.category)) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Only Weakness and Threat SWOT items can be converted to issues (this item is a ${mapSwotCategoryToText(
+            swotItem.category
+          )})`,
+        },
+      ],
+    };
+  }
+
+  const issueResponse = await createIssue({
+    name: name || swotItem.name,
+    desc:
+      desc ??
+      `Raised from SWOT analysis (${mapSwotCategoryToText(
+        swotItem.category
+      )}): ${swotItem.name}`,
+    teamId: swotItem.teamId,
+    userId,
+    priority,
+    type,
+  });
+
+  let created;
+  try {
+    created = parseToolResponse(issueResponse);
+  } catch (error) {
+    return issueResponse;
+  }
+
+  let swotItemRemoved = false;
+  if (removeSwotItem) {
+    const deleteResponse = await deleteSwotItem({ swotItemId });
+    try {
+      swotItemRemoved = parseToolResponse(deleteResponse).success === true;
+    } catch (error) {
+      swotItemRemoved = false;
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: `${mapSwotCategoryToText(
+              swotItem.category
+            )} converted to issue successfully`,
+            issue: created.issue,
+            swotItem: {
+              ...formatSwotItem(swotItem),
+              removed: swotItemRemoved,
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,691 @@
+// Tags Tools
+// Company-wide tags (e.g. "customer-escalation", "Q3-launch") that can be put
+// on to-dos, issues, rocks, headlines and other linkable items.
+//
+// The tags table isn't exposed through GraphQL, so tags themselves are read and
+// written through the database connection. Putting a tag on an item links the
+// two in related_items, like linkItems does.
+
+import { getDatabase, getUserContext } from "./core.js";
+import {
+  normalizeItemTable,
+  getRelationTypeId,
+  verifyItem,
+  createRelation,
+  removeRelation,
+  findRelatedIds,
+} from "./relatedItemsTools.js";
+
+const DATABASE_REQUIRED_ERROR =
+  "Error: Tags require a database connection. Set DATABASE_URL or DB_HOST/DB_DATABASE/DB_USER/DB_PASS in .env file.";
+
+/**
+ * Split a comma-separated list of tag names, dropping blanks and duplicates
+ * @param {string} tags - e.g. "customer-escalation, Q3-launch"
+ * @returns {Array<string>}
+ */
+function parseTagNames(tags) {
+  const names = new Map();
+  (tags || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name)
+    .forEach((name) => {
+      // Tag names are matched case-insensitively
+      if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+    });
+  return [...names.values()];
+}
+
+/**
+ * Look up the company's active tags by name
+ * @param {Object} db - Database connection
+ * @param {string} companyId
+ * @param {Array<string>} names - Tag names (any case)
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function findTagsByName(db, companyId, names) {
+  if (names.length === 0) return [];
+  return await db`
+    SELECT id, name
+    FROM tags
+    WHERE company_id = ${companyId}
+      AND state_id = 'ACTIVE'
+      AND lower(name) IN ${db(names.map((name) => name.toLowerCase()))}
+  `;
+}
+
+/**
+ * Load one of the company's active tags by ID
+ * @param {Object} db - Database connection
+ * @param {string} companyId
+ * @param {string} tagId
+ * @returns {Promise<{id: string, name: string}|null>}
+ */
+async function findTagById(db, companyId, tagId) {
+  const rows = await db`
+    SELECT id, name
+    FROM tags
+    WHERE id = ${tagId}
+      AND company_id = ${companyId}
+      AND state_id = 'ACTIVE'
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Find the IDs of items in a table that carry any of the given tags
+ * Used by the list tools (getTodos, getIssues, ...) for their tags filter.
+ * @param {string} table - Database table of the items (e.g. 'todos')
+ * @param {string} tags - Comma-separated tag names
+ * @returns {Promise<{ok: boolean, ids?: Array<string>|null, error?: string}>} ids is null when no tag names were given, so there is nothing to filter on
+ */
+export async function resolveTagFilter(table, tags) {
+  const names = parseTagNames(tags);
+  if (names.length === 0) return { ok: true, ids: null };
+
+  const db = getDatabase();
+  if (!db) return { ok: false, error: DATABASE_REQUIRED_ERROR };
+
+  const context = await getUserContext();
+  if (!context) {
+    return { ok: false, error: "Error: Authentication required" };
+  }
+
+  try {
+    const found = await findTagsByName(db, context.companyId, names);
+    const unknown = names.filter(
+      (name) =>
+        !found.some((tag) => tag.name.toLowerCase() === name.toLowerCase())
+    );
+    if (unknown.length > 0) {
+      return {
+        ok: false,
+        error: `Error: Unknown tag(s): ${unknown.join(
+          ", "
+        )}. Use getTags to see the company's tags.`,
+      };
+    }
+
+    const links = await findRelatedIds(
+      "tags",
+      found.map((tag) => tag.id),
+      table
+    );
+    if (!links.ok) return links;
+
+    return {
+      ok: true,
+      ids: [...new Set(links.links.map((link) => link.relatedItemId))],
+    };
+  } catch (error) {
+    return { ok: false, error: `Error: Failed to load tags: ${error.message}` };
+  }
+}
+
+/**
+ * Load the tags on an item
+ * @param {string} table - Database table of the item (e.g. 'issues')
+ * @param {string} itemId
+ * @returns {Promise<{ok: boolean, tags?: Array<{id: string, name: string}>, error?: string}>}
+ */
+export async function loadItemTags(table, itemId) {
+  const db = getDatabase();
+  if (!db) return { ok: false, error: DATABASE_REQUIRED_ERROR };
+
+  const links = await findRelatedIds(table, [itemId], "tags");
+  if (!links.ok) return links;
+
+  const tagIds = links.links.map((link) => link.relatedItemId);
+  if (tagIds.length === 0) return { ok: true, tags: [] };
+
+  try {
+    const tags = await db`
+      SELECT id, name
+      FROM tags
+      WHERE id IN ${db(tagIds)}
+        AND state_id = 'ACTIVE'
+      ORDER BY lower(name)
+    `;
+    return { ok: true, tags: tags.map(({ id, name }) => ({ id, name })) };
+  } catch (error) {
+    return { ok: false, error: `Error: Failed to load tags: ${error.message}` };
+  }
+}
+
+/**
+ * List the company's tags with how many items of each type carry them
+ * @param {Object} args - Arguments object
+ * @param {string} [args.keyword] - Only tags whose name contains this text (case-insensitive)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getTags(args = {}) {
+  const { keyword } = args;
+
+  const db = getDatabase();
+  if (!db) {
+    return { content: [{ type: "text", text: DATABASE_REQUIRED_ERROR }] };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  try {
+    const tags = await db`
+      SELECT id, name, created_at
+      FROM tags
+      WHERE company_id = ${context.companyId}
+        AND state_id = 'ACTIVE'
+        ${keyword ? db`AND name ILIKE ${`%${keyword}%`}` : db``}
+      ORDER BY lower(name)
+    `;
+
+    // Count tagged items per tag and item type; a tag can be on either side of a link
+    const usage =
+      tags.length === 0
+        ? []
+        : await db`
+            SELECT t.id AS tag_id, rt.table_name, COUNT(*)::int AS count
+            FROM tags t
+            JOIN related_items r
+              ON r.state_id = 'ACTIVE'
+              AND (r.item_id = t.id OR r.related_item_id = t.id)
+            JOIN relation_types rt
+              ON rt.id = CASE
+                WHEN r.item_id = t.id THEN r.related_item_type
+                ELSE r.item_type
+              END
+            WHERE t.id IN ${db(tags.map((tag) => tag.id))}
+            GROUP BY t.id, rt.table_name
+          `;
+
+    const formatted = tags.map((tag) => {
+      const counts = Object.fromEntries(
+        usage
+          .filter((row) => row.tag_id === tag.id)
+          .map((row) => [row.table_name, row.count])
+      );
+      return {
+        id: tag.id,
+        name: tag.name,
+        createdAt: tag.created_at,
+        itemCount: Object.values(counts).reduce((sum, n) => sum + n, 0),
+        itemCountByType: counts,
+      };
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            { totalCount: formatted.length, tags: formatted },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error: Failed to load tags: ${error.message}` },
+      ],
+    };
+  }
+}
+
+/**
+ * Create a tag
+ * @param {Object} args - Arguments object
+ * @param {string} args.name - Tag name (must be unique in the company, ignoring case)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function createTag(args = {}) {
+  const name = (args.name || "").trim();
+  if (!name) {
+    return { content: [{ type: "text", text: "Error: name is required" }] };
+  }
+  if (name.includes(",")) {
+    return {
+      content: [{ type: "text", text: "Error: Tag names can't contain commas" }],
+    };
+  }
+
+  const db = getDatabase();
+  if (!db) {
+    return { content: [{ type: "text", text: DATABASE_REQUIRED_ERROR }] };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  try {
+    const [existing] = await findTagsByName(db, context.companyId, [name]);
+    if (existing) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: Tag "${existing.name}" already exists (ID ${existing.id})`,
+          },
+        ],
+      };
+    }
+
+    const [tag] = await db`
+      INSERT INTO tags (name, company_id)
+      VALUES (${name}, ${context.companyId})
+      RETURNING id, name
+    `;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: `Tag "${tag.name}" created`,
+              tag,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error: Failed to create tag: ${error.message}` },
+      ],
+    };
+  }
+}
+
+/**
+ * Rename a tag
+ * @param {Object} args - Arguments object
+ * @param {string} args.tagId - Tag ID
+ * @param {string} args.name - New tag name
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updateTag(args = {}) {
+  const { tagId } = args;
+  const name = (args.name || "").trim();
+  if (!tagId || !name) {
+    return {
+      content: [{ type: "text", text: "Error: tagId and name are required" }],
+    };
+  }
+  if (name.includes(",")) {
+    return {
+      content: [{ type: "text", text: "Error: Tag names can't contain commas" }],
+    };
+  }
+
+  const db = getDatabase();
+  if (!db) {
+    return { content: [{ type: "text", text: DATABASE_REQUIRED_ERROR }] };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  try {
+    const tag = await findTagById(db, context.companyId, tagId);
+    if (!tag) {
+      return {
+        content: [{ type: "text", text: `Error: No tag found with ID ${tagId}` }],
+      };
+    }
+
+    const [clash] = await findTagsByName(db, context.companyId, [name]);
+    if (clash && clash.id !== tagId) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: Tag "${clash.name}" already exists (ID ${clash.id})`,
+          },
+        ],
+      };
+    }
+
+    await db`
+      UPDATE tags
+      SET name = ${name}
+      WHERE id = ${tagId}
+    `;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: `Tag "${tag.name}" renamed to "${name}"`,
+              tag: { id: tagId, name },
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error: Failed to update tag: ${error.message}` },
+      ],
+    };
+  }
+}
+
+/**
+ * Delete a tag, taking it off every item that carries it
+ * @param {Object} args - Arguments object
+ * @param {string} args.tagId - Tag ID
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function deleteTag(args = {}) {
+  const { tagId } = args;
+  if (!tagId) {
+    return { content: [{ type: "text", text: "Error: tagId is required" }] };
+  }
+
+  const db = getDatabase();
+  if (!db) {
+    return { content: [{ type: "text", text: DATABASE_REQUIRED_ERROR }] };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  try {
+    const tag = await findTagById(db, context.companyId, tagId);
+    if (!tag) {
+      return {
+        content: [{ type: "text", text: `Error: No tag found with ID ${tagId}` }],
+      };
+    }
+
+    const untagged = await db`
+      UPDATE related_items
+      SET state_id = 'DELETED'
+      WHERE company_id = ${context.companyId}
+        AND state_id = 'ACTIVE'
+        AND (item_id = ${tagId} OR related_item_id = ${tagId})
+    `;
+    await db`
+      UPDATE tags
+      SET state_id = 'DELETED'
+      WHERE id = ${tagId}
+    `;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              success: true,
+              message: `Tag "${tag.name}" deleted and removed from ${untagged.count} item(s)`,
+              tagId,
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error: Failed to delete tag: ${error.message}` },
+      ],
+    };
+  }
+}
+
+/**
+ * Put tags on an item, creating tags that don't exist yet
+ * @param {Object} args - Arguments object
+ * @param {string} args.itemType - Item type (e.g. 'todo', 'issues', 'rock', 'headline')
+ * @param {string} args.itemId - Item ID
+ * @param {string} args.tags - Comma-separated tag names
+ * @param {boolean} [args.createMissing=true] - If false, unknown tag names are an error
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function tagItem(args = {}) {
+  const { itemType, itemId, tags, createMissing = true } = args;
+  const names = parseTagNames(tags);
+
+  if (!itemType || !itemId || names.length === 0) {
+    return {
+      content: [
+        { type: "text", text: "Error: itemType, itemId and tags are required" },
+      ],
+    };
+  }
+
+  const db = getDatabase();
+  if (!db) {
+    return { content: [{ type: "text", text: DATABASE_REQUIRED_ERROR }] };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  const table = normalizeItemTable(itemType);
+  const typeCheck = await getRelationTypeId(table);
+  if (!typeCheck.ok) {
+    return { content: [{ type: "text", text: typeCheck.error }] };
+  }
+  const itemCheck = await verifyItem(table, itemId);
+  if (!itemCheck.ok) {
+    return { content: [{ type: "text", text: itemCheck.error }] };
+  }
+
+  let found;
+  const created = [];
+  try {
+    found = await findTagsByName(db, context.companyId, names);
+    const foundNames = found.map((tag) => tag.name.toLowerCase());
+    const missing = names.filter(
+      (name) => !foundNames.includes(name.toLowerCase())
+    );
+
+    if (missing.length > 0 && !createMissing) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: Unknown tag(s): ${missing.join(
+              ", "
+            )}. Use getTags to list existing tags, or set createMissing=true.`,
+          },
+        ],
+      };
+    }
+
+    for (const name of missing) {
+      const [tag] = await db`
+        INSERT INTO tags (name, company_id)
+        VALUES (${name}, ${context.companyId})
+        RETURNING id, name
+      `;
+      created.push(tag.name);
+      found.push(tag);
+    }
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error: Failed to load tags: ${error.message}` },
+      ],
+    };
+  }
+
+  const errors = [];
+  for (const tag of found) {
+    const result = await createRelation(
+      { table: "tags", id: tag.id },
+      { table, id: itemId }
+    );
+    if (!result.ok) errors.push(`${tag.name}: ${result.error}`);
+  }
+
+  const current = await loadItemTags(table, itemId);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: errors.length === 0,
+            message: `Tagged ${table} ${itemId} with ${names.join(", ")}`,
+            ...(created.length > 0 && { createdTags: created }),
+            ...(errors.length > 0 && { errors }),
+            tags: current.ok ? current.tags.map((tag) => tag.name) : undefined,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Take tags off an item
+ * @param {Object} args - Arguments object
+ * @param {string} args.itemType - Item type (e.g. 'todo', 'issues', 'rock', 'headline')
+ * @param {string} args.itemId - Item ID
+ * @param {string} args.tags - Comma-separated tag names
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function untagItem(args = {}) {
+  const { itemType, itemId, tags } = args;
+  const names = parseTagNames(tags);
+
+  if (!itemType || !itemId || names.length === 0) {
+    return {
+      content: [
+        { type: "text", text: "Error: itemType, itemId and tags are required" },
+      ],
+    };
+  }
+
+  const db = getDatabase();
+  if (!db) {
+    return { content: [{ type: "text", text: DATABASE_REQUIRED_ERROR }] };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: Authentication required. No valid OAuth token or API key found.",
+        },
+      ],
+    };
+  }
+
+  let found;
+  try {
+    found = await findTagsByName(db, context.companyId, names);
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error: Failed to load tags: ${error.message}` },
+      ],
+    };
+  }
+
+  const removed = [];
+  const errors = [];
+  for (const tag of found) {
+    const result = await removeRelation(tag.id, itemId);
+    if (!result.ok) {
+      errors.push(`${tag.name}: ${result.error}`);
+    } else if (result.removed) {
+      removed.push(tag.name);
+    }
+  }
+
+  const table = normalizeItemTable(itemType);
+  const current = await loadItemTags(table, itemId);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: errors.length === 0,
+            message:
+              removed.length > 0
+                ? `Removed ${removed.join(", ")} from ${table} ${itemId}`
+                : `${table} ${itemId} had none of those tags`,
+            removed,
+            ...(errors.length > 0 && { errors }),
+            tags: current.ok ? current.tags.map((tag) => tag.name) : undefined,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
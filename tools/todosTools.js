@@ -13,6 +13,7 @@ import {
   mapPriorityToText,
 } from "../utils/helpers.js";
 import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
+import { resolveTagFilter } from "./tagsTools.js";
 
 /**
  * List Success.co todos
@@ -31,6 +32,7 @@ import { getCompanyCode, generateObjectUrl } from "./commonHelpers.js";
  * @param {string} [args.createdBefore] - Filter todos created before this date (ISO 8601 format)
  * @param {string} [args.completedAfter] - Filter todos completed after this date (ISO 8601 format)
  * @param {string} [args.completedBefore] - Filter todos completed before this date (ISO 8601 format)
+ * @param {string} [args.tags] - Comma-separated tag names; only todos with any of these tags
  * @returns {Promise<{content: Array<{type: string, text: string}>}>}
  */
 export async function getTodos(args) {
@@ -49,6 +51,7 @@ export async function getTodos(args) {
     createdBefore,
     completedAfter,
     completedBefore,
+    tags,
   } = args;
 
   // Resolve teamId if leadershipTeam is true
@@ -170,6 +173,19 @@ export async function getTodos(args) {
     }
   }
 
+  // Limit to todos with any of the given tags
+  if (tags) {
+    const tagged = await resolveTagFilter("todos", tags);
+    if (!tagged.ok) {
+      return { content: [{ type: "text", text: tagged.error }] };
+    }
+    if (tagged.ids) {
+      filterItems.push(
+        `id: {in: [${tagged.ids.map((id) => `"${id}"`).join(", ")}]}`
+      );
+    }
+  }
+
   const filterStr = [
     filterItems.length > 0 ? `filter: {${filterItems.join(", ")}}` : "",
     first !== undefined ? `first: ${first}` : "",
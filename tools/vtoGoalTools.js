@@ -0,0 +1,812 @@
+// V/TO Goal Tools
+// Tools for linking scorecard measurables and revenue/profit targets to
+// three-year goals, and for reporting progress against those targets
+
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
+import { parseToolResponse } from "./commonHelpers.js";
+import { findLeadershipVision, snapshotBeforeVTOEdit } from "./vtoTools.js";
+import { getScorecardMeasurables } from "./scorecardTools.js";
+import { findRelatedIds, getRelationTypeId } from "./relatedItemsTools.js";
+import { parseTargetNumber, meetsTarget } from "../utils/helpers.js";
+
+// data_fields.type → getScorecardMeasurables `type`
+const MEASURABLE_TYPES = {
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+  QUARTERLY: "quarterly",
+  ANNUALLY: "annually",
+};
+
+/**
+ * Load an active three-year goal
+ * @param {string} goalId - Three-year goal ID
+ * @returns {Promise<{ok: boolean, goal?: Object, error?: string}>}
+ */
+async function fetchGoal(goalId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      visionThreeYearGoals(filter: {id: {equalTo: "${goalId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          type
+          futureDate
+          visionId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const goal = result.data.data.visionThreeYearGoals.nodes[0];
+  if (!goal) {
+    return { ok: false, error: `Error: Goal not found with ID: ${goalId}` };
+  }
+  return { ok: true, goal };
+}
+
+/**
+ * Load scorecard measurables (data fields) by ID
+ * @param {Array<string>} dataFieldIds
+ * @returns {Promise<Object>} Map of data field ID → data field
+ */
+async function fetchDataFieldsById(dataFieldIds) {
+  if (dataFieldIds.length === 0) return {};
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      dataFields(filter: {id: {in: [${dataFieldIds
+        .map((id) => `"${id}"`)
+        .join(", ")}]}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          type
+          unitType
+          unitComparison
+          goalTarget
+          dataFieldStatusId
+        }
+      }
+    }
+  `);
+  if (!result.ok) throw new Error(result.error);
+
+  return Object.fromEntries(
+    result.data.data.dataFields.nodes.map((field) => [field.id, field])
+  );
+}
+
+/**
+ * Attach a scorecard measurable to a three-year goal with a target value
+ * If the measurable is already attached, its target is updated instead.
+ * @param {Object} args - Arguments object
+ * @param {string} args.goalId - Three-year goal ID (required)
+ * @param {string} args.dataFieldId - Scorecard measurable ID (required)
+ * @param {string|number} [args.targetValue] - Value the measurable should reach by the goal date
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function attachMeasurableToGoal(args) {
+  const { goalId, dataFieldId, targetValue } = args;
+
+  if (!goalId || !dataFieldId) {
+    return {
+      content: [
+        { type: "text", text: "Error: goalId and dataFieldId are required" },
+      ],
+    };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [{ type: "text", text: "Error: Authentication required" }],
+    };
+  }
+
+  const goalLookup = await fetchGoal(goalId);
+  if (!goalLookup.ok) {
+    return { content: [{ type: "text", text: goalLookup.error }] };
+  }
+
+  let dataField;
+  try {
+    dataField = (await fetchDataFieldsById([dataFieldId]))[dataFieldId];
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error fetching measurable: ${error.message}` },
+      ],
+    };
+  }
+  if (!dataField) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Measurable not found with ID: ${dataFieldId}`,
+        },
+      ],
+    };
+  }
+
+  const existingResult = await callSuccessCoGraphQL(`
+    query {
+      visionKpisOnThreeYearGoals(filter: {visionThreeYearGoalId: {equalTo: "${goalId}"}, dataFieldId: {equalTo: "${dataFieldId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          dataVal
+        }
+      }
+    }
+  `);
+  if (!existingResult.ok) {
+    return { content: [{ type: "text", text: existingResult.error }] };
+  }
+  const existing =
+    existingResult.data.data.visionKpisOnThreeYearGoals.nodes[0];
+
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "threeYearGoals",
+    itemId: goalId,
+  });
+  if (snapshotError) return snapshotError;
+
+  const dataVal =
+    targetValue !== undefined && targetValue !== null
+      ? String(targetValue)
+      : existing?.dataVal || "";
+
+  const result = existing
+    ? await callSuccessCoGraphQL(
+        `
+        mutation UpdateVisionKpisOnThreeYearGoal($input: UpdateVisionKpisOnThreeYearGoalInput!) {
+          updateVisionKpisOnThreeYearGoal(input: $input) {
+            visionKpisOnThreeYearGoal {
+              id
+              dataFieldId
+              dataVal
+              visionThreeYearGoalId
+            }
+          }
+        }
+      `,
+        { input: { id: existing.id, patch: { dataVal } } }
+      )
+    : await callSuccessCoGraphQL(
+        `
+        mutation CreateVisionKpisOnThreeYearGoal($input: CreateVisionKpisOnThreeYearGoalInput!) {
+          createVisionKpisOnThreeYearGoal(input: $input) {
+            visionKpisOnThreeYearGoal {
+              id
+              dataFieldId
+              dataVal
+              visionThreeYearGoalId
+            }
+          }
+        }
+      `,
+        {
+          input: {
+            visionKpisOnThreeYearGoal: {
+              dataFieldId,
+              dataVal,
+              visionThreeYearGoalId: goalId,
+              stateId: "ACTIVE",
+              companyId: context.companyId,
+            },
+          },
+        }
+      );
+
+  if (!result.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error attaching measurable to goal: ${result.error}`,
+        },
+      ],
+    };
+  }
+
+  const link = existing
+    ? result.data?.data?.updateVisionKpisOnThreeYearGoal
+        ?.visionKpisOnThreeYearGoal
+    : result.data?.data?.createVisionKpisOnThreeYearGoal
+        ?.visionKpisOnThreeYearGoal;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: existing
+              ? `Updated the target for "${dataField.name}" on goal "${goalLookup.goal.name}"`
+              : `Attached "${dataField.name}" to goal "${goalLookup.goal.name}"`,
+            link: {
+              id: link?.id,
+              goalId,
+              dataFieldId,
+              measurableName: dataField.name,
+              targetValue: link?.dataVal ?? dataVal,
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Detach a scorecard measurable from a three-year goal
+ * @param {Object} args - Arguments object
+ * @param {string} args.goalId - Three-year goal ID (required)
+ * @param {string} args.dataFieldId - Scorecard measurable ID (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function detachMeasurableFromGoal(args) {
+  const { goalId, dataFieldId } = args;
+
+  if (!goalId || !dataFieldId) {
+    return {
+      content: [
+        { type: "text", text: "Error: goalId and dataFieldId are required" },
+      ],
+    };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [{ type: "text", text: "Error: Authentication required" }],
+    };
+  }
+
+  const linksResult = await callSuccessCoGraphQL(`
+    query {
+      visionKpisOnThreeYearGoals(filter: {visionThreeYearGoalId: {equalTo: "${goalId}"}, dataFieldId: {equalTo: "${dataFieldId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+        }
+      }
+    }
+  `);
+  if (!linksResult.ok) {
+    return { content: [{ type: "text", text: linksResult.error }] };
+  }
+
+  const links = linksResult.data.data.visionKpisOnThreeYearGoals.nodes;
+  if (links.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Measurable ${dataFieldId} is not attached to goal ${goalId}`,
+        },
+      ],
+    };
+  }
+
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "threeYearGoals",
+    itemId: goalId,
+  });
+  if (snapshotError) return snapshotError;
+
+  const mutation = `
+    mutation UpdateVisionKpisOnThreeYearGoal($input: UpdateVisionKpisOnThreeYearGoalInput!) {
+      updateVisionKpisOnThreeYearGoal(input: $input) {
+        visionKpisOnThreeYearGoal {
+          id
+          stateId
+        }
+      }
+    }
+  `;
+
+  const errors = [];
+  for (const link of links) {
+    const result = await callSuccessCoGraphQL(mutation, {
+      input: { id: link.id, patch: { stateId: "DELETED" } },
+    });
+    if (!result.ok) errors.push(`${link.id}: ${result.error}`);
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: errors.length === 0,
+            message:
+              errors.length === 0
+                ? `Detached measurable ${dataFieldId} from goal ${goalId}`
+                : `Failed to detach measurable ${dataFieldId} from goal ${goalId}`,
+            ...(errors.length > 0 && { errors }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Set, change or remove a revenue/profit target on a three-year goal
+ * Targets are matched by entity (case-insensitive), so setting 'Revenue'
+ * twice updates the same target.
+ * @param {Object} args - Arguments object
+ * @param {string} args.goalId - Three-year goal ID (required)
+ * @param {string} args.entity - What the target is for, e.g. 'Revenue' or 'Profit' (required)
+ * @param {string|number} [args.value] - Target value, e.g. '10M' or '15%' (required unless remove is true)
+ * @param {string} [args.type='currency'] - How the value is expressed, e.g. 'currency' or 'percentage'
+ * @param {string} [args.desc] - Optional description
+ * @param {boolean} [args.remove] - If true, remove the target instead
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function setGoalFinancialTarget(args) {
+  const { goalId, entity, value, type, desc, remove = false } = args;
+
+  if (!goalId || !entity) {
+    return {
+      content: [
+        { type: "text", text: "Error: goalId and entity are required" },
+      ],
+    };
+  }
+  if (!remove && (value === undefined || value === null || value === "")) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: value is required unless remove is true",
+        },
+      ],
+    };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [{ type: "text", text: "Error: Authentication required" }],
+    };
+  }
+
+  const goalLookup = await fetchGoal(goalId);
+  if (!goalLookup.ok) {
+    return { content: [{ type: "text", text: goalLookup.error }] };
+  }
+  const goal = goalLookup.goal;
+
+  const existingResult = await callSuccessCoGraphQL(`
+    query {
+      visionProfitRevenueDetails(filter: {visionThreeYearGoalId: {equalTo: "${goalId}"}, stateId: {equalTo: "ACTIVE"}}, orderBy: POSITION_ASC) {
+        nodes {
+          id
+          entity
+          type
+          value
+          desc
+          position
+        }
+      }
+    }
+  `);
+  if (!existingResult.ok) {
+    return { content: [{ type: "text", text: existingResult.error }] };
+  }
+  const targets = existingResult.data.data.visionProfitRevenueDetails.nodes;
+  const existing = targets.find(
+    (target) => target.entity.toLowerCase() === entity.trim().toLowerCase()
+  );
+
+  if (remove && !existing) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Goal "${goal.name}" has no ${entity} target`,
+        },
+      ],
+    };
+  }
+
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "threeYearGoals",
+    itemId: goalId,
+  });
+  if (snapshotError) return snapshotError;
+
+  const selection = `
+    visionProfitRevenueDetail {
+      id
+      entity
+      type
+      value
+      desc
+      position
+      stateId
+    }
+  `;
+
+  let result;
+  if (existing) {
+    const patch = remove
+      ? { stateId: "DELETED" }
+      : {
+          value: String(value),
+          ...(type !== undefined && { type }),
+          ...(desc !== undefined && { desc }),
+        };
+    result = await callSuccessCoGraphQL(
+      `
+      mutation UpdateVisionProfitRevenueDetail($input: UpdateVisionProfitRevenueDetailInput!) {
+        updateVisionProfitRevenueDetail(input: $input) {
+          ${selection}
+        }
+      }
+    `,
+      { input: { id: existing.id, patch } }
+    );
+  } else {
+    const lastPosition = targets.reduce(
+      (max, target) => Math.max(max, target.position || 0),
+      0
+    );
+    result = await callSuccessCoGraphQL(
+      `
+      mutation CreateVisionProfitRevenueDetail($input: CreateVisionProfitRevenueDetailInput!) {
+        createVisionProfitRevenueDetail(input: $input) {
+          ${selection}
+        }
+      }
+    `,
+      {
+        input: {
+          visionProfitRevenueDetail: {
+            visionThreeYearGoalId: goalId,
+            visionId: goal.visionId,
+            entity: entity.trim(),
+            type: type || "currency",
+            value: String(value),
+            desc: desc || "",
+            position: lastPosition + 1,
+            stateId: "ACTIVE",
+            companyId: context.companyId,
+          },
+        },
+      }
+    );
+  }
+
+  if (!result.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error saving ${entity} target: ${result.error}`,
+        },
+      ],
+    };
+  }
+
+  const saved = existing
+    ? result.data?.data?.updateVisionProfitRevenueDetail
+        ?.visionProfitRevenueDetail
+    : result.data?.data?.createVisionProfitRevenueDetail
+        ?.visionProfitRevenueDetail;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: remove
+              ? `Removed the ${existing.entity} target from goal "${goal.name}"`
+              : `${existing ? "Updated" : "Set"} the ${entity} target on goal "${goal.name}" to ${value}`,
+            target: saved,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Compare current scorecard values with the targets on three-year goals
+ * For each goal, attached measurables are compared with their target value,
+ * using the measurable's own comparison operator. Revenue/profit targets are
+ * compared with the measurable linked to them in related_items, or else with an
+ * attached measurable named exactly like the target's entity (e.g. 'Revenue').
+ * Formula measurables are compared on their evaluated values.
+ * @param {Object} args - Arguments object
+ * @param {string} [args.goalId] - Report on one goal only
+ * @param {string} [args.visionId] - Vision ID (defaults to the leadership vision)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getGoalKpiReport(args = {}) {
+  const { goalId, visionId } = args;
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [{ type: "text", text: "Error: Authentication required" }],
+    };
+  }
+
+  let goals;
+  if (goalId) {
+    const goalLookup = await fetchGoal(goalId);
+    if (!goalLookup.ok) {
+      return { content: [{ type: "text", text: goalLookup.error }] };
+    }
+    goals = [goalLookup.goal];
+  } else {
+    let targetVisionId = visionId;
+    if (!targetVisionId) {
+      const visionLookup = await findLeadershipVision();
+      if (!visionLookup.ok) {
+        return { content: [{ type: "text", text: visionLookup.error }] };
+      }
+      if (!visionLookup.vision) {
+        return {
+          content: [
+            {
+              type: "text",
+              text: "No leadership vision found. Please ensure you have a vision for the leadership team.",
+            },
+          ],
+        };
+      }
+      targetVisionId = visionLookup.vision.id;
+    }
+
+    const goalsResult = await callSuccessCoGraphQL(`
+      query {
+        visionThreeYearGoals(filter: {visionId: {equalTo: "${targetVisionId}"}, stateId: {equalTo: "ACTIVE"}}) {
+          nodes {
+            id
+            name
+            type
+            futureDate
+            visionId
+          }
+        }
+      }
+    `);
+    if (!goalsResult.ok) {
+      return { content: [{ type: "text", text: goalsResult.error }] };
+    }
+    goals = goalsResult.data.data.visionThreeYearGoals.nodes;
+  }
+
+  if (goals.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ goals: [], totalCount: 0 }, null, 2),
+        },
+      ],
+    };
+  }
+
+  const goalFilter = `visionThreeYearGoalId: {in: [${goals
+    .map((goal) => `"${goal.id}"`)
+    .join(", ")}]}, stateId: {equalTo: "ACTIVE"}`;
+  const linksResult = await callSuccessCoGraphQL(`
+    query {
+      visionKpisOnThreeYearGoals(filter: {${goalFilter}}) {
+        nodes {
+          id
+          dataFieldId
+          dataVal
+          visionThreeYearGoalId
+        }
+      }
+      visionProfitRevenueDetails(filter: {${goalFilter}}, orderBy: POSITION_ASC) {
+        nodes {
+          id
+          entity
+          type
+          value
+          desc
+          visionThreeYearGoalId
+        }
+      }
+    }
+  `);
+  if (!linksResult.ok) {
+    return { content: [{ type: "text", text: linksResult.error }] };
+  }
+  const links = linksResult.data.data.visionKpisOnThreeYearGoals.nodes;
+  const financialTargets =
+    linksResult.data.data.visionProfitRevenueDetails.nodes;
+
+  // Measurables linked to revenue/profit targets, where relation_types allows it
+  const targetIds = financialTargets.map((target) => target.id);
+  const linkable = await Promise.all([
+    getRelationTypeId("vision_profit_revenue_details"),
+    getRelationTypeId("data_fields"),
+  ]);
+  let targetLinks = [];
+  if (targetIds.length > 0 && linkable.every((type) => type.ok)) {
+    const related = await findRelatedIds(
+      "vision_profit_revenue_details",
+      targetIds,
+      "data_fields"
+    );
+    if (!related.ok) {
+      return { content: [{ type: "text", text: related.error }] };
+    }
+    targetLinks = related.links;
+  }
+
+  // Latest scorecard value for each attached or linked measurable
+  const dataFieldIds = [
+    ...new Set([
+      ...links.map((link) => link.dataFieldId),
+      ...targetLinks.map((link) => link.relatedItemId),
+    ]),
+  ];
+  let dataFieldsById;
+  try {
+    dataFieldsById = await fetchDataFieldsById(dataFieldIds);
+  } catch (error) {
+    return {
+      content: [
+        { type: "text", text: `Error fetching measurables: ${error.message}` },
+      ],
+    };
+  }
+
+  const latestByField = {};
+  for (const dataFieldId of Object.keys(dataFieldsById)) {
+    const field = dataFieldsById[dataFieldId];
+    try {
+      const scorecard = parseToolResponse(
+        await getScorecardMeasurables({
+          dataFieldId,
+          type: MEASURABLE_TYPES[field.type] || "weekly",
+          status: "ALL",
+        })
+      );
+      const measurable = scorecard.scorecardMeasurables?.[0];
+      const stored = measurable?.values || [];
+      // Formula measurables have no stored values, only evaluated ones
+      const latest =
+        stored.length === 0 && measurable?.evaluatedValues
+          ? measurable.evaluatedValues[0]
+          : stored[0];
+      latestByField[dataFieldId] = latest
+        ? { value: latest.value, startDate: latest.startDate }
+        : null;
+    } catch (error) {
+      latestByField[dataFieldId] = null;
+    }
+  }
+
+  const compare = (currentValue, targetValue, comparison) => {
+    const current = parseTargetNumber(currentValue);
+    const target = parseTargetNumber(targetValue);
+    if (current === null || target === null) {
+      return { status: current === null ? "no_data" : "no_target" };
+    }
+    return {
+      status: meetsTarget(current, target, comparison) ? "met" : "not_met",
+      gap: Math.round((target - current) * 100) / 100,
+      percentOfTarget:
+        target !== 0 ? Math.round((current / target) * 1000) / 10 : null,
+    };
+  };
+
+  const report = goals.map((goal) => {
+    const measurables = links
+      .filter((link) => link.visionThreeYearGoalId === goal.id)
+      .map((link) => {
+        const field = dataFieldsById[link.dataFieldId];
+        const latest = latestByField[link.dataFieldId];
+        return {
+          linkId: link.id,
+          dataFieldId: link.dataFieldId,
+          name: field?.name || null,
+          unitType: field?.unitType || null,
+          comparison: field?.unitComparison || ">=",
+          targetValue: link.dataVal || null,
+          currentValue: latest?.value ?? null,
+          currentPeriod: latest?.startDate ?? null,
+          ...(field
+            ? compare(latest?.value, link.dataVal, field.unitComparison)
+            : { status: "measurable_not_found" }),
+        };
+      });
+
+    const targets = financialTargets
+      .filter((target) => target.visionThreeYearGoalId === goal.id)
+      .map((target) => {
+        const linked = targetLinks.find(
+          (link) =>
+            link.itemId === target.id && dataFieldsById[link.relatedItemId]
+        );
+        const entity = target.entity.trim().toLowerCase();
+        const match = linked
+          ? {
+              dataFieldId: linked.relatedItemId,
+              name: dataFieldsById[linked.relatedItemId].name,
+              currentValue:
+                latestByField[linked.relatedItemId]?.value ?? null,
+              currentPeriod:
+                latestByField[linked.relatedItemId]?.startDate ?? null,
+            }
+          : measurables.find(
+              (measurable) =>
+                measurable.name &&
+                measurable.name.trim().toLowerCase() === entity
+            );
+        return {
+          id: target.id,
+          entity: target.entity,
+          type: target.type,
+          targetValue: target.value,
+          desc: target.desc || null,
+          ...(match
+            ? {
+                measurable: {
+                  dataFieldId: match.dataFieldId,
+                  name: match.name,
+                },
+                currentValue: match.currentValue,
+                currentPeriod: match.currentPeriod,
+                ...compare(match.currentValue, target.value, ">="),
+              }
+            : { status: "no_matching_measurable" }),
+        };
+      });
+
+    const checked = [...measurables, ...targets].filter((item) =>
+      ["met", "not_met"].includes(item.status)
+    );
+
+    return {
+      id: goal.id,
+      name: goal.name,
+      type: goal.type,
+      futureDate: goal.futureDate,
+      measurables,
+      financialTargets: targets,
+      summary: {
+        targets: measurables.length + targets.length,
+        met: checked.filter((item) => item.status === "met").length,
+        notMet: checked.filter((item) => item.status === "not_met").length,
+        notComparable: measurables.length + targets.length - checked.length,
+      },
+    };
+  });
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            totalCount: report.length,
+            goals: report,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,1378 @@
+// V/TO History Tools
+// Tools for listing saved Vision/Traction Organizer versions and comparing them
+
+import {
+  callSuccessCoGraphQL,
+  getUserContext,
+  getDatabase,
+  getIsDevMode,
+} from "./core.js";
+import { calculateStartDateForDataField } from "../utils/helpers.js";
+import { findLeadershipVision } from "./vtoTools.js";
+
+// V/TO sections captured in vision_histories, with the live table each one mirrors.
+// `scope` says how the live rows are found: by visionId, by parent core value,
+// by parent three-year goal, or (for rocks) by the vision's team.
+// Sections with a `typeName` can be restored; `createWith` lists the vision
+// columns a recreated row needs and `parent` the section its foreign key points to.
+const VTO_SECTIONS = {
+  coreValues: {
+    label: "Core Values",
+    column: "visionHistoryCoreValues",
+    collection: "visionCoreValues",
+    scope: "vision",
+    fields: ["name", "cascadeAll"],
+    typeName: "VisionCoreValue",
+    createWith: ["visionId"],
+  },
+  coreValueDetails: {
+    label: "Core Value Details",
+    column: "visionHistoryCoreValueDetails",
+    collection: "visionCoreValueDetails",
+    scope: "coreValue",
+    fields: ["name", "desc", "type", "position", "visionCoreValueId", "cascadeAll"],
+    typeName: "VisionCoreValueDetail",
+    createWith: [],
+    parent: { field: "visionCoreValueId", section: "coreValues" },
+  },
+  coreFocusTypes: {
+    label: "Core Focus",
+    column: "visionHistoryCoreFocusTypes",
+    collection: "visionCoreFocusTypes",
+    scope: "vision",
+    fields: ["name", "coreFocusName", "desc", "src", "type", "cascadeAll"],
+    typeName: "VisionCoreFocusType",
+    createWith: ["visionId"],
+  },
+  threeYearGoals: {
+    label: "Goals (3-Year Picture, 1-Year Plan, 10-Year Target)",
+    column: "visionHistoryThreeYearGoals",
+    collection: "visionThreeYearGoals",
+    scope: "vision",
+    fields: ["name", "futureDate", "type", "cascadeAll"],
+    typeName: "VisionThreeYearGoal",
+    createWith: ["visionId"],
+  },
+  goalDetails: {
+    label: "Goal Details",
+    column: "visionHistoryGoalDetails",
+    collection: "visionGoalDetails",
+    scope: "goal",
+    fields: ["name", "desc", "type", "position", "status", "visionThreeYearGoalId"],
+    typeName: "VisionGoalDetail",
+    createWith: ["visionId"],
+    parent: { field: "visionThreeYearGoalId", section: "threeYearGoals" },
+  },
+  profitRevenueDetails: {
+    label: "Revenue & Profit Targets",
+    column: "visionHistoryProfitRevenueDetails",
+    collection: "visionProfitRevenueDetails",
+    scope: "goal",
+    fields: ["entity", "type", "value", "desc", "position", "visionThreeYearGoalId"],
+    typeName: "VisionProfitRevenueDetail",
+    createWith: ["visionId"],
+    parent: { field: "visionThreeYearGoalId", section: "threeYearGoals" },
+  },
+  kpisOnThreeYearGoals: {
+    label: "Measurables on Goals",
+    column: "visionHistoryKpisOnThreeYearGoals",
+    collection: "visionKpisOnThreeYearGoals",
+    scope: "goal",
+    fields: ["dataFieldId", "dataVal", "visionThreeYearGoalId"],
+    typeName: "VisionKpisOnThreeYearGoal",
+    createWith: [],
+    parent: { field: "visionThreeYearGoalId", section: "threeYearGoals" },
+  },
+  marketStrategies: {
+    label: "Marketing Strategy",
+    column: "visionHistoryMarketStrategies",
+    collection: "visionMarketStrategies",
+    scope: "vision",
+    fields: [
+      "name",
+      "idealCustomer",
+      "idealCustomerDesc",
+      "provenProcess",
+      "provenProcessDesc",
+      "guarantee",
+      "guaranteeDesc",
+      "uniqueValueProposition",
+      "showProvenProcess",
+      "showGuarantee",
+      "isCustom",
+      "cascadeAll",
+    ],
+    typeName: "VisionMarketStrategy",
+    createWith: ["visionId"],
+  },
+  issues: {
+    label: "Issues List",
+    column: "visionHistoryIssues",
+    collection: "visionIssues",
+    scope: "vision",
+    fields: ["name", "cascadeAll"],
+    typeName: "VisionIssue",
+    createWith: ["visionId", "teamId"],
+  },
+  rocks: {
+    label: "Rocks",
+    column: "visionHistoryRocks",
+    collection: "rocks",
+    scope: "team",
+    fields: ["name", "rockStatusId", "dueDate", "userId"],
+  },
+};
+
+/**
+ * Convert a snake_case key to camelCase
+ * Snapshots written by the web app use database column names.
+ * @param {string} key
+ * @returns {string}
+ */
+function toCamelCase(key) {
+  return key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse a vision_histories snapshot column into a list of records
+ * @param {string} text - Raw column value (JSON text, or '' when not captured)
+ * @returns {{captured: boolean, items: Array<Object>}}
+ */
+function parseVTOSnapshotColumn(text) {
+  if (!text || !text.trim()) return { captured: false, items: [] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { captured: false, items: [] };
+  }
+
+  const list = Array.isArray(parsed)
+    ? parsed
+    : Array.isArray(parsed?.nodes)
+    ? parsed.nodes
+    : [];
+
+  const items = list
+    .filter((item) => item && typeof item === "object")
+    .map((item) =>
+      Object.fromEntries(
+        Object.entries(item).map(([key, value]) => [toCamelCase(key), value])
+      )
+    )
+    .filter((item) => !item.stateId || item.stateId === "ACTIVE");
+
+  return { captured: true, items };
+}
+
+/**
+ * Short human-readable label for a V/TO record
+ * @param {Object} item
+ * @returns {string}
+ */
+function describeVTOItem(item) {
+  if (item.name) return item.name;
+  if (item.coreFocusName) return item.coreFocusName;
+  if (item.entity) return `${item.entity} ${item.type || ""}: ${item.value}`.trim();
+  if (item.dataFieldId) return `Measurable ${item.dataFieldId} → ${item.dataVal}`;
+  return item.id;
+}
+
+/**
+ * Resolve a vision by ID or team, defaulting to the leadership vision
+ * @param {Object} args
+ * @param {string} [args.visionId] - Vision ID
+ * @param {string} [args.teamId] - Team ID (uses that team's vision)
+ * @returns {Promise<{ok: boolean, vision?: Object, error?: string}>}
+ */
+export async function resolveVision({ visionId, teamId } = {}) {
+  if (!visionId && !teamId) {
+    const lookup = await findLeadershipVision();
+    if (!lookup.ok) return { ok: false, error: lookup.error };
+    if (!lookup.vision) {
+      return {
+        ok: false,
+        error:
+          "No leadership vision found. Please ensure you have a vision for the leadership team.",
+      };
+    }
+    return { ok: true, vision: lookup.vision };
+  }
+
+  const filter = visionId
+    ? `id: {equalTo: "${visionId}"}`
+    : `teamId: {equalTo: "${teamId}"}, stateId: {equalTo: "ACTIVE"}`;
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      visions(first: 1, filter: {${filter}}) {
+        nodes {
+          id
+          teamId
+          isLeadership
+          stateId
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const vision = result.data.data.visions.nodes[0];
+  if (!vision) {
+    return {
+      ok: false,
+      error: visionId
+        ? `Error: Vision not found with ID: ${visionId}`
+        : `Error: No vision found for team ${teamId}`,
+    };
+  }
+  return { ok: true, vision };
+}
+
+/**
+ * Load the live V/TO records for a vision, one list per section
+ * @param {Object} vision - Vision node ({id, teamId})
+ * @returns {Promise<{ok: boolean, sections?: Object, error?: string}>}
+ */
+async function loadCurrentVTOState(vision) {
+  const queryFor = (section, filter) => `
+    query {
+      ${section.collection}(filter: {stateId: {equalTo: "ACTIVE"}, ${filter}}) {
+        nodes {
+          id
+          ${section.fields.join("\n          ")}
+        }
+      }
+    }
+  `;
+
+  const run = async (key, filter) => {
+    const section = VTO_SECTIONS[key];
+    const result = await callSuccessCoGraphQL(queryFor(section, filter));
+    if (!result.ok) throw new Error(`${section.label}: ${result.error}`);
+    return result.data.data[section.collection].nodes;
+  };
+
+  const idList = (items) => items.map((item) => `"${item.id}"`).join(", ");
+  const visionFilter = `visionId: {equalTo: "${vision.id}"}`;
+
+  try {
+    const sections = {};
+    const visionScoped = Object.keys(VTO_SECTIONS).filter(
+      (key) => VTO_SECTIONS[key].scope === "vision"
+    );
+    const visionResults = await Promise.all(
+      visionScoped.map((key) => run(key, visionFilter))
+    );
+    visionScoped.forEach((key, index) => {
+      sections[key] = visionResults[index];
+    });
+
+    sections.coreValueDetails = sections.coreValues.length
+      ? await run(
+          "coreValueDetails",
+          `visionCoreValueId: {in: [${idList(sections.coreValues)}]}`
+        )
+      : [];
+
+    const goalFilter = `visionThreeYearGoalId: {in: [${idList(
+      sections.threeYearGoals
+    )}]}`;
+    const [goalDetails, profitRevenueDetails, kpisOnThreeYearGoals] =
+      sections.threeYearGoals.length
+        ? await Promise.all([
+            run("goalDetails", goalFilter),
+            run("profitRevenueDetails", goalFilter),
+            run("kpisOnThreeYearGoals", goalFilter),
+          ])
+        : [[], [], []];
+    Object.assign(sections, {
+      goalDetails,
+      profitRevenueDetails,
+      kpisOnThreeYearGoals,
+    });
+
+    sections.rocks = await loadCurrentTeamRocks(vision.teamId);
+
+    return { ok: true, sections };
+  } catch (error) {
+    return { ok: false, error: `Error loading current V/TO: ${error.message}` };
+  }
+}
+
+/**
+ * Load the vision team's rocks for the current quarter
+ * @param {string} teamId - Team ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadCurrentTeamRocks(teamId) {
+  const teamsOnRocksResult = await callSuccessCoGraphQL(`
+    query {
+      teamsOnRocks(filter: {teamId: {equalTo: "${teamId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          rockId
+        }
+      }
+    }
+  `);
+  if (!teamsOnRocksResult.ok) {
+    throw new Error(`Rocks: ${teamsOnRocksResult.error}`);
+  }
+
+  const rockIds = teamsOnRocksResult.data.data.teamsOnRocks.nodes.map(
+    (tor) => `"${tor.rockId}"`
+  );
+  if (rockIds.length === 0) return [];
+
+  // Limit to the current quarter when the company's quarter dates are available
+  let dueDateFilter = "";
+  const context = await getUserContext();
+  const db = getDatabase();
+  if (context && db) {
+    try {
+      const quarterStart = await calculateStartDateForDataField(
+        "QUARTERLY",
+        null,
+        context.companyId,
+        db,
+        getIsDevMode()
+      );
+      dueDateFilter = `, dueDate: {greaterThanOrEqualTo: "${quarterStart}"}`;
+    } catch (error) {
+      // Fall back to all active rocks
+    }
+  }
+
+  const section = VTO_SECTIONS.rocks;
+  const rocksResult = await callSuccessCoGraphQL(`
+    query {
+      rocks(filter: {id: {in: [${rockIds.join(", ")}]}, stateId: {equalTo: "ACTIVE"}${dueDateFilter}}) {
+        nodes {
+          id
+          ${section.fields.join("\n          ")}
+        }
+      }
+    }
+  `);
+  if (!rocksResult.ok) throw new Error(`Rocks: ${rocksResult.error}`);
+
+  return rocksResult.data.data.rocks.nodes;
+}
+
+/**
+ * Compare two lists of V/TO records for one section
+ * Records are matched by ID, falling back to their label.
+ * @param {string} key - Section key from VTO_SECTIONS
+ * @param {Array<Object>} fromItems - Older records
+ * @param {Array<Object>} toItems - Newer records
+ * @returns {{added: Array, removed: Array, changed: Array, unchanged: number}}
+ */
+function diffVTOSection(key, fromItems, toItems) {
+  const { fields } = VTO_SECTIONS[key];
+  const matchKey = (item) => item.id || describeVTOItem(item);
+
+  const toByKey = new Map(toItems.map((item) => [matchKey(item), item]));
+  const fromByKey = new Map(fromItems.map((item) => [matchKey(item), item]));
+
+  const added = toItems
+    .filter((item) => !fromByKey.has(matchKey(item)))
+    .map((item) => ({ id: item.id, name: describeVTOItem(item) }));
+  const removed = fromItems
+    .filter((item) => !toByKey.has(matchKey(item)))
+    .map((item) => ({ id: item.id, name: describeVTOItem(item) }));
+
+  const changed = [];
+  let unchanged = 0;
+  fromItems.forEach((before) => {
+    const after = toByKey.get(matchKey(before));
+    if (!after) return;
+
+    const changes = {};
+    fields.forEach((field) => {
+      // Only compare fields that both versions recorded
+      if (!(field in before) || !(field in after)) return;
+      const from = before[field] ?? null;
+      const to = after[field] ?? null;
+      if (String(from) !== String(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({
+        id: after.id,
+        name: describeVTOItem(after),
+        changes,
+      });
+    } else {
+      unchanged++;
+    }
+  });
+
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * Load one vision_histories row with all snapshot columns
+ * @param {string} versionId - vision_histories ID
+ * @returns {Promise<{ok: boolean, version?: Object, error?: string}>}
+ */
+async function fetchVTOVersion(versionId) {
+  const columns = Object.values(VTO_SECTIONS).map((section) => section.column);
+  const result = await callSuccessCoGraphQL(`
+    query {
+      visionHistories(filter: {id: {equalTo: "${versionId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          teamId
+          visionId
+          userId
+          isCurrentVersion
+          createdAt
+          ${columns.join("\n          ")}
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const version = result.data.data.visionHistories.nodes[0];
+  if (!version) {
+    return { ok: false, error: `Error: V/TO version not found with ID: ${versionId}` };
+  }
+  return { ok: true, version };
+}
+
+/**
+ * Split a vision_histories row into parsed sections
+ * @param {Object} version - visionHistories node
+ * @returns {Object} Map of section key → {captured, items}
+ */
+function getVTOVersionSections(version) {
+  return Object.fromEntries(
+    Object.entries(VTO_SECTIONS).map(([key, section]) => [
+      key,
+      parseVTOSnapshotColumn(version[section.column]),
+    ])
+  );
+}
+
+// Edits made within this window of a vision's latest snapshot reuse it
+const VTO_SNAPSHOT_SESSION_MS = 30 * 60 * 1000;
+
+// Column types that snapshots written by the web app may store as text
+const VTO_INT_FIELDS = ["position", "isCustom"];
+const VTO_BOOLEAN_FIELDS = [
+  "cascadeAll",
+  "status",
+  "showProvenProcess",
+  "showGuarantee",
+];
+
+/**
+ * Save the live V/TO of a vision as a new vision_histories row
+ * @param {Object} vision - Vision node ({id, teamId})
+ * @param {string} name - Version name
+ * @returns {Promise<{ok: boolean, snapshot?: Object, error?: string}>}
+ */
+async function saveVTOSnapshot(vision, name) {
+  const context = await getUserContext();
+  if (!context) {
+    return { ok: false, error: "Error: Authentication required" };
+  }
+
+  const current = await loadCurrentVTOState(vision);
+  if (!current.ok) return { ok: false, error: current.error };
+
+  const visionHistory = {
+    name,
+    teamId: vision.teamId,
+    visionId: vision.id,
+    userId: context.userId,
+    companyId: context.companyId,
+    stateId: "ACTIVE",
+  };
+  Object.entries(VTO_SECTIONS).forEach(([key, section]) => {
+    visionHistory[section.column] = JSON.stringify(current.sections[key]);
+  });
+
+  const mutation = `
+    mutation CreateVisionHistory($input: CreateVisionHistoryInput!) {
+      createVisionHistory(input: $input) {
+        visionHistory {
+          id
+          name
+          createdAt
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { visionHistory },
+  });
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const snapshot = result.data?.data?.createVisionHistory?.visionHistory;
+  if (!snapshot) {
+    return {
+      ok: false,
+      error: `Snapshot creation failed. ${JSON.stringify(result.data)}`,
+    };
+  }
+
+  return { ok: true, snapshot };
+}
+
+/**
+ * Find the vision a V/TO record belongs to, following parent links
+ * @param {string} sectionKey - Section key from VTO_SECTIONS
+ * @param {string} itemId - Record ID
+ * @returns {Promise<{ok: boolean, visionId?: string, error?: string}>}
+ */
+async function findVisionIdForVTOItem(sectionKey, itemId) {
+  const section = VTO_SECTIONS[sectionKey];
+  const field = section.parent ? section.parent.field : "visionId";
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      ${section.collection}(filter: {id: {equalTo: "${itemId}"}}) {
+        nodes {
+          id
+          ${field}
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const item = result.data.data[section.collection].nodes[0];
+  if (!item) {
+    return {
+      ok: false,
+      error: `Error: ${section.label} item not found with ID: ${itemId}`,
+    };
+  }
+
+  return section.parent
+    ? await findVisionIdForVTOItem(section.parent.section, item[field])
+    : { ok: true, visionId: item.visionId };
+}
+
+/**
+ * Collect the string argument values of a GraphQL operation, by argument name
+ * Covers both inline literals (`id: "..."`) and values passed as variables.
+ * @param {string} query - GraphQL operation
+ * @param {Object} [variables] - Operation variables
+ * @returns {Map<string, Set<string>>}
+ */
+function collectGraphQLArgumentValues(query, variables) {
+  const values = new Map();
+  const add = (key, value) => {
+    if (typeof value !== "string" || !value) return;
+    if (!values.has(key)) values.set(key, new Set());
+    values.get(key).add(value);
+  };
+
+  for (const match of query.matchAll(/\b(\w+)\s*:\s*"([^"]*)"/g)) {
+    add(match[1], match[2]);
+  }
+
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+    } else if (node && typeof node === "object") {
+      Object.entries(node).forEach(([key, value]) => {
+        add(key, value);
+        walk(value);
+      });
+    }
+  };
+  walk(variables);
+
+  return values;
+}
+
+/**
+ * Find the visions a raw GraphQL V/TO mutation edits
+ * Uses visionId arguments when present, otherwise looks up the records (or
+ * parent records) named by `id` arguments in the sections being mutated.
+ * @param {string} query - GraphQL mutation
+ * @param {Object} [variables] - Mutation variables
+ * @returns {Promise<{ok: boolean, visionIds?: Array<string>, error?: string}>}
+ */
+export async function findVisionIdsForVTOMutation(query, variables) {
+  const values = collectGraphQLArgumentValues(query, variables);
+  if (values.has("visionId")) {
+    return { ok: true, visionIds: [...values.get("visionId")] };
+  }
+
+  // createVisionCoreValue -> visionCoreValues, updateVisionMarketStrategy -> visionMarketStrategies
+  const sectionKeys = new Set();
+  for (const match of query.matchAll(
+    /\b(?:create|update|delete)(Vision(?!History)[A-Z]\w*?)(?:ByNodeId|ById)?\s*\(/g
+  )) {
+    const singular = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+    const collection = singular.endsWith("y")
+      ? `${singular.slice(0, -1)}ies`
+      : `${singular}s`;
+    const key = Object.keys(VTO_SECTIONS).find(
+      (sectionKey) => VTO_SECTIONS[sectionKey].collection === collection
+    );
+    if (key) sectionKeys.add(key);
+  }
+
+  const visionIds = new Set();
+  for (const key of sectionKeys) {
+    const { parent } = VTO_SECTIONS[key];
+    const lookups = [
+      ...[...(values.get("id") || [])].map((id) => [key, id]),
+      ...(parent
+        ? [...(values.get(parent.field) || [])].map((id) => [parent.section, id])
+        : []),
+    ];
+    for (const [sectionKey, itemId] of lookups) {
+      const lookup = await findVisionIdForVTOItem(sectionKey, itemId);
+      if (lookup.ok && lookup.visionId) visionIds.add(lookup.visionId);
+    }
+  }
+
+  if (visionIds.size === 0) {
+    return {
+      ok: false,
+      error:
+        "Could not tell which vision this mutation edits (no visionId, or no V/TO record ID that could be looked up).",
+    };
+  }
+  return { ok: true, visionIds: [...visionIds] };
+}
+
+/**
+ * Make sure the vision has a snapshot before it is edited
+ * Saves the live V/TO to vision_histories, unless the vision's latest
+ * snapshot is less than VTO_SNAPSHOT_SESSION_MS old - then edits reuse it.
+ * @param {Object} target - What is about to be edited
+ * @param {string} [target.visionId] - Vision ID (defaults to the leadership vision)
+ * @param {string} [target.itemType] - Section key of the edited record (e.g. 'threeYearGoals')
+ * @param {string} [target.itemId] - ID of the edited record, used to find its vision
+ * @returns {Promise<{ok: boolean, snapshotId?: string, reused?: boolean, error?: string}>}
+ */
+export async function ensureVTOSnapshot({ visionId, itemType, itemId } = {}) {
+  let targetVisionId = visionId;
+  if (!targetVisionId && itemType && itemId) {
+    const lookup = await findVisionIdForVTOItem(itemType, itemId);
+    if (!lookup.ok) return lookup;
+    targetVisionId = lookup.visionId;
+  }
+
+  const visionLookup = await resolveVision({ visionId: targetVisionId });
+  if (!visionLookup.ok) return visionLookup;
+  const vision = visionLookup.vision;
+
+  const latestResult = await callSuccessCoGraphQL(`
+    query {
+      visionHistories(filter: {visionId: {equalTo: "${vision.id}"}, stateId: {equalTo: "ACTIVE"}}, orderBy: CREATED_AT_DESC, first: 1) {
+        nodes {
+          id
+          createdAt
+        }
+      }
+    }
+  `);
+  if (!latestResult.ok) return { ok: false, error: latestResult.error };
+
+  const latest = latestResult.data.data.visionHistories.nodes[0];
+  if (
+    latest &&
+    Date.now() - Date.parse(latest.createdAt) < VTO_SNAPSHOT_SESSION_MS
+  ) {
+    return { ok: true, snapshotId: latest.id, reused: true };
+  }
+
+  const timestamp = new Date().toISOString().slice(0, 16).replace("T", " ");
+  const saved = await saveVTOSnapshot(
+    vision,
+    `Before MCP edit ${timestamp} UTC`
+  );
+  if (!saved.ok) return saved;
+
+  return { ok: true, snapshotId: saved.snapshot.id, reused: false };
+}
+
+/**
+ * Convert a snapshot value to the type its column expects
+ * @param {string} field - Field name
+ * @param {*} value - Snapshot value
+ * @returns {*}
+ */
+function normalizeVTOFieldValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (VTO_INT_FIELDS.includes(field) && typeof value === "string") {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? null : parsed;
+  }
+  if (VTO_BOOLEAN_FIELDS.includes(field) && typeof value !== "boolean") {
+    return ["true", "t", "1"].includes(String(value).toLowerCase());
+  }
+  return value;
+}
+
+/**
+ * Work out what restoring one section to a snapshot would change
+ * @param {string} key - Section key from VTO_SECTIONS
+ * @param {Array<Object>} snapshotItems - Records in the snapshot
+ * @param {Array<Object>} currentItems - Live records
+ * @returns {{update: Array, restore: Array, remove: Array}}
+ */
+function planVTOSectionRestore(key, snapshotItems, currentItems) {
+  const { fields } = VTO_SECTIONS[key];
+  const currentById = new Map(currentItems.map((item) => [item.id, item]));
+  const currentByName = new Map(
+    currentItems.map((item) => [describeVTOItem(item), item])
+  );
+  const matched = new Set();
+
+  const update = [];
+  const restore = [];
+  snapshotItems.forEach((saved) => {
+    // Snapshots without IDs can only be matched by label
+    const current = saved.id
+      ? currentById.get(saved.id)
+      : currentByName.get(describeVTOItem(saved));
+
+    const values = {};
+    fields.forEach((field) => {
+      if (field in saved) {
+        values[field] = normalizeVTOFieldValue(field, saved[field]);
+      }
+    });
+
+    if (!current) {
+      restore.push({ id: saved.id || null, name: describeVTOItem(saved), values });
+      return;
+    }
+
+    matched.add(current.id);
+    const patch = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if (String(value ?? null) !== String(current[field] ?? null)) {
+        patch[field] = value;
+      }
+    });
+    if (Object.keys(patch).length > 0) {
+      update.push({ id: current.id, name: describeVTOItem(saved), patch });
+    }
+  });
+
+  const remove = currentItems
+    .filter((item) => !matched.has(item.id))
+    .map((item) => ({ id: item.id, name: describeVTOItem(item) }));
+
+  return { update, restore, remove };
+}
+
+/**
+ * Run a create or update mutation for a V/TO record
+ * @param {string} typeName - GraphQL type (e.g. 'VisionCoreValue')
+ * @param {'create'|'update'} action
+ * @param {Object} input - Mutation input
+ * @returns {Promise<{ok: boolean, id?: string, error?: string}>}
+ */
+async function mutateVTORecord(typeName, action, input) {
+  const inputType = `${
+    action === "create" ? "Create" : "Update"
+  }${typeName}Input`;
+  const nodeField = typeName.charAt(0).toLowerCase() + typeName.slice(1);
+  const mutation = `
+    mutation ($input: ${inputType}!) {
+      ${action}${typeName}(input: $input) {
+        ${nodeField} {
+          id
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, { input });
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const node = result.data?.data?.[`${action}${typeName}`]?.[nodeField];
+  if (!node) {
+    return { ok: false, error: `${action} ${typeName} returned no record` };
+  }
+  return { ok: true, id: node.id };
+}
+
+/**
+ * List saved versions of a Vision/Traction Organizer
+ * @param {Object} args - Arguments object
+ * @param {string} [args.visionId] - Vision ID (defaults to the leadership vision)
+ * @param {string} [args.teamId] - Use this team's vision instead of the leadership vision
+ * @param {string} [args.versionId] - Return this version with its full snapshot
+ * @param {number} [args.first=20] - Optional page size (defaults to 20)
+ * @param {number} [args.offset] - Optional offset
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getVTOHistory(args = {}) {
+  const { visionId, teamId, versionId, first = 20, offset } = args;
+
+  // A single version, with its snapshot
+  if (versionId) {
+    const lookup = await fetchVTOVersion(versionId);
+    if (!lookup.ok) {
+      return { content: [{ type: "text", text: lookup.error }] };
+    }
+    const { version } = lookup;
+    const sections = getVTOVersionSections(version);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              id: version.id,
+              name: version.name,
+              visionId: version.visionId,
+              teamId: version.teamId,
+              createdBy: version.userId,
+              createdAt: version.createdAt,
+              isCurrentVersion: version.isCurrentVersion === 1,
+              snapshot: Object.fromEntries(
+                Object.entries(sections).map(([key, section]) => [
+                  key,
+                  section.captured ? section.items : null,
+                ])
+              ),
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  const visionLookup = await resolveVision({ visionId, teamId });
+  if (!visionLookup.ok) {
+    return { content: [{ type: "text", text: visionLookup.error }] };
+  }
+  const vision = visionLookup.vision;
+
+  const columns = Object.values(VTO_SECTIONS).map((section) => section.column);
+  const filterStr = [
+    `filter: {teamId: {equalTo: "${vision.teamId}"}, stateId: {equalTo: "ACTIVE"}}`,
+    `orderBy: CREATED_AT_DESC`,
+    first !== undefined ? `first: ${first}` : "",
+    offset !== undefined ? `offset: ${offset}` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      visionHistories(${filterStr}) {
+        nodes {
+          id
+          name
+          visionId
+          userId
+          isCurrentVersion
+          createdAt
+          ${columns.join("\n          ")}
+        }
+        totalCount
+      }
+    }
+  `);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+
+  const versions = result.data.data.visionHistories.nodes;
+
+  // Resolve author names in one query
+  const userIds = [...new Set(versions.map((v) => v.userId).filter(Boolean))];
+  const usersById = {};
+  if (userIds.length > 0) {
+    const usersResult = await callSuccessCoGraphQL(`
+      query {
+        users(filter: {id: {in: [${userIds.map((id) => `"${id}"`).join(", ")}]}}) {
+          nodes {
+            id
+            firstName
+            lastName
+          }
+        }
+      }
+    `);
+    if (usersResult.ok) {
+      usersResult.data.data.users.nodes.forEach((user) => {
+        usersById[user.id] = `${user.firstName || ""} ${
+          user.lastName || ""
+        }`.trim();
+      });
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            visionId: vision.id,
+            teamId: vision.teamId,
+            totalCount: result.data.data.visionHistories.totalCount,
+            versions: versions.map((version) => {
+              const sections = getVTOVersionSections(version);
+              return {
+                id: version.id,
+                name: version.name,
+                createdAt: version.createdAt,
+                createdBy: {
+                  id: version.userId,
+                  name: usersById[version.userId] || null,
+                },
+                isCurrentVersion: version.isCurrentVersion === 1,
+                itemCounts: Object.fromEntries(
+                  Object.entries(sections)
+                    .filter(([, section]) => section.captured)
+                    .map(([key, section]) => [key, section.items.length])
+                ),
+              };
+            }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Show a structured diff between two saved V/TO versions, or between a
+ * saved version and the live V/TO
+ * @param {Object} args - Arguments object
+ * @param {string} args.fromVersionId - Older version ID (required)
+ * @param {string} [args.toVersionId] - Newer version ID, or omit/'current' to compare with the live V/TO
+ * @param {string} [args.sections] - Comma-separated section keys to compare (defaults to all)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function diffVTOVersions(args) {
+  const { fromVersionId, toVersionId, sections: sectionsFilter } = args;
+
+  if (!fromVersionId) {
+    return {
+      content: [{ type: "text", text: "Error: fromVersionId is required" }],
+    };
+  }
+
+  const sectionKeys = sectionsFilter
+    ? sectionsFilter
+        .split(",")
+        .map((key) => key.trim())
+        .filter((key) => key)
+    : Object.keys(VTO_SECTIONS);
+  const unknownSections = sectionKeys.filter((key) => !VTO_SECTIONS[key]);
+  if (unknownSections.length > 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Unknown section(s) ${unknownSections.join(
+            ", "
+          )}. Valid sections: ${Object.keys(VTO_SECTIONS).join(", ")}`,
+        },
+      ],
+    };
+  }
+
+  const fromLookup = await fetchVTOVersion(fromVersionId);
+  if (!fromLookup.ok) {
+    return { content: [{ type: "text", text: fromLookup.error }] };
+  }
+  const fromVersion = fromLookup.version;
+  const fromSections = getVTOVersionSections(fromVersion);
+
+  let toSections;
+  let toInfo;
+  if (toVersionId && toVersionId !== "current") {
+    const toLookup = await fetchVTOVersion(toVersionId);
+    if (!toLookup.ok) {
+      return { content: [{ type: "text", text: toLookup.error }] };
+    }
+    toSections = getVTOVersionSections(toLookup.version);
+    toInfo = {
+      id: toLookup.version.id,
+      name: toLookup.version.name,
+      createdAt: toLookup.version.createdAt,
+    };
+  } else {
+    const visionLookup = await resolveVision(
+      fromVersion.visionId
+        ? { visionId: fromVersion.visionId }
+        : { teamId: fromVersion.teamId }
+    );
+    if (!visionLookup.ok) {
+      return { content: [{ type: "text", text: visionLookup.error }] };
+    }
+    const current = await loadCurrentVTOState(visionLookup.vision);
+    if (!current.ok) {
+      return { content: [{ type: "text", text: current.error }] };
+    }
+    toSections = Object.fromEntries(
+      Object.entries(current.sections).map(([key, items]) => [
+        key,
+        { captured: true, items },
+      ])
+    );
+    toInfo = { id: "current", name: "Current V/TO", createdAt: null };
+  }
+
+  const diff = {};
+  const summary = {};
+  const notCompared = [];
+  sectionKeys.forEach((key) => {
+    if (!fromSections[key].captured || !toSections[key].captured) {
+      notCompared.push(key);
+      return;
+    }
+    diff[key] = diffVTOSection(
+      key,
+      fromSections[key].items,
+      toSections[key].items
+    );
+    summary[key] = {
+      label: VTO_SECTIONS[key].label,
+      added: diff[key].added.length,
+      removed: diff[key].removed.length,
+      changed: diff[key].changed.length,
+      unchanged: diff[key].unchanged,
+    };
+  });
+
+  const hasChanges = Object.values(summary).some(
+    (s) => s.added + s.removed + s.changed > 0
+  );
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            from: {
+              id: fromVersion.id,
+              name: fromVersion.name,
+              createdAt: fromVersion.createdAt,
+            },
+            to: toInfo,
+            hasChanges,
+            summary,
+            ...(notCompared.length > 0 && {
+              notCompared: {
+                sections: notCompared,
+                reason: "Section was not captured in one of the versions",
+              },
+            }),
+            sections: diff,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Roll a Vision/Traction Organizer back to a saved version
+ * Changed records are patched back, records removed since the snapshot are
+ * re-activated (or recreated), and records added since are soft-deleted.
+ * The live V/TO is snapshotted first, so a restore can itself be undone.
+ * @param {Object} args - Arguments object
+ * @param {string} args.versionId - vision_histories ID to restore (required)
+ * @param {string} [args.sections] - Comma-separated section keys to restore (defaults to all restorable sections)
+ * @param {boolean} [args.dryRun=true] - If true, only report what would change
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function restoreVTOVersion(args) {
+  const { versionId, sections: sectionsFilter, dryRun = true } = args;
+
+  if (!versionId) {
+    return {
+      content: [{ type: "text", text: "Error: versionId is required" }],
+    };
+  }
+
+  const restorableKeys = Object.keys(VTO_SECTIONS).filter(
+    (key) => VTO_SECTIONS[key].typeName
+  );
+  const requestedKeys = sectionsFilter
+    ? sectionsFilter
+        .split(",")
+        .map((key) => key.trim())
+        .filter((key) => key)
+    : restorableKeys;
+  const invalidSections = requestedKeys.filter(
+    (key) => !restorableKeys.includes(key)
+  );
+  if (invalidSections.length > 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Section(s) ${invalidSections.join(
+            ", "
+          )} cannot be restored. Restorable sections: ${restorableKeys.join(", ")}`,
+        },
+      ],
+    };
+  }
+  // Keep parents ahead of their children
+  const sectionKeys = restorableKeys.filter((key) =>
+    requestedKeys.includes(key)
+  );
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [{ type: "text", text: "Error: Authentication required" }],
+    };
+  }
+
+  const versionLookup = await fetchVTOVersion(versionId);
+  if (!versionLookup.ok) {
+    return { content: [{ type: "text", text: versionLookup.error }] };
+  }
+  const version = versionLookup.version;
+  const snapshotSections = getVTOVersionSections(version);
+
+  const visionLookup = await resolveVision(
+    version.visionId
+      ? { visionId: version.visionId }
+      : { teamId: version.teamId }
+  );
+  if (!visionLookup.ok) {
+    return { content: [{ type: "text", text: visionLookup.error }] };
+  }
+  const vision = visionLookup.vision;
+
+  const current = await loadCurrentVTOState(vision);
+  if (!current.ok) {
+    return { content: [{ type: "text", text: current.error }] };
+  }
+
+  const notCaptured = sectionKeys.filter(
+    (key) => !snapshotSections[key].captured
+  );
+  const plans = {};
+  sectionKeys
+    .filter((key) => snapshotSections[key].captured)
+    .forEach((key) => {
+      plans[key] = planVTOSectionRestore(
+        key,
+        snapshotSections[key].items,
+        current.sections[key]
+      );
+    });
+
+  const summary = Object.fromEntries(
+    Object.entries(plans).map(([key, plan]) => [
+      key,
+      {
+        label: VTO_SECTIONS[key].label,
+        update: plan.update.length,
+        restore: plan.restore.length,
+        remove: plan.remove.length,
+      },
+    ])
+  );
+  const versionInfo = {
+    id: version.id,
+    name: version.name,
+    createdAt: version.createdAt,
+  };
+
+  if (dryRun) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(
+            {
+              dryRun: true,
+              version: versionInfo,
+              summary,
+              ...(notCaptured.length > 0 && { notCaptured }),
+              plan: Object.fromEntries(
+                Object.entries(plans).map(([key, plan]) => [
+                  key,
+                  {
+                    update: plan.update.map(({ id, name, patch }) => ({
+                      id,
+                      name,
+                      fields: Object.keys(patch),
+                    })),
+                    restore: plan.restore.map(({ id, name }) => ({ id, name })),
+                    remove: plan.remove,
+                  },
+                ])
+              ),
+              message:
+                "No changes made. Run again with dryRun=false to restore this version.",
+            },
+            null,
+            2
+          ),
+        },
+      ],
+    };
+  }
+
+  const safety = await saveVTOSnapshot(
+    vision,
+    `Before restoring "${version.name}"`
+  );
+  if (!safety.ok) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: Could not save a V/TO snapshot before restoring, so nothing was changed. ${safety.error}`,
+        },
+      ],
+    };
+  }
+
+  // Snapshot IDs of recreated records → their new IDs, for child foreign keys
+  const recreatedIds = {};
+  const results = {};
+
+  for (const [key, plan] of Object.entries(plans)) {
+    const section = VTO_SECTIONS[key];
+    const sectionResult = {
+      updated: [],
+      restored: [],
+      recreated: [],
+      removed: [],
+      errors: [],
+    };
+    const remapParent = (values) =>
+      section.parent && recreatedIds[values[section.parent.field]]
+        ? {
+            ...values,
+            [section.parent.field]: recreatedIds[values[section.parent.field]],
+          }
+        : values;
+
+    for (const item of plan.update) {
+      const result = await mutateVTORecord(section.typeName, "update", {
+        id: item.id,
+        patch: remapParent(item.patch),
+      });
+      if (result.ok) {
+        sectionResult.updated.push({ id: item.id, name: item.name });
+      } else {
+        sectionResult.errors.push(`Update ${item.name}: ${result.error}`);
+      }
+    }
+
+    for (const item of plan.restore) {
+      const values = remapParent(item.values);
+
+      // Soft-deleted rows still exist, so bring them back under the same ID
+      if (item.id) {
+        const reactivated = await mutateVTORecord(section.typeName, "update", {
+          id: item.id,
+          patch: { ...values, stateId: "ACTIVE" },
+        });
+        if (reactivated.ok) {
+          sectionResult.restored.push({ id: item.id, name: item.name });
+          continue;
+        }
+      }
+
+      const extra = {};
+      section.createWith.forEach((column) => {
+        extra[column] = column === "teamId" ? vision.teamId : vision.id;
+      });
+      const created = await mutateVTORecord(section.typeName, "create", {
+        [section.typeName.charAt(0).toLowerCase() + section.typeName.slice(1)]: {
+          ...values,
+          ...extra,
+          stateId: "ACTIVE",
+          companyId: context.companyId,
+        },
+      });
+      if (created.ok) {
+        if (item.id) recreatedIds[item.id] = created.id;
+        sectionResult.recreated.push({
+          id: created.id,
+          previousId: item.id,
+          name: item.name,
+        });
+      } else {
+        sectionResult.errors.push(`Restore ${item.name}: ${created.error}`);
+      }
+    }
+
+    for (const item of plan.remove) {
+      const result = await mutateVTORecord(section.typeName, "update", {
+        id: item.id,
+        patch: { stateId: "DELETED" },
+      });
+      if (result.ok) {
+        sectionResult.removed.push(item);
+      } else {
+        sectionResult.errors.push(`Remove ${item.name}: ${result.error}`);
+      }
+    }
+
+    results[key] = sectionResult;
+  }
+
+  const errorCount = Object.values(results).reduce(
+    (sum, result) => sum + result.errors.length,
+    0
+  );
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: errorCount === 0,
+            version: versionInfo,
+            backupVersionId: safety.snapshot.id,
+            summary: Object.fromEntries(
+              Object.entries(results).map(([key, result]) => [
+                key,
+                {
+                  label: VTO_SECTIONS[key].label,
+                  updated: result.updated.length,
+                  restored: result.restored.length + result.recreated.length,
+                  removed: result.removed.length,
+                  errors: result.errors.length,
+                },
+              ])
+            ),
+            ...(notCaptured.length > 0 && { notCaptured }),
+            sections: results,
+            message:
+              errorCount === 0
+                ? `Restored V/TO to "${version.name}". The previous state was saved as version ${safety.snapshot.id}.`
+                : `Restore finished with ${errorCount} error(s). The previous state was saved as version ${safety.snapshot.id}.`,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,671 @@
+// V/TO Issues Tools
+// Tools for the long-term issues list on the V/TO (vision_issues), and for
+// moving items between it and a team's short-term issues list
+
+import { callSuccessCoGraphQL, getUserContext } from "./core.js";
+import {
+  getCompanyCode,
+  generateObjectUrl,
+  parseToolResponse,
+} from "./commonHelpers.js";
+import { resolveVision } from "./vtoHistoryTools.js";
+import { snapshotBeforeVTOEdit } from "./vtoTools.js";
+import { createIssue, deleteIssue } from "./issuesTools.js";
+import { createRelation, findRelatedIds } from "./relatedItemsTools.js";
+
+/**
+ * Format a vision_issues row for output
+ * @param {Object} vtoIssue - visionIssues node
+ * @returns {Object}
+ */
+function formatVTOIssue(vtoIssue) {
+  return {
+    id: vtoIssue.id,
+    name: vtoIssue.name,
+    cascadeAll: vtoIssue.cascadeAll,
+    visionId: vtoIssue.visionId,
+    teamId: vtoIssue.teamId,
+    createdAt: vtoIssue.createdAt,
+  };
+}
+
+/**
+ * Load an active V/TO issue
+ * @param {string} vtoIssueId - vision_issues ID
+ * @returns {Promise<{ok: boolean, vtoIssue?: Object, error?: string}>}
+ */
+async function fetchVTOIssue(vtoIssueId) {
+  const result = await callSuccessCoGraphQL(`
+    query {
+      visionIssues(filter: {id: {equalTo: "${vtoIssueId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          cascadeAll
+          visionId
+          teamId
+          createdAt
+        }
+      }
+    }
+  `);
+  if (!result.ok) return { ok: false, error: result.error };
+
+  const vtoIssue = result.data.data.visionIssues.nodes[0];
+  if (!vtoIssue) {
+    return {
+      ok: false,
+      error: `Error: V/TO issue not found with ID: ${vtoIssueId}`,
+    };
+  }
+  return { ok: true, vtoIssue };
+}
+
+/**
+ * List the long-term issues on a V/TO, with the short-term issues linked to each
+ * @param {Object} args - Arguments object
+ * @param {string} [args.visionId] - Vision ID (defaults to the leadership vision)
+ * @param {string} [args.teamId] - Use this team's vision instead of the leadership vision
+ * @param {boolean} [args.includeLinkedIssues=true] - If false, skip loading linked issues
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function getVTOIssues(args = {}) {
+  const { visionId, teamId, includeLinkedIssues = true } = args;
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [{ type: "text", text: "Error: Authentication required" }],
+    };
+  }
+
+  const visionLookup = await resolveVision({ visionId, teamId });
+  if (!visionLookup.ok) {
+    return { content: [{ type: "text", text: visionLookup.error }] };
+  }
+  const vision = visionLookup.vision;
+
+  const result = await callSuccessCoGraphQL(`
+    query {
+      visionIssues(filter: {visionId: {equalTo: "${vision.id}"}, stateId: {equalTo: "ACTIVE"}}, orderBy: CREATED_AT_ASC) {
+        nodes {
+          id
+          name
+          cascadeAll
+          visionId
+          teamId
+          createdAt
+        }
+        totalCount
+      }
+    }
+  `);
+  if (!result.ok) {
+    return { content: [{ type: "text", text: result.error }] };
+  }
+  const vtoIssues = result.data.data.visionIssues.nodes;
+
+  // Short-term issues linked through related_items
+  const linkedByVTOIssue = {};
+  if (includeLinkedIssues && vtoIssues.length > 0) {
+    const related = await findRelatedIds(
+      "vision_issues",
+      vtoIssues.map((vtoIssue) => vtoIssue.id),
+      "issues"
+    );
+    if (!related.ok) {
+      return { content: [{ type: "text", text: related.error }] };
+    }
+
+    const issueIds = [...new Set(related.links.map((l) => l.relatedItemId))];
+    const issuesById = {};
+    if (issueIds.length > 0) {
+      const issuesResult = await callSuccessCoGraphQL(`
+        query {
+          issues(filter: {id: {in: [${issueIds
+            .map((id) => `"${id}"`)
+            .join(", ")}]}}) {
+            nodes {
+              id
+              name
+              issueStatusId
+              type
+              teamId
+              stateId
+            }
+          }
+        }
+      `);
+      if (issuesResult.ok) {
+        issuesResult.data.data.issues.nodes.forEach((issue) => {
+          issuesById[issue.id] = issue;
+        });
+      }
+    }
+
+    const companyCode = await getCompanyCode(context.companyId);
+    related.links.forEach((link) => {
+      const issue = issuesById[link.relatedItemId];
+      if (!issue) return;
+      if (!linkedByVTOIssue[link.itemId]) linkedByVTOIssue[link.itemId] = [];
+      linkedByVTOIssue[link.itemId].push({
+        id: issue.id,
+        name: issue.name,
+        status: issue.issueStatusId,
+        type: issue.type
+          ? issue.type.charAt(0).toUpperCase() + issue.type.slice(1)
+          : null,
+        teamId: issue.teamId,
+        stateId: issue.stateId,
+        url: companyCode
+          ? generateObjectUrl("issues", issue.id, companyCode)
+          : null,
+      });
+    });
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            visionId: vision.id,
+            teamId: vision.teamId,
+            totalCount: result.data.data.visionIssues.totalCount,
+            vtoIssues: vtoIssues.map((vtoIssue) => ({
+              ...formatVTOIssue(vtoIssue),
+              ...(includeLinkedIssues && {
+                linkedIssues: linkedByVTOIssue[vtoIssue.id] || [],
+              }),
+            })),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Add an issue to the long-term issues list on a V/TO
+ * @param {Object} args - Arguments object
+ * @param {string} args.name - Issue text (required)
+ * @param {string} [args.visionId] - Vision ID (defaults to the leadership vision)
+ * @param {string} [args.teamId] - Use this team's vision instead of the leadership vision
+ * @param {boolean} [args.cascadeAll=false] - Show the issue on every team's V/TO
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function createVTOIssue(args) {
+  const { name, visionId, teamId, cascadeAll = false } = args;
+
+  if (!name || name.trim() === "") {
+    return {
+      content: [{ type: "text", text: "Error: V/TO issue name is required" }],
+    };
+  }
+
+  const context = await getUserContext();
+  if (!context) {
+    return {
+      content: [{ type: "text", text: "Error: Authentication required" }],
+    };
+  }
+
+  const visionLookup = await resolveVision({ visionId, teamId });
+  if (!visionLookup.ok) {
+    return { content: [{ type: "text", text: visionLookup.error }] };
+  }
+  const vision = visionLookup.vision;
+
+  const snapshotError = await snapshotBeforeVTOEdit({
+    visionId: vision.id,
+  });
+  if (snapshotError) return snapshotError;
+
+  const mutation = `
+    mutation CreateVisionIssue($input: CreateVisionIssueInput!) {
+      createVisionIssue(input: $input) {
+        visionIssue {
+          id
+          name
+          cascadeAll
+          visionId
+          teamId
+          createdAt
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: {
+      visionIssue: {
+        name: name.trim(),
+        cascadeAll,
+        visionId: vision.id,
+        teamId: vision.teamId,
+        stateId: "ACTIVE",
+        companyId: context.companyId,
+      },
+    },
+  });
+
+  if (!result.ok) {
+    return {
+      content: [
+        { type: "text", text: `Error creating V/TO issue: ${result.error}` },
+      ],
+    };
+  }
+
+  const created = result.data?.data?.createVisionIssue?.visionIssue;
+  if (!created) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: V/TO issue creation failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "V/TO issue created successfully",
+            vtoIssue: formatVTOIssue(created),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Update an issue on the V/TO issues list
+ * @param {Object} args - Arguments object
+ * @param {string} args.vtoIssueId - V/TO issue ID (required)
+ * @param {string} [args.name] - New issue text
+ * @param {boolean} [args.cascadeAll] - Show the issue on every team's V/TO
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function updateVTOIssue(args) {
+  const { vtoIssueId, name, cascadeAll } = args;
+
+  if (!vtoIssueId) {
+    return {
+      content: [{ type: "text", text: "Error: V/TO issue ID is required" }],
+    };
+  }
+
+  const patch = {};
+  if (name !== undefined) {
+    if (name.trim() === "") {
+      return {
+        content: [
+          { type: "text", text: "Error: V/TO issue name cannot be empty" },
+        ],
+      };
+    }
+    patch.name = name.trim();
+  }
+  if (cascadeAll !== undefined) patch.cascadeAll = cascadeAll;
+
+  if (Object.keys(patch).length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Error: No fields to update. Provide name or cascadeAll.",
+        },
+      ],
+    };
+  }
+
+  const current = await fetchVTOIssue(vtoIssueId);
+  if (!current.ok) {
+    return { content: [{ type: "text", text: current.error }] };
+  }
+
+  const snapshotError = await snapshotBeforeVTOEdit({
+    visionId: current.vtoIssue.visionId,
+  });
+  if (snapshotError) return snapshotError;
+
+  const mutation = `
+    mutation UpdateVisionIssue($input: UpdateVisionIssueInput!) {
+      updateVisionIssue(input: $input) {
+        visionIssue {
+          id
+          name
+          cascadeAll
+          visionId
+          teamId
+          createdAt
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { id: vtoIssueId, patch },
+  });
+  if (!result.ok) {
+    return {
+      content: [
+        { type: "text", text: `Error updating V/TO issue: ${result.error}` },
+      ],
+    };
+  }
+
+  const updated = result.data?.data?.updateVisionIssue?.visionIssue;
+  if (!updated) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: V/TO issue update failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "V/TO issue updated successfully",
+            vtoIssue: formatVTOIssue(updated),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Remove an issue from the V/TO issues list (soft delete)
+ * @param {Object} args - Arguments object
+ * @param {string} args.vtoIssueId - V/TO issue ID (required)
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function deleteVTOIssue(args) {
+  const { vtoIssueId } = args;
+
+  if (!vtoIssueId) {
+    return {
+      content: [{ type: "text", text: "Error: V/TO issue ID is required" }],
+    };
+  }
+
+  const current = await fetchVTOIssue(vtoIssueId);
+  if (!current.ok) {
+    return { content: [{ type: "text", text: current.error }] };
+  }
+
+  const snapshotError = await snapshotBeforeVTOEdit({
+    visionId: current.vtoIssue.visionId,
+  });
+  if (snapshotError) return snapshotError;
+
+  const mutation = `
+    mutation UpdateVisionIssue($input: UpdateVisionIssueInput!) {
+      updateVisionIssue(input: $input) {
+        visionIssue {
+          id
+          name
+          stateId
+        }
+      }
+    }
+  `;
+
+  const result = await callSuccessCoGraphQL(mutation, {
+    input: { id: vtoIssueId, patch: { stateId: "DELETED" } },
+  });
+  if (!result.ok) {
+    return {
+      content: [
+        { type: "text", text: `Error deleting V/TO issue: ${result.error}` },
+      ],
+    };
+  }
+
+  const deleted = result.data?.data?.updateVisionIssue?.visionIssue;
+  if (!deleted) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Error: V/TO issue deletion failed. ${JSON.stringify(
+            result.data,
+            null,
+            2
+          )}`,
+        },
+      ],
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "V/TO issue deleted successfully",
+            vtoIssue: {
+              id: deleted.id,
+              name: deleted.name,
+              status: deleted.stateId,
+            },
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Move a team issue onto the V/TO issues list
+ * The V/TO issue is linked to the original in related_items. Unless
+ * keepIssue is true, the original is then removed from the issues list.
+ * @param {Object} args - Arguments object
+ * @param {string} args.issueId - Issue ID (required)
+ * @param {string} [args.visionId] - Vision to add it to (defaults to the issue's team vision)
+ * @param {boolean} [args.cascadeAll=false] - Show the issue on every team's V/TO
+ * @param {boolean} [args.keepIssue=false] - If true, leave the original issue on the issues list
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function promoteIssueToVTO(args) {
+  const { issueId, visionId, cascadeAll = false, keepIssue = false } = args;
+
+  if (!issueId) {
+    return {
+      content: [{ type: "text", text: "Error: issueId is required" }],
+    };
+  }
+
+  const issueResult = await callSuccessCoGraphQL(`
+    query {
+      issues(filter: {id: {equalTo: "${issueId}"}, stateId: {equalTo: "ACTIVE"}}) {
+        nodes {
+          id
+          name
+          teamId
+        }
+      }
+    }
+  `);
+  if (!issueResult.ok) {
+    return { content: [{ type: "text", text: issueResult.error }] };
+  }
+  const issue = issueResult.data.data.issues.nodes[0];
+  if (!issue) {
+    return {
+      content: [
+        { type: "text", text: `Error: Issue not found with ID: ${issueId}` },
+      ],
+    };
+  }
+
+  const createResponse = await createVTOIssue({
+    name: issue.name,
+    ...(visionId ? { visionId } : { teamId: issue.teamId }),
+    cascadeAll,
+  });
+  let created;
+  try {
+    created = parseToolResponse(createResponse);
+  } catch (error) {
+    return createResponse;
+  }
+  const vtoIssue = created.vtoIssue;
+
+  const warnings = [];
+  const link = await createRelation(
+    { table: "vision_issues", id: vtoIssue.id },
+    { table: "issues", id: issue.id }
+  );
+  if (!link.ok) warnings.push(`Could not link the issues: ${link.error}`);
+
+  let issueRemoved = false;
+  if (!keepIssue) {
+    const deleteResponse = await deleteIssue({ issueId });
+    try {
+      issueRemoved = parseToolResponse(deleteResponse).success === true;
+    } catch (error) {
+      warnings.push(`Could not remove the original issue: ${error.message}`);
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "Issue moved to the V/TO issues list",
+            vtoIssue,
+            issue: { id: issue.id, name: issue.name, removed: issueRemoved },
+            relatedItemId: link.ok ? link.relation.id : null,
+            ...(warnings.length > 0 && { warnings }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
+
+/**
+ * Move a V/TO issue down to a team's short-term issues list
+ * The new issue is linked to the V/TO issue in related_items. Unless
+ * keepVTOIssue is true, the V/TO issue is then removed from the V/TO.
+ * @param {Object} args - Arguments object
+ * @param {string} args.vtoIssueId - V/TO issue ID (required)
+ * @param {string} [args.teamId] - Team to add the issue to (defaults to the vision's team)
+ * @param {string} [args.userId] - Issue owner
+ * @param {string} [args.priority] - Issue priority ('High', 'Medium', 'Low', 'No priority')
+ * @param {boolean} [args.keepVTOIssue=false] - If true, leave the issue on the V/TO as well
+ * @returns {Promise<{content: Array<{type: string, text: string}>}>}
+ */
+export async function demoteVTOIssue(args) {
+  const {
+    vtoIssueId,
+    teamId,
+    userId,
+    priority,
+    keepVTOIssue = false,
+  } = args;
+
+  if (!vtoIssueId) {
+    return {
+      content: [{ type: "text", text: "Error: V/TO issue ID is required" }],
+    };
+  }
+
+  const current = await fetchVTOIssue(vtoIssueId);
+  if (!current.ok) {
+    return { content: [{ type: "text", text: current.error }] };
+  }
+  const vtoIssue = current.vtoIssue;
+
+  const issueResponse = await createIssue({
+    name: vtoIssue.name,
+    teamId: teamId || vtoIssue.teamId,
+    userId,
+    priority,
+    type: "Short-term",
+  });
+  let created;
+  try {
+    created = parseToolResponse(issueResponse);
+  } catch (error) {
+    return issueResponse;
+  }
+
+  const warnings = [];
+  const link = await createRelation(
+    { table: "vision_issues", id: vtoIssue.id },
+    { table: "issues", id: created.issue.id }
+  );
+  if (!link.ok) warnings.push(`Could not link the issues: ${link.error}`);
+
+  let vtoIssueRemoved = false;
+  if (!keepVTOIssue) {
+    const deleteResponse = await deleteVTOIssue({ vtoIssueId });
+    try {
+      vtoIssueRemoved = parseToolResponse(deleteResponse).success === true;
+    } catch (error) {
+      warnings.push(`Could not remove the V/TO issue: ${error.message}`);
+    }
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(
+          {
+            success: true,
+            message: "V/TO issue moved to the team's issues list",
+            issue: created.issue,
+            vtoIssue: { ...formatVTOIssue(vtoIssue), removed: vtoIssueRemoved },
+            relatedItemId: link.ok ? link.relation.id : null,
+            ...(warnings.length > 0 && { warnings }),
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -3,6 +3,7 @@
 
 import { callSuccessCoGraphQL, getUserContext } from "./core.js";
 import { validateStateId } from "../utils/helpers.js";
+import { ensureVTOSnapshot } from "./vtoHistoryTools.js";
 
 /**
  * Get the complete leadership Vision/Traction Organizer in one call
@@ -23,79 +24,13 @@ export async function getLeadershipVTO(args) {
 
   try {
     // Step 1: Find the leadership vision
-    // First, try to find vision with isLeadership: true
-    const visionsQuery = `
-      query {
-        visions(filter: {stateId: {equalTo: "${stateId}"}, isLeadership: {equalTo: true}}) {
-          nodes {
-            id
-            teamId
-            isLeadership
-            createdAt
-            stateId
-            companyId
-          }
-          totalCount
-        }
-      }
-    `;
-
-    const visionsResult = await callSuccessCoGraphQL(visionsQuery);
-    if (!visionsResult.ok) {
-      return { content: [{ type: "text", text: visionsResult.error }] };
-    }
-
-    let visions = visionsResult.data.data.visions.nodes;
-
-    // If no vision found with isLeadership flag, try finding via leadership team
-    if (visions.length === 0) {
-      // Get the leadership team
-      const teamsQuery = `
-        query {
-          teams(filter: {stateId: {equalTo: "${stateId}"}, isLeadership: {equalTo: true}}) {
-            nodes {
-              id
-            }
-            totalCount
-          }
-        }
-      `;
-
-      const teamsResult = await callSuccessCoGraphQL(teamsQuery);
-      if (teamsResult.ok) {
-        const teams = teamsResult.data.data.teams.nodes;
-        if (teams.length > 0) {
-          const leadershipTeamId = teams[0].id;
-
-          // Now find vision by leadership team ID
-          const visionsByTeamQuery = `
-            query {
-              visions(filter: {stateId: {equalTo: "${stateId}"}, teamId: {equalTo: "${leadershipTeamId}"}}) {
-                nodes {
-                  id
-                  teamId
-                  isLeadership
-                  createdAt
-                  stateId
-                  companyId
-                }
-                totalCount
-              }
-            }
-          `;
-
-          const visionsByTeamResult = await callSuccessCoGraphQL(
-            visionsByTeamQuery
-          );
-          if (visionsByTeamResult.ok) {
-            visions = visionsByTeamResult.data.data.visions.nodes;
-          }
-        }
-      }
+    const visionLookup = await findLeadershipVision(stateId);
+    if (!visionLookup.ok) {
+      return { content: [{ type: "text", text: visionLookup.error }] };
     }
 
-    // If still no vision found, return error
-    if (visions.length === 0) {
+    // If no vision found, return error
+    if (!visionLookup.vision) {
       return {
         content: [
           {
@@ -106,7 +41,7 @@ export async function getLeadershipVTO(args) {
       };
     }
 
-    const leadershipVision = visions[0];
+    const leadershipVision = visionLookup.vision;
     const visionId = leadershipVision.id;
 
     // Step 2: Fetch all VTO components in parallel
@@ -408,6 +343,171 @@ export async function getLeadershipVTO(args) {
   }
 }
 
+/**
+ * Find the leadership vision for the current company
+ * Looks for a vision flagged isLeadership first, then falls back to the vision
+ * owned by the leadership team.
+ * @param {string} [stateId] - State filter (defaults to 'ACTIVE')
+ * @returns {Promise<{ok: boolean, vision?: Object|null, error?: string}>}
+ */
+export async function findLeadershipVision(stateId = "ACTIVE") {
+  // First, try to find vision with isLeadership: true
+  const visionsQuery = `
+    query {
+      visions(filter: {stateId: {equalTo: "${stateId}"}, isLeadership: {equalTo: true}}) {
+        nodes {
+          id
+          teamId
+          isLeadership
+          createdAt
+          stateId
+          companyId
+        }
+        totalCount
+      }
+    }
+  `;
+
+  const visionsResult = await callSuccessCoGraphQL(visionsQuery);
+  if (!visionsResult.ok) {
+    return { ok: false, error: visionsResult.error };
+  }
+
+  let visions = visionsResult.data.data.visions.nodes;
+
+  // If no vision found with isLeadership flag, try finding via leadership team
+  if (visions.length === 0) {
+    // Get the leadership team
+    const teamsQuery = `
+      query {
+        teams(filter: {stateId: {equalTo: "${stateId}"}, isLeadership: {equalTo: true}}) {
+          nodes {
+            id
+          }
+          totalCount
+        }
+      }
+    `;
+
+    const teamsResult = await callSuccessCoGraphQL(teamsQuery);
+    if (teamsResult.ok) {
+      const teams = teamsResult.data.data.teams.nodes;
+      if (teams.length > 0) {
+        const leadershipTeamId = teams[0].id;
+
+        // Now find vision by leadership team ID
+        const visionsByTeamQuery = `
+          query {
+            visions(filter: {stateId: {equalTo: "${stateId}"}, teamId: {equalTo: "${leadershipTeamId}"}}) {
+              nodes {
+                id
+                teamId
+                isLeadership
+                createdAt
+                stateId
+                companyId
+              }
+              totalCount
+            }
+          }
+        `;
+
+        const visionsByTeamResult = await callSuccessCoGraphQL(
+          visionsByTeamQuery
+        );
+        if (visionsByTeamResult.ok) {
+          visions = visionsByTeamResult.data.data.visions.nodes;
+        }
+      }
+    }
+  }
+
+  return { ok: true, vision: visions.length > 0 ? visions[0] : null };
+}
+
+/**
+ * Get the leadership core values (the details like "Be awesome") for the current company
+ * These are the same core values listed by getLeadershipVTO, returned with their IDs
+ * so other tools can resolve core value references.
+ * @param {string} [stateId] - State filter (defaults to 'ACTIVE')
+ * @returns {Promise<{ok: boolean, visionId?: string|null, coreValues?: Array<Object>, error?: string}>}
+ */
+export async function getLeadershipCoreValues(stateId = "ACTIVE") {
+  const visionLookup = await findLeadershipVision(stateId);
+  if (!visionLookup.ok) {
+    return { ok: false, error: visionLookup.error };
+  }
+  if (!visionLookup.vision) {
+    return { ok: true, visionId: null, coreValues: [] };
+  }
+
+  const visionId = visionLookup.vision.id;
+
+  const coreValuesResult = await callSuccessCoGraphQL(`
+    query {
+      visionCoreValues(filter: {stateId: {equalTo: "${stateId}"}, visionId: {equalTo: "${visionId}"}}) {
+        nodes {
+          id
+        }
+      }
+    }
+  `);
+  if (!coreValuesResult.ok) {
+    return { ok: false, error: `Core Values: ${coreValuesResult.error}` };
+  }
+
+  const coreValueIds = coreValuesResult.data.data.visionCoreValues.nodes
+    .map((cv) => cv.id)
+    .filter(Boolean);
+  if (coreValueIds.length === 0) {
+    return { ok: true, visionId, coreValues: [] };
+  }
+
+  const detailsResult = await callSuccessCoGraphQL(`
+    query {
+      visionCoreValueDetails(filter: {stateId: {equalTo: "${stateId}"}, visionCoreValueId: {in: [${coreValueIds
+        .map((id) => `"${id}"`)
+        .join(", ")}]}}) {
+        nodes {
+          id
+          name
+          desc
+          position
+          visionCoreValueId
+        }
+      }
+    }
+  `);
+  if (!detailsResult.ok) {
+    return { ok: false, error: `Core Value Details: ${detailsResult.error}` };
+  }
+
+  const coreValues = detailsResult.data.data.visionCoreValueDetails.nodes
+    .filter((detail) => detail.name)
+    .sort((a, b) => a.position - b.position);
+
+  return { ok: true, visionId, coreValues };
+}
+
+/**
+ * Save a V/TO snapshot before the first edit of a session
+ * @param {Object} target - Passed to ensureVTOSnapshot (visionId, or itemType and itemId)
+ * @returns {Promise<Object|null>} Error response to return, or null to go ahead with the edit
+ */
+export async function snapshotBeforeVTOEdit(target) {
+  const snapshot = await ensureVTOSnapshot(target);
+  if (snapshot.ok) return null;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Error: Could not save a V/TO snapshot before editing, so nothing was changed. ${snapshot.error}`,
+      },
+    ],
+  };
+}
+
 /**
  * Update a VTO Core Value
  * @param {Object} args - Arguments object
@@ -443,6 +543,12 @@ export async function updateVTOCoreValue(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "coreValues",
+    itemId: coreValueId,
+  });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation UpdateVisionCoreValue($input: UpdateVisionCoreValueInput!) {
       updateVisionCoreValue(input: $input) {
@@ -563,6 +669,12 @@ export async function updateVTOCoreValueDetail(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "coreValueDetails",
+    itemId: coreValueDetailId,
+  });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation UpdateVisionCoreValueDetail($input: UpdateVisionCoreValueDetailInput!) {
       updateVisionCoreValueDetail(input: $input) {
@@ -687,6 +799,12 @@ export async function updateVTOCoreFocus(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "coreFocusTypes",
+    itemId: coreFocusId,
+  });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation UpdateVisionCoreFocusType($input: UpdateVisionCoreFocusTypeInput!) {
       updateVisionCoreFocusType(input: $input) {
@@ -813,6 +931,12 @@ export async function updateVTOThreeYearGoal(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "threeYearGoals",
+    itemId: goalId,
+  });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation UpdateVisionThreeYearGoal($input: UpdateVisionThreeYearGoalInput!) {
       updateVisionThreeYearGoal(input: $input) {
@@ -958,6 +1082,12 @@ export async function updateVTOMarketStrategy(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "marketStrategies",
+    itemId: marketStrategyId,
+  });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation UpdateVisionMarketStrategy($input: UpdateVisionMarketStrategyInput!) {
       updateVisionMarketStrategy(input: $input) {
@@ -1099,6 +1229,9 @@ export async function createVTOCoreValue(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({ visionId });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation CreateVisionCoreValue($input: CreateVisionCoreValueInput!) {
       createVisionCoreValue(input: $input) {
@@ -1190,6 +1323,12 @@ export async function createVTOCoreValueDetail(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "coreValues",
+    itemId: coreValueId,
+  });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation CreateVisionCoreValueDetail($input: CreateVisionCoreValueDetailInput!) {
       createVisionCoreValueDetail(input: $input) {
@@ -1292,6 +1431,9 @@ export async function createVTOCoreFocus(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({ visionId });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation CreateVisionCoreFocusType($input: CreateVisionCoreFocusTypeInput!) {
       createVisionCoreFocusType(input: $input) {
@@ -1390,6 +1532,9 @@ export async function createVTOThreeYearGoal(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({ visionId });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation CreateVisionThreeYearGoal($input: CreateVisionThreeYearGoalInput!) {
       createVisionThreeYearGoal(input: $input) {
@@ -1498,6 +1643,9 @@ export async function createVTOMarketStrategy(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({ visionId });
+  if (snapshotError) return snapshotError;
+
   const mutation = `
     mutation CreateVisionMarketStrategy($input: CreateVisionMarketStrategyInput!) {
       createVisionMarketStrategy(input: $input) {
@@ -1610,6 +1758,12 @@ export async function deleteVTOCoreValue(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "coreValues",
+    itemId: coreValueId,
+  });
+  if (snapshotError) return snapshotError;
+
   // Use UPDATE mutation to set stateId to DELETED
   const mutation = `
     mutation UpdateVisionCoreValue($input: UpdateVisionCoreValueInput!) {
@@ -1688,6 +1842,12 @@ export async function deleteVTOCoreValueDetail(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "coreValueDetails",
+    itemId: detailId,
+  });
+  if (snapshotError) return snapshotError;
+
   // Use UPDATE mutation to set stateId to DELETED
   const mutation = `
     mutation UpdateVisionCoreValueDetail($input: UpdateVisionCoreValueDetailInput!) {
@@ -1770,6 +1930,12 @@ export async function deleteVTOCoreFocus(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "coreFocusTypes",
+    itemId: coreFocusId,
+  });
+  if (snapshotError) return snapshotError;
+
   // Use UPDATE mutation to set stateId to DELETED
   const mutation = `
     mutation UpdateVisionCoreFocusType($input: UpdateVisionCoreFocusTypeInput!) {
@@ -1849,6 +2015,12 @@ export async function deleteVTOThreeYearGoal(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "threeYearGoals",
+    itemId: goalId,
+  });
+  if (snapshotError) return snapshotError;
+
   // Use UPDATE mutation to set stateId to DELETED
   const mutation = `
     mutation UpdateVisionThreeYearGoal($input: UpdateVisionThreeYearGoalInput!) {
@@ -1933,6 +2105,12 @@ export async function deleteVTOMarketStrategy(args) {
     };
   }
 
+  const snapshotError = await snapshotBeforeVTOEdit({
+    itemType: "marketStrategies",
+    itemId: marketStrategyId,
+  });
+  if (snapshotError) return snapshotError;
+
   // Use UPDATE mutation to set stateId to DELETED
   const mutation = `
     mutation UpdateVisionMarketStrategy($input: UpdateVisionMarketStrategyInput!) {
@@ -95,9 +95,15 @@ export function mapRockTypeToLowercase(type) {
  * @param {string} companyId - The company ID
  * @param {Object} db - Database connection object
  * @param {boolean} isDevMode - Whether debug mode is enabled
+ * @param {Date} [referenceDate] - Date inside the quarter to look up (defaults to today)
  * @returns {Promise<string|null>} - Date in YYYY-MM-DD format or null
  */
-export async function getLastDateOfCurrentQuarter(companyId, db, isDevMode) {
+export async function getLastDateOfCurrentQuarter(
+  companyId,
+  db,
+  isDevMode,
+  referenceDate = new Date()
+) {
   if (!db) {
     if (isDevMode) {
       console.error(
@@ -130,7 +136,7 @@ export async function getLastDateOfCurrentQuarter(companyId, db, isDevMode) {
     }
 
     const company = result[0];
-    const today = new Date();
+    const today = new Date(referenceDate);
     const currentYear = today.getFullYear();
 
     // Parse quarter dates - they might be stored as Date objects or strings
@@ -445,3 +451,47 @@ export function validateMeasurableValue(value, unitType) {
 
   return { isValid: true };
 }
+
+// Number suffixes accepted in targets like "$12.5M"
+const TARGET_MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Parse a target or scorecard value into a number
+ * Accepts currency symbols, thousands separators, percentages and k/M/B suffixes.
+ * @param {string|number} value
+ * @returns {number|null} null if the value isn't numeric
+ */
+export function parseTargetNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return isNaN(value) ? null : value;
+
+  const match = String(value)
+    .replace(/[$€£,%\s]/g, "")
+    .match(/^(-?\d*\.?\d+)([kmb])?$/i);
+  if (!match) return null;
+
+  const multiplier = match[2] ? TARGET_MULTIPLIERS[match[2].toLowerCase()] : 1;
+  return parseFloat(match[1]) * multiplier;
+}
+
+/**
+ * Check a value against a target using a measurable's comparison operator
+ * @param {number} value
+ * @param {number} target
+ * @param {string} [comparison='>='] - '>=', '<=', '=', '>' or '<'
+ * @returns {boolean}
+ */
+export function meetsTarget(value, target, comparison = ">=") {
+  switch (comparison) {
+    case "<=":
+      return value <= target;
+    case "<":
+      return value < target;
+    case ">":
+      return value > target;
+    case "=":
+      return value === target;
+    default:
+      return value >= target;
+  }
+}